@@ -1,50 +1,41 @@
 // Description: Node.js HTML client (Users)
 // requires: npm install express ejs axios body-parser
 
+require('dotenv').config({ quiet: true });
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 var bodyParser = require('body-parser');
 const path = require("path");
+// THB formatting is shared with the PDF renderer so pages and PDFs show the same amounts.
+const { formatTHB } = require("./InvoicePdf");
+const { promptPayQrSvg } = require("./PromptPay");
 const app = express();
 
 // Base URL for API
 const base_url = "http://localhost:4000";
-const thbCurrencyFormatter = new Intl.NumberFormat("th-TH", {
-  style: "currency",
-  currency: "THB",
-  minimumFractionDigits: 2,
-  maximumFractionDigits: 2
-});
+const SESSION_COOKIE = "flowbills_session";
+const LEGACY_AUTH_COOKIES = ["auth_uid", "auth_role", "auth_name", "auth_email"];
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("SESSION_SECRET is not set; using a random secret, so sessions end when the client restarts.");
+}
 const monthLabelFormatter = new Intl.DateTimeFormat("en-US", {
   month: "long",
   year: "numeric"
 });
 const allowedNoticeTypes = new Set(["info", "success", "warning", "error"]);
-
-// [FORMAT] Convert numeric values into THB currency format.
-function formatTHB(value, fallback = "-") {
-  const numericValue = Number.parseFloat(value);
-  if (!Number.isFinite(numericValue)) return fallback;
-  return thbCurrencyFormatter.format(numericValue);
-}
-
-// [FORMAT] Normalize different month inputs into YYYY-MM keys.
-function toBillMonthKey(rawValue) {
-  const value = String(rawValue || "").trim();
-  if (!value) return "unknown";
-
-  const isoMatch = value.match(/^(\d{4})-(\d{2})/);
-  if (isoMatch) return `${isoMatch[1]}-${isoMatch[2]}`;
-
-  const parsed = new Date(value);
-  if (!Number.isNaN(parsed.getTime())) {
-    const year = parsed.getUTCFullYear();
-    const month = String(parsed.getUTCMonth() + 1).padStart(2, "0");
-    return `${year}-${month}`;
-  }
-
-  return "unknown";
-}
+const LIST_PAGE_SIZE = 25;
+// `status` filter for bills that still have a balance (see isOpenBill).
+const OPEN_BILL_STATUSES = "unpaid,partially_paid,overdue";
+// Email notification types (as the API names them) with their labels on the sessions page.
+const NOTIFICATION_LABELS = {
+  bill_created: "New bills",
+  late_fee: "Late fees",
+  due_reminder: "Reminders before the due date",
+  overdue_notice: "Overdue notices",
+  payment_receipt: "Payment receipts"
+};
 
 // [FORMAT] Convert normalized month keys into readable labels.
 function toBillMonthLabel(monthKey) {
@@ -54,121 +45,39 @@ function toBillMonthLabel(monthKey) {
   return monthLabelFormatter.format(utcDate);
 }
 
-// [REPORT] Aggregate bills/payments into per-month report rows.
-function buildMonthlyExpenseReport(bills, payments) {
-  const safeBills = Array.isArray(bills) ? bills : [];
-  const safePayments = Array.isArray(payments) ? payments : [];
-  const paymentsByBillId = {};
-
-  safePayments.forEach((payment) => {
-    const billId = String(payment.bill_id || "").trim();
-    if (!billId) return;
-    paymentsByBillId[billId] = paymentsByBillId[billId] || [];
-    paymentsByBillId[billId].push(payment);
-  });
-
-  const monthlyReportMap = {};
-  safeBills.forEach((bill) => {
-    const monthKey = toBillMonthKey(bill.bill_month);
-    const status = String(bill.status || "").toLowerCase().trim();
-    const billId = String(bill.bill_id || bill.id || "").trim();
-    const amount = Number.parseFloat(bill.amount);
-    const normalizedAmount = Number.isFinite(amount) ? amount : 0;
-    const linkedPayments = billId ? (paymentsByBillId[billId] || []) : [];
-    const dueDate = String(bill.due_date || "").trim();
-    const dueDateTs = dueDate ? new Date(dueDate).getTime() : NaN;
-
-    if (!monthlyReportMap[monthKey]) {
-      monthlyReportMap[monthKey] = {
-        monthKey,
-        monthLabel: toBillMonthLabel(monthKey),
-        billsCount: 0,
-        paidBillsCount: 0,
-        unpaidBillsCount: 0,
-        overdueBillsCount: 0,
-        paymentsCount: 0,
-        totalAmount: 0,
-        paidAmount: 0,
-        outstandingAmount: 0,
-        minBillAmount: null,
-        maxBillAmount: null,
-        dueWindowStart: null,
-        dueWindowEnd: null,
-        dueWindowStartTs: null,
-        dueWindowEndTs: null
-      };
-    }
-
-    const monthSummary = monthlyReportMap[monthKey];
-    monthSummary.billsCount += 1;
-    monthSummary.paymentsCount += linkedPayments.length;
-    monthSummary.totalAmount += normalizedAmount;
-    if (monthSummary.minBillAmount === null || normalizedAmount < monthSummary.minBillAmount) {
-      monthSummary.minBillAmount = normalizedAmount;
-    }
-    if (monthSummary.maxBillAmount === null || normalizedAmount > monthSummary.maxBillAmount) {
-      monthSummary.maxBillAmount = normalizedAmount;
-    }
-    if (Number.isFinite(dueDateTs)) {
-      if (monthSummary.dueWindowStartTs === null || dueDateTs < monthSummary.dueWindowStartTs) {
-        monthSummary.dueWindowStartTs = dueDateTs;
-        monthSummary.dueWindowStart = dueDate;
-      }
-      if (monthSummary.dueWindowEndTs === null || dueDateTs > monthSummary.dueWindowEndTs) {
-        monthSummary.dueWindowEndTs = dueDateTs;
-        monthSummary.dueWindowEnd = dueDate;
-      }
-    }
-
-    if (status === "paid") {
-      monthSummary.paidBillsCount += 1;
-      monthSummary.paidAmount += normalizedAmount;
-      return;
-    }
-
-    if (status === "overdue") {
-      monthSummary.overdueBillsCount += 1;
-    } else {
-      monthSummary.unpaidBillsCount += 1;
-    }
-    monthSummary.outstandingAmount += normalizedAmount;
-  });
+// [BILL] True for bills that still have something to pay.
+function isOpenBill(bill) {
+  const status = String(bill && bill.status || "").toLowerCase();
+  return status === "unpaid" || status === "partially_paid" || status === "overdue";
+}
 
-  return Object.values(monthlyReportMap).map((summary) => {
-    const billsCount = summary.billsCount || 0;
-    const totalAmount = summary.totalAmount || 0;
-    const paidAmount = summary.paidAmount || 0;
-
-    return {
-      monthKey: summary.monthKey,
-      monthLabel: summary.monthLabel,
-      billsCount: summary.billsCount,
-      paidBillsCount: summary.paidBillsCount,
-      unpaidBillsCount: summary.unpaidBillsCount,
-      overdueBillsCount: summary.overdueBillsCount,
-      paymentsCount: summary.paymentsCount,
-      totalAmount: summary.totalAmount,
-      paidAmount: summary.paidAmount,
-      outstandingAmount: summary.outstandingAmount,
-      minBillAmount: summary.minBillAmount === null ? 0 : summary.minBillAmount,
-      maxBillAmount: summary.maxBillAmount === null ? 0 : summary.maxBillAmount,
-      avgBillAmount: billsCount ? (totalAmount / billsCount) : 0,
-      paidRate: billsCount ? ((summary.paidBillsCount / billsCount) * 100) : 0,
-      collectionRate: totalAmount ? ((paidAmount / totalAmount) * 100) : 0,
-      dueWindowStart: summary.dueWindowStart,
-      dueWindowEnd: summary.dueWindowEnd
-    };
-  }).sort((left, right) => {
-    const leftIsDated = /^\d{4}-\d{2}$/.test(left.monthKey);
-    const rightIsDated = /^\d{4}-\d{2}$/.test(right.monthKey);
+// [BILL] Remaining balance of a bill (falls back to its amount for rows without `balance`).
+function billBalance(bill) {
+  const balance = Number.parseFloat(bill && bill.balance !== undefined ? bill.balance : bill && bill.amount);
+  return Number.isFinite(balance) ? balance : 0;
+}
 
-    if (leftIsDated && rightIsDated) {
-      return right.monthKey.localeCompare(left.monthKey);
-    }
-    if (leftIsDated) return -1;
-    if (rightIsDated) return 1;
-    return left.monthKey.localeCompare(right.monthKey);
-  });
+// [REPORT] Map the API's monthly report rows (see GET /users/:id/summary) into the rows the report tables render.
+function toMonthlyReportRows(rows) {
+  return (Array.isArray(rows) ? rows : []).map((row) => ({
+    monthKey: row.month_key,
+    monthLabel: toBillMonthLabel(row.month_key),
+    billsCount: row.bills_count,
+    paidBillsCount: row.paid_bills_count,
+    unpaidBillsCount: row.unpaid_bills_count,
+    overdueBillsCount: row.overdue_bills_count,
+    paymentsCount: row.payments_count,
+    totalAmount: row.total_amount,
+    paidAmount: row.paid_amount,
+    outstandingAmount: row.outstanding_amount,
+    minBillAmount: row.min_bill_amount || 0,
+    maxBillAmount: row.max_bill_amount || 0,
+    avgBillAmount: row.avg_bill_amount || 0,
+    paidRate: row.bills_count ? ((row.paid_bills_count / row.bills_count) * 100) : 0,
+    collectionRate: row.total_amount ? ((row.paid_amount / row.total_amount) * 100) : 0,
+    dueWindowStart: row.due_window_start,
+    dueWindowEnd: row.due_window_end
+  }));
 }
 
 // [AUTH] Restrict incoming roles to admin/user.
@@ -227,6 +136,101 @@ function withNotice(rawPath, message, type = "warning") {
   return `${path}${separator}notice=${encodeURIComponent(text)}&noticeType=${encodeURIComponent(noticeType)}`;
 }
 
+// [API] Read the API's `{ error: { code, message, fields } }` body from a failed request.
+// `fields` maps input names to messages (empty when the error is not about particular fields).
+function apiError(err) {
+  const body = err && err.response && err.response.data && err.response.data.error;
+  return {
+    status: err && err.response ? err.response.status : null,
+    code: body ? body.code : null,
+    message: body ? body.message : null,
+    fields: (body && body.fields) || {}
+  };
+}
+
+// [API] True when the API rejected the submitted input (400/409), so the form is shown again with its errors.
+function isInputRejection(err) {
+  const { status } = apiError(err);
+  return status === 400 || status === 409;
+}
+
+// [FORMAT] Read a list page's filters (plus sort/order/page) from the query string.
+// `params` is what goes to the API: the non-empty filters and one page of limit/offset.
+function readListQuery(req, fields) {
+  const filters = {};
+  for (const field of [...fields, "sort", "order"]) {
+    filters[field] = String(req.query[field] || "").trim();
+  }
+  const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+  return { filters, page, params: { ...params, limit: LIST_PAGE_SIZE, offset: (page - 1) * LIST_PAGE_SIZE } };
+}
+
+// [FORMAT] Pager for a list page from the API's X-Total-Count header; links keep the active filters.
+function buildPager(basePath, listQuery, response) {
+  const total = Number.parseInt(response ? response.headers["x-total-count"] : "", 10) || 0;
+  const pages = Math.max(Math.ceil(total / LIST_PAGE_SIZE), 1);
+  const { page } = listQuery;
+  const hrefFor = (target) => {
+    const query = new URLSearchParams(Object.entries(listQuery.filters).filter(([, value]) => value));
+    if (target > 1) query.set("page", String(target));
+    const queryString = query.toString();
+    return queryString ? `${basePath}?${queryString}` : basePath;
+  };
+
+  return {
+    total,
+    page,
+    pages,
+    first: total ? Math.min((page - 1) * LIST_PAGE_SIZE + 1, total) : 0,
+    last: Math.min(page * LIST_PAGE_SIZE, total),
+    prevHref: page > 1 ? hrefFor(Math.min(page - 1, pages)) : null,
+    nextHref: page < pages ? hrefFor(page + 1) : null
+  };
+}
+
+// [FORMAT] Load one page of a list endpoint; a rejected filter (400) becomes `error` instead of throwing.
+async function fetchListPage(req, apiPath, basePath, listQuery) {
+  try {
+    const response = await req.api.get(apiPath, { params: listQuery.params });
+    return { rows: response.data || [], pager: buildPager(basePath, listQuery, response), error: null };
+  } catch (err) {
+    if (!err.response || err.response.status !== 400) throw err;
+    return { rows: [], pager: buildPager(basePath, listQuery, null), error: apiError(err).message };
+  }
+}
+
+// [EXPORT] CSV and JSON download links for an API export, carrying the active filters and sort.
+function buildExportLinks(dataset, filters) {
+  const hrefFor = (format) => {
+    const query = new URLSearchParams(Object.entries(filters || {}).filter(([, value]) => value));
+    query.set("format", format);
+    return `/exports/${dataset}?${query}`;
+  };
+  return { csv: hrefFor("csv"), json: hrefFor("json") };
+}
+
+// [TARIFF] Parse rate lines like `0-150 = 3.2484`, `400+ = 4.4217` or `peak: 0+ = 5.7982` into rate blocks.
+function parseTariffRateLines(rawText) {
+  const rates = [];
+  const lines = String(rawText || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+  for (const line of lines) {
+    const match = line.match(/^(?:([a-z0-9_ ]+):\s*)?(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?)|\+)\s*=\s*(\d+(?:\.\d+)?)$/i);
+    if (!match) {
+      return { error: `Cannot read rate line "${line}". Use "from-to = rate", "from+ = rate" or "period: from-to = rate".` };
+    }
+    rates.push({
+      period: match[1] ? match[1].trim().toLowerCase().replace(/\s+/g, "_") : null,
+      from_units: match[2],
+      to_units: match[3] || null,
+      rate: match[4]
+    });
+  }
+
+  return { rates };
+}
+
 // [USER] Build a fallback username from user data.
 function deriveUsername(user) {
   const explicitUsername = String(user && user.username ? user.username : "").trim();
@@ -250,32 +254,66 @@ function deriveUsername(user) {
   return "unknown";
 }
 
-// [SESSION] Set auth cookies after successful login.
-function setAuthCookies(res, user) {
-  const maxAge = 60 * 60 * 24 * 30;
-  const role = normalizeRole(user.role);
-  const name = String(user.name || "").trim();
-  const email = String(user.email || "").trim();
-  const userId = String(user.user_id || "").trim();
+// [SESSION] Sign a cookie value with the session secret.
+function signCookieValue(value) {
+  const signature = crypto.createHmac("sha256", sessionSecret).update(value).digest("base64url");
+  return `${value}.${signature}`;
+}
+
+// [SESSION] Verify a signed cookie value and return the raw value, or null when tampered.
+function unsignCookieValue(signedValue) {
+  const raw = String(signedValue || "");
+  const separatorIndex = raw.lastIndexOf(".");
+  if (separatorIndex <= 0) return null;
+
+  const value = raw.slice(0, separatorIndex);
+  const expected = Buffer.from(signCookieValue(value));
+  const actual = Buffer.from(raw);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return value;
+}
+
+// [SESSION] Store the signed session token after successful login.
+function setSessionCookie(res, session) {
+  const maxAge = Number.parseInt(session.max_age_seconds, 10) || 60 * 60 * 24 * 30;
+  const token = String(session.token || "").trim();
 
   res.setHeader("Set-Cookie", [
-    `auth_uid=${encodeURIComponent(userId)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax`,
-    `auth_role=${encodeURIComponent(role)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax`,
-    `auth_name=${encodeURIComponent(name)}; Path=/; Max-Age=${maxAge}; SameSite=Lax`,
-    `auth_email=${encodeURIComponent(email)}; Path=/; Max-Age=${maxAge}; SameSite=Lax`
+    `${SESSION_COOKIE}=${encodeURIComponent(signCookieValue(token))}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax`,
+    ...LEGACY_AUTH_COOKIES.map((name) => `${name}=; Path=/; Max-Age=0; SameSite=Lax`)
   ]);
 }
 
-// [SESSION] Clear all auth cookies on logout.
-function clearAuthCookies(res) {
+// [SESSION] Clear the session cookie (and pre-session auth cookies) on logout.
+function clearSessionCookie(res) {
   res.setHeader("Set-Cookie", [
-    "auth_uid=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax",
-    "auth_role=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax",
-    "auth_name=; Path=/; Max-Age=0; SameSite=Lax",
-    "auth_email=; Path=/; Max-Age=0; SameSite=Lax"
+    `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`,
+    ...LEGACY_AUTH_COOKIES.map((name) => `${name}=; Path=/; Max-Age=0; SameSite=Lax`)
   ]);
 }
 
+// [SESSION] Build axios options that carry the session token to the API.
+function sessionHeaders(token) {
+  return { headers: { Authorization: `Bearer ${token}` } };
+}
+
+// [SESSION] Log in against the API and return `{ user, session }`.
+async function createApiSession(req, email, password) {
+  // The API trusts X-Forwarded-For from loopback (TRUST_PROXY), so the session records the browser, not this server.
+  const loginResp = await axios.post(`${base_url}/auth/login`, { email, password }, {
+    headers: {
+      "User-Agent": req.get("user-agent") || "",
+      "X-Forwarded-For": req.ip || ""
+    }
+  });
+  const user = loginResp.data && loginResp.data.user;
+  const session = loginResp.data && loginResp.data.session;
+  if (!user || !user.user_id || !session || !session.token) {
+    throw new Error('Invalid login response');
+  }
+  return { user, session };
+}
+
 // [AUTH] Middleware: allow admin users only.
 function requireAdmin(req, res, next) {
   if (!req.currentUser) {
@@ -320,28 +358,50 @@ function requireAuth(req, res, next) {
 app.set("views", path.join(__dirname, "/public/views"));
 app.set('view engine', 'ejs');
 
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: false }));
+// The larger limit lets CSV imports through (the API accepts up to 2mb).
+app.use(bodyParser.json({ limit: '2mb' }));
+app.use(bodyParser.urlencoded({ extended: false, limit: '2mb' }));
+
+// Serve static files
+app.use(express.static(path.join(__dirname, 'public')));
 
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   const cookies = parseCookies(req.headers.cookie || "");
-  const userId = Number.parseInt(cookies.auth_uid, 10);
-  const role = normalizeRole(cookies.auth_role);
-  const userName = String(cookies.auth_name || "").trim();
-  const userEmail = String(cookies.auth_email || "").trim();
-  const isAuthenticated = Number.isFinite(userId) && userId > 0 && !!userName;
+  const sessionToken = unsignCookieValue(cookies[SESSION_COOKIE]);
+  let currentUser = null;
 
-  const currentUser = isAuthenticated
-    ? {
-      user_id: userId,
-      name: userName,
-      email: userEmail || null,
-      role
+  if (sessionToken) {
+    try {
+      const sessionResp = await axios.get(`${base_url}/auth/session`, sessionHeaders(sessionToken));
+      const user = sessionResp.data && sessionResp.data.user;
+      if (user && user.user_id) {
+        currentUser = {
+          user_id: user.user_id,
+          name: String(user.name || "").trim(),
+          email: user.email || null,
+          role: normalizeRole(user.role)
+        };
+      }
+    } catch (err) {
+      const status = err.response && err.response.status;
+      if (status === 401) {
+        clearSessionCookie(res);
+      } else {
+        console.error('Session lookup failed:', err.message);
+      }
     }
-    : null;
+  } else if (cookies[SESSION_COOKIE]) {
+    clearSessionCookie(res);
+  }
 
+  const role = currentUser ? currentUser.role : "guest";
   req.currentUser = currentUser;
-  req.currentRole = currentUser ? role : "guest";
+  req.currentRole = role;
+  req.sessionToken = currentUser ? sessionToken : null;
+  // API client scoped to the signed-in user; the API enforces role and ownership on every call.
+  req.api = axios.create(
+    currentUser ? { baseURL: base_url, ...sessionHeaders(sessionToken) } : { baseURL: base_url }
+  );
 
   res.locals.currentUser = currentUser;
   res.locals.isAuthenticated = !!currentUser;
@@ -365,9 +425,6 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files
-app.use(express.static(path.join(__dirname, 'public')));
-
 // ================= ROUTES =================
 
 // [AUTH] Render login page.
@@ -388,19 +445,11 @@ app.post('/login', async (req, res) => {
   const nextPath = safeRedirectPath(req.body.next || req.query.next);
 
   try {
-    const loginResp = await axios.post(`${base_url}/auth/login`, {
-      email,
-      password
-    });
-    const user = loginResp.data && loginResp.data.user;
-    if (!user || !user.user_id) {
-      throw new Error('Invalid login response');
-    }
-
-    setAuthCookies(res, user);
+    const { session } = await createApiSession(req, email, password);
+    setSessionCookie(res, session);
     return res.redirect(nextPath);
   } catch (err) {
-    const apiMessage = err.response && err.response.data && err.response.data.message;
+    const apiMessage = apiError(err).message;
     const backendOffline = err.code === 'ECONNREFUSED';
     const message = backendOffline
       ? 'Backend API is offline on http://localhost:4000. Start it with: npm run backend'
@@ -451,31 +500,112 @@ app.post('/register', async (req, res) => {
       role: 'user'
     });
 
-    const loginResp = await axios.post(`${base_url}/auth/login`, { email, password });
-    const user = loginResp.data && loginResp.data.user;
-    if (!user || !user.user_id) {
-      throw new Error('Invalid login response');
-    }
-
-    setAuthCookies(res, user);
+    const { session } = await createApiSession(req, email, password);
+    setSessionCookie(res, session);
     return res.redirect('/');
   } catch (err) {
-    const apiMessage = err.response && err.response.data && err.response.data.message;
-    const fallback = 'Registration failed';
-    const message = apiMessage || fallback;
+    const { message, fields } = apiError(err);
     return res.status(400).render('register', {
-      error: message,
+      error: message || 'Registration failed',
+      fieldErrors: fields,
       values: { name, email, phone }
     });
   }
 });
 
-// [AUTH] Log out and clear auth cookies.
-app.get('/logout', (req, res) => {
-  clearAuthCookies(res);
+// [AUTH] Log out: revoke the server session and clear the session cookie.
+app.get('/logout', async (req, res) => {
+  if (req.sessionToken) {
+    try {
+      await req.api.delete(`/auth/session`);
+    } catch (err) {
+      console.error('Session revoke failed:', err.message);
+    }
+  }
+  clearSessionCookie(res);
   res.redirect('/login');
 });
 
+// [SESSION] Render the sessions/API keys/notifications page, optionally showing a newly created key once.
+async function renderSessionsPage(req, res, createdKey = null) {
+  try {
+    const [sessionsResp, apiKeysResp, preferencesResp] = await Promise.all([
+      req.api.get(`/auth/sessions`),
+      req.api.get(`/auth/api-keys`),
+      req.api.get(`/users/${req.currentUser.user_id}/notification-preferences`)
+    ]);
+    res.render('sessions', {
+      sessions: sessionsResp.data || [],
+      apiKeys: apiKeysResp.data || [],
+      notificationPreferences: (preferencesResp.data && preferencesResp.data.preferences) || {},
+      notificationLabels: NOTIFICATION_LABELS,
+      createdKey
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Error loading sessions');
+  }
+}
+
+// [SESSION] List the current user's active sessions and API keys.
+app.get('/sessions', requireAuth, (req, res) => renderSessionsPage(req, res));
+
+// [SESSION] Revoke one of the current user's sessions, or all other sessions.
+app.post('/sessions/:id/revoke', requireAuth, async (req, res) => {
+  const target = req.params.id === 'others' ? 'others' : Number.parseInt(req.params.id, 10);
+  if (target !== 'others' && (!Number.isFinite(target) || target <= 0)) {
+    return res.redirect(withNotice('/sessions', 'Invalid session.', 'error'));
+  }
+
+  try {
+    const resp = await req.api.delete(`/auth/sessions/${target}`);
+    const revoked = (resp.data && resp.data.revoked) || 0;
+    const message = target === 'others'
+      ? `Signed out ${revoked} other session(s).`
+      : 'Session revoked.';
+    res.redirect(withNotice('/sessions', message, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/sessions', apiMessage || 'Unable to revoke session.', 'error'));
+  }
+});
+
+// [AUTH] Create an API key for the current user and show it once.
+app.post('/api-keys', requireAuth, async (req, res) => {
+  try {
+    const resp = await req.api.post(`/auth/api-keys`, { name: req.body.name });
+    return renderSessionsPage(req, res, resp.data || null);
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    return res.redirect(withNotice('/sessions', apiMessage || 'Unable to create API key.', 'error'));
+  }
+});
+
+// [AUTH] Revoke one of the current user's API keys.
+app.post('/api-keys/:id/revoke', requireAuth, async (req, res) => {
+  try {
+    await req.api.delete(`/auth/api-keys/${encodeURIComponent(req.params.id)}`);
+    res.redirect(withNotice('/sessions', 'API key revoked.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/sessions', apiMessage || 'Unable to revoke API key.', 'error'));
+  }
+});
+
+// [NOTIFY] Save the current user's email notification choices (each type is sent as on/off).
+app.post('/notification-preferences', requireAuth, async (req, res) => {
+  const preferences = Object.fromEntries(
+    Object.keys(NOTIFICATION_LABELS).map((type) => [type, req.body[type] === "on" ? "on" : "off"])
+  );
+  try {
+    await req.api.put(`/users/${req.currentUser.user_id}/notification-preferences`, preferences);
+    res.redirect(withNotice('/sessions', 'Notification preferences saved.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/sessions', apiMessage || 'Unable to save notification preferences.', 'error'));
+  }
+});
+
 // [DASHBOARD] Render role-based landing dashboard.
 app.get('/', async (req, res) => {
   if (!req.currentUser) {
@@ -484,52 +614,21 @@ app.get('/', async (req, res) => {
 
   if (req.currentRole === "admin") {
     try {
-      const [usersResp, metersResp, billsResp, paymentsResp, utilitiesResp] = await Promise.all([
-        axios.get(`${base_url}/users`),
-        axios.get(`${base_url}/meters`),
-        axios.get(`${base_url}/bills`),
-        axios.get(`${base_url}/payments`),
-        axios.get(`${base_url}/utilities`)
-      ]);
-
-      const users = usersResp.data || [];
-      const meters = metersResp.data || [];
-      const bills = billsResp.data || [];
-      const payments = paymentsResp.data || [];
-      const utilities = utilitiesResp.data || [];
-
-      const openBills = bills.filter((b) => {
-        const status = String(b.status || "").toLowerCase();
-        return status === "unpaid" || status === "overdue";
-      });
-      const outstandingAmount = openBills.reduce((sum, bill) => {
-        const amount = Number.parseFloat(bill.amount);
-        return sum + (Number.isFinite(amount) ? amount : 0);
-      }, 0);
-      const urgentBills = [...openBills].sort((a, b) => {
-        const left = new Date(a.due_date || 0).getTime();
-        const right = new Date(b.due_date || 0).getTime();
-        return left - right;
-      }).slice(0, 5);
-      const recentPayments = [...payments].sort((a, b) => {
-        const left = new Date(a.payment_date || 0).getTime();
-        const right = new Date(b.payment_date || 0).getTime();
-        return right - left;
-      }).slice(0, 5);
+      const { data } = await req.api.get(`/dashboard/admin`, { params: { limit: 5 } });
 
       return res.render('index', {
         home: {
           mode: "admin",
           error: null,
           summary: {
-            usersCount: users.length,
-            metersCount: meters.length,
-            utilitiesCount: utilities.length,
-            openBillsCount: openBills.length,
-            outstandingAmount
+            usersCount: data.summary.users_count,
+            metersCount: data.summary.meters_count,
+            utilitiesCount: data.summary.utilities_count,
+            openBillsCount: data.summary.open_bills_count,
+            outstandingAmount: data.summary.outstanding_amount
           },
-          urgentBills,
-          recentPayments
+          urgentBills: data.urgent_bills,
+          recentPayments: data.recent_payments
         }
       });
     } catch (err) {
@@ -553,55 +652,21 @@ app.get('/', async (req, res) => {
   }
 
   try {
-    const [metersResp, billsResp, paymentsResp] = await Promise.all([
-      axios.get(`${base_url}/meters`),
-      axios.get(`${base_url}/bills`),
-      axios.get(`${base_url}/payments`)
-    ]);
-
-    const allMeters = metersResp.data || [];
-    const allBills = billsResp.data || [];
-    const allPayments = paymentsResp.data || [];
-
-    const myMeters = allMeters.filter((m) => String(m.user_id) === String(req.currentUser.user_id));
-    const meterIds = new Set(myMeters.map((m) => String(m.meter_id)));
-    const myBills = allBills.filter((b) => meterIds.has(String(b.meter_id)));
-    const billIds = new Set(myBills.map((b) => String(b.bill_id)));
-    const myPayments = allPayments.filter((p) => billIds.has(String(p.bill_id)));
-
-    const openBills = myBills.filter((b) => {
-      const status = String(b.status || "").toLowerCase();
-      return status === "unpaid" || status === "overdue";
-    });
-    const dueAmount = openBills.reduce((sum, bill) => {
-      const amount = Number.parseFloat(bill.amount);
-      return sum + (Number.isFinite(amount) ? amount : 0);
-    }, 0);
-
-    const recentBills = [...myBills].sort((a, b) => {
-      const left = new Date(a.due_date || a.created_at || 0).getTime();
-      const right = new Date(b.due_date || b.created_at || 0).getTime();
-      return left - right;
-    }).slice(0, 5);
-    const recentPayments = [...myPayments].sort((a, b) => {
-      const left = new Date(a.payment_date || 0).getTime();
-      const right = new Date(b.payment_date || 0).getTime();
-      return right - left;
-    }).slice(0, 5);
+    const { data } = await req.api.get(`/users/${req.currentUser.user_id}/summary`, { params: { limit: 5 } });
 
     return res.render('index', {
       home: {
         mode: "user",
         error: null,
         summary: {
-          metersCount: myMeters.length,
-          billsCount: myBills.length,
-          openBillsCount: openBills.length,
-          paymentsCount: myPayments.length,
-          dueAmount
+          metersCount: data.summary.meters_count,
+          billsCount: data.summary.bills_count,
+          openBillsCount: data.summary.open_bills_count,
+          paymentsCount: data.summary.payments_count,
+          dueAmount: data.summary.outstanding_amount
         },
-        recentBills,
-        recentPayments
+        recentBills: data.recent_bills,
+        recentPayments: data.recent_payments
       }
     });
   } catch (err) {
@@ -627,65 +692,26 @@ app.get('/', async (req, res) => {
 // [DASHBOARD] Render full admin operational metrics.
 app.get('/admin-dashboard', requireAdmin, async (req, res) => {
   try {
-    const [usersResp, metersResp, billsResp, paymentsResp, utilitiesResp] = await Promise.all([
-      axios.get(`${base_url}/users`),
-      axios.get(`${base_url}/meters`),
-      axios.get(`${base_url}/bills`),
-      axios.get(`${base_url}/payments`),
-      axios.get(`${base_url}/utilities`)
-    ]);
-
-    const users = usersResp.data || [];
-    const meters = metersResp.data || [];
-    const bills = billsResp.data || [];
-    const payments = paymentsResp.data || [];
-    const utilities = utilitiesResp.data || [];
-
-    const overdueBills = bills.filter((b) => String(b.status || "").toLowerCase() === "overdue");
-    const unpaidBills = bills.filter((b) => String(b.status || "").toLowerCase() === "unpaid");
-    const paidBills = bills.filter((b) => String(b.status || "").toLowerCase() === "paid");
-
-    const totalBilledAmount = bills.reduce((sum, bill) => {
-      const amount = Number.parseFloat(bill.amount);
-      return sum + (Number.isFinite(amount) ? amount : 0);
-    }, 0);
-
-    const recentUsers = [...users].sort((a, b) => {
-      const left = new Date(a.created_at || 0).getTime();
-      const right = new Date(b.created_at || 0).getTime();
-      return right - left;
-    }).slice(0, 8);
-
-    const recentPayments = [...payments].sort((a, b) => {
-      const left = new Date(a.payment_date || 0).getTime();
-      const right = new Date(b.payment_date || 0).getTime();
-      return right - left;
-    }).slice(0, 8);
-
-    const urgentBills = [...bills].filter((bill) => {
-      const status = String(bill.status || "").toLowerCase();
-      return status === "unpaid" || status === "overdue";
-    }).sort((a, b) => {
-      const left = new Date(a.due_date || 0).getTime();
-      const right = new Date(b.due_date || 0).getTime();
-      return left - right;
-    }).slice(0, 10);
+    const { data } = await req.api.get(`/dashboard/admin`, { params: { limit: 10 } });
 
     res.render('admin-dashboard', {
       summary: {
-        usersCount: users.length,
-        metersCount: meters.length,
-        utilitiesCount: utilities.length,
-        billsCount: bills.length,
-        paymentsCount: payments.length,
-        paidBillsCount: paidBills.length,
-        unpaidBillsCount: unpaidBills.length,
-        overdueBillsCount: overdueBills.length,
-        totalBilledAmount
+        usersCount: data.summary.users_count,
+        metersCount: data.summary.meters_count,
+        utilitiesCount: data.summary.utilities_count,
+        billsCount: data.summary.bills_count,
+        paymentsCount: data.summary.payments_count,
+        paidBillsCount: data.summary.paid_bills_count,
+        unpaidBillsCount: data.summary.unpaid_bills_count,
+        overdueBillsCount: data.summary.overdue_bills_count,
+        totalBilledAmount: data.summary.total_billed_amount,
+        webhookPendingCount: data.summary.webhook_pending_count,
+        webhookFailedCount: data.summary.webhook_failed_count
       },
-      recentUsers,
-      recentPayments,
-      urgentBills
+      recentUsers: data.recent_users.slice(0, 8),
+      recentPayments: data.recent_payments.slice(0, 8),
+      urgentBills: data.urgent_bills,
+      recentWebhookDeliveries: data.recent_webhook_deliveries.slice(0, 8)
     });
   } catch (err) {
     console.error(err.message);
@@ -693,69 +719,27 @@ app.get('/admin-dashboard', requireAdmin, async (req, res) => {
   }
 });
 
-// [DASHBOARD] Render user dashboard and monthly report.
+// [DASHBOARD] Render the signed-in user's dashboard and monthly report.
 app.get('/user-dashboard', requireAuth, async (req, res) => {
   try {
-    const [metersResp, billsResp, paymentsResp] = await Promise.all([
-      axios.get(`${base_url}/meters`),
-      axios.get(`${base_url}/bills`),
-      axios.get(`${base_url}/payments`)
-    ]);
-
-    const allMeters = metersResp.data || [];
-    const allBills = billsResp.data || [];
-    const allPayments = paymentsResp.data || [];
-    const isAdmin = req.currentRole === "admin";
-
-    const meters = isAdmin
-      ? allMeters
-      : allMeters.filter((m) => String(m.user_id) === String(req.currentUser.user_id));
-
-    const meterIds = new Set(meters.map((m) => String(m.meter_id)));
-    const bills = allBills.filter((b) => meterIds.has(String(b.meter_id)));
-    const billIds = new Set(bills.map((b) => String(b.bill_id)));
-    const payments = allPayments.filter((p) => billIds.has(String(p.bill_id)));
-
-    const paidBillsCount = bills.filter((b) => String(b.status || "").toLowerCase() === "paid").length;
-    const overdueBillsCount = bills.filter((b) => String(b.status || "").toLowerCase() === "overdue").length;
-    const unpaidBills = bills.filter((b) => {
-      const status = String(b.status || "").toLowerCase();
-      return status === "unpaid" || status === "overdue";
-    });
-    const totalDue = unpaidBills.reduce((sum, bill) => {
-      const amount = Number.parseFloat(bill.amount);
-      return sum + (Number.isFinite(amount) ? amount : 0);
-    }, 0);
-
-    const recentBills = [...bills].sort((a, b) => {
-      const left = new Date(a.due_date || a.created_at || 0).getTime();
-      const right = new Date(b.due_date || b.created_at || 0).getTime();
-      return right - left;
-    }).slice(0, 8);
-
-    const recentPayments = [...payments].sort((a, b) => {
-      const left = new Date(a.payment_date || 0).getTime();
-      const right = new Date(b.payment_date || 0).getTime();
-      return right - left;
-    }).slice(0, 8);
-    const monthlyReport = buildMonthlyExpenseReport(bills, payments);
+    const { data } = await req.api.get(`/users/${req.currentUser.user_id}/summary`, { params: { limit: 8 } });
 
     res.render('user-dashboard', {
       summary: {
-        metersCount: meters.length,
-        billsCount: bills.length,
-        paidBillsCount,
-        overdueBillsCount,
-        unpaidBillsCount: unpaidBills.length,
-        totalDue
+        metersCount: data.summary.meters_count,
+        billsCount: data.summary.bills_count,
+        paidBillsCount: data.summary.paid_bills_count,
+        overdueBillsCount: data.summary.overdue_bills_count,
+        unpaidBillsCount: data.summary.open_bills_count,
+        totalDue: data.summary.outstanding_amount
       },
-      recentBills,
-      recentPayments,
-      monthlyReport,
+      recentBills: data.recent_bills,
+      recentPayments: data.recent_payments,
+      monthlyReport: toMonthlyReportRows(data.monthly_report),
       error: null
     });
   } catch (err) {
-    const apiMessage = err.response && err.response.data && err.response.data.message;
+    const apiMessage = apiError(err).message;
     const backendOffline = err.code === 'ECONNREFUSED';
     const message = backendOffline
       ? 'Cannot reach backend API on http://localhost:4000. Start it with: npm run backend'
@@ -781,83 +765,53 @@ app.get('/user-dashboard', requireAuth, async (req, res) => {
   }
 });
 
-// [USER] List all users for admin management.
+// [USER] List users for admin management (search, role filter, sort and paging).
 app.get('/users', requireAdmin, async (req, res) => {
+  const listQuery = readListQuery(req, ["q", "status", "from", "to"]);
   try {
-    const response = await axios.get(base_url + '/users');
-    res.render('users', { users: response.data });
+    const list = await fetchListPage(req, '/users', '/users', listQuery);
+    res.status(list.error ? 400 : 200).render('users', {
+      users: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      error: list.error
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Error loading users');
   }
 });
 
-// [USER][REPORT] Show one user with bills, payments, and monthly report.
+// [USER][REPORT][LEDGER] Show one user with the account ledger and monthly report.
 app.get('/user/:id', requireAdmin, async (req, res) => {
   try {
     const printMode = String(req.query.print || "").trim() === "1";
+    const ledgerFilter = {
+      from: String(req.query.from || "").trim(),
+      to: String(req.query.to || "").trim()
+    };
 
-    // Fetch user
-    const userResp = await axios.get(`${base_url}/users/${req.params.id}`);
-    const user = userResp.data;
-
-    // Fetch all meters and filter for this user
-    const metersResp = await axios.get(`${base_url}/meters`);
-    const allMeters = metersResp.data || [];
-    const userMeters = allMeters.filter(m => String(m.user_id) === String(user.id || user.user_id));
-
-    // Fetch utilities to map utility_id to name
-    const utilsResp = await axios.get(`${base_url}/utilities`);
-    const utilities = utilsResp.data || [];
-    const utilityMap = {};
-    utilities.forEach(u => { utilityMap[u.utility_id] = u.utility_name; });
-
-    // Attach utility_name to each meter
-    userMeters.forEach(m => { m.utility_name = utilityMap[m.utility_id] || null; });
-
-    // Fetch bills and link to meters
-    const billsResp = await axios.get(`${base_url}/bills`);
-    const allBills = billsResp.data || [];
-    // bills by meter id
-    const billsByMeter = {};
-    allBills.forEach(b => {
-      const mid = String(b.meter_id);
-      billsByMeter[mid] = billsByMeter[mid] || [];
-      billsByMeter[mid].push(b);
-    });
-
-    // Attach bills to each user meter
-    userMeters.forEach(m => { m.bills = billsByMeter[String(m.meter_id)] || []; });
-
-    // Fetch payments
-    const paymentsResp = await axios.get(`${base_url}/payments`);
-    const allPayments = paymentsResp.data || [];
-    const userBills = [];
-    userMeters.forEach((meter) => {
-      const meterBills = Array.isArray(meter.bills) ? meter.bills : [];
-      meterBills.forEach((bill) => {
-        userBills.push(bill);
-      });
+    const { data } = await req.api.get(`/users/${encodeURIComponent(req.params.id)}/summary`, {
+      params: { from: ledgerFilter.from || undefined, to: ledgerFilter.to || undefined, limit: 1 }
     });
-    const userBillIdSet = new Set(
-      userBills
-        .map((bill) => String(bill.bill_id || bill.id || "").trim())
-        .filter((billId) => !!billId)
-    );
-    const userPayments = allPayments.filter((payment) =>
-      userBillIdSet.has(String(payment.bill_id || "").trim())
-    );
-    const monthlyReport = buildMonthlyExpenseReport(userBills, userPayments);
     const generatedAt = new Intl.DateTimeFormat("en-US", {
       dateStyle: "medium",
       timeStyle: "short"
     }).format(new Date());
 
     res.render('user', {
-      user,
-      meters: userMeters,
-      payments: userPayments,
-      monthlyReport,
+      user: data.user,
+      meters: data.meters,
+      summary: data.summary,
+      latestPayment: data.recent_payments[0] || null,
+      ledger: data.ledger,
+      ledgerFilter,
+      monthlyReport: toMonthlyReportRows(data.monthly_report),
+      exportLinks: {
+        report: buildExportLinks('monthly-report', { user_id: data.user.user_id }),
+        bills: buildExportLinks('bills', { user_id: data.user.user_id }),
+        payments: buildExportLinks('payments', { user_id: data.user.user_id })
+      },
       printMode,
       generatedAt
     });
@@ -867,16 +821,32 @@ app.get('/user/:id', requireAdmin, async (req, res) => {
   }
 });
 
+// [LEDGER] Post a manual ledger adjustment for one user (positive charges, negative credits).
+app.post('/user/:id/ledger/adjustments', requireAdmin, async (req, res) => {
+  const backPath = `/user/${encodeURIComponent(req.params.id)}`;
+  try {
+    const { data } = await req.api.post(`/users/${req.params.id}/ledger/adjustments`, {
+      amount: req.body.amount,
+      description: req.body.description
+    });
+    const applied = data.applied_to_bills > 0 ? ` ${formatTHB(data.applied_to_bills)} applied to open bills.` : '';
+    res.redirect(withNotice(backPath, `Ledger adjustment recorded.${applied}`, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(backPath, apiMessage || 'Unable to record adjustment', 'error'));
+  }
+});
+
 // [BILL][PAYMENT] Print open invoices for one user.
 app.get('/user/:id/invoices', requireAdmin, async (req, res) => {
   const printMode = String(req.query.print || "").trim() === "1";
 
   try {
     const [userResp, metersResp, billsResp, utilitiesResp] = await Promise.all([
-      axios.get(`${base_url}/users/${req.params.id}`),
-      axios.get(`${base_url}/meters`),
-      axios.get(`${base_url}/bills`),
-      axios.get(`${base_url}/utilities`)
+      req.api.get(`/users/${req.params.id}`),
+      req.api.get(`/meters`, { params: { user_id: req.params.id } }),
+      req.api.get(`/bills`, { params: { user_id: req.params.id, status: OPEN_BILL_STATUSES } }),
+      req.api.get(`/utilities`)
     ]);
 
     const user = userResp.data || {};
@@ -898,8 +868,7 @@ app.get('/user/:id/invoices', requireAdmin, async (req, res) => {
     const openBills = (billsResp.data || [])
       .filter((bill) => {
         const meterId = String(bill.meter_id || "").trim();
-        const status = String(bill.status || "").toLowerCase().trim();
-        return meterIds.has(meterId) && (status === "unpaid" || status === "overdue");
+        return meterIds.has(meterId) && isOpenBill(bill);
       })
       .map((bill) => {
         const meterId = String(bill.meter_id || "").trim();
@@ -917,10 +886,7 @@ app.get('/user/:id/invoices', requireAdmin, async (req, res) => {
         return leftTime - rightTime;
       });
 
-    const totalDue = openBills.reduce((sum, bill) => {
-      const amount = Number.parseFloat(bill.amount);
-      return sum + (Number.isFinite(amount) ? amount : 0);
-    }, 0);
+    const totalDue = openBills.reduce((sum, bill) => sum + billBalance(bill), 0);
     const generatedAt = new Intl.DateTimeFormat("en-US", {
       dateStyle: "medium",
       timeStyle: "short"
@@ -944,41 +910,126 @@ app.get('/user/:id/invoices', requireAdmin, async (req, res) => {
   }
 });
 
-// [METER] List all meters with utility labels.
+// [BILL][PAYMENT] Pay every open invoice of one user with a single payment (one API transaction).
+app.post('/user/:id/invoices/pay-all', requireAdmin, async (req, res) => {
+  const invoicesPath = `/user/${encodeURIComponent(req.params.id)}/invoices`;
+  try {
+    const billsResp = await req.api.get(`/bills`, {
+      params: { user_id: req.params.id, status: OPEN_BILL_STATUSES }
+    });
+    const openBillIds = (billsResp.data || []).map((bill) => bill.bill_id);
+    if (!openBillIds.length) {
+      return res.redirect(withNotice(invoicesPath, 'There are no open invoices to pay.', 'info'));
+    }
+
+    const { data } = await req.api.post(`/payments`, {
+      bill_ids: openBillIds,
+      payment_method: req.body.payment_method,
+      transaction_ref: req.body.transaction_ref
+    });
+    res.redirect(withNotice(
+      invoicesPath,
+      `Payment #${data.payment_id} of ${formatTHB(data.amount)} settled ${data.allocations.length} invoice(s).`,
+      'success'
+    ));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(invoicesPath, apiMessage || 'Unable to pay open invoices', 'error'));
+  }
+});
+
+// [METER] List meters with utility labels (filters, sort and paging).
 app.get('/meters', requireAdmin, async (req, res) => {
+  const listQuery = readListQuery(req, ["q", "user_id", "utility_id", "from", "to"]);
   try {
-    const resp = await axios.get(`${base_url}/meters`);
-    const meters = resp.data || [];
-    const utilsResp = await axios.get(`${base_url}/utilities`);
-    const utilities = utilsResp.data || [];
-    const utilityMap = {};
-    utilities.forEach(u => { utilityMap[u.utility_id] = u.utility_name; });
-    meters.forEach(m => { m.utility_name = utilityMap[m.utility_id] || null; });
-    res.render('meters', { meters });
+    const [usersResp, utilsResp] = await Promise.all([
+      req.api.get(`/users`),
+      req.api.get(`/utilities`)
+    ]);
+    const list = await fetchListPage(req, '/meters', '/meters', listQuery);
+    res.status(list.error ? 400 : 200).render('meters', {
+      meters: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      users: usersResp.data || [],
+      utilities: utilsResp.data || [],
+      error: list.error
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Error loading meters');
   }
 });
 
-// [BILL] List bills (filtered by ownership for non-admins).
-app.get('/bills', requireAuth, async (req, res) => {
+// [METER] Show readings for one meter (admins also get the record-reading form).
+app.get('/meters/:id/readings', requireAuth, async (req, res) => {
   try {
-    const resp = await axios.get(`${base_url}/bills`);
-    let bills = resp.data || [];
-
-    if (!req.currentUser.role || req.currentUser.role !== "admin") {
-      const metersResp = await axios.get(`${base_url}/meters`);
-      const myMeterIds = new Set(
-        (metersResp.data || [])
-          .filter((m) => String(m.user_id) === String(req.currentUser.user_id))
-          .map((m) => String(m.meter_id))
-      );
-      bills = bills.filter((b) => myMeterIds.has(String(b.meter_id)));
+    const [metersResp, readingsResp] = await Promise.all([
+      req.api.get(`/meters`),
+      req.api.get(`/meters/${encodeURIComponent(req.params.id)}/readings`)
+    ]);
+    const meter = (metersResp.data || []).find(
+      (m) => String(m.meter_id) === String(req.params.id)
+    ) || null;
+    if (!meter) {
+      return res.status(404).send('Meter not found');
+    }
+
+    res.render('meter-readings', {
+      meter,
+      readings: readingsResp.data || [],
+      error: req.query.error || null
+    });
+  } catch (err) {
+    const status = err.response && err.response.status;
+    if (status === 404) {
+      return res.status(404).send('Meter not found');
     }
+    console.error('Meter readings load failed:', err.message);
+    res.status(500).send('Error loading meter readings');
+  }
+});
+
+// [METER] Record a meter reading.
+app.post('/meters/:id/readings', requireAdmin, async (req, res) => {
+  const readingsPath = `/meters/${encodeURIComponent(req.params.id)}/readings`;
+  try {
+    const resp = await req.api.post(readingsPath, {
+      reading_value: req.body.reading_value,
+      read_at: req.body.read_at,
+      source: req.body.source,
+      reset_type: req.body.reset_type || null,
+      rollover_max: req.body.rollover_max || null,
+      initial_value: req.body.initial_value || null
+    });
+    const consumption = resp.data && resp.data.consumption;
+    const message = consumption === null || typeof consumption === 'undefined'
+      ? 'Baseline reading recorded.'
+      : `Reading recorded: ${consumption} units since the previous reading.`;
+    res.redirect(withNotice(readingsPath, message, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(readingsPath, apiMessage || 'Unable to record reading', 'error'));
+  }
+});
 
-    res.render('bills', {
-      bills,
+// [BILL] List bills with filters, sort and paging (the API limits non-admins to their own bills).
+app.get('/bills', requireAuth, async (req, res) => {
+  const listQuery = readListQuery(req, ["status", "from", "to", "user_id", "meter_id", "utility_id"]);
+  try {
+    const [usersResp, utilsResp] = await Promise.all([
+      req.currentRole === "admin" ? req.api.get(`/users`) : { data: [] },
+      req.api.get(`/utilities`)
+    ]);
+    const list = await fetchListPage(req, '/bills', '/bills', listQuery);
+    res.status(list.error ? 400 : 200).render('bills', {
+      bills: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      exportLinks: buildExportLinks('bills', listQuery.filters),
+      users: usersResp.data || [],
+      utilities: utilsResp.data || [],
+      error: list.error,
       message: req.query.message || null
     });
   } catch (err) {
@@ -987,56 +1038,19 @@ app.get('/bills', requireAuth, async (req, res) => {
   }
 });
 
+// [PROMPTPAY] Add the QR image (SVG) to a bill's PromptPay payload from the API; null when there is none.
+async function withPromptPayQr(promptpay) {
+  if (!promptpay) return null;
+  return { ...promptpay, svg: await promptPayQrSvg(promptpay.payload) };
+}
+
 // [BILL][REPORT] Render single invoice (with print mode).
 app.get('/invoice/:billId', requireAuth, async (req, res) => {
   const printMode = String(req.query.print || "").trim() === "1";
 
   try {
-    const billResp = await axios.get(`${base_url}/bills/${req.params.billId}`);
-    const bill = billResp.data || null;
-    if (!bill) {
-      return res.status(404).send('Invoice not found');
-    }
-
-    const [metersResp, utilitiesResp, paymentsResp] = await Promise.all([
-      axios.get(`${base_url}/meters`),
-      axios.get(`${base_url}/utilities`),
-      axios.get(`${base_url}/payments`)
-    ]);
-
-    const meter = (metersResp.data || []).find(
-      (m) => String(m.meter_id) === String(bill.meter_id)
-    ) || null;
-
-    if (req.currentUser.role !== "admin") {
-      const ownsBill = meter && String(meter.user_id) === String(req.currentUser.user_id);
-      if (!ownsBill) {
-        return res.status(403).render('access-denied', {
-          message: "You can only print invoices for your own bills."
-        });
-      }
-    }
-
-    const utility = (utilitiesResp.data || []).find(
-      (u) => String(u.utility_id) === String(meter && meter.utility_id)
-    ) || null;
-    const payment = (paymentsResp.data || []).find(
-      (p) => String(p.bill_id) === String(bill.bill_id)
-    ) || null;
-
-    let accountUser = null;
-    if (meter && meter.user_id) {
-      try {
-        const userResp = await axios.get(`${base_url}/users/${meter.user_id}`);
-        accountUser = userResp.data || null;
-      } catch (userErr) {
-        accountUser = null;
-      }
-    }
-
-    if (!accountUser && req.currentUser) {
-      accountUser = req.currentUser;
-    }
+    const { data } = await req.api.get(`/bills/${encodeURIComponent(req.params.billId)}/detail`);
+    const accountUser = data.account_user || req.currentUser;
 
     const accountUsername = deriveUsername(accountUser || {});
     const generatedAt = new Intl.DateTimeFormat("en-US", {
@@ -1045,10 +1059,13 @@ app.get('/invoice/:billId', requireAuth, async (req, res) => {
     }).format(new Date());
 
     return res.render('invoice', {
-      bill,
-      meter,
-      utility,
-      payment,
+      bill: data.bill,
+      meter: data.meter,
+      utility: data.utility,
+      billPayments: data.payments,
+      billCredits: data.credits || [],
+      statusHistory: data.status_history,
+      promptPay: await withPromptPayQr(data.promptpay),
       accountUser,
       accountUsername,
       generatedAt,
@@ -1064,102 +1081,798 @@ app.get('/invoice/:billId', requireAuth, async (req, res) => {
   }
 });
 
-// [UTILITY] List utility types.
-app.get('/utilities', requireAdmin, async (req, res) => {
+// [BILL] Run the overdue check now (marks overdue bills and adds late fees).
+app.post('/overdue-check', requireAdmin, async (req, res) => {
   try {
-    const resp = await axios.get(`${base_url}/utilities`);
-    res.render('utilities', { utilities: resp.data || [] });
+    const { data } = await req.api.post('/bills/overdue-check', {});
+    const message = `Overdue check: ${data.overdue_bill_ids.length} bill(s) marked overdue, ${data.late_fees.length} late fee(s) added.`;
+    res.redirect(withNotice('/admin-dashboard', message, 'success'));
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Error loading utilities');
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/admin-dashboard', apiMessage || 'Unable to run overdue check', 'error'));
   }
 });
 
-// [UTILITY] Render create-utility form.
-app.get("/create-utility", requireAdmin, (req, res) => {
-  res.render("create-utility");
+// [PAYMENT] Refund or void a payment; the API reopens its bills.
+app.post('/payments/:id/reverse', requireAdmin, async (req, res) => {
+  try {
+    const { data } = await req.api.post(`/payments/${encodeURIComponent(req.params.id)}/reverse`, {
+      type: req.body.type,
+      reason: req.body.reason
+    });
+    const label = data.reversal_type === 'void' ? 'voided' : 'refunded';
+    res.redirect(withNotice('/payments', `Payment #${data.payment_id} ${label}; ${data.bills.length} bill(s) reopened.`, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/payments', apiMessage || 'Unable to reverse payment', 'error'));
+  }
 });
 
-// [UTILITY] Create a utility record.
-app.post("/create-utility", requireAdmin, async (req, res) => {
+// [UTILITY] List utility types.
+app.get('/utilities', requireAdmin, async (req, res) => {
   try {
-    const data = {
-      utility_name: req.body.utility_name
-    };
-    await axios.post(base_url + '/utilities', data);
-    res.redirect("/utilities");
+    const resp = await req.api.get(`/utilities`);
+    res.render('utilities', { utilities: resp.data || [] });
   } catch (err) {
     console.error(err.message);
-    res.status(500).send('Error creating utility');
+    res.status(500).send('Error loading utilities');
   }
 });
 
-// [PAYMENT] List payments (filtered for non-admin users).
-app.get('/payments', requireAuth, async (req, res) => {
+// [TARIFF] Render the tariff versions page for a utility, with an optional draft preview.
+async function renderTariffsPage(req, res, { status = 200, values = null, preview = null, error = null } = {}) {
   try {
-    const resp = await axios.get(`${base_url}/payments`);
-    let payments = resp.data || [];
-
-    if (!req.currentUser.role || req.currentUser.role !== "admin") {
-      const [metersResp, billsResp] = await Promise.all([
-        axios.get(`${base_url}/meters`),
-        axios.get(`${base_url}/bills`)
-      ]);
-      const myMeterIds = new Set(
-        (metersResp.data || [])
-          .filter((m) => String(m.user_id) === String(req.currentUser.user_id))
-          .map((m) => String(m.meter_id))
-      );
-      const myBillIds = new Set(
-        (billsResp.data || [])
-          .filter((b) => myMeterIds.has(String(b.meter_id)))
-          .map((b) => String(b.bill_id))
-      );
-      payments = payments.filter((p) => myBillIds.has(String(p.bill_id)));
+    const [utilitiesResp, tariffsResp] = await Promise.all([
+      req.api.get(`/utilities`),
+      req.api.get(`/utilities/${encodeURIComponent(req.params.id)}/tariffs`)
+    ]);
+    const utility = (utilitiesResp.data || []).find(
+      (u) => String(u.utility_id) === String(req.params.id)
+    ) || null;
+    if (!utility) {
+      return res.status(404).send('Utility not found');
     }
 
-    const successMessage = req.query.paid === "1"
-      ? "Payment completed and bill marked as paid."
-      : null;
-    res.render('payments', {
-      payments,
-      message: req.query.message || successMessage
+    res.status(status).render('tariffs', {
+      utility,
+      tariffs: tariffsResp.data || [],
+      values: values || {
+        name: "",
+        pricing_type: "tiered",
+        effective_from: "",
+        service_charge: "",
+        minimum_charge: "",
+        vat_rate: "7",
+        rate_lines: "",
+        sample_units: "",
+        sample_units_by_period: ""
+      },
+      preview,
+      error
     });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Error loading payments');
+    console.error('Tariffs load failed:', err.message);
+    res.status(500).send('Error loading tariffs');
+  }
+}
+
+// [TARIFF] List tariff versions for a utility.
+app.get('/utilities/:id/tariffs', requireAdmin, (req, res) => renderTariffsPage(req, res));
+
+// [TARIFF] Preview (intent=preview) or create (intent=create) a tariff version.
+app.post('/utilities/:id/tariffs', requireAdmin, async (req, res) => {
+  const values = {
+    name: String(req.body.name || "").trim(),
+    pricing_type: req.body.pricing_type === "time_of_use" ? "time_of_use" : "tiered",
+    effective_from: String(req.body.effective_from || "").trim(),
+    service_charge: String(req.body.service_charge || "").trim(),
+    minimum_charge: String(req.body.minimum_charge || "").trim(),
+    vat_rate: String(req.body.vat_rate || "").trim(),
+    rate_lines: String(req.body.rate_lines || ""),
+    sample_units: String(req.body.sample_units || "").trim(),
+    sample_units_by_period: String(req.body.sample_units_by_period || "").trim()
+  };
+  const { rates, error } = parseTariffRateLines(values.rate_lines);
+  if (error) {
+    return renderTariffsPage(req, res, { status: 400, values, error });
+  }
+
+  const tariff = {
+    name: values.name,
+    pricing_type: values.pricing_type,
+    effective_from: values.effective_from,
+    service_charge: values.service_charge || 0,
+    minimum_charge: values.minimum_charge || 0,
+    vat_rate: values.vat_rate || 0,
+    rates
+  };
+
+  try {
+    if (req.body.intent === "create") {
+      await req.api.post(`/utilities/${encodeURIComponent(req.params.id)}/tariffs`, tariff);
+      return res.redirect(withNotice(`/utilities/${encodeURIComponent(req.params.id)}/tariffs`, 'Tariff version created.', 'success'));
+    }
+
+    // Sample time-of-use usage is entered as "peak=120, off_peak=80".
+    const unitsByPeriod = {};
+    values.sample_units_by_period.split(",").forEach((pair) => {
+      const [period, units] = pair.split("=").map((part) => String(part || "").trim());
+      if (period) unitsByPeriod[period.toLowerCase().replace(/\s+/g, "_")] = units;
+    });
+    const previewResp = await req.api.post('/tariffs/preview', {
+      tariff,
+      units: values.sample_units,
+      units_by_period: unitsByPeriod
+    });
+    return renderTariffsPage(req, res, { values, preview: previewResp.data });
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    return renderTariffsPage(req, res, { status: 400, values, error: apiMessage || 'Unable to process tariff' });
   }
 });
 
-// [PAYMENT] Render pay-bill page with ownership validation.
-app.get('/pay-bill/:billId', requireAuth, async (req, res) => {
+// [BILLING] Render the billing-runs page: run form, optional preview and run history.
+async function renderBillingRunsPage(req, res, { status = 200, values = null, preview = null, error = null } = {}) {
   try {
-    const billResp = await axios.get(`${base_url}/bills/${req.params.billId}`);
-    const bill = billResp.data;
-
-    if (req.currentUser.role !== "admin") {
-      const metersResp = await axios.get(`${base_url}/meters`);
-      const ownsBill = (metersResp.data || []).some(
-        (m) =>
-          String(m.meter_id) === String(bill.meter_id) &&
-          String(m.user_id) === String(req.currentUser.user_id)
-      );
-
-      if (!ownsBill) {
-        return res.status(403).render('access-denied', {
-          message: "You can only pay your own bills."
-        });
+    const [utilitiesResp, runsResp] = await Promise.all([
+      req.api.get(`/utilities`),
+      req.api.get(`/billing-runs`)
+    ]);
+
+    res.status(status).render('billing-runs', {
+      utilities: utilitiesResp.data || [],
+      runs: runsResp.data || [],
+      values: values || {
+        bill_month: new Date().toISOString().slice(0, 7),
+        due_rule: "days_after_month_end",
+        due_days: "15",
+        due_date: "",
+        pricing_mode: "readings_or_flat",
+        flat_amounts: {}
+      },
+      preview,
+      error
+    });
+  } catch (err) {
+    console.error('Billing runs load failed:', err.message);
+    res.status(500).send('Error loading billing runs');
+  }
+}
+
+// [BILLING] List billing runs and show the run form.
+app.get('/billing-runs', requireAdmin, (req, res) => renderBillingRunsPage(req, res));
+
+// [BILLING] Preview (intent=preview) or commit (intent=commit) a billing run.
+app.post('/billing-runs', requireAdmin, async (req, res) => {
+  // Flat amounts arrive as one "flat_<utility_id>" field per utility.
+  const flatAmounts = {};
+  Object.entries(req.body).forEach(([field, amount]) => {
+    const match = field.match(/^flat_(\d+)$/);
+    if (match) flatAmounts[match[1]] = String(amount || "").trim();
+  });
+  const values = {
+    bill_month: String(req.body.bill_month || "").trim(),
+    due_rule: req.body.due_rule === "fixed" ? "fixed" : "days_after_month_end",
+    due_days: String(req.body.due_days || "").trim(),
+    due_date: String(req.body.due_date || "").trim(),
+    pricing_mode: String(req.body.pricing_mode || "readings_or_flat").trim(),
+    flat_amounts: flatAmounts
+  };
+
+  try {
+    if (req.body.intent === "commit") {
+      const { data } = await req.api.post('/billing-runs', values);
+      if (!data.run_id) {
+        return res.redirect(withNotice('/billing-runs', data.message, 'warning'));
       }
+      return res.redirect(withNotice(`/billing-runs/${data.run_id}`, `Billing run created ${data.bills_count} bill(s).`, 'success'));
     }
 
-    const paymentsResp = await axios.get(`${base_url}/payments`);
-    const existingPayment = (paymentsResp.data || []).find(
-      (p) => String(p.bill_id) === String(bill.bill_id)
-    ) || null;
+    const previewResp = await req.api.post('/billing-runs/preview', values);
+    return renderBillingRunsPage(req, res, { values, preview: previewResp.data });
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    return renderBillingRunsPage(req, res, { status: 400, values, error: apiMessage || 'Unable to process billing run' });
+  }
+});
+
+// [BILLING] Review one billing run and the bills it produced.
+app.get('/billing-runs/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data } = await req.api.get(`/billing-runs/${encodeURIComponent(req.params.id)}`);
+    res.render('billing-run', { run: data });
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      return res.status(404).send('Billing run not found');
+    }
+    console.error('Billing run load failed:', err.message);
+    res.status(500).send('Error loading billing run');
+  }
+});
+
+// [BILLING] Roll back a billing run, deleting its bills.
+app.post('/billing-runs/:id/rollback', requireAdmin, async (req, res) => {
+  const runPath = `/billing-runs/${encodeURIComponent(req.params.id)}`;
+  try {
+    const { data } = await req.api.post(`${runPath}/rollback`, { reason: req.body.reason });
+    res.redirect(withNotice(runPath, `Billing run rolled back; ${data.deleted_bills} bill(s) moved to the trash.`, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(runPath, apiMessage || 'Unable to roll back billing run', 'error'));
+  }
+});
+
+// [IMPORT] Render the CSV import page: upload form, the latest report and import history.
+async function renderImportsPage(req, res, { status = 200, values = null, result = null, error = null, fieldErrors = {} } = {}) {
+  try {
+    const [columnsResp, importsResp] = await Promise.all([
+      req.api.get('/imports/columns'),
+      req.api.get('/imports')
+    ]);
+
+    res.status(status).render('imports', {
+      columns: columnsResp.data || {},
+      imports: importsResp.data || [],
+      values: values || { type: result ? result.entity_type : "users", file_name: "", csv: "" },
+      result,
+      error,
+      fieldErrors
+    });
+  } catch (err) {
+    console.error('Imports load failed:', err.message);
+    res.status(500).send('Error loading imports');
+  }
+}
+
+// [IMPORT] Show the import form and history.
+app.get('/imports', requireAdmin, (req, res) => renderImportsPage(req, res));
+
+// [IMPORT] Dry-run (intent=dry_run) or commit (intent=commit) the pasted or uploaded CSV.
+app.post('/imports', requireAdmin, async (req, res) => {
+  const values = {
+    type: String(req.body.type || "").trim(),
+    file_name: String(req.body.file_name || "").trim(),
+    csv: String(req.body.csv || "")
+  };
+  const mode = req.body.intent === "commit" ? "commit" : "dry_run";
+
+  try {
+    const { data } = await req.api.post('/imports', { ...values, mode });
+    if (data.status === "committed") {
+      return res.redirect(withNotice(`/imports/${data.import_id}`, `Imported ${data.created_count} ${data.entity_type} row(s).`, 'success'));
+    }
+    return renderImportsPage(req, res, { values, result: data, error: data.message });
+  } catch (err) {
+    const { message, fields } = apiError(err);
+    if (isInputRejection(err)) {
+      return renderImportsPage(req, res, { status: 400, values, error: message, fieldErrors: fields });
+    }
+    console.error('Import failed:', err.message);
+    return renderImportsPage(req, res, { status: 500, values, error: message || 'Unable to import the file' });
+  }
+});
+
+// [IMPORT] Review one import's report.
+app.get('/imports/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data } = await req.api.get(`/imports/${encodeURIComponent(req.params.id)}`);
+    return renderImportsPage(req, res, { result: data });
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      return res.status(404).send('Import not found');
+    }
+    console.error('Import load failed:', err.message);
+    res.status(500).send('Error loading import');
+  }
+});
+
+// [IMPORT] Download an import's report as CSV (passed through from the API).
+app.get('/imports/:id/report.csv', requireAdmin, async (req, res) => {
+  try {
+    const resp = await req.api.get(`/imports/${encodeURIComponent(req.params.id)}/report.csv`, { responseType: 'stream' });
+    res.set({
+      'Content-Type': resp.headers['content-type'],
+      'Content-Disposition': resp.headers['content-disposition']
+    });
+    resp.data.pipe(res);
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      return res.status(404).send('Import not found');
+    }
+    console.error('Import report download failed:', err.message);
+    res.status(500).send('Error downloading import report');
+  }
+});
+
+// [EXPORT][PDF] Pass an API download (CSV, JSON or PDF) through to the browser as it streams in.
+async function proxyApiDownload(req, res, apiPath, failureMessage) {
+  try {
+    const resp = await req.api.get(apiPath, { params: req.query, responseType: 'stream' });
+    res.set({
+      'Content-Type': resp.headers['content-type'],
+      'Content-Disposition': resp.headers['content-disposition']
+    });
+    resp.data.pipe(res);
+  } catch (err) {
+    if (!err.response) {
+      console.error(`${failureMessage}:`, err.message);
+      return res.status(500).send(failureMessage);
+    }
+    // With a streamed response the API's error body has to be read before it can be shown.
+    let body = "";
+    for await (const chunk of err.response.data) body += chunk;
+    let message = null;
+    try {
+      message = JSON.parse(body).error.message;
+    } catch (parseErr) {
+      message = null;
+    }
+    res.status(err.response.status).send(message || failureMessage);
+  }
+}
+
+// [EXPORT] Stream an API export (bills, payments or monthly-report) to the browser as a download.
+app.get('/exports/:dataset', requireAuth, (req, res) =>
+  proxyApiDownload(req, res, `/exports/${encodeURIComponent(req.params.dataset)}`, 'Error exporting data'));
+
+// [PDF] Invoice PDF for one bill (`?download=1` saves instead of opening).
+app.get('/invoice/:billId/pdf', requireAuth, (req, res) =>
+  proxyApiDownload(req, res, `/bills/${encodeURIComponent(req.params.billId)}/invoice.pdf`, 'Error generating invoice PDF'));
+
+// [CHARGE] Add a one-time charge or a credit to a bill from its invoice page (admin only).
+app.post('/invoice/:billId/lines', requireAdmin, async (req, res) => {
+  const invoicePath = `/invoice/${encodeURIComponent(req.params.billId)}`;
+  try {
+    const { data } = await req.api.post(`/bills/${encodeURIComponent(req.params.billId)}/lines`, {
+      kind: req.body.kind,
+      description: req.body.description,
+      amount: req.body.amount
+    });
+    const label = req.body.kind === "credit" ? "Credit" : "Charge";
+    res.redirect(withNotice(invoicePath, `${label} added. New total ${formatTHB(data.amount)}, balance ${formatTHB(data.balance)}.`, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(invoicePath, apiMessage || 'Unable to add the line.', 'error'));
+  }
+});
+
+// [PDF] Monthly statement PDF (`?month=YYYY-MM`, default this month); the API limits users to their own.
+app.get('/user/:id/statement.pdf', requireAuth, (req, res) =>
+  proxyApiDownload(req, res, `/users/${encodeURIComponent(req.params.id)}/statement.pdf`, 'Error generating statement PDF'));
+
+// [TRASH] List soft-deleted users, utilities, meters and bills with restore/purge actions.
+app.get('/trash', requireAdmin, async (req, res) => {
+  try {
+    const { data } = await req.api.get('/trash');
+    res.render('trash', { trash: data });
+  } catch (err) {
+    console.error('Trash load failed:', err.message);
+    res.status(500).send('Error loading trash');
+  }
+});
+
+// [TRASH] Restore one item from the trash.
+app.post('/trash/:type/:id/restore', requireAdmin, async (req, res) => {
+  const apiPath = `/trash/${encodeURIComponent(req.params.type)}/${encodeURIComponent(req.params.id)}`;
+  try {
+    await req.api.post(`${apiPath}/restore`);
+    res.redirect(withNotice('/trash', 'Item restored.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/trash', apiMessage || 'Unable to restore item', 'error'));
+  }
+});
+
+// [TRASH] Permanently purge one item once its retention period is over.
+app.post('/trash/:type/:id/purge', requireAdmin, async (req, res) => {
+  const apiPath = `/trash/${encodeURIComponent(req.params.type)}/${encodeURIComponent(req.params.id)}`;
+  try {
+    await req.api.delete(apiPath);
+    res.redirect(withNotice('/trash', 'Item permanently deleted.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/trash', apiMessage || 'Unable to purge item', 'error'));
+  }
+});
+
+// [AUDIT] Audit log with filters by entity, actor, action and date range (read-only).
+app.get('/audit', requireAdmin, async (req, res) => {
+  const filters = {
+    entity_type: String(req.query.entity_type || "").trim(),
+    entity_id: String(req.query.entity_id || "").trim(),
+    actor_user_id: String(req.query.actor_user_id || "").trim(),
+    action: String(req.query.action || "").trim(),
+    from: String(req.query.from || "").trim(),
+    to: String(req.query.to || "").trim()
+  };
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+  try {
+    const [eventsResp, usersResp] = await Promise.all([
+      req.api.get('/audit-events', { params }),
+      req.api.get('/users')
+    ]);
+    res.render('audit', { events: eventsResp.data || [], users: usersResp.data || [], filters, error: null });
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    if (err.response && err.response.status === 400) {
+      return res.status(400).render('audit', { events: [], users: [], filters, error: apiMessage });
+    }
+    console.error('Audit log load failed:', err.message);
+    res.status(500).send('Error loading audit log');
+  }
+});
+
+// [NOTIFY] Notification outbox with filters by status, customer, bill and date (admin only).
+app.get('/notifications', requireAdmin, async (req, res) => {
+  const listQuery = readListQuery(req, ["status", "user_id", "bill_id", "from", "to", "q"]);
+  try {
+    const [usersResp, list] = await Promise.all([
+      req.api.get('/users'),
+      fetchListPage(req, '/notifications', '/notifications', listQuery)
+    ]);
+    res.status(list.error ? 400 : 200).render('notifications', {
+      notifications: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      users: usersResp.data || [],
+      labels: NOTIFICATION_LABELS,
+      error: list.error
+    });
+  } catch (err) {
+    console.error('Notification outbox load failed:', err.message);
+    res.status(500).send('Error loading notifications');
+  }
+});
+
+// [NOTIFY] Queue due reminders and deliver the outbox now (admin only).
+app.post('/notifications/deliver', requireAdmin, async (req, res) => {
+  try {
+    const resp = await req.api.post('/notifications/deliver');
+    const result = resp.data || {};
+    const message = `Queued ${result.reminders_queued || 0} reminder(s); sent ${result.sent || 0}, `
+      + `${result.retrying || 0} to retry, ${result.failed || 0} failed.`;
+    const allSent = result.transport && !result.retrying && !result.failed;
+    res.redirect(withNotice('/notifications', message, allSent ? 'success' : 'warning'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/notifications', apiMessage || 'Unable to deliver notifications.', 'error'));
+  }
+});
+
+// [NOTIFY] Send one failed or waiting notification again (admin only).
+app.post('/notifications/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    const resp = await req.api.post(`/notifications/${encodeURIComponent(req.params.id)}/retry`);
+    const sent = resp.data && resp.data.sent;
+    res.redirect(withNotice('/notifications', sent ? 'Notification sent.' : 'Notification queued for another try.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/notifications', apiMessage || 'Unable to retry notification.', 'error'));
+  }
+});
+
+// [WEBHOOK] Render the webhooks page: endpoints, the delivery log and, right after registering, the new secret once.
+async function renderWebhooksPage(req, res, { createdEndpoint = null, formError = null, values = {} } = {}) {
+  const listQuery = readListQuery(req, ["status", "endpoint_id", "from", "to", "q"]);
+  try {
+    const [endpointsResp, list] = await Promise.all([
+      req.api.get('/webhooks'),
+      fetchListPage(req, '/webhook-deliveries', '/webhooks', listQuery)
+    ]);
+    const status = formError ? 400 : (list.error ? 400 : 200);
+    res.status(status).render('webhooks', {
+      endpoints: (endpointsResp.data && endpointsResp.data.endpoints) || [],
+      eventTypes: (endpointsResp.data && endpointsResp.data.event_types) || [],
+      deliveries: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      error: list.error,
+      createdEndpoint,
+      formError,
+      values
+    });
+  } catch (err) {
+    console.error('Webhooks load failed:', err.message);
+    res.status(500).send('Error loading webhooks');
+  }
+}
+
+// [WEBHOOK] Registered endpoints and the delivery log (admin only).
+app.get('/webhooks', requireAdmin, (req, res) => renderWebhooksPage(req, res));
+
+// [WEBHOOK] Register an endpoint; the checked events are sent as a comma-separated list (none = every event).
+app.post('/webhooks', requireAdmin, async (req, res) => {
+  const data = {
+    url: req.body.url,
+    description: req.body.description,
+    event_types: [].concat(req.body.event_types || []).join(",")
+  };
+  try {
+    const resp = await req.api.post('/webhooks', data);
+    return renderWebhooksPage(req, res, { createdEndpoint: resp.data || null });
+  } catch (err) {
+    if (isInputRejection(err)) {
+      const { message, fields } = apiError(err);
+      const formError = Object.values(fields || {})[0] || message;
+      return renderWebhooksPage(req, res, { formError, values: data });
+    }
+    const apiMessage = apiError(err).message;
+    return res.redirect(withNotice('/webhooks', apiMessage || 'Unable to register webhook.', 'error'));
+  }
+});
+
+// [WEBHOOK] Pause or resume an endpoint; paused endpoints keep their deliveries waiting (admin only).
+app.post('/webhooks/:id/active', requireAdmin, async (req, res) => {
+  const active = req.body.active === "on";
+  try {
+    await req.api.put(`/webhooks/${encodeURIComponent(req.params.id)}`, { active });
+    res.redirect(withNotice('/webhooks', active ? 'Webhook resumed.' : 'Webhook paused.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/webhooks', apiMessage || 'Unable to update webhook.', 'error'));
+  }
+});
+
+// [WEBHOOK] Remove an endpoint and its delivery log (admin only).
+app.post('/webhooks/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await req.api.delete(`/webhooks/${encodeURIComponent(req.params.id)}`);
+    res.redirect(withNotice('/webhooks', 'Webhook removed.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/webhooks', apiMessage || 'Unable to remove webhook.', 'error'));
+  }
+});
+
+// [WEBHOOK] Send a logged event again, then return to `next` (the webhooks page or the dashboard).
+app.post('/webhook-deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+  const nextPath = safeRedirectPath(req.body.next || '/webhooks');
+  try {
+    const resp = await req.api.post(`/webhook-deliveries/${encodeURIComponent(req.params.id)}/redeliver`);
+    const result = resp.data || {};
+    const delivered = result.status === 'delivered';
+    const message = delivered
+      ? `Event redelivered (HTTP ${result.response_status}).`
+      : `Redelivery queued for another try${result.last_error ? `: ${result.last_error}` : '.'}`;
+    res.redirect(withNotice(nextPath, message, delivered ? 'success' : 'warning'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(nextPath, apiMessage || 'Unable to redeliver event.', 'error'));
+  }
+});
+
+// [RECONCILE] Render the reconciliation page: statement upload form and past reconciliations.
+async function renderReconciliationsPage(req, res, { status = 200, values = null, error = null, fieldErrors = {} } = {}) {
+  try {
+    const { data } = await req.api.get('/reconciliations');
+    res.status(status).render('reconciliations', {
+      reconciliations: data || [],
+      values: values || { file_name: "", csv: "" },
+      error,
+      fieldErrors
+    });
+  } catch (err) {
+    console.error('Reconciliations load failed:', err.message);
+    res.status(500).send('Error loading reconciliations');
+  }
+}
+
+// [RECONCILE] Show the statement upload form and reconciliation history (admin only).
+app.get('/reconciliations', requireAdmin, (req, res) => renderReconciliationsPage(req, res));
+
+// [RECONCILE] Upload a bank statement and open its review page.
+app.post('/reconciliations', requireAdmin, async (req, res) => {
+  const values = {
+    file_name: String(req.body.file_name || "").trim(),
+    csv: String(req.body.csv || "")
+  };
+  try {
+    const { data } = await req.api.post('/reconciliations', values);
+    const message = `Matched ${data.matched_count} of ${data.total_lines} line(s); ${data.ambiguous_count} ambiguous, `
+      + `${data.unmatched_count} unmatched.`;
+    res.redirect(withNotice(`/reconciliations/${data.reconciliation_id}`, message, 'success'));
+  } catch (err) {
+    const { message, fields } = apiError(err);
+    if (isInputRejection(err)) {
+      return renderReconciliationsPage(req, res, { status: 400, values, error: message, fieldErrors: fields });
+    }
+    console.error('Reconciliation upload failed:', err.message);
+    return renderReconciliationsPage(req, res, { status: 500, values, error: message || 'Unable to read the statement' });
+  }
+});
+
+// [RECONCILE] Review one reconciliation's lines and their matches.
+app.get('/reconciliations/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data } = await req.api.get(`/reconciliations/${encodeURIComponent(req.params.id)}`);
+    res.render('reconciliation', { reconciliation: data });
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      return res.status(404).send('Reconciliation not found');
+    }
+    console.error('Reconciliation load failed:', err.message);
+    res.status(500).send('Error loading reconciliation');
+  }
+});
+
+// [RECONCILE] Post the confirmed lines. Each line's `line_<id>` choice is a bill id, "ignore" or empty (decide
+// later); a bill id typed into `other_<id>` wins over the choice.
+app.post('/reconciliations/:id/post', requireAdmin, async (req, res) => {
+  const reviewPath = `/reconciliations/${encodeURIComponent(req.params.id)}`;
+  const lines = Object.keys(req.body || {})
+    .filter((name) => /^line_\d+$/.test(name))
+    .map((name) => {
+      const lineId = name.slice("line_".length);
+      const other = String(req.body[`other_${lineId}`] || "").trim();
+      const choice = other || String(req.body[name] || "").trim();
+      if (choice === "ignore") return { line_id: lineId, ignore: true };
+      return choice ? { line_id: lineId, bill_id: choice } : null;
+    })
+    .filter(Boolean);
+  if (!lines.length) {
+    return res.redirect(withNotice(reviewPath, 'Choose a bill or Ignore for at least one line.', 'warning'));
+  }
+
+  try {
+    const { data } = await req.api.post(`${reviewPath}/post`, { lines });
+    const message = data.remaining
+      ? `Posted ${data.posted} payment(s); ${data.remaining} line(s) left to review.`
+      : `Posted ${data.posted} payment(s); the reconciliation is complete.`;
+    res.redirect(withNotice(reviewPath, message, 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(reviewPath, apiMessage || 'Unable to post the confirmed lines.', 'error'));
+  }
+});
+
+// [CHARGE] Render the recurring charges page: the new-charge form and the filtered list.
+async function renderRecurringChargesPage(req, res, { status = 200, values = null, formError = null, fieldErrors = {} } = {}) {
+  const listQuery = readListQuery(req, ["status", "user_id", "q"]);
+  try {
+    const [list, usersResp, metersResp] = await Promise.all([
+      fetchListPage(req, '/recurring-charges', '/recurring-charges', listQuery),
+      req.api.get('/users'),
+      req.api.get('/meters')
+    ]);
+    res.status(list.error ? 400 : status).render('recurring-charges', {
+      charges: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      error: list.error,
+      users: usersResp.data || [],
+      meters: metersResp.data || [],
+      values: values || { start_month: new Date().toISOString().slice(0, 7) },
+      formError,
+      fieldErrors
+    });
+  } catch (err) {
+    console.error('Recurring charges load failed:', err.message);
+    res.status(500).send('Error loading recurring charges');
+  }
+}
+
+// [CHARGE] Fixed monthly charges per user or meter (admin only).
+app.get('/recurring-charges', requireAdmin, (req, res) => renderRecurringChargesPage(req, res));
+
+// [CHARGE] Define a recurring charge for the chosen user or meter.
+app.post('/recurring-charges', requireAdmin, async (req, res) => {
+  const values = {
+    target: req.body.target === "meter" ? "meter" : "user",
+    user_id: req.body.user_id,
+    meter_id: req.body.meter_id,
+    description: req.body.description,
+    amount: req.body.amount,
+    start_month: req.body.start_month,
+    end_month: req.body.end_month
+  };
+  try {
+    await req.api.post('/recurring-charges', {
+      user_id: values.target === "user" ? values.user_id : null,
+      meter_id: values.target === "meter" ? values.meter_id : null,
+      description: values.description,
+      amount: values.amount,
+      start_month: values.start_month,
+      end_month: values.end_month
+    });
+    res.redirect(withNotice('/recurring-charges', 'Recurring charge added.', 'success'));
+  } catch (err) {
+    if (!isInputRejection(err)) {
+      const apiMessage = apiError(err).message;
+      return res.redirect(withNotice('/recurring-charges', apiMessage || 'Unable to add the charge.', 'error'));
+    }
+    const { status, message, fields } = apiError(err);
+    return renderRecurringChargesPage(req, res, { status, values, formError: message, fieldErrors: fields || {} });
+  }
+});
+
+// [CHARGE] Pause or resume a recurring charge.
+app.post('/recurring-charges/:id/active', requireAdmin, async (req, res) => {
+  const active = req.body.active === "on";
+  try {
+    await req.api.put(`/recurring-charges/${encodeURIComponent(req.params.id)}`, { active });
+    res.redirect(withNotice('/recurring-charges', active ? 'Charge resumed.' : 'Charge paused.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/recurring-charges', apiMessage || 'Unable to update the charge.', 'error'));
+  }
+});
+
+// [CHARGE] Remove a recurring charge; bills already issued keep its lines.
+app.post('/recurring-charges/:id/delete', requireAdmin, async (req, res) => {
+  try {
+    await req.api.delete(`/recurring-charges/${encodeURIComponent(req.params.id)}`);
+    res.redirect(withNotice('/recurring-charges', 'Recurring charge removed.', 'success'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/recurring-charges', apiMessage || 'Unable to remove the charge.', 'error'));
+  }
+});
+
+// [UTILITY] Render create-utility form.
+app.get("/create-utility", requireAdmin, (req, res) => {
+  res.render("create-utility", { error: null, values: { utility_name: "" } });
+});
+
+// [UTILITY] Create a utility record; rejected input is shown again next to the field.
+app.post("/create-utility", requireAdmin, async (req, res) => {
+  const data = {
+    utility_name: req.body.utility_name
+  };
+  try {
+    await req.api.post('/utilities', data);
+    res.redirect("/utilities");
+  } catch (err) {
+    if (isInputRejection(err)) {
+      const { status, message, fields } = apiError(err);
+      return res.status(status).render("create-utility", { error: message, fieldErrors: fields, values: data });
+    }
+    console.error(err.message);
+    res.status(500).send('Error creating utility');
+  }
+});
+
+// [PAYMENT] List payments with filters, sort and paging (the API limits non-admins to their own payments).
+app.get('/payments', requireAuth, async (req, res) => {
+  const listQuery = readListQuery(req, ["status", "from", "to", "user_id", "bill_id", "q"]);
+  try {
+    const usersResp = req.currentRole === "admin" ? await req.api.get(`/users`) : { data: [] };
+    const list = await fetchListPage(req, '/payments', '/payments', listQuery);
+
+    const successMessage = req.query.paid === "1"
+      ? "Payment completed and bill marked as paid."
+      : null;
+    res.status(list.error ? 400 : 200).render('payments', {
+      payments: list.rows,
+      pager: list.pager,
+      filters: listQuery.filters,
+      exportLinks: buildExportLinks('payments', listQuery.filters),
+      users: usersResp.data || [],
+      error: list.error,
+      message: req.query.message || successMessage
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Error loading payments');
+  }
+});
+
+// [PAYMENT] Render pay-bill page (the API only returns bills the caller owns) with its online payment attempts.
+app.get('/pay-bill/:billId', requireAuth, async (req, res) => {
+  try {
+    const [detailResp, intentsResp] = await Promise.all([
+      req.api.get(`/bills/${encodeURIComponent(req.params.billId)}/detail`),
+      req.api.get('/payment-intents', { params: { bill_id: req.params.billId, limit: 10 } })
+    ]);
+    const { data } = detailResp;
+    const bill = data.bill;
+    const billPayments = data.payments;
 
     res.render('pay-bill', {
       bill,
-      existingPayment,
+      billPayments,
+      paymentIntents: intentsResp.data || [],
+      promptPay: await withPromptPayQr(data.promptpay),
       error: req.query.error || null
     });
   } catch (err) {
@@ -1172,41 +1885,67 @@ app.get('/pay-bill/:billId', requireAuth, async (req, res) => {
   }
 });
 
-// [PAYMENT] Submit payment and update bill status.
+// [GATEWAY] Start an online payment for one bill and send the customer to the gateway's checkout page.
+// The bill is only paid once the gateway confirms; the customer comes back to /pay-bill/:billId/return.
 app.post('/pay-bill/:billId', requireAuth, async (req, res) => {
+  const billPath = `/pay-bill/${encodeURIComponent(req.params.billId)}`;
   try {
-    if (req.currentUser.role !== "admin") {
-      const [billResp, metersResp] = await Promise.all([
-        axios.get(`${base_url}/bills/${req.params.billId}`),
-        axios.get(`${base_url}/meters`)
-      ]);
-      const bill = billResp.data;
-      const ownsBill = (metersResp.data || []).some(
-        (m) =>
-          String(m.meter_id) === String(bill.meter_id) &&
-          String(m.user_id) === String(req.currentUser.user_id)
-      );
-
-      if (!ownsBill) {
-        return res.status(403).render('access-denied', {
-          message: "You can only pay your own bills."
-        });
-      }
+    const { data } = await req.api.post('/payment-intents', {
+      bill_id: req.params.billId,
+      amount: String(req.body.amount || "").trim() || undefined,
+      return_url: `${req.protocol}://${req.get('host')}${billPath}/return`
+    });
+    res.redirect(data.checkout_url);
+  } catch (err) {
+    const { status, message } = apiError(err);
+    if (status === 404) {
+      return res.status(403).render('access-denied', {
+        message: "You can only pay your own bills."
+      });
     }
+    res.redirect(withNotice(billPath, message || 'Unable to start the online payment.', "error"));
+  }
+});
 
+// [GATEWAY] Where the gateway sends the customer back: report the confirmed, failed or still pending payment.
+app.get('/pay-bill/:billId/return', requireAuth, async (req, res) => {
+  const billPath = `/pay-bill/${encodeURIComponent(req.params.billId)}`;
+  try {
+    const { data: intent } = await req.api.get(`/payment-intents/${encodeURIComponent(req.query.intent_id || "")}`);
+    if (intent.status === 'succeeded') {
+      return res.redirect(withNotice('/payments', `Payment of ${formatTHB(intent.amount)} confirmed.`, 'success'));
+    }
+    if (intent.status === 'needs_review') {
+      return res.redirect(withNotice(billPath, `Payment received but not applied: ${intent.last_error}. Please contact us.`, 'warning'));
+    }
+    if (intent.status === 'pending') {
+      return res.redirect(withNotice(billPath, 'Waiting for the payment gateway to confirm your payment; refresh this page in a moment.', 'info'));
+    }
+    const reason = intent.last_error ? ` (${intent.last_error})` : '';
+    res.redirect(withNotice(billPath, `Payment was not completed${reason}. The bill has not been charged.`, 'error'));
+  } catch (err) {
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice(billPath, apiMessage || 'Unable to check the payment.', 'error'));
+  }
+});
+
+// [PAYMENT] Record a full or partial payment taken outside the app (cash, transfer...) for one bill (admin only).
+app.post('/pay-bill/:billId/record', requireAdmin, async (req, res) => {
+  try {
     const payload = {
       bill_id: req.params.billId,
+      amount: String(req.body.amount || "").trim() || undefined,
       payment_method: req.body.payment_method,
       transaction_ref: req.body.transaction_ref
     };
-    await axios.post(`${base_url}/payments`, payload);
-    res.redirect(withNotice(
-      '/payments',
-      'Payment completed and bill marked as paid.',
-      'success'
-    ));
+    const { data } = await req.api.post(`/payments`, payload);
+    const allocation = (data.allocations || [])[0];
+    const message = allocation && allocation.balance > 0
+      ? `Partial payment recorded. Remaining balance: ${formatTHB(allocation.balance)}.`
+      : 'Payment completed and bill marked as paid.';
+    res.redirect(withNotice('/payments', message, 'success'));
   } catch (err) {
-    const apiMessage = err.response && err.response.data && err.response.data.message;
+    const apiMessage = apiError(err).message;
     const message = apiMessage || 'Payment failed';
     res.redirect(withNotice(`/pay-bill/${req.params.billId}`, message, "error"));
   }
@@ -1214,22 +1953,27 @@ app.post('/pay-bill/:billId', requireAuth, async (req, res) => {
 
 // [USER] Render create-user form.
 app.get("/create", requireAdmin, (req, res) => {
-  res.render("create");
+  res.render("create", { error: null, values: {} });
 });
 
-// [USER] Create a new user account.
+// [USER] Create a new user account; rejected input is shown again next to the fields.
 app.post("/create", requireAdmin, async (req, res) => {
+  const data = {
+    name: req.body.name,
+    email: req.body.email,
+    password: req.body.password,
+    phone: req.body.phone,
+    role: normalizeRole(req.body.role)
+  };
   try {
-    const data = {
-      name: req.body.name,
-      email: req.body.email,
-      password: req.body.password,
-      phone: req.body.phone,
-      role: normalizeRole(req.body.role)
-    };
-    await axios.post(base_url + '/users', data);
+    await req.api.post('/users', data);
     res.redirect("/");
   } catch (err) {
+    if (isInputRejection(err)) {
+      const { status, message, fields } = apiError(err);
+      const { password, ...values } = data;
+      return res.status(status).render("create", { error: message, fieldErrors: fields, values });
+    }
     console.error(err.message);
     res.status(500).send('Error creating user');
   }
@@ -1238,7 +1982,7 @@ app.post("/create", requireAdmin, async (req, res) => {
 // [USER] Render update-user form.
 app.get("/update/:id", requireAdmin, async (req, res) => {
   try {
-    const response = await axios.get(base_url + '/users/' + req.params.id);
+    const response = await req.api.get('/users/' + req.params.id);
     res.render("update", { user: response.data });
   } catch (err) {
     console.error(err.message);
@@ -1248,26 +1992,34 @@ app.get("/update/:id", requireAdmin, async (req, res) => {
 
 // [USER] Update existing user fields and role.
 app.post("/update/:id", requireAdmin, async (req, res) => {
+  const data = {
+    name: req.body.name,
+    email: req.body.email,
+    phone: req.body.phone,
+    role: normalizeRole(req.body.role)
+  };
   try {
-    const data = {
-      name: req.body.name,
-      email: req.body.email,
-      phone: req.body.phone,
-      role: normalizeRole(req.body.role)
-    };
-    await axios.put(base_url + '/users/' + req.params.id, data);
+    await req.api.put('/users/' + req.params.id, data);
     res.redirect("/");
   } catch (err) {
+    if (isInputRejection(err)) {
+      const { status, message, fields } = apiError(err);
+      return res.status(status).render("update", {
+        user: { ...data, user_id: req.params.id },
+        error: message,
+        fieldErrors: fields
+      });
+    }
     console.error(err.message);
     res.status(500).send('Error updating user');
   }
 });
 
-// [USER] Delete user by id.
+// [USER][TRASH] Move a user to the trash (restorable from /trash).
 app.get("/delete/:id", requireAdmin, async (req, res) => {
   try {
-    await axios.delete(base_url + '/users/' + req.params.id);
-    res.redirect("/");
+    await req.api.delete('/users/' + req.params.id);
+    res.redirect(withNotice('/users', 'User moved to the trash. Restore it from Trash if this was a mistake.', 'success'));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Error deleting user');
@@ -1277,8 +2029,8 @@ app.get("/delete/:id", requireAdmin, async (req, res) => {
 // [METER] Render create-meter form with user/utility options.
 app.get("/create-meter", requireAdmin, async (req, res) => {
   try {
-    const usersResp = await axios.get(base_url + '/users');
-    const utilsResp = await axios.get(base_url + '/utilities');
+    const usersResp = await req.api.get('/users');
+    const utilsResp = await req.api.get('/utilities');
     res.render("create-meter", {
       users: usersResp.data,
       utilities: utilsResp.data,
@@ -1307,22 +2059,23 @@ app.post("/create-meter", requireAdmin, async (req, res) => {
   };
 
   try {
-    await axios.post(base_url + '/meters', data);
+    await req.api.post('/meters', data);
     res.redirect("/meters");
   } catch (err) {
-    const apiMessage = err.response && err.response.data && err.response.data.message;
+    const { message: apiMessage, fields } = apiError(err);
     const message = apiMessage || "Error creating meter";
     console.error('Create meter failed:', message);
 
     try {
       const [usersResp, utilsResp] = await Promise.all([
-        axios.get(base_url + '/users'),
-        axios.get(base_url + '/utilities')
+        req.api.get('/users'),
+        req.api.get('/utilities')
       ]);
       return res.status(400).render("create-meter", {
         users: usersResp.data || [],
         utilities: utilsResp.data || [],
         error: message,
+        fieldErrors: fields,
         values: data
       });
     } catch (loadErr) {
@@ -1335,29 +2088,79 @@ app.post("/create-meter", requireAdmin, async (req, res) => {
 // [BILL] Render create-bill form.
 app.get("/create-bill", requireAdmin, async (req, res) => {
   try {
-    const metersResp = await axios.get(base_url + '/meters');
-    res.render("create-bill", { meters: metersResp.data });
+    const metersResp = await req.api.get('/meters');
+    res.render("create-bill", { meters: metersResp.data, error: null, values: { recurring: true } });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Error loading create bill page');
   }
 });
 
-// [BILL] Create bill record for a meter.
+// [CHARGE] Read the create-bill form's added line rows (`line_kind`, `line_description`, `line_amount`), skipping blank rows.
+function readBillLineRows(body) {
+  const kinds = [].concat(body.line_kind ?? []);
+  const descriptions = [].concat(body.line_description ?? []);
+  const amounts = [].concat(body.line_amount ?? []);
+  return descriptions
+    .map((description, index) => ({ kind: kinds[index] || "one_time", description, amount: amounts[index] }))
+    .filter((line) => String(line.description || "").trim() || String(line.amount || "").trim());
+}
+
+// [BILL] Create bill record for a meter with any added lines; rejected input is shown again next to the fields.
 app.post("/create-bill", requireAdmin, async (req, res) => {
+  const data = {
+    meter_id: req.body.meter_id,
+    bill_month: req.body.bill_month,
+    amount: req.body.amount,
+    due_date: req.body.due_date,
+    status: req.body.status || 'unpaid',
+    recurring: req.body.recurring === "on",
+    lines: readBillLineRows(req.body)
+  };
+  try {
+    await req.api.post('/bills', data);
+    res.redirect("/bills");
+  } catch (err) {
+    if (!isInputRejection(err)) {
+      console.error(err.message);
+      return res.status(500).send('Error creating bill');
+    }
+
+    const { status, message, fields } = apiError(err);
+    try {
+      const metersResp = await req.api.get('/meters');
+      return res.status(status).render("create-bill", {
+        meters: metersResp.data || [],
+        error: message,
+        fieldErrors: fields,
+        values: data
+      });
+    } catch (loadErr) {
+      console.error('Create bill fallback load failed:', loadErr.message);
+      return res.status(500).send(message);
+    }
+  }
+});
+
+// [BILL] Generate a bill from the consumption between a meter's readings.
+app.post("/create-bill-from-readings", requireAdmin, async (req, res) => {
   try {
-    const data = {
+    const resp = await req.api.post('/bills/from-readings', {
       meter_id: req.body.meter_id,
       bill_month: req.body.bill_month,
-      amount: req.body.amount,
       due_date: req.body.due_date,
-      status: req.body.status || 'unpaid'
-    };
-    await axios.post(base_url + '/bills', data);
-    res.redirect("/bills");
+      unit_rate: req.body.unit_rate,
+      recurring: req.body.recurring === "on"
+    });
+    const result = resp.data || {};
+    res.redirect(withNotice(
+      '/bills',
+      `Bill #${result.bill_id} created for ${result.units_consumed} units (${formatTHB(result.amount)}).`,
+      'success'
+    ));
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Error creating bill');
+    const apiMessage = apiError(err).message;
+    res.redirect(withNotice('/create-bill', apiMessage || 'Error creating bill from readings', 'error'));
   }
 });
 
@@ -0,0 +1,88 @@
+require('dotenv').config({ quiet: true });
+const axios = require('axios');
+
+// Bulk monthly billing from the command line. Talks to the API with an admin API key.
+//
+//   FLOWBILLS_API_KEY=fbk_... npm run billing-run -- --month 2026-10 [--due-days 15 | --due-date 2026-11-15]
+//     [--pricing readings|flat|readings_or_flat] [--flat <utility_id>=<amount>,...] [--commit]
+//
+// Without --commit the run is only previewed.
+
+const base_url = process.env.FLOWBILLS_API_URL || "http://localhost:4000";
+
+// [CLI] Parse --flag value pairs into billing-run options.
+function parseArgs(argv) {
+  const args = { commit: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i];
+    if (flag === '--commit') {
+      args.commit = true;
+      continue;
+    }
+    if (!flag.startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+    args[flag.slice(2)] = argv[i + 1];
+    i += 1;
+  }
+
+  if (!args.month) throw new Error('--month is required (YYYY-MM)');
+
+  const flatAmounts = {};
+  for (const pair of String(args.flat || '').split(',').filter(Boolean)) {
+    const [utilityId, amount] = pair.split('=');
+    flatAmounts[utilityId.trim()] = amount;
+  }
+
+  return {
+    commit: args.commit,
+    body: {
+      bill_month: args.month,
+      due_rule: args['due-date'] ? 'fixed' : 'days_after_month_end',
+      due_date: args['due-date'],
+      due_days: args['due-days'],
+      pricing_mode: args.pricing,
+      flat_amounts: flatAmounts
+    }
+  };
+}
+
+// [CLI] Print one line per meter plus the totals.
+function printPlan(plan) {
+  console.log(`Billing month ${plan.bill_month}, due ${plan.due_date}, pricing ${plan.pricing_mode}`);
+  for (const item of plan.items) {
+    const label = `${item.meter_number} (${item.utility_name}, ${item.user_name})`;
+    if (item.action === 'bill') {
+      const recurring = item.recurring_amount ? ` incl. ${item.recurring_amount.toFixed(2)} recurring` : '';
+      console.log(`  BILL  ${label}: ${item.amount.toFixed(2)}${recurring} [${item.pricing}]${item.bill_id ? ` -> bill #${item.bill_id}` : ''}`);
+    } else {
+      console.log(`  SKIP  ${label}: ${item.reason}`);
+    }
+  }
+  console.log(`Totals: ${plan.totals.bills} bill(s), ${plan.totals.skipped} skipped, amount ${plan.totals.amount.toFixed(2)}`);
+}
+
+// [CLI] Preview or commit a billing run through the API.
+async function main() {
+  const apiKey = process.env.FLOWBILLS_API_KEY;
+  if (!apiKey) throw new Error('FLOWBILLS_API_KEY must be set to an admin API key');
+
+  const { commit, body } = parseArgs(process.argv.slice(2));
+  const api = axios.create({ baseURL: base_url, headers: { Authorization: `Bearer ${apiKey}` } });
+
+  if (!commit) {
+    const { data } = await api.post('/billing-runs/preview', body);
+    printPlan(data);
+    console.log('Preview only. Re-run with --commit to create these bills.');
+    return;
+  }
+
+  const { data } = await api.post('/billing-runs', body);
+  printPlan(data);
+  console.log(data.run_id ? `Committed billing run #${data.run_id}.` : data.message);
+}
+
+main().catch((err) => {
+  console.error(err.response?.data?.error?.message || err.message);
+  process.exitCode = 1;
+});
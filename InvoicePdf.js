@@ -0,0 +1,382 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { promptPayQrModules } = require('./PromptPay');
+
+// Server-side PDF invoices and monthly statements. Rendering is plain pdfkit drawing with an embedded
+// font (Sarabun, SIL Open Font License, see public/fonts/OFL.txt), so it needs no browser or network and
+// shows Thai names and the baht sign the same way everywhere. Renderers take the API's invoice and
+// statement data and resolve to a PDF Buffer, ready to send or attach to an email.
+
+const FONT_REGULAR = path.join(__dirname, 'public', 'fonts', 'Sarabun-Regular.ttf');
+const FONT_BOLD = path.join(__dirname, 'public', 'fonts', 'Sarabun-Bold.ttf');
+const PAGE_MARGIN = 50;
+const COLORS = { ink: '#1f2933', muted: '#6b7280', rule: '#d1d5db', brand: '#c8102e', panel: '#f7f1f2' };
+
+const thbCurrencyFormatter = new Intl.NumberFormat('th-TH', {
+  style: 'currency',
+  currency: 'THB',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+// [FORMAT] Format numbers as THB currency (shared with the frontend so pages and PDFs match).
+function formatTHB(value, fallback = '-') {
+  const numericValue = Number.parseFloat(value);
+  if (!Number.isFinite(numericValue)) return fallback;
+  return thbCurrencyFormatter.format(numericValue);
+}
+
+// [PDF] Render a document with `draw(doc)` and resolve to its bytes; every page gets the footer line.
+function renderPdf({ title, footer }, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      doc.registerFont('regular', FONT_REGULAR);
+      doc.registerFont('bold', FONT_BOLD);
+      doc.font('regular').fillColor(COLORS.ink);
+      draw(doc);
+
+      const range = doc.bufferedPageRange();
+      for (let index = range.start; index < range.start + range.count; index += 1) {
+        doc.switchToPage(index);
+        const y = doc.page.height - PAGE_MARGIN + 15;
+        // Writing inside the bottom margin must not trigger another page break.
+        const { bottom } = doc.page.margins;
+        doc.page.margins.bottom = 0;
+        doc.font('regular').fontSize(8).fillColor(COLORS.muted)
+          .text(`${footer} · Page ${index - range.start + 1} of ${range.count}`, PAGE_MARGIN, y, {
+            width: doc.page.width - PAGE_MARGIN * 2,
+            align: 'center',
+            lineBreak: false
+          });
+        doc.page.margins.bottom = bottom;
+      }
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// [PDF] Usable width between the margins.
+function contentWidth(doc) {
+  return doc.page.width - PAGE_MARGIN * 2;
+}
+
+// [PDF] Start a new page when fewer than `height` points are left.
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+}
+
+// [PDF] Payee name and document title on the left, reference lines (`[label, value]`) on the right.
+function drawHeader(doc, { payee, title, references }) {
+  const top = doc.y;
+  doc.font('bold').fontSize(18).fillColor(COLORS.brand).text(payee.name, PAGE_MARGIN, top, { width: 260 });
+  if (payee.address) doc.font('regular').fontSize(9).fillColor(COLORS.muted).text(payee.address, { width: 260 });
+  if (payee.tax_id) doc.font('regular').fontSize(9).fillColor(COLORS.muted).text(`Tax ID ${payee.tax_id}`, { width: 260 });
+  const leftBottom = doc.y;
+
+  const right = PAGE_MARGIN + contentWidth(doc) - 220;
+  doc.font('bold').fontSize(20).fillColor(COLORS.ink).text(title, right, top, { width: 220, align: 'right' });
+  references.forEach(([label, value]) => {
+    doc.font('regular').fontSize(9).fillColor(COLORS.muted).text(`${label}  `, right, doc.y, { width: 220, align: 'right', continued: true })
+      .font('bold').fillColor(COLORS.ink).text(value || '-');
+  });
+
+  doc.y = Math.max(leftBottom, doc.y) + 12;
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + contentWidth(doc), doc.y).lineWidth(1).strokeColor(COLORS.rule).stroke();
+  doc.y += 12;
+}
+
+// [PDF] Side-by-side blocks of `{ heading, lines }`.
+function drawColumns(doc, blocks) {
+  const top = doc.y;
+  const width = contentWidth(doc) / blocks.length;
+  let bottom = top;
+  blocks.forEach((block, index) => {
+    const x = PAGE_MARGIN + width * index;
+    doc.font('bold').fontSize(9).fillColor(COLORS.muted).text(block.heading.toUpperCase(), x, top, { width: width - 12 });
+    block.lines.filter(Boolean).forEach((line) => {
+      doc.font('regular').fontSize(10).fillColor(COLORS.ink).text(line, x, doc.y, { width: width - 12 });
+    });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 16;
+}
+
+// [PDF] Section heading.
+function drawHeading(doc, text) {
+  ensureSpace(doc, 40);
+  doc.font('bold').fontSize(11).fillColor(COLORS.ink).text(text, PAGE_MARGIN, doc.y);
+  doc.y += 4;
+}
+
+// [PDF] Table with `columns` (`{ label, width, align }`, widths as fractions) and rows of cell strings.
+// The header row repeats after a page break; `emphasis` rows are drawn in bold.
+function drawTable(doc, columns, rows, { emphasis = [] } = {}) {
+  const total = contentWidth(doc);
+  const widths = columns.map((column) => column.width * total);
+  const drawRow = (cells, font, color) => {
+    const heights = cells.map((cell, index) => doc.font(font).fontSize(9)
+      .heightOfString(String(cell ?? ''), { width: widths[index] - 8 }));
+    const height = Math.max(...heights) + 8;
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, index) => {
+      doc.font(font).fontSize(9).fillColor(color)
+        .text(String(cell ?? ''), x + 4, y + 4, { width: widths[index] - 8, align: columns[index].align || 'left' });
+      x += widths[index];
+    });
+    doc.y = y + height;
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(PAGE_MARGIN + total, doc.y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    return height;
+  };
+  const drawHeaderRow = () => {
+    doc.rect(PAGE_MARGIN, doc.y, total, 20).fill(COLORS.panel);
+    drawRow(columns.map((column) => column.label), 'bold', COLORS.muted);
+  };
+
+  ensureSpace(doc, 48);
+  drawHeaderRow();
+  rows.forEach((cells, index) => {
+    if (doc.y + 24 > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      drawHeaderRow();
+    }
+    drawRow(cells, emphasis.includes(index) ? 'bold' : 'regular', COLORS.ink);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y += 14;
+}
+
+// [PDF] PromptPay QR code drawn as vector squares, `size` points wide, with its caption below.
+function drawPromptPayQr(doc, payload, x, y, size) {
+  const qr = promptPayQrModules(payload);
+  const cell = size / qr.size;
+  for (let row = 0; row < qr.size; row += 1) {
+    for (let col = 0; col < qr.size; col += 1) {
+      if (qr.isDark(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell);
+    }
+  }
+  doc.fill(COLORS.ink);
+  doc.font('bold').fontSize(8).fillColor(COLORS.muted).text('Scan to pay with PromptPay', x, y + size + 4, { width: size, align: 'center' });
+}
+
+// [PDF] Boxed "how to pay" block: payee account details, the reference to quote and the amount due,
+// with the PromptPay QR code on the right when `promptpay` is given.
+function drawPaymentReference(doc, { payee, reference, amountDue, dueDate, promptpay = null }) {
+  const details = [
+    ['Pay to', payee.account_name || payee.name],
+    payee.bank_name ? ['Bank', payee.bank_name] : null,
+    payee.account_number ? ['Account number', payee.account_number] : null,
+    promptpay ? ['PromptPay biller ID', promptpay.biller_id] : null,
+    ['Payment reference', reference],
+    ['Amount due', formatTHB(amountDue)],
+    dueDate ? ['Due date', dueDate] : null
+  ].filter(Boolean);
+
+  const qrSize = 110;
+  const height = Math.max(34 + details.length * 16, promptpay ? qrSize + 36 : 0);
+  const textWidth = contentWidth(doc) - 172 - (promptpay ? qrSize + 12 : 0);
+  ensureSpace(doc, height + 10);
+  const top = doc.y;
+  doc.rect(PAGE_MARGIN, top, contentWidth(doc), height).lineWidth(1).strokeColor(COLORS.brand).stroke();
+  doc.font('bold').fontSize(11).fillColor(COLORS.brand).text('Payment Reference', PAGE_MARGIN + 12, top + 10);
+  doc.y = top + 30;
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('regular').fontSize(10).fillColor(COLORS.muted).text(label, PAGE_MARGIN + 12, y, { width: 140 });
+    doc.font('bold').fontSize(10).fillColor(COLORS.ink).text(value, PAGE_MARGIN + 160, y, { width: textWidth });
+    doc.y = y + 16;
+  });
+  if (promptpay) {
+    drawPromptPayQr(doc, promptpay.payload, PAGE_MARGIN + contentWidth(doc) - qrSize - 12, top + 10, qrSize);
+  }
+  doc.x = PAGE_MARGIN;
+  doc.y = top + height + 14;
+  doc.font('regular').fontSize(9).fillColor(COLORS.muted)
+    .text('Please quote the payment reference with your transfer so the payment is matched to this document.', PAGE_MARGIN, doc.y);
+}
+
+// [PDF] One invoice (the data of GET /bills/:id/detail): line items, payments applied and a payment reference.
+function renderInvoicePdf(detail, { payee, generatedAt }) {
+  const { bill, meter, utility, account_user: account, payments } = detail;
+  const applied = (payments || []).filter((payment) => !payment.reversed);
+  const balance = bill.balance ?? bill.amount;
+
+  return renderPdf({ title: `Invoice ${bill.invoice_number}`, footer: `${payee.name} · Invoice ${bill.invoice_number} · Generated ${generatedAt}` }, (doc) => {
+    drawHeader(doc, {
+      payee,
+      title: 'INVOICE',
+      references: [
+        ['Invoice No.', bill.invoice_number],
+        ['Issued', String(bill.created_at || '').slice(0, 10)],
+        ['Bill Month', String(bill.bill_month || '').slice(0, 7)],
+        ['Due Date', bill.due_date],
+        ['Status', bill.status]
+      ]
+    });
+
+    drawColumns(doc, [
+      { heading: 'Bill To', lines: [account.name, account.email, account.phone] },
+      {
+        heading: 'Service',
+        lines: [
+          utility ? utility.utility_name : null,
+          `Meter ${meter.meter_number}`,
+          bill.current_reading_id
+            ? `Readings ${bill.previous_reading_value ?? '-'} → ${bill.current_reading_value ?? '-'} (${bill.units_consumed ?? '-'} units)`
+            : null
+        ]
+      }
+    ]);
+
+    drawHeading(doc, 'Charges');
+    const breakdown = bill.charge_breakdown;
+    const tariffRows = breakdown && Array.isArray(breakdown.lines)
+      ? breakdown.lines.map((line) => [line.description, line.quantity ?? '', line.rate ?? '', formatTHB(line.amount)])
+      : null;
+    // The usage line is shown as its tariff blocks when it was priced from a tariff.
+    const lines = bill.lines && bill.lines.length
+      ? bill.lines
+      : [{ kind: 'usage', description: `${utility ? utility.utility_name : 'Utility'} charge for ${String(bill.bill_month || '').slice(0, 7)}`, amount: bill.amount }];
+    const chargeRows = lines.flatMap((line) => (line.kind === 'usage' && tariffRows
+      ? tariffRows
+      : [[line.description, line.kind === 'usage' ? bill.units_consumed ?? '' : '', '', formatTHB(line.amount)]]));
+    const totalRows = [
+      ['Total', '', '', formatTHB(bill.amount)],
+      ['Paid', '', '', formatTHB(bill.amount_paid || 0)],
+      ['Balance Due', '', '', formatTHB(balance)]
+    ];
+    drawTable(doc, [
+      { label: 'Description', width: 0.5 },
+      { label: 'Quantity', width: 0.15, align: 'right' },
+      { label: 'Rate', width: 0.15, align: 'right' },
+      { label: 'Amount', width: 0.2, align: 'right' }
+    ], [...chargeRows, ...totalRows], { emphasis: [chargeRows.length, chargeRows.length + 2] });
+
+    if (breakdown && breakdown.tariff_name) {
+      doc.font('regular').fontSize(9).fillColor(COLORS.muted)
+        .text(`Tariff: ${breakdown.tariff_name}${breakdown.tariff_version ? ` (v${breakdown.tariff_version})` : ''}`, PAGE_MARGIN, doc.y - 8);
+      doc.y += 8;
+    }
+
+    if ((bill.late_fees || []).length) {
+      drawHeading(doc, 'Late Fees (billed separately)');
+      drawTable(doc, [
+        { label: 'Bill', width: 0.25 },
+        { label: 'Due Date', width: 0.25 },
+        { label: 'Status', width: 0.25 },
+        { label: 'Amount', width: 0.25, align: 'right' }
+      ], bill.late_fees.map((fee) => [`#${fee.bill_id}`, fee.due_date, fee.status, formatTHB(fee.amount)]));
+    }
+
+    if (applied.length) {
+      drawHeading(doc, 'Payments Applied');
+      drawTable(doc, [
+        { label: 'Date', width: 0.25 },
+        { label: 'Method', width: 0.2 },
+        { label: 'Reference', width: 0.35 },
+        { label: 'Applied', width: 0.2, align: 'right' }
+      ], applied.map((payment) => [
+        String(payment.payment_date || '').slice(0, 10),
+        payment.payment_method,
+        payment.transaction_ref || `Payment #${payment.payment_id}`,
+        formatTHB(payment.allocated_amount)
+      ]));
+    }
+
+    if (balance > 0) {
+      drawPaymentReference(doc, {
+        payee,
+        reference: bill.invoice_number,
+        amountDue: balance,
+        dueDate: bill.due_date,
+        promptpay: detail.promptpay
+      });
+    } else {
+      ensureSpace(doc, 30);
+      doc.font('bold').fontSize(12).fillColor(COLORS.brand).text('Paid in full. Thank you.', PAGE_MARGIN, doc.y);
+    }
+  });
+}
+
+// [PDF] Monthly statement (the data of GET /users/:id/statement): account activity for the month,
+// every open invoice and one payment reference for the total due.
+function renderStatementPdf(statement, { payee, generatedAt }) {
+  const { user, ledger, open_bills: openBills } = statement;
+
+  return renderPdf({ title: `Statement ${statement.statement_number}`, footer: `${payee.name} · Statement ${statement.statement_number} · Generated ${generatedAt}` }, (doc) => {
+    drawHeader(doc, {
+      payee,
+      title: 'STATEMENT',
+      references: [
+        ['Statement No.', statement.statement_number],
+        ['Period', `${statement.period_start} to ${statement.period_end}`],
+        ['Issued', generatedAt]
+      ]
+    });
+
+    drawColumns(doc, [
+      { heading: 'Account', lines: [user.name, user.email, user.phone, `Account #${user.user_id}`] },
+      {
+        heading: 'Summary',
+        lines: [
+          `Opening balance: ${formatTHB(ledger.opening_balance)}`,
+          `Charges: ${formatTHB(ledger.total_debits)}`,
+          `Payments and credits: ${formatTHB(ledger.total_credits)}`,
+          `Closing balance: ${formatTHB(ledger.closing_balance)}`
+        ]
+      }
+    ]);
+
+    drawHeading(doc, 'Account Activity');
+    if (!ledger.entries.length) {
+      doc.font('regular').fontSize(10).fillColor(COLORS.muted).text('No activity in this period.', PAGE_MARGIN, doc.y);
+      doc.y += 14;
+    } else {
+      drawTable(doc, [
+        { label: 'Date', width: 0.15 },
+        { label: 'Description', width: 0.4 },
+        { label: 'Charges', width: 0.15, align: 'right' },
+        { label: 'Credits', width: 0.15, align: 'right' },
+        { label: 'Balance', width: 0.15, align: 'right' }
+      ], ledger.entries.map((entry) => [
+        String(entry.entry_date || '').slice(0, 10),
+        entry.description || entry.entry_type,
+        entry.debit ? formatTHB(entry.debit) : '',
+        entry.credit ? formatTHB(entry.credit) : '',
+        formatTHB(entry.running_balance)
+      ]));
+    }
+
+    drawHeading(doc, 'Open Invoices');
+    if (!openBills.length) {
+      doc.font('regular').fontSize(10).fillColor(COLORS.muted).text('No open invoices.', PAGE_MARGIN, doc.y);
+      doc.y += 14;
+    } else {
+      drawTable(doc, [
+        { label: 'Invoice No.', width: 0.25 },
+        { label: 'Meter', width: 0.17 },
+        { label: 'Due Date', width: 0.16 },
+        { label: 'Status', width: 0.14 },
+        { label: 'Balance', width: 0.28, align: 'right' }
+      ], [
+        ...openBills.map((bill) => [bill.invoice_number, bill.meter_number, bill.due_date, bill.status, formatTHB(bill.balance)]),
+        ['Total Due', '', '', '', formatTHB(statement.total_due)]
+      ], { emphasis: [openBills.length] });
+    }
+
+    if (statement.total_due > 0) {
+      drawPaymentReference(doc, { payee, reference: statement.statement_number, amountDue: statement.total_due });
+    }
+  });
+}
+
+module.exports = { formatTHB, renderInvoicePdf, renderStatementPdf };
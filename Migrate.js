@@ -0,0 +1,195 @@
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+
+// Versioned schema migrations. Each file in migrations/ is named `<version>_<name>.js` and exports
+// `{ up(schema), down(schema) }`; applied versions are recorded in `schema_migrations`.
+//
+//   npm run migrate                          apply every pending migration
+//   npm run migrate:rollback [-- --steps N]  revert the last N applied migrations (default 1)
+//   npm run migrate:status                   list applied and pending migrations
+//
+// The API server applies pending migrations itself on startup. 001_baseline_schema cannot be rolled back: it
+// adopts tables that existed before migrations did. Later migrations refuse to roll back when that would lose or
+// misread data (for example while split payments, reversed payments or trashed rows exist).
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DATABASE_FILE = './Database/utility.db';
+
+// [SYSTEM] Read migration files in version order.
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const match = file.match(/^(\d+)_([\w-]+)\.js$/);
+      if (!match) return null;
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { ...migration, version: Number.parseInt(match[1], 10), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+// [SYSTEM] Promise helpers handed to migrations as `schema`.
+function createSchemaHelpers(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  // Adds a column unless the table already has it (databases created before the column existed).
+  const addColumnIfMissing = async (table, definition) => {
+    const column = definition.trim().split(/\s+/)[0];
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (!columns.some((existing) => existing.name === column)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    }
+  };
+
+  // Drops a column if the table still has it; indexes on the column must be dropped first.
+  const dropColumnIfPresent = async (table, column) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (columns.some((existing) => existing.name === column)) {
+      await run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  };
+
+  return { run, get, all, addColumnIfMissing, dropColumnIfPresent };
+}
+
+// [SYSTEM] Create the bookkeeping table and return the applied versions.
+async function loadAppliedVersions(schema) {
+  await schema.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  return schema.all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+}
+
+// [SYSTEM] Run one migration step and its bookkeeping row in a single transaction.
+// Migrations that rebuild tables set `foreignKeys: false`; keys are re-checked before COMMIT.
+async function applyMigration(schema, migration, direction) {
+  if (migration.foreignKeys === false) await schema.run(`PRAGMA foreign_keys = OFF`);
+  try {
+    await schema.run(`BEGIN IMMEDIATE TRANSACTION`);
+    try {
+      await migration[direction](schema);
+      if (direction === 'up') {
+        await schema.run(`INSERT INTO schema_migrations (version,name) VALUES (?,?)`, [migration.version, migration.name]);
+      } else {
+        await schema.run(`DELETE FROM schema_migrations WHERE version = ?`, [migration.version]);
+      }
+      if (migration.foreignKeys === false) {
+        const violations = await schema.all(`PRAGMA foreign_key_check`);
+        if (violations.length) {
+          throw new Error(`${violations.length} foreign key violation(s), first in table ${violations[0].table}`);
+        }
+      }
+      await schema.run(`COMMIT`);
+    } catch (err) {
+      await schema.run(`ROLLBACK`).catch(() => {});
+      err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+      throw err;
+    }
+  } finally {
+    if (migration.foreignKeys === false) await schema.run(`PRAGMA foreign_keys = ON`);
+  }
+}
+
+// [SYSTEM] Apply every pending migration in version order, stopping at the first failure.
+async function runMigrations(db, log = console.log) {
+  const schema = createSchemaHelpers(db);
+  const applied = new Set((await loadAppliedVersions(schema)).map((row) => row.version));
+  const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await applyMigration(schema, migration, 'up');
+    log(`Applied migration ${migration.file}`);
+  }
+  return pending.map((migration) => migration.version);
+}
+
+// [SYSTEM] Revert the last `steps` applied migrations, newest first.
+async function rollbackMigrations(db, steps = 1, log = console.log) {
+  const schema = createSchemaHelpers(db);
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  const targets = (await loadAppliedVersions(schema)).reverse().slice(0, steps);
+
+  for (const row of targets) {
+    const migration = migrations.get(row.version);
+    if (!migration) throw new Error(`No migration file for applied version ${row.version} (${row.name})`);
+    await applyMigration(schema, migration, 'down');
+    log(`Rolled back migration ${migration.file}`);
+  }
+  return targets.map((row) => row.version);
+}
+
+// [SYSTEM] Applied and pending migrations; `missing` marks applied versions whose file is gone.
+async function migrationStatus(db) {
+  const schema = createSchemaHelpers(db);
+  const applied = new Map((await loadAppliedVersions(schema)).map((row) => [row.version, row]));
+  const rows = loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    state: applied.has(migration.version) ? 'applied' : 'pending',
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+  for (const [version, row] of applied) {
+    if (!rows.some((migration) => migration.version === version)) {
+      rows.push({ version, name: row.name, state: 'missing', applied_at: row.applied_at });
+    }
+  }
+  return rows.sort((a, b) => a.version - b.version);
+}
+
+// [CLI] migrate | rollback [--steps N] | status
+async function main() {
+  const [command = 'migrate', ...rest] = process.argv.slice(2);
+  const stepsIndex = rest.indexOf('--steps');
+  const steps = stepsIndex === -1 ? 1 : Number.parseInt(rest[stepsIndex + 1], 10);
+  if (!Number.isInteger(steps) || steps < 1) throw new Error('--steps must be a positive integer');
+
+  const db = new sqlite3.Database(DATABASE_FILE);
+  try {
+    await createSchemaHelpers(db).run(`PRAGMA foreign_keys = ON`);
+    if (command === 'migrate') {
+      const applied = await runMigrations(db);
+      if (!applied.length) console.log('Database is up to date.');
+    } else if (command === 'rollback') {
+      const reverted = await rollbackMigrations(db, steps);
+      if (!reverted.length) console.log('No applied migrations to roll back.');
+    } else if (command === 'status') {
+      for (const row of await migrationStatus(db)) {
+        const version = String(row.version).padStart(3, '0');
+        console.log(`  ${row.state.toUpperCase().padEnd(8)} ${version}_${row.name}${row.applied_at ? `  (${row.applied_at})` : ''}`);
+      }
+    } else {
+      throw new Error(`Unknown command: ${command} (expected migrate, rollback or status)`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { loadMigrations, runMigrations, rollbackMigrations, migrationStatus };
@@ -0,0 +1,151 @@
+require('dotenv').config({ quiet: true });
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const ejs = require('ejs');
+const { MOCK_GATEWAY_SECRET, signGatewayPayload } = require('./PaymentGateway');
+
+// Stand-in payment gateway for trying online payments offline: `npm run mock-gateway`.
+//
+// The API creates a checkout with POST /api/checkouts (Bearer PAYMENT_GATEWAY_SECRET) and sends the customer to
+// its checkout page, where they pick an outcome. The result is posted to the checkout's callback_url, signed the
+// way PaymentGateway.js verifies it, and the customer is sent back to return_url:
+//   succeed  confirmed at once
+//   decline  failed (card_declined)
+//   delay    customer returns first; confirmation follows after MOCK_GATEWAY_DELAY_SECONDS (default 15)
+//   cancel   cancelled by the customer
+// A callback that does not get a 2xx answer is retried after 2, 4, 8 and 16 seconds.
+// Checkouts live in memory only.
+
+const PORT = Number.parseInt(process.env.MOCK_GATEWAY_PORT, 10) || 4100;
+const BASE_URL = String(process.env.MOCK_GATEWAY_URL || '').trim().replace(/\/+$/, '') || `http://localhost:${PORT}`;
+const SECRET = String(process.env.PAYMENT_GATEWAY_SECRET || '').trim() || MOCK_GATEWAY_SECRET;
+const DELAY_SECONDS = Number.parseFloat(process.env.MOCK_GATEWAY_DELAY_SECONDS ?? '15');
+const CALLBACK_ATTEMPTS = 5;
+const OUTCOMES = {
+  succeed: { status: 'succeeded', reason: null, label: 'Pay' },
+  decline: { status: 'failed', reason: 'card_declined', label: 'Decline' },
+  delay: { status: 'succeeded', reason: null, label: 'Pay, confirm later' },
+  cancel: { status: 'cancelled', reason: 'cancelled_by_customer', label: 'Cancel' }
+};
+const CHECKOUT_PAGE = `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Mock Gateway</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto;">
+  <h1>Mock Gateway</h1>
+  <p>Test checkout <code><%= checkout.id %></code> &mdash; no money moves.</p>
+  <p><strong><%= checkout.description || checkout.reference %></strong></p>
+  <p>Amount: <strong><%= checkout.amount.toFixed(2) %> <%= checkout.currency %></strong></p>
+  <% if (checkout.status !== 'open') { %>
+    <p>This checkout is already <%= checkout.status %>.</p>
+    <p><a href="<%= checkout.return_url %>">Back to the merchant</a></p>
+  <% } else { %>
+    <form method="post" action="/checkout/<%= checkout.id %>">
+      <% Object.entries(outcomes).forEach(([value, outcome]) => { %>
+        <button type="submit" name="outcome" value="<%= value %>"><%= outcome.label %></button>
+      <% }) %>
+    </form>
+  <% } %>
+</body>
+</html>`;
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+const checkouts = new Map();
+
+// [GATEWAY] True for an absolute http(s) URL.
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(String(value)).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// [GATEWAY] Post a signed result to the checkout's callback_url, retrying with backoff until it is accepted.
+async function sendCallback(checkout, { status, reason }, attempt = 1) {
+  const body = JSON.stringify({ id: checkout.id, status, reason, amount: checkout.amount, reference: checkout.reference });
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await axios.post(checkout.callback_url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Gateway-Timestamp': String(timestamp),
+        'X-Gateway-Signature': signGatewayPayload(SECRET, timestamp, body)
+      },
+      timeout: 10000,
+      transformRequest: [(data) => data]
+    });
+    console.log(`Callback ${checkout.id} ${status}: HTTP ${response.status}`);
+  } catch (err) {
+    const detail = err.response ? `HTTP ${err.response.status}` : err.message;
+    if (attempt >= CALLBACK_ATTEMPTS) {
+      console.error(`Callback ${checkout.id} ${status} gave up after ${attempt} attempt(s): ${detail}`);
+      return;
+    }
+    console.warn(`Callback ${checkout.id} ${status} failed (${detail}); retrying.`);
+    setTimeout(() => sendCallback(checkout, { status, reason }, attempt + 1), 2 ** attempt * 1000);
+  }
+}
+
+// [GATEWAY] Create a checkout (server to server, Bearer secret).
+app.post('/api/checkouts', (req, res) => {
+  if (req.get('authorization') !== `Bearer ${SECRET}`) return res.status(401).json({ error: 'Invalid secret' });
+  const body = req.body || {};
+  const amount = Number.parseFloat(body.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return res.status(400).json({ error: 'amount must be positive' });
+  if (!isHttpUrl(body.callback_url) || !isHttpUrl(body.return_url)) {
+    return res.status(400).json({ error: 'callback_url and return_url must be http(s) URLs' });
+  }
+
+  const checkout = {
+    id: `mock_${crypto.randomBytes(8).toString('hex')}`,
+    amount,
+    currency: String(body.currency || 'THB'),
+    reference: String(body.reference || ''),
+    description: String(body.description || ''),
+    callback_url: body.callback_url,
+    return_url: body.return_url,
+    status: 'open'
+  };
+  checkouts.set(checkout.id, checkout);
+  res.status(201).json({ id: checkout.id, status: checkout.status, checkout_url: `${BASE_URL}/checkout/${checkout.id}` });
+});
+
+// [GATEWAY] Checkout state, for debugging.
+app.get('/api/checkouts/:id', (req, res) => {
+  const checkout = checkouts.get(req.params.id);
+  if (!checkout) return res.status(404).json({ error: 'Checkout not found' });
+  res.json(checkout);
+});
+
+// [GATEWAY] Checkout page where the customer picks an outcome.
+app.get('/checkout/:id', (req, res) => {
+  const checkout = checkouts.get(req.params.id);
+  if (!checkout) return res.status(404).send('Checkout not found');
+  res.send(ejs.render(CHECKOUT_PAGE, { checkout, outcomes: OUTCOMES }));
+});
+
+// [GATEWAY] Apply the chosen outcome: send the customer back and post (or schedule) the callback.
+app.post('/checkout/:id', (req, res) => {
+  const checkout = checkouts.get(req.params.id);
+  if (!checkout) return res.status(404).send('Checkout not found');
+  const outcome = OUTCOMES[req.body.outcome];
+  if (!outcome || checkout.status !== 'open') return res.redirect(`/checkout/${checkout.id}`);
+
+  checkout.status = req.body.outcome === 'delay' ? 'confirming' : outcome.status;
+  if (req.body.outcome === 'delay') {
+    setTimeout(() => {
+      checkout.status = outcome.status;
+      sendCallback(checkout, outcome);
+    }, DELAY_SECONDS * 1000);
+    return res.redirect(checkout.return_url);
+  }
+  // The callback goes out before the customer is back, like a real gateway's server-to-server notification.
+  sendCallback(checkout, outcome).finally(() => res.redirect(checkout.return_url));
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock gateway running on ${BASE_URL} (pid: ${process.pid})`);
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const { formatTHB } = require('./InvoicePdf');
+
+// Customer email notifications: rendering messages from the EJS templates in public/views/emails and the
+// transports that deliver them. Each template includes the email layout partials the way pages include
+// layout-top/layout-bottom, and its <title> becomes the subject. Queueing, preferences and retries live
+// with the data in SQliteDB.js; this module never touches the database.
+//
+// NOTIFY_TRANSPORT picks the transport:
+//   maildir (default)  write each message to NOTIFY_MAILDIR (default ./mail) as a Maildir file, for local testing
+//   smtp               send through SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+
+const NOTIFICATION_TYPES = ['bill_created', 'late_fee', 'due_reminder', 'overdue_notice', 'payment_receipt'];
+const TEMPLATES_DIR = path.join(__dirname, 'public', 'views', 'emails');
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#34;': '"', '&nbsp;': ' ' };
+
+// [NOTIFY] Plain-text part of an HTML message: a line per table row, a blank line after each block.
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<\/(td|th)>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/tr>/gi, '\n')
+    .replace(/<\/(p|h\d|div|table)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[#\w]+;/g, (entity) => HTML_ENTITIES[entity] || entity)
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// [NOTIFY] Render one notification type with `data` into `{ subject, html, text }`.
+async function renderNotification(type, data) {
+  if (!NOTIFICATION_TYPES.includes(type)) throw new Error(`Unknown notification type: ${type}`);
+  const html = await ejs.renderFile(path.join(TEMPLATES_DIR, `${type}.ejs`), { formatTHB, ...data });
+  const title = html.match(/<title>([\s\S]*?)<\/title>/i);
+  return { subject: htmlToText(title ? title[1] : type), html, text: htmlToText(html) };
+}
+
+// [NOTIFY] SMTP transport; verifies nothing up front, so a bad server shows up as failed deliveries to retry.
+function createSmtpTransport(env) {
+  const host = String(env.SMTP_HOST || '').trim();
+  if (!host) throw new Error('SMTP_HOST is required when NOTIFY_TRANSPORT=smtp');
+  const secure = ['1', 'true', 'yes'].includes(String(env.SMTP_SECURE || '').toLowerCase());
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number.parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { message_id: info.messageId };
+    }
+  };
+}
+
+// [NOTIFY] Maildir transport: each message is built as a full MIME file in tmp/ and moved into new/,
+// so any mail client (or `cat`) can read what would have been sent.
+function createMaildirTransport(env) {
+  const root = path.resolve(String(env.NOTIFY_MAILDIR || '').trim() || './mail');
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'maildir',
+    async send(message) {
+      ['tmp', 'new', 'cur'].forEach((folder) => fs.mkdirSync(path.join(root, folder), { recursive: true }));
+      const info = await builder.sendMail(message);
+      const fileName = `${Date.now()}.${process.pid}_${crypto.randomBytes(6).toString('hex')}.${os.hostname()}`;
+      const tmpPath = path.join(root, 'tmp', fileName);
+      await fs.promises.writeFile(tmpPath, info.message);
+      await fs.promises.rename(tmpPath, path.join(root, 'new', fileName));
+      return { message_id: info.messageId };
+    }
+  };
+}
+
+const TRANSPORTS = { smtp: createSmtpTransport, maildir: createMaildirTransport };
+
+// [NOTIFY] Transport named by NOTIFY_TRANSPORT; throws for unknown names or missing settings.
+function createTransport(env = process.env) {
+  const name = String(env.NOTIFY_TRANSPORT || '').trim().toLowerCase() || 'maildir';
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`NOTIFY_TRANSPORT must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  return factory(env);
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  htmlToText,
+  renderNotification,
+  createTransport
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Online payment providers: starting a checkout for a payment intent and reading the provider's signed callback.
+// Intents, confirmation and posting the payment live with the data in SQliteDB.js; this module never touches
+// the database.
+//
+// A provider is `{ name, createCheckout(checkout), parseCallback(headers, rawBody) }`:
+//   createCheckout  resolves to `{ provider_ref, checkout_url }`; the customer is sent to checkout_url
+//   parseCallback   verifies the signature and returns `{ provider_ref, status, reason }`, or throws
+//
+// PAYMENT_GATEWAY picks the provider:
+//   mock (default)  the bundled MockGateway.js server at MOCK_GATEWAY_URL (default http://localhost:4100)
+//
+// Callbacks are signed like outgoing webhooks: X-Gateway-Timestamp (Unix seconds) and
+// X-Gateway-Signature = sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with PAYMENT_GATEWAY_SECRET>.
+
+const GATEWAY_STATUSES = ['pending', 'succeeded', 'failed', 'cancelled'];
+// Only for the mock gateway, so both ends work out of the box; real providers must set PAYMENT_GATEWAY_SECRET.
+const MOCK_GATEWAY_SECRET = 'mock_gateway_secret';
+// Callbacks older (or newer) than this are rejected, so a captured request cannot be replayed later.
+const CALLBACK_TOLERANCE_SECONDS = 300;
+const GATEWAY_TIMEOUT_MS = 10000;
+
+// [GATEWAY] Signature header value for a callback body.
+function signGatewayPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// [GATEWAY] Check a callback's signature (constant time) and timestamp against `secret`.
+function verifyGatewaySignature(secret, headers, rawBody, now = Date.now()) {
+  const timestamp = Number.parseInt(headers['x-gateway-timestamp'], 10);
+  if (!Number.isFinite(timestamp) || Math.abs(now / 1000 - timestamp) > CALLBACK_TOLERANCE_SECONDS) return false;
+  const expected = Buffer.from(signGatewayPayload(secret, timestamp, rawBody));
+  const actual = Buffer.from(String(headers['x-gateway-signature'] || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// [GATEWAY] Read a verified callback body into `{ provider_ref, status, reason }`; throws when it is malformed.
+function parseCallbackBody(rawBody) {
+  let body;
+  try {
+    body = JSON.parse(String(rawBody));
+  } catch (err) {
+    throw new Error('Callback body is not JSON');
+  }
+  const status = String((body && body.status) || '').toLowerCase();
+  if (!body || !body.id || !GATEWAY_STATUSES.includes(status)) {
+    throw new Error(`Callback needs an id and a status of ${GATEWAY_STATUSES.join(', ')}`);
+  }
+  return { provider_ref: String(body.id), status, reason: body.reason ? String(body.reason).slice(0, 200) : null };
+}
+
+// [GATEWAY] Provider for the bundled mock gateway (see MockGateway.js).
+function createMockGateway(env) {
+  const baseUrl = String(env.MOCK_GATEWAY_URL || '').trim().replace(/\/+$/, '') || 'http://localhost:4100';
+  const secret = String(env.PAYMENT_GATEWAY_SECRET || '').trim() || MOCK_GATEWAY_SECRET;
+  return {
+    name: 'mock',
+    async createCheckout(checkout) {
+      const { data } = await axios.post(`${baseUrl}/api/checkouts`, checkout, {
+        headers: { Authorization: `Bearer ${secret}` },
+        timeout: GATEWAY_TIMEOUT_MS
+      });
+      return { provider_ref: String(data.id), checkout_url: data.checkout_url };
+    },
+    parseCallback(headers, rawBody) {
+      if (!verifyGatewaySignature(secret, headers, rawBody)) throw new Error('Invalid callback signature');
+      return parseCallbackBody(rawBody);
+    }
+  };
+}
+
+const GATEWAYS = { mock: createMockGateway };
+
+// [GATEWAY] Provider named by PAYMENT_GATEWAY; throws for unknown names.
+function createGateway(env = process.env) {
+  const name = String(env.PAYMENT_GATEWAY || '').trim().toLowerCase() || 'mock';
+  const factory = GATEWAYS[name];
+  if (!factory) throw new Error(`PAYMENT_GATEWAY must be one of: ${Object.keys(GATEWAYS).join(', ')}`);
+  return factory(env);
+}
+
+module.exports = {
+  GATEWAY_STATUSES,
+  MOCK_GATEWAY_SECRET,
+  signGatewayPayload,
+  verifyGatewaySignature,
+  createGateway
+};
@@ -1,10 +1,95 @@
+require('dotenv').config({ quiet: true });
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('./Migrate');
+const { renderInvoicePdf, renderStatementPdf } = require('./InvoicePdf');
+const { isValidBillerId, promptPayReference, billIdFromReference, buildPromptPayPayload } = require('./PromptPay');
+const { NOTIFICATION_TYPES, renderNotification, createTransport } = require('./Notifications');
+const { createGateway } = require('./PaymentGateway');
+const {
+  WEBHOOK_EVENT_TYPES, WEBHOOK_SECRET_PREFIX, generateWebhookSecret, parseEventTypes, matchesEventType, isWebhookUrl, postWebhook
+} = require('./Webhooks');
 const app = express();
+// Proxies whose X-Forwarded-For is believed for `req.ip` (Express `trust proxy`). The default trusts only
+// loopback, where the frontend forwards the browser's address on login.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+// Large enough for CSV imports posted as JSON or text/csv.
+const REQUEST_BODY_LIMIT = '2mb';
 
-app.use(express.json());
+// The raw body is kept for routes that verify a signature over it (payment gateway callbacks).
+app.use(express.json({ limit: REQUEST_BODY_LIMIT, verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 const ALLOWED_USER_ROLES = new Set(['admin', 'user']);
+const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 30;
+// Raise these to strengthen new hashes; older rows are rehashed on their next login.
+const PASSWORD_HASH_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const API_KEY_PREFIX = 'fbk_';
+const READING_SOURCES = new Set(['manual', 'import', 'estimate', 'smart_meter']);
+const READING_RESET_TYPES = new Set(['rollover', 'replacement']);
+const TARIFF_PRICING_TYPES = new Set(['tiered', 'time_of_use']);
+const BILLING_PRICING_MODES = new Set(['readings', 'flat', 'readings_or_flat']);
+// Overdue job: unpaid bills past due_date become overdue. A late fee of zero (the default) disables fees.
+const OVERDUE_CHECK_INTERVAL_MINUTES = Number.parseFloat(process.env.OVERDUE_CHECK_INTERVAL_MINUTES ?? '60');
+const LATE_FEE_SETTINGS = {
+  flat: Number.parseFloat(process.env.LATE_FEE_FLAT) || 0,
+  percent: Number.parseFloat(process.env.LATE_FEE_PERCENT) || 0,
+  grace_days: Number.parseInt(process.env.LATE_FEE_GRACE_DAYS, 10) || 0,
+  due_days: Number.parseInt(process.env.LATE_FEE_DUE_DAYS, 10) || 14
+};
+// Payee shown on PDF invoices and statements, with the account customers pay into.
+const PAYEE_SETTINGS = {
+  name: process.env.PAYEE_NAME || 'FlowBills',
+  address: process.env.PAYEE_ADDRESS || '',
+  tax_id: process.env.PAYEE_TAX_ID || '',
+  bank_name: process.env.PAYEE_BANK_NAME || '',
+  account_name: process.env.PAYEE_ACCOUNT_NAME || '',
+  account_number: process.env.PAYEE_ACCOUNT_NUMBER || ''
+};
+// PromptPay bill payment biller ID (tax ID + 2-digit suffix) for invoice QR codes; unset disables them.
+const PROMPTPAY_BILLER_ID = String(process.env.PROMPTPAY_BILLER_ID || '').trim();
+if (PROMPTPAY_BILLER_ID && !isValidBillerId(PROMPTPAY_BILLER_ID)) {
+  console.warn('PROMPTPAY_BILLER_ID must be 15 digits; PromptPay QR codes are disabled.');
+}
+// Email notifications: reminders go out `reminder_days` before due_date, the outbox is worked every
+// `interval_minutes` (0 disables the scheduler) and a message is given up after `max_attempts` failed deliveries.
+const NOTIFY_SETTINGS = {
+  from: process.env.NOTIFY_FROM || `${PAYEE_SETTINGS.name} <billing@localhost>`,
+  reminder_days: Number.parseInt(process.env.NOTIFY_REMINDER_DAYS ?? '3', 10),
+  interval_minutes: Number.parseFloat(process.env.NOTIFY_INTERVAL_MINUTES ?? '5'),
+  max_attempts: Number.parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5
+};
+let notificationTransport = null;
+try {
+  notificationTransport = createTransport();
+} catch (err) {
+  console.warn(`${err.message}; notifications are queued but not delivered.`);
+}
+// Outbound webhooks: deliveries are worked every `interval_minutes` (0 disables the scheduler); a failed one is
+// retried after 1, 2, 4... minutes and given up after `max_attempts`.
+const WEBHOOK_SETTINGS = {
+  interval_minutes: Number.parseFloat(process.env.WEBHOOK_INTERVAL_MINUTES ?? '1'),
+  max_attempts: Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8
+};
+// Online payments: the customer pays on the gateway's checkout page and the bill is only paid once the gateway's
+// signed callback (posted to `callback_url`) confirms it.
+const PAYMENT_GATEWAY_SETTINGS = {
+  callback_url: process.env.PAYMENT_CALLBACK_URL
+    || `http://localhost:${Number.parseInt(process.env.PORT, 10) || 4000}/payment-gateway/callback`
+};
+let paymentGateway = null;
+try {
+  paymentGateway = createGateway();
+} catch (err) {
+  console.warn(`${err.message}; online payments are disabled.`);
+}
+// Soft-deleted rows stay in the trash at least this many days before they can be purged.
+const TRASH_RETENTION_DAYS = Number.parseInt(process.env.TRASH_RETENTION_DAYS ?? '30', 10);
+// A meter is live when neither it nor its owner is in the trash; a bill also needs to be live itself.
+// Both expect the meter aliased `m` (and the bill `b`).
+const LIVE_METER_SQL = `m.deleted_at IS NULL AND m.user_id IN (SELECT user_id FROM users WHERE deleted_at IS NULL)`;
+const LIVE_BILL_SQL = `b.deleted_at IS NULL AND ${LIVE_METER_SQL}`;
 
 // [AUTH] Normalize role input to supported values.
 function normalizeUserRole(role) {
@@ -12,425 +97,5614 @@ function normalizeUserRole(role) {
   return ALLOWED_USER_ROLES.has(input) ? input : 'user';
 }
 
+// [SESSION] Hash an opaque session token or API key for storage/lookup.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+// [SESSION] Read the bearer token from the Authorization header.
+function readBearerToken(req) {
+  const header = String(req.get('authorization') || '').trim();
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+// [AUTH] Hash a password with scrypt; the result stores its own parameters and salt.
+function hashPassword(password, callback) {
+  const { N, r, p, keyLength } = PASSWORD_HASH_PARAMS;
+  const salt = crypto.randomBytes(16);
+  crypto.scrypt(String(password), salt, keyLength, { N, r, p }, (err, derivedKey) => {
+    if (err) return callback(err);
+    callback(null, ['scrypt', N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$'));
+  });
+}
+
+// [AUTH] Parse a stored `scrypt$N$r$p$salt$hash` value, or return null for plaintext rows.
+function parsePasswordHash(stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return null;
+
+  const [N, r, p] = parts.slice(1, 4).map((part) => Number.parseInt(part, 10));
+  const salt = Buffer.from(parts[4], 'base64');
+  const hash = Buffer.from(parts[5], 'base64');
+  if (![N, r, p].every((value) => Number.isFinite(value) && value > 0) || !salt.length || !hash.length) {
+    return null;
+  }
+  return { N, r, p, salt, hash };
+}
+
+// [AUTH] Constant-time password check; `needsRehash` flags hashes weaker than the current parameters.
+function verifyPassword(password, stored, callback) {
+  const parsed = parsePasswordHash(stored);
+  if (!parsed) {
+    // Legacy plaintext row the startup migration has not reached yet: compare digests, then rehash.
+    if (!stored) return callback(null, false, false);
+    const expected = crypto.createHash('sha256').update(String(stored)).digest();
+    const actual = crypto.createHash('sha256').update(String(password)).digest();
+    return callback(null, crypto.timingSafeEqual(expected, actual), true);
+  }
+
+  const { N, r, p, salt, hash } = parsed;
+  crypto.scrypt(String(password), salt, hash.length, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 }, (err, derivedKey) => {
+    if (err) return callback(err);
+
+    const matches = crypto.timingSafeEqual(derivedKey, hash);
+    const current = PASSWORD_HASH_PARAMS;
+    const needsRehash = N < current.N || r < current.r || p < current.p || hash.length < current.keyLength;
+    callback(null, matches, needsRehash);
+  });
+}
+
+// Compared against when the email is unknown so login timing does not reveal which accounts exist.
+let dummyPasswordHash = null;
+hashPassword(crypto.randomBytes(16).toString('hex'), (err, hashed) => {
+  if (!err) dummyPasswordHash = hashed;
+});
+
+// [AUTH] Rehash any plaintext passwords left from before hashing was introduced.
+function migratePlaintextPasswords() {
+  dbRead('all', `SELECT user_id, password FROM users WHERE password NOT LIKE 'scrypt$%'`, [], (err, rows) => {
+    if (err) return console.error('Failed to load plaintext passwords:', err.message);
+    if (!rows.length) return;
+
+    let remaining = rows.length;
+    rows.forEach((row) => {
+      hashPassword(row.password, (hashErr, hashed) => {
+        if (hashErr) {
+          console.error(`Failed to hash password for user ${row.user_id}:`, hashErr.message);
+        } else {
+          dbWrite(
+            `UPDATE users SET password = ? WHERE user_id = ? AND password = ?`,
+            [hashed, row.user_id, row.password],
+            (updateErr) => {
+              if (updateErr) console.error(`Failed to store password hash for user ${row.user_id}:`, updateErr.message);
+            }
+          );
+        }
+
+        remaining -= 1;
+        if (!remaining) console.log(`Migrated ${rows.length} plaintext password(s) to scrypt hashes.`);
+      });
+    });
+  });
+}
+
+// [FORMAT] Normalize a date or datetime input into SQLite's `YYYY-MM-DD HH:MM:SS` (UTC) form.
+function toSqlDateTime(rawValue) {
+  const value = String(rawValue || '').trim();
+  if (!value) return null;
+
+  const parsed = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value.replace(' ', 'T'));
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// [METER] Round unit quantities to avoid floating point drift (e.g. 50.50000000001).
+function roundUnits(value) {
+  return Math.round(Number(value) * 1000) / 1000;
+}
+
+// [METER] Units consumed since the previous reading, honouring rollover/replacement resets.
+function computeReadingConsumption(previous, reading) {
+  if (!previous) return { consumption: null };
+
+  const previousValue = Number(previous.reading_value);
+  if (reading.reset_type === 'rollover') {
+    // Register wrapped past its maximum; default capacity is the next power of ten above the last reading.
+    const digits = String(Math.floor(previousValue)).length;
+    const capacity = reading.rollover_max || 10 ** digits;
+    if (capacity <= previousValue) {
+      return { error: 'rollover_max must be greater than the previous reading' };
+    }
+    return { consumption: roundUnits((capacity - previousValue) + reading.reading_value) };
+  }
+  if (reading.reset_type === 'replacement') {
+    // New physical meter: consumption counts from the new meter's starting value.
+    if (reading.reading_value < reading.initial_value) {
+      return { error: 'reading_value cannot be lower than initial_value for a replacement meter' };
+    }
+    return { consumption: roundUnits(reading.reading_value - reading.initial_value) };
+  }
+  if (reading.reading_value < previousValue) {
+    return {
+      error: `Reading ${reading.reading_value} is lower than the previous reading ${previousValue}; set reset_type to rollover or replacement`
+    };
+  }
+  return { consumption: roundUnits(reading.reading_value - previousValue) };
+}
+
+// [FORMAT] Round currency amounts to satang (2 decimals).
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// [TARIFF] Validate tariff rate blocks: contiguous tiers from 0 per period, only the last one open-ended.
+function normalizeTariffRates(rawRates, pricingType) {
+  const input = Array.isArray(rawRates) ? rawRates : [];
+  if (!input.length) return { error: 'At least one rate block is required' };
+
+  const byPeriod = {};
+  for (const raw of input) {
+    const period = pricingType === 'time_of_use'
+      ? String(raw.period || '').trim().toLowerCase().replace(/[^a-z0-9_]/g, '_')
+      : null;
+    const fromUnits = Number.parseFloat(raw.from_units);
+    const toUnits = raw.to_units === null || raw.to_units === undefined || raw.to_units === ''
+      ? null
+      : Number.parseFloat(raw.to_units);
+    const rate = Number.parseFloat(raw.rate);
+
+    if (pricingType === 'time_of_use' && !period) {
+      return { error: 'Every time-of-use rate needs a period (for example peak or off_peak)' };
+    }
+    if (!Number.isFinite(fromUnits) || fromUnits < 0) return { error: 'from_units must be a non-negative number' };
+    if (toUnits !== null && (!Number.isFinite(toUnits) || toUnits <= fromUnits)) {
+      return { error: 'to_units must be greater than from_units' };
+    }
+    if (!Number.isFinite(rate) || rate < 0) return { error: 'rate must be a non-negative number' };
+
+    const key = period || '';
+    byPeriod[key] = byPeriod[key] || [];
+    byPeriod[key].push({ period, from_units: fromUnits, to_units: toUnits, rate });
+  }
+
+  const rates = [];
+  for (const blocks of Object.values(byPeriod)) {
+    blocks.sort((left, right) => left.from_units - right.from_units);
+    for (let index = 0; index < blocks.length; index += 1) {
+      const block = blocks[index];
+      const label = block.period ? ` for ${block.period}` : '';
+      if (index === 0 && block.from_units !== 0) return { error: `The first block${label} must start at 0 units` };
+      if (index > 0 && blocks[index - 1].to_units !== block.from_units) {
+        return { error: `Blocks${label} must be contiguous (gap or overlap at ${block.from_units} units)` };
+      }
+      if (block.to_units === null && index !== blocks.length - 1) {
+        return { error: `Only the last block${label} may be open-ended` };
+      }
+    }
+    rates.push(...blocks);
+  }
+  return { rates };
+}
+
+// [TARIFF] Price usage against a tariff and return the line-by-line breakdown.
+// `usage` is `{ units }` for tiered tariffs or `{ units_by_period: { peak, off_peak, ... } }` for time-of-use.
+function calculateTariffCharge(tariff, rates, usage) {
+  const lines = [];
+  const periods = [...new Set(rates.map((rate) => rate.period || ''))];
+  const usageByPeriod = {};
+
+  if (tariff.pricing_type === 'time_of_use') {
+    const provided = (usage && usage.units_by_period) || {};
+    for (const period of periods) {
+      const units = Number.parseFloat(provided[period]);
+      if (!Number.isFinite(units) || units < 0) {
+        return { error: `Time-of-use tariffs need non-negative units for every period (${periods.join(', ')})` };
+      }
+      usageByPeriod[period] = units;
+    }
+  } else {
+    const units = Number.parseFloat(usage && usage.units);
+    if (!Number.isFinite(units) || units < 0) return { error: 'units must be a non-negative number' };
+    usageByPeriod[''] = units;
+  }
+
+  let energyTotal = 0;
+  for (const period of periods) {
+    const units = usageByPeriod[period];
+    rates
+      .filter((rate) => (rate.period || '') === period)
+      .forEach((rate) => {
+        const upper = rate.to_units === null ? Infinity : rate.to_units;
+        const quantity = roundUnits(Math.max(0, Math.min(units, upper) - rate.from_units));
+        if (!quantity) return;
+
+        const range = rate.to_units === null ? `${rate.from_units}+` : `${rate.from_units}-${rate.to_units}`;
+        const amount = roundMoney(quantity * rate.rate);
+        energyTotal += amount;
+        lines.push({
+          type: 'usage',
+          description: `${period ? `${period.replace(/_/g, ' ')} ` : ''}units ${range}`,
+          quantity,
+          rate: rate.rate,
+          amount
+        });
+      });
+  }
+
+  const serviceCharge = roundMoney(tariff.service_charge || 0);
+  if (serviceCharge) {
+    lines.push({ type: 'service', description: 'Service charge', quantity: 1, rate: serviceCharge, amount: serviceCharge });
+  }
+
+  let subtotal = roundMoney(energyTotal + serviceCharge);
+  const minimumCharge = roundMoney(tariff.minimum_charge || 0);
+  if (minimumCharge && subtotal < minimumCharge) {
+    const adjustment = roundMoney(minimumCharge - subtotal);
+    lines.push({ type: 'minimum', description: 'Minimum charge adjustment', quantity: 1, rate: adjustment, amount: adjustment });
+    subtotal = minimumCharge;
+  }
+
+  const vatRate = Number(tariff.vat_rate) || 0;
+  const vatAmount = vatRate ? roundMoney(subtotal * vatRate / 100) : 0;
+  if (vatAmount) {
+    lines.push({ type: 'vat', description: `VAT ${vatRate}%`, quantity: 1, rate: vatAmount, amount: vatAmount });
+  }
+
+  return {
+    tariff_id: tariff.tariff_id || null,
+    tariff_name: tariff.name,
+    tariff_version: tariff.version || null,
+    units: tariff.pricing_type === 'time_of_use' ? usageByPeriod : usageByPeriod[''],
+    lines,
+    subtotal,
+    vat_amount: vatAmount,
+    total: roundMoney(subtotal + vatAmount)
+  };
+}
+
+// ==========================
+// CONNECT DATABASE
+// ==========================
+const db = new sqlite3.Database("./Database/utility.db");
+
+db.run("PRAGMA foreign_keys = ON");
+
+// [SYSTEM] Insert the default admin and user accounts when missing, then hash their passwords.
+async function seedDefaultUsers() {
+  const seeds = [
+    ['System Administrator', 'opterapat@local', 'opterapat', null, 'admin'],
+    ['Normal User', 'user@local', 'user123', null, 'user']
+  ];
+  for (const seed of seeds) {
+    await dbRun(
+      `INSERT INTO users (name,email,password,phone,role)
+       SELECT ?,?,?,?,?
+       WHERE NOT EXISTS (SELECT 1 FROM users WHERE lower(email) = lower(?))`,
+      [...seed, seed[1]]
+    );
+  }
+  // Seeds are inserted as plaintext and hashed together with any legacy rows.
+  migratePlaintextPasswords();
+}
+
+// ==========================
+// GENERIC CRUD FUNCTION
+// ==========================
+
+// [CRUD] Move one row to the trash (sets deleted_at/deleted_by) and audit it; purging is a separate step.
+function softDeleteById(table, idField, id, res, req) {
+  withTransaction(async () => {
+    const before = await dbGet(`SELECT * FROM ${table} WHERE ${idField} = ? AND deleted_at IS NULL`, [id]);
+    if (!before) return 0;
+    await dbRun(
+      `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE ${idField} = ?`,
+      [req.auth.user_id, id]
+    );
+    await recordAudit(req, {
+      action: 'delete',
+      entity_type: AUDIT_ENTITY_TYPES[table],
+      entity_id: id,
+      before,
+      after: await dbGet(`SELECT * FROM ${table} WHERE ${idField} = ?`, [id])
+    });
+    return 1;
+  })
+    .then((deleted) => res.json({ deleted }))
+    .catch((err) => sendServerError(res, err));
+}
+
+// All requests share one connection, so every statement goes through one queue: a transaction holds it from
+// BEGIN to COMMIT, and reads and writes from anywhere else wait instead of seeing (or landing inside) its
+// uncommitted changes.
+const transactionScope = new AsyncLocalStorage();
+let connectionQueue = Promise.resolve();
+
+// [CRUD] Run `task` once every statement queued before it has finished.
+function enqueueStatement(task) {
+  const queued = connectionQueue.then(task);
+  connectionQueue = queued.catch(() => {});
+  return queued;
+}
+
+// [CRUD] True while the caller is inside the work of an open transaction.
+function inTransaction() {
+  const scope = transactionScope.getStore();
+  return Boolean(scope && scope.open);
+}
+
+// [CRUD] Run `task` on the connection: straight away inside an open transaction (it already holds the queue),
+// otherwise in the queue.
+function onConnection(task) {
+  return inTransaction() ? task() : enqueueStatement(task);
+}
+
+// [CRUD] Promise wrappers for multi-step flows.
+function dbGet(sql, params = []) {
+  return onConnection(() => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  }));
+}
+
+function dbAll(sql, params = []) {
+  return onConnection(() => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  }));
+}
+
+function runStatement(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function dbRun(sql, params = []) {
+  return onConnection(() => runStatement(sql, params));
+}
+
+// [CRUD] Queued `db.get`/`db.all` for callback-style handlers: `dbRead('get', sql, params, (err, row) => ...)`.
+function dbRead(method, sql, params, callback) {
+  (method === 'all' ? dbAll : dbGet)(sql, params).then((result) => callback(null, result), callback);
+}
+
+// [CRUD] Queued `db.run` for callback-style handlers; the callback gets `lastID`/`changes` on `this`.
+function dbWrite(sql, params, callback) {
+  dbRun(sql, params).then(
+    (result) => callback && callback.call(result, null),
+    (err) => (callback ? callback(err) : console.error('Database write failed:', err.message))
+  );
+}
+
+// [CRUD] Run `work` inside BEGIN/COMMIT, rolling back if it throws. Transactions wait their turn in the
+// connection queue; one started inside another's work joins it.
+function withTransaction(work) {
+  if (inTransaction()) return work();
+
+  return enqueueStatement(() => {
+    const scope = { open: true };
+    return transactionScope.run(scope, async () => {
+      try {
+        await runStatement("BEGIN IMMEDIATE TRANSACTION");
+        try {
+          const result = await work();
+          await runStatement("COMMIT");
+          return result;
+        } catch (err) {
+          await runStatement("ROLLBACK").catch(() => {});
+          throw err;
+        }
+      } finally {
+        // Callbacks started by `work` that outlive it queue like any other write.
+        scope.open = false;
+      }
+    });
+  });
+}
+
+// ==========================
+// ERROR RESPONSES & VALIDATION
+// ==========================
+// Every failed request answers `{ error: { code, message, fields } }`. `fields` maps input names to messages
+// for validation failures and is null otherwise. Database errors are logged, never sent to the client.
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthenticated',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  500: 'internal_error',
+  502: 'bad_gateway'
+};
+
+// [ERROR] Build an error body; `details` may set `code` and `fields`, anything else is passed through (e.g. `bill_ids`).
+function errorBody(status, message, details = {}) {
+  const { code, fields = null, ...extra } = details;
+  return {
+    error: {
+      code: code || (fields ? 'validation_failed' : ERROR_CODES[status] || 'error'),
+      message,
+      fields,
+      ...extra
+    }
+  };
+}
+
+// [ERROR] Send an error response in the standard shape.
+function sendError(res, status, message, details) {
+  return res.status(status).json(errorBody(status, message, details));
+}
+
+// [ERROR] 400 for one or more invalid fields; the message lists every field problem.
+function sendValidationError(res, fields) {
+  return sendError(res, 400, Object.values(fields).join('; '), { fields });
+}
+
+// [ERROR] Log an unexpected failure and answer without its details; constraint violations become a 409.
+function sendServerError(res, err) {
+  if (String((err && err.code) || '').startsWith('SQLITE_CONSTRAINT')) {
+    return sendError(res, 409, 'The change conflicts with existing data', { code: 'constraint_failed' });
+  }
+  console.error('API request failed:', err);
+  return sendError(res, 500, 'Something went wrong on the server');
+}
+
+// [ERROR] True when `err` is a UNIQUE constraint failure on `table.column`.
+function isUniqueViolation(err, table, column) {
+  return String((err && err.code) || '') === 'SQLITE_CONSTRAINT'
+    && String(err.message || '').includes(`UNIQUE constraint failed: ${table}.${column}`);
+}
+
+// [ERROR] 400 naming the constraint a write broke (foreign key, CHECK, NOT NULL...), without the SQLite prefix.
+function sendConstraintError(res, err) {
+  const cause = String(err.message || '').replace(/^SQLITE_CONSTRAINT:\s*/, '');
+  return sendError(res, 400, `The change was rejected: ${cause}`, { code: 'constraint_failed' });
+}
+
+// [VALIDATION] True for a real calendar date in YYYY-MM-DD form.
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+// [VALIDATION] Check one value against its rule; resolves to `{ value }` or `{ error }`.
+// Types: string, email, id (positive integer), integer, number, date (YYYY-MM-DD), month (YYYY-MM, a full date is
+// accepted), datetime (stored as SQLite UTC text), boolean (true/false, 1/0, yes/no, on/off) and enum (`values`).
+// Blank values are null or `default` unless `required`. `min`/`max` bound numbers, `above` is an exclusive lower
+// bound, `maxLength` caps strings.
+function validateField(name, raw, rule) {
+  const text = raw === undefined || raw === null ? '' : String(raw).trim();
+  if (typeof raw === 'object' && raw !== null) return { error: `${name} must be a single value` };
+  if (!text) {
+    if (rule.required) return { error: `${name} is required` };
+    return { value: rule.default === undefined ? null : rule.default };
+  }
+
+  let value = text;
+  switch (rule.type) {
+    case 'id':
+      if (!/^\d+$/.test(text) || Number(text) < 1) return { error: `${name} must be a positive integer` };
+      value = Number(text);
+      break;
+    case 'integer':
+      if (!/^-?\d+$/.test(text)) return { error: `${name} must be a whole number` };
+      value = Number(text);
+      break;
+    case 'number':
+      value = Number(text);
+      if (!Number.isFinite(value)) return { error: `${name} must be a number` };
+      break;
+    case 'date':
+      if (!isIsoDate(text)) return { error: `${name} must be a date (YYYY-MM-DD)` };
+      break;
+    case 'month':
+      if (!isIsoDate(/^\d{4}-\d{2}$/.test(text) ? `${text}-01` : text)) return { error: `${name} must be a month (YYYY-MM)` };
+      value = text.slice(0, 7);
+      break;
+    case 'datetime':
+      value = toSqlDateTime(text);
+      if (!value) return { error: `${name} must be a valid date or datetime` };
+      break;
+    case 'email':
+      value = text.toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+$/.test(value)) return { error: `${name} must be an email address` };
+      break;
+    case 'boolean':
+      value = text.toLowerCase();
+      if (!['true', 'false', '1', '0', 'yes', 'no', 'on', 'off'].includes(value)) return { error: `${name} must be true or false` };
+      value = ['true', '1', 'yes', 'on'].includes(value);
+      break;
+    case 'enum':
+      value = text.toLowerCase();
+      if (!rule.values.includes(value)) return { error: `${name} must be one of: ${rule.values.join(', ')}` };
+      break;
+    default:
+      // Strings keep their surrounding whitespace only when asked to (passwords).
+      value = rule.trim === false ? String(raw) : text;
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return { error: `${name} must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `${name} must be at most ${rule.max}` };
+    if (rule.above !== undefined && value <= rule.above) return { error: `${name} must be greater than ${rule.above}` };
+  } else if (rule.maxLength && value.length > rule.maxLength) {
+    return { error: `${name} must be at most ${rule.maxLength} characters` };
+  }
+  return { value };
+}
+
+// [VALIDATION] Validate an input object against `{ fields: { name: rule }, checks: [...] }`.
+// Checks (`{ field, message, test(value) }`) compare fields with each other and only run once every field is valid.
+// Resolves to `{ value }` with the normalized fields, or `{ fields }` mapping names to messages.
+function validateInput(input, schema) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const fields = {};
+
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const result = validateField(name, source[name], rule);
+    if (result.error) fields[name] = result.error;
+    else value[name] = result.value;
+  }
+  if (!Object.keys(fields).length) {
+    for (const check of schema.checks || []) {
+      if (!fields[check.field] && !check.test(value)) fields[check.field] = check.message;
+    }
+  }
+  return Object.keys(fields).length ? { fields } : { value };
+}
+
+// [VALIDATION] Middleware: validate `req.body` into `req.input`, or answer 400 with the field errors.
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, fields } = validateInput(req.body, schema);
+    if (fields) return sendValidationError(res, fields);
+    req.input = value;
+    next();
+  };
+}
+
+// ==========================
+// LIST QUERY HELPERS
+// ==========================
+
+const LIST_MAX_LIMIT = 500;
+
+// [CRUD] Parse the shared list parameters into WHERE/ORDER BY parts, or `{ error }` for a 400.
+// `spec` lists what one route supports: `filters` (param -> condition with one `?`), `statuses`
+// (value -> condition, `status` may be comma-separated), `dateColumn` for from/to, `search` columns for `q`,
+// and `sort` (name -> column, the first is the default) with `idColumn` as tie-breaker.
+// Without `limit` every matching row is returned.
+function parseListQuery(query, spec) {
+  const q = query || {};
+  const where = [];
+  const params = [];
+
+  for (const [name, condition] of Object.entries(spec.filters || {})) {
+    const raw = String(q[name] ?? '').trim();
+    if (!raw) continue;
+    if (!/^\d+$/.test(raw) || Number(raw) < 1) return { error: `${name} must be a positive integer` };
+    where.push(condition);
+    params.push(Number(raw));
+  }
+
+  const statuses = String(q.status ?? '').split(',').map((value) => value.trim()).filter(Boolean);
+  if (statuses.length && spec.statuses) {
+    const unknown = statuses.find((value) => !spec.statuses[value]);
+    if (unknown) return { error: `status must be one of: ${Object.keys(spec.statuses).join(', ')}` };
+    where.push(`(${statuses.map((value) => spec.statuses[value]).join(' OR ')})`);
+  }
+
+  const from = String(q.from ?? '').trim();
+  const to = String(q.to ?? '').trim();
+  if (spec.dateColumn && (from || to)) {
+    if ([from, to].some((value) => value && !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+      return { error: 'from and to must be dates (YYYY-MM-DD)' };
+    }
+    if (from) {
+      where.push(`date(${spec.dateColumn}) >= date(?)`);
+      params.push(from);
+    }
+    if (to) {
+      where.push(`date(${spec.dateColumn}) <= date(?)`);
+      params.push(to);
+    }
+  }
+
+  const search = String(q.q ?? '').trim();
+  if (search && spec.search) {
+    where.push(`(${spec.search.map((column) => `${column} LIKE ?`).join(' OR ')})`);
+    spec.search.forEach(() => params.push(`%${search}%`));
+  }
+
+  const sortNames = Object.keys(spec.sort);
+  const sort = String(q.sort ?? '').trim() || sortNames[0];
+  if (!spec.sort[sort]) return { error: `sort must be one of: ${sortNames.join(', ')}` };
+  const order = String(q.order ?? '').trim().toLowerCase() || 'asc';
+  if (order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+
+  const rawLimit = String(q.limit ?? '').trim();
+  const rawOffset = String(q.offset ?? '').trim();
+  if (rawLimit && (!/^\d+$/.test(rawLimit) || Number(rawLimit) < 1 || Number(rawLimit) > LIST_MAX_LIMIT)) {
+    return { error: `limit must be between 1 and ${LIST_MAX_LIMIT}` };
+  }
+  if (rawOffset && !/^\d+$/.test(rawOffset)) return { error: 'offset must be a non-negative integer' };
+
+  return {
+    where,
+    params,
+    orderBy: `${spec.sort[sort]} ${order.toUpperCase()}, ${spec.idColumn} ${order.toUpperCase()}`,
+    limit: rawLimit ? Number(rawLimit) : -1,
+    offset: rawOffset ? Number(rawOffset) : 0
+  };
+}
+
+// [CRUD] Count the matches into `X-Total-Count`, then load one ordered page.
+// `fromSql` is everything between SELECT's column list and WHERE (tables and joins).
+async function queryList(res, list, { select, fromSql, where = [], params = [] }) {
+  const conditions = [...where, ...list.where];
+  const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const allParams = [...params, ...list.params];
+
+  const { total } = await dbGet(`SELECT COUNT(*) AS total FROM ${fromSql} ${whereSql}`, allParams);
+  res.set('X-Total-Count', String(total));
+  return dbAll(
+    `SELECT ${select} FROM ${fromSql} ${whereSql} ORDER BY ${list.orderBy} LIMIT ? OFFSET ?`,
+    [...allParams, list.limit, list.offset]
+  );
+}
+
+// ==========================
+// AUDIT LOG HELPERS
+// ==========================
+
+const AUDIT_ENTITY_TYPES = { users: 'user', utilities: 'utility', meters: 'meter', bills: 'bill' };
+// Secrets never go into audit snapshots.
+const AUDIT_REDACTED_FIELDS = new Set(['password', 'key_hash', 'token_hash', 'secret']);
+
+// [AUDIT] Serialize a before/after snapshot, dropping secret columns.
+function auditSnapshot(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value, (key, field) => (AUDIT_REDACTED_FIELDS.has(key) ? undefined : field));
+}
+
+// [AUDIT] Append one audit event. The actor comes from `req.auth` (or `event.actor`); no request means the scheduler.
+function recordAudit(req, event) {
+  const actor = event.actor || (req && req.auth) || null;
+  const via = actor ? (actor.via || 'session') : (event.via || (req ? 'anonymous' : 'system'));
+  return dbRun(
+    `INSERT INTO audit_events (actor_user_id,actor_name,actor_role,actor_via,action,entity_type,entity_id,before_json,after_json,ip_address)
+     VALUES (?,?,?,?,?,?,?,?,?,?)`,
+    [
+      actor ? actor.user_id : null,
+      actor ? actor.name : null,
+      actor ? normalizeUserRole(actor.role) : null,
+      via,
+      event.action,
+      event.entity_type,
+      event.entity_id === undefined || event.entity_id === null ? null : String(event.entity_id),
+      auditSnapshot(event.before),
+      auditSnapshot(event.after),
+      req ? String(req.ip || '').slice(0, 64) || null : null
+    ]
+  );
+}
+
+// ==========================
+// API AUTHENTICATION
+// ==========================
+
+// [AUTH] Resolve the bearer token (session token or API key) into `req.auth`.
+function resolveApiCaller(req, res, next) {
+  req.auth = null;
+  const token = readBearerToken(req);
+  if (!token) return next();
+
+  const isApiKey = token.startsWith(API_KEY_PREFIX);
+  const sql = isApiKey
+    ? `SELECT k.api_key_id AS credential_id, u.user_id, u.name, u.role
+       FROM api_keys k
+       JOIN users u ON u.user_id = k.user_id
+       WHERE k.key_hash = ? AND k.revoked_at IS NULL AND u.deleted_at IS NULL`
+    : `SELECT s.session_id AS credential_id, u.user_id, u.name, u.role
+       FROM sessions s
+       JOIN users u ON u.user_id = s.user_id
+       WHERE s.token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > datetime('now')
+         AND u.deleted_at IS NULL`;
+
+  dbRead('get', sql, [hashToken(token)], (err, row) => {
+    if (err) return sendServerError(res, err);
+    if (!row) return sendError(res, 401, 'Invalid or expired credentials');
+
+    const touchSql = isApiKey
+      ? `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE api_key_id = ?`
+      : `UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE session_id = ?`;
+    dbWrite(touchSql, [row.credential_id]);
+
+    req.auth = {
+      user_id: row.user_id,
+      name: row.name,
+      role: normalizeUserRole(row.role),
+      via: isApiKey ? 'api_key' : 'session',
+      credential_id: row.credential_id
+    };
+    next();
+  });
+}
+
+// [AUTH] Middleware: require an authenticated API caller.
+function requireApiAuth(req, res, next) {
+  if (req.auth) return next();
+  return sendError(res, 401, 'Authentication required');
+}
+
+// [AUTH] Middleware: require an administrator API caller.
+function requireApiAdmin(req, res, next) {
+  if (!req.auth) return sendError(res, 401, 'Authentication required');
+  if (req.auth.role === 'admin') return next();
+  return sendError(res, 403, 'Administrator access is required');
+}
+
+// [AUTH] True when the API caller is an administrator.
+function isAdminCaller(req) {
+  return !!req.auth && req.auth.role === 'admin';
+}
+
+app.use(resolveApiCaller);
+
+// ==========================
+// USERS ROUTES
+// ==========================
+const USER_LIST_SPEC = {
+  filters: { user_id: 'user_id = ?' },
+  statuses: { admin: "role = 'admin'", user: "role = 'user'" },
+  dateColumn: 'created_at',
+  search: ['name', 'email', 'phone'],
+  sort: { user_id: 'user_id', name: 'lower(name)', email: 'lower(email)', role: 'role', created_at: 'created_at' },
+  idColumn: 'user_id'
+};
+
+const USER_FIELDS = {
+  name: { type: 'string', required: true, maxLength: 120 },
+  email: { type: 'email', required: true, maxLength: 120 },
+  phone: { type: 'string', maxLength: 40 }
+};
+const USER_CREATE_SCHEMA = {
+  fields: {
+    ...USER_FIELDS,
+    password: { type: 'string', required: true, trim: false, maxLength: 200 },
+    role: { type: 'enum', values: [...ALLOWED_USER_ROLES], default: 'user' }
+  }
+};
+// Without `role` the current role is kept.
+const USER_UPDATE_SCHEMA = {
+  fields: { ...USER_FIELDS, role: { type: 'enum', values: [...ALLOWED_USER_ROLES] } }
+};
+const LOGIN_SCHEMA = {
+  fields: {
+    email: { type: 'string', required: true, maxLength: 120 },
+    password: { type: 'string', required: true, trim: false }
+  }
+};
+const API_KEY_SCHEMA = { fields: { name: { type: 'string', required: true, maxLength: 80 } } };
+
+// [USER] True when a database error is the unique index on users.email.
+function isDuplicateEmailError(err) {
+  return String((err && err.message) || '').toLowerCase().includes('unique constraint failed: users.email');
+}
+
+// [USER] List users (safe fields only, admin only). Paging, filters and sort: see parseListQuery;
+// `status` is the role and `q` searches name, email and phone.
+app.get('/users', requireApiAdmin, async (req, res) => {
+  const list = parseListQuery(req.query, USER_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    res.json(await queryList(res, list, {
+      select: 'user_id, name, email, phone, role, created_at',
+      fromSql: 'users',
+      where: ['deleted_at IS NULL']
+    }));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [USER] Get one user by id (safe fields only, admin or self).
+app.get('/users/:id', requireApiAuth, (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 403, 'You can only view your own profile');
+  }
+
+  dbRead('get',
+    `SELECT user_id, name, email, phone, role, created_at
+     FROM users
+     WHERE user_id = ? AND deleted_at IS NULL`,
+    [req.params.id],
+    (err, row) => {
+      if (err) return sendServerError(res, err);
+      if (!row) return sendError(res, 404, "Not found");
+      res.json(row);
+    }
+  );
+});
+
+// [AUTH] Validate credentials and return login payload.
+app.post('/auth/login', validateBody(LOGIN_SCHEMA), (req, res) => {
+  const email = req.input.email.toLowerCase();
+  const { password } = req.input;
+
+  dbRead('get',
+    `SELECT user_id, name, email, phone, password, role FROM users WHERE lower(email) = lower(?) AND deleted_at IS NULL`,
+    [email],
+    (err, row) => {
+      if (err) return sendServerError(res, err);
+
+      verifyPassword(password, row ? row.password : dummyPasswordHash, (verifyErr, matches, needsRehash) => {
+        if (verifyErr) return sendError(res, 500, 'Unable to verify password');
+        if (!row || !matches) {
+          return sendError(res, 401, 'Invalid email or password');
+        }
+
+        if (needsRehash) {
+          hashPassword(password, (hashErr, hashed) => {
+            if (hashErr) return console.error(`Failed to rehash password for user ${row.user_id}:`, hashErr.message);
+            dbWrite(`UPDATE users SET password = ? WHERE user_id = ?`, [hashed, row.user_id]);
+          });
+        }
+
+        startSession(row, req, res);
+      });
+    }
+  );
+});
+
+// [SESSION] Create a session for an authenticated user and send the login payload.
+function startSession(row, req, res) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  // Taken from the request only, never the body, so a client cannot choose what its session and audit record show.
+  const userAgent = String(req.get('user-agent') || '').slice(0, 255) || null;
+  const ipAddress = String(req.ip || '').slice(0, 64) || null;
+
+  withTransaction(async () => {
+    const session = await dbRun(
+      `INSERT INTO sessions (token_hash,user_id,user_agent,ip_address,expires_at)
+       VALUES (?,?,?,?,datetime('now', ?))`,
+      [hashToken(token), row.user_id, userAgent, ipAddress, `+${Math.floor(SESSION_TTL_MS / 1000)} seconds`]
+    );
+    await recordAudit(req, {
+      actor: { ...row, via: 'session' },
+      action: 'login',
+      entity_type: 'session',
+      entity_id: session.lastID,
+      after: { user_id: row.user_id, user_agent: userAgent, ip_address: ipAddress }
+    });
+    return session.lastID;
+  })
+    .then((sessionId) => res.json({
+      user: {
+        user_id: row.user_id,
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        role: normalizeUserRole(row.role)
+      },
+      session: {
+        session_id: sessionId,
+        token,
+        max_age_seconds: Math.floor(SESSION_TTL_MS / 1000)
+      }
+    }))
+    .catch((err) => sendServerError(res, err));
+}
+
+// [SESSION] Resolve the bearer session token into its user and role.
+app.get('/auth/session', requireApiAuth, (req, res) => {
+  const token = readBearerToken(req);
+  if (!token) return sendError(res, 401, 'Session token is required');
+
+  dbRead('get',
+    `SELECT s.session_id, s.created_at, s.last_seen_at, s.expires_at,
+            u.user_id, u.name, u.email, u.phone, u.role
+     FROM sessions s
+     JOIN users u ON u.user_id = s.user_id
+     WHERE s.token_hash = ?
+       AND s.revoked_at IS NULL
+       AND s.expires_at > datetime('now')
+       AND u.deleted_at IS NULL`,
+    [hashToken(token)],
+    (err, row) => {
+      if (err) return sendServerError(res, err);
+      if (!row) return sendError(res, 401, 'Session is invalid or expired');
+
+      dbWrite(`UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE session_id = ?`, [row.session_id]);
+      res.json({
+        user: {
+          user_id: row.user_id,
+          name: row.name,
+          email: row.email,
+          phone: row.phone,
+          role: normalizeUserRole(row.role)
+        },
+        session: {
+          session_id: row.session_id,
+          created_at: row.created_at,
+          last_seen_at: row.last_seen_at,
+          expires_at: row.expires_at
+        }
+      });
+    }
+  );
+});
+
+// [SESSION] Revoke the bearer session (logout).
+app.delete('/auth/session', requireApiAuth, (req, res) => {
+  const token = readBearerToken(req);
+  if (!token) return sendError(res, 401, 'Session token is required');
+
+  withTransaction(async () => {
+    const result = await dbRun(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND revoked_at IS NULL`,
+      [hashToken(token)]
+    );
+    if (result.changes) {
+      await recordAudit(req, { action: 'logout', entity_type: 'session', entity_id: req.auth.credential_id });
+    }
+    return result.changes;
+  })
+    .then((revoked) => res.json({ revoked }))
+    .catch((err) => sendServerError(res, err));
+});
+
+// [SESSION] List active sessions that belong to the bearer session's user.
+app.get('/auth/sessions', requireApiAuth, (req, res) => {
+  const token = readBearerToken(req);
+  if (!token) return sendError(res, 401, 'Session token is required');
+
+  const tokenHash = hashToken(token);
+  dbRead('all',
+    `SELECT s.session_id, s.user_agent, s.ip_address, s.created_at, s.last_seen_at, s.expires_at,
+            CASE WHEN s.token_hash = ? THEN 1 ELSE 0 END AS is_current
+     FROM sessions s
+     WHERE s.user_id = (SELECT user_id FROM sessions WHERE token_hash = ? AND revoked_at IS NULL)
+       AND s.revoked_at IS NULL
+       AND s.expires_at > datetime('now')
+     ORDER BY s.last_seen_at DESC`,
+    [tokenHash, tokenHash],
+    (err, rows) => {
+      if (err) return sendServerError(res, err);
+      res.json(rows.map((row) => ({ ...row, is_current: !!row.is_current })));
+    }
+  );
+});
+
+// [SESSION] Revoke one of the bearer user's sessions (`others` revokes every session but the current one).
+app.delete('/auth/sessions/:id', requireApiAuth, (req, res) => {
+  const token = readBearerToken(req);
+  if (!token) return sendError(res, 401, 'Session token is required');
+
+  const tokenHash = hashToken(token);
+  const revokeOthers = req.params.id === 'others';
+  const sql = revokeOthers
+    ? `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = (SELECT user_id FROM sessions WHERE token_hash = ? AND revoked_at IS NULL)
+         AND token_hash <> ?
+         AND revoked_at IS NULL`
+    : `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = (SELECT user_id FROM sessions WHERE token_hash = ? AND revoked_at IS NULL)
+         AND session_id = ?
+         AND revoked_at IS NULL`;
+
+  withTransaction(async () => {
+    const result = await dbRun(sql, [tokenHash, revokeOthers ? tokenHash : req.params.id]);
+    if (result.changes) {
+      await recordAudit(req, {
+        action: 'revoke',
+        entity_type: 'session',
+        entity_id: revokeOthers ? null : req.params.id,
+        after: revokeOthers ? { revoked_other_sessions: result.changes } : null
+      });
+    }
+    return result.changes;
+  })
+    .then((revoked) => {
+      if (!revokeOthers && !revoked) return sendError(res, 404, 'Session not found');
+      res.json({ revoked });
+    })
+    .catch((err) => sendServerError(res, err));
+});
+
+// [AUTH] List the caller's API keys (the secret itself is never returned again).
+app.get('/auth/api-keys', requireApiAuth, (req, res) => {
+  dbRead('all',
+    `SELECT api_key_id, name, key_prefix, created_at, last_used_at
+     FROM api_keys
+     WHERE user_id = ? AND revoked_at IS NULL
+     ORDER BY api_key_id DESC`,
+    [req.auth.user_id],
+    (err, rows) => {
+      if (err) return sendServerError(res, err);
+      res.json(rows);
+    }
+  );
+});
+
+// [AUTH] Create an API key for the caller; the key is returned only in this response.
+app.post('/auth/api-keys', requireApiAuth, (req, res) => {
+  if (req.auth.via !== 'session') {
+    return sendError(res, 403, 'API keys can only be created from a signed-in session');
+  }
+
+  const { value, fields } = validateInput(req.body, API_KEY_SCHEMA);
+  if (fields) return sendValidationError(res, fields);
+  const { name } = value;
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const keyPrefix = key.slice(0, API_KEY_PREFIX.length + 6);
+  withTransaction(async () => {
+    const result = await dbRun(
+      `INSERT INTO api_keys (user_id,name,key_prefix,key_hash) VALUES (?,?,?,?)`,
+      [req.auth.user_id, name, keyPrefix, hashToken(key)]
+    );
+    await recordAudit(req, {
+      action: 'create',
+      entity_type: 'api_key',
+      entity_id: result.lastID,
+      after: { api_key_id: result.lastID, user_id: req.auth.user_id, name, key_prefix: keyPrefix }
+    });
+    return result.lastID;
+  })
+    .then((apiKeyId) => res.json({ api_key_id: apiKeyId, name, key_prefix: keyPrefix, key }))
+    .catch((err) => sendServerError(res, err));
+});
+
+// [AUTH] Revoke one of the caller's API keys.
+app.delete('/auth/api-keys/:id', requireApiAuth, (req, res) => {
+  withTransaction(async () => {
+    const result = await dbRun(
+      `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+       WHERE api_key_id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [req.params.id, req.auth.user_id]
+    );
+    if (result.changes) {
+      await recordAudit(req, { action: 'revoke', entity_type: 'api_key', entity_id: req.params.id });
+    }
+    return result.changes;
+  })
+    .then((revoked) => {
+      if (!revoked) return sendError(res, 404, 'API key not found');
+      res.json({ revoked });
+    })
+    .catch((err) => sendServerError(res, err));
+});
+
+// [USER] Create a user with role normalization and duplicate checks (open for self-registration as `user`).
+app.post('/users', validateBody(USER_CREATE_SCHEMA), (req, res) => {
+  const { name, email, password, phone } = req.input;
+  const role = isAdminCaller(req) ? req.input.role : 'user';
+
+  hashPassword(password, (hashErr, passwordHash) => {
+    if (hashErr) return sendError(res, 500, 'Unable to hash password');
+
+    withTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO users (name,email,password,phone,role) VALUES (?,?,?,?,?)`,
+        [name, email, passwordHash, phone, role]
+      );
+      const userId = result.lastID;
+      await recordAudit(req, {
+        action: 'create',
+        entity_type: 'user',
+        entity_id: userId,
+        after: { user_id: userId, name, email, phone, role }
+      });
+      await queueWebhookEvent('user.created', () => loadWebhookUser(userId));
+      return userId;
+    })
+      .then((userId) => res.json({ user_id: userId, role }))
+      .catch((err) => {
+        if (isDuplicateEmailError(err)) {
+          return sendError(res, 409, 'Email already exists', { code: 'conflict', fields: { email: 'Email already exists' } });
+        }
+        sendServerError(res, err);
+      });
+  });
+});
+
+// [USER] Update user profile (admin or self) and role (admin only).
+app.put('/users/:id', requireApiAuth, (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 403, 'You can only update your own profile');
+  }
+
+  const { value, fields } = validateInput(req.body, USER_UPDATE_SCHEMA);
+  if (fields) return sendValidationError(res, fields);
+  const { name, email, phone } = value;
+  const role = isAdminCaller(req) ? value.role : null;
+
+  const selectUser = `SELECT user_id, name, email, phone, role FROM users WHERE user_id = ?`;
+  withTransaction(async () => {
+    const before = await dbGet(selectUser, [req.params.id]);
+    const result = await dbRun(
+      `UPDATE users SET name=?, email=?, phone=?, role=COALESCE(?, role) WHERE user_id=? AND deleted_at IS NULL`,
+      [name, email, phone, role, req.params.id]
+    );
+    if (result.changes) {
+      const after = await dbGet(selectUser, [req.params.id]);
+      await recordAudit(req, {
+        action: before.role !== after.role ? 'update_role' : 'update',
+        entity_type: 'user',
+        entity_id: req.params.id,
+        before,
+        after
+      });
+    }
+    return result.changes;
+  })
+    .then((updated) => res.json({ updated }))
+    .catch((err) => {
+      if (isDuplicateEmailError(err)) {
+        return sendError(res, 409, 'Email already exists', { code: 'conflict', fields: { email: 'Email already exists' } });
+      }
+      sendServerError(res, err);
+    });
+});
+
+// [USER] Move a user to the trash; their meters and bills are hidden with them until restored.
+app.delete('/users/:id', requireApiAdmin, (req, res) =>
+  softDeleteById('users', 'user_id', req.params.id, res, req)
+);
+
+// ==========================
+// UTILITIES ROUTES
+// ==========================
+const UTILITY_SCHEMA = { fields: { utility_name: { type: 'string', required: true, maxLength: 120 } } };
+
+// [UTILITY] Get all utilities.
+app.get('/utilities', requireApiAuth, (req, res) => {
+  dbRead('all', `SELECT * FROM utilities WHERE deleted_at IS NULL`, [], (err, rows) => {
+    if (err) return sendServerError(res, err);
+    res.json(rows);
+  });
+});
+
+// [UTILITY] Create utility.
+app.post('/utilities', requireApiAdmin, validateBody(UTILITY_SCHEMA), (req, res) => {
+  const { utility_name: utilityName } = req.input;
+  withTransaction(async () => {
+    const result = await dbRun(`INSERT INTO utilities (utility_name) VALUES (?)`, [utilityName]);
+    await recordAudit(req, {
+      action: 'create',
+      entity_type: 'utility',
+      entity_id: result.lastID,
+      after: { utility_id: result.lastID, utility_name: utilityName }
+    });
+    return result.lastID;
+  })
+    .then((utilityId) => res.json({ utility_id: utilityId }))
+    .catch((err) => sendServerError(res, err));
+});
+
+// [UTILITY] Move a utility to the trash; refused while live meters still use it.
+app.delete('/utilities/:id', requireApiAdmin, (req, res) => {
+  dbRead('get',
+    `SELECT COUNT(*) AS total FROM meters m WHERE m.utility_id = ? AND ${LIVE_METER_SQL}`,
+    [req.params.id],
+    (err, row) => {
+      if (err) return sendServerError(res, err);
+      if (row.total) {
+        return sendError(res, 409, `Utility is still used by ${row.total} meter(s)`);
+      }
+      softDeleteById('utilities', 'utility_id', req.params.id, res, req);
+    }
+  );
+});
+
+// ==========================
+// TARIFF ROUTES
+// ==========================
+
+// Scalar tariff fields; rate blocks are checked by normalizeTariffRates. Drafts (previews) need neither
+// a name nor effective_from, saved versions need both.
+const TARIFF_SCHEMA = {
+  fields: {
+    name: { type: 'string', maxLength: 120 },
+    pricing_type: { type: 'enum', values: [...TARIFF_PRICING_TYPES], default: 'tiered' },
+    effective_from: { type: 'date' },
+    service_charge: { type: 'number', min: 0, default: 0 },
+    minimum_charge: { type: 'number', min: 0, default: 0 },
+    vat_rate: { type: 'number', min: 0, max: 100, default: 0 }
+  }
+};
+
+// [TARIFF] Parse tariff fields and rate blocks from a request body; `{ fields }` lists what is invalid.
+function parseTariffInput(body) {
+  const { value, fields } = validateInput(body, TARIFF_SCHEMA);
+  if (fields) return { fields };
+
+  const { rates, error } = normalizeTariffRates((body || {}).rates, value.pricing_type);
+  if (error) return { fields: { rates: error } };
+
+  return {
+    tariff: { ...value, name: value.name || 'Draft tariff' },
+    rates
+  };
+}
+
+// [TARIFF] Load one tariff with its rate blocks (null when missing).
+async function loadTariff(tariffId) {
+  const tariff = await dbGet(`SELECT * FROM tariffs WHERE tariff_id = ?`, [tariffId]);
+  if (!tariff) return null;
+
+  const rates = await dbAll(
+    `SELECT period, from_units, to_units, rate FROM tariff_rates
+     WHERE tariff_id = ?
+     ORDER BY period, from_units`,
+    [tariff.tariff_id]
+  );
+  return { ...tariff, rates };
+}
+
+// [TARIFF] Find the tariff version in effect for a utility on a given date (null when none).
+async function findEffectiveTariff(utilityId, onDate) {
+  const row = await dbGet(
+    `SELECT tariff_id FROM tariffs
+     WHERE utility_id = ? AND effective_from <= ?
+     ORDER BY effective_from DESC, version DESC
+     LIMIT 1`,
+    [utilityId, onDate]
+  );
+  return row ? loadTariff(row.tariff_id) : null;
+}
+
+// [TARIFF] List all tariff versions (with rates) for one utility.
+app.get('/utilities/:id/tariffs', requireApiAuth, (req, res) => {
+  dbRead('all',
+    `SELECT * FROM tariffs WHERE utility_id = ? ORDER BY version DESC`,
+    [req.params.id],
+    (err, tariffs) => {
+      if (err) return sendServerError(res, err);
+      if (!tariffs.length) return res.json([]);
+
+      dbRead('all',
+        `SELECT tariff_id, period, from_units, to_units, rate FROM tariff_rates
+         WHERE tariff_id IN (${tariffs.map(() => '?').join(',')})
+         ORDER BY period, from_units`,
+        tariffs.map((tariff) => tariff.tariff_id),
+        (ratesErr, rates) => {
+          if (ratesErr) return sendServerError(res, ratesErr);
+          res.json(tariffs.map((tariff) => ({
+            ...tariff,
+            rates: rates.filter((rate) => rate.tariff_id === tariff.tariff_id)
+          })));
+        }
+      );
+    }
+  );
+});
+
+// [TARIFF] Create the next tariff version for a utility (existing versions are never edited).
+app.post('/utilities/:id/tariffs', requireApiAdmin, (req, res) => {
+  const { tariff, rates, fields } = parseTariffInput(req.body);
+  if (fields) return sendValidationError(res, fields);
+  const missing = {};
+  if (!String(req.body.name || '').trim()) missing.name = 'name is required';
+  if (!tariff.effective_from) missing.effective_from = 'effective_from is required';
+  if (Object.keys(missing).length) return sendValidationError(res, missing);
+
+  dbRead('get', `SELECT utility_id FROM utilities WHERE utility_id = ? AND deleted_at IS NULL`, [req.params.id], (utilErr, utility) => {
+    if (utilErr) return sendServerError(res, utilErr);
+    if (!utility) return sendError(res, 404, 'Utility not found');
+
+    withTransaction(async () => {
+      const inserted = await dbRun(
+        `INSERT INTO tariffs (utility_id,version,name,pricing_type,effective_from,service_charge,minimum_charge,vat_rate,created_by)
+         VALUES (?, (SELECT COALESCE(MAX(version), 0) + 1 FROM tariffs WHERE utility_id = ?), ?,?,?,?,?,?,?)`,
+        [
+          utility.utility_id, utility.utility_id, tariff.name, tariff.pricing_type, tariff.effective_from,
+          tariff.service_charge, tariff.minimum_charge, tariff.vat_rate, req.auth.user_id
+        ]
+      );
+      const tariffId = inserted.lastID;
+      for (const rate of rates) {
+        await dbRun(
+          `INSERT INTO tariff_rates (tariff_id,period,from_units,to_units,rate) VALUES (?,?,?,?,?)`,
+          [tariffId, rate.period, rate.from_units, rate.to_units, rate.rate]
+        );
+      }
+      const created = await loadTariff(tariffId);
+      await recordAudit(req, { action: 'create', entity_type: 'tariff', entity_id: tariffId, after: created });
+      return created;
+    })
+      .then((created) => res.json(created))
+      .catch((err) => sendServerError(res, err));
+  });
+});
+
+// [TARIFF] Get one tariff version with its rates.
+app.get('/tariffs/:id', requireApiAuth, async (req, res) => {
+  try {
+    const tariff = await loadTariff(req.params.id);
+    if (!tariff) return sendError(res, 404, 'Tariff not found');
+    res.json(tariff);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [TARIFF] Preview the charge for some usage, against a saved tariff (`tariff_id`) or a draft (`tariff`).
+app.post('/tariffs/preview', requireApiAuth, (req, res) => {
+  const usage = { units: req.body.units, units_by_period: req.body.units_by_period };
+  const respond = (tariff, rates) => {
+    const result = calculateTariffCharge(tariff, rates, usage);
+    if (result.error) return sendError(res, 400, result.error);
+    res.json(result);
+  };
+
+  if (req.body.tariff_id) {
+    return loadTariff(req.body.tariff_id)
+      .then((tariff) => {
+        if (!tariff) return sendError(res, 404, 'Tariff not found');
+        respond(tariff, tariff.rates);
+      })
+      .catch((err) => sendServerError(res, err));
+  }
+
+  const { tariff, rates, fields } = parseTariffInput(req.body.tariff);
+  if (fields) return sendValidationError(res, fields);
+  respond(tariff, rates);
+});
+
+// ==========================
+// METERS ROUTES
+// ==========================
+const METER_LIST_SPEC = {
+  filters: { meter_id: 'm.meter_id = ?', user_id: 'm.user_id = ?', utility_id: 'm.utility_id = ?' },
+  dateColumn: 'm.created_at',
+  search: ['m.meter_number'],
+  sort: { meter_id: 'm.meter_id', meter_number: 'm.meter_number', user_id: 'm.user_id', utility: 'u.utility_name', created_at: 'm.created_at' },
+  idColumn: 'm.meter_id'
+};
+
+const METER_SCHEMA = {
+  fields: {
+    meter_number: { type: 'string', required: true, maxLength: 120 },
+    user_id: { type: 'id', required: true },
+    utility_id: { type: 'id', required: true }
+  }
+};
+
+// [METER] Get meters with their utility name (all for admins, own meters for users).
+// Paging, filters and sort: see parseListQuery; `q` searches the meter number.
+app.get('/meters', requireApiAuth, async (req, res) => {
+  const list = parseListQuery(req.query, METER_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    res.json(await queryList(res, list, {
+      select: 'm.*, u.utility_name',
+      fromSql: 'meters m LEFT JOIN utilities u ON u.utility_id = m.utility_id',
+      where: [LIVE_METER_SQL, '(? OR m.user_id = ?)'],
+      params: [isAdminCaller(req) ? 1 : 0, req.auth.user_id]
+    }));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [METER] Create meter with unique/FK validation.
+app.post('/meters', requireApiAdmin, validateBody(METER_SCHEMA), (req, res) => {
+  const { meter_number: meterNumber, user_id: userId, utility_id: utilityId } = req.input;
+
+  withTransaction(async () => {
+    const result = await dbRun(
+      `INSERT INTO meters (meter_number,user_id,utility_id) VALUES (?,?,?)`,
+      [meterNumber, userId, utilityId]
+    );
+    await recordAudit(req, {
+      action: 'create',
+      entity_type: 'meter',
+      entity_id: result.lastID,
+      after: { meter_id: result.lastID, meter_number: meterNumber, user_id: userId, utility_id: utilityId }
+    });
+    return result.lastID;
+  })
+    .then((meterId) => res.json({ meter_id: meterId }))
+    .catch((err) => {
+      const rawMessage = String(err.message || "").toLowerCase();
+      if (rawMessage.includes("unique constraint failed: meters.meter_number")) {
+        return sendError(res, 409, "Meter number already exists", {
+          code: 'conflict',
+          fields: { meter_number: "Meter number already exists" }
+        });
+      }
+      if (rawMessage.includes("foreign key constraint failed")) {
+        return sendError(res, 400, "Selected user or utility does not exist");
+      }
+      sendServerError(res, err);
+    });
+});
+
+// [METER] Move a meter to the trash; its bills are hidden with it until restored.
+app.delete('/meters/:id', requireApiAdmin, (req, res) =>
+  softDeleteById('meters', 'meter_id', req.params.id, res, req)
+);
+
+// ==========================
+// METER READINGS ROUTES
+// ==========================
+// `read_at` defaults to now; `initial_value` is the new meter's starting value for replacements.
+const READING_SCHEMA = {
+  fields: {
+    reading_value: { type: 'number', required: true, min: 0 },
+    read_at: { type: 'datetime' },
+    source: { type: 'enum', values: [...READING_SOURCES], default: 'manual' },
+    reset_type: { type: 'enum', values: [...READING_RESET_TYPES] },
+    rollover_max: { type: 'number', above: 0 },
+    initial_value: { type: 'number', min: 0, default: 0 }
+  }
+};
+
+// [METER] List readings for one meter (admin or meter owner).
+app.get('/meters/:id/readings', requireApiAuth, (req, res) => {
+  dbRead('get', `SELECT meter_id, user_id FROM meters m WHERE meter_id = ? AND ${LIVE_METER_SQL}`, [req.params.id], (meterErr, meter) => {
+    if (meterErr) return sendServerError(res, meterErr);
+    if (!meter || (!isAdminCaller(req) && String(meter.user_id) !== String(req.auth.user_id))) {
+      return sendError(res, 404, 'Meter not found');
+    }
+
+    dbRead('all',
+      `SELECT * FROM meter_readings WHERE meter_id = ? ORDER BY read_at ASC, reading_id ASC`,
+      [meter.meter_id],
+      (err, rows) => {
+        if (err) return sendServerError(res, err);
+        res.json(rows);
+      }
+    );
+  });
+});
+
+// [METER] Record a reading; readings lower than the previous one need an explicit reset_type.
+// The previous reading is read and checked in the same transaction as the insert, so two readings posted at
+// once are validated one after the other.
+app.post('/meters/:id/readings', requireApiAdmin, validateBody(READING_SCHEMA), async (req, res) => {
+  const meterId = Number.parseInt(req.params.id, 10);
+  const {
+    reading_value: readingValue,
+    source,
+    reset_type: resetType,
+    rollover_max: rolloverMax,
+    initial_value: initialValue
+  } = req.input;
+  const readAt = req.input.read_at || toSqlDateTime(new Date().toISOString());
+
+  if (!Number.isFinite(meterId) || meterId <= 0) {
+    return sendError(res, 400, 'Invalid meter id');
+  }
+
+  const invalid = (fields) => ({ status: 400, body: errorBody(400, Object.values(fields).join('; '), { fields }) });
+  try {
+    const outcome = await withTransaction(async () => {
+      const meter = await dbGet(`SELECT meter_id FROM meters m WHERE meter_id = ? AND ${LIVE_METER_SQL}`, [meterId]);
+      if (!meter) return { status: 404, body: errorBody(404, 'Meter not found') };
+
+      const previous = await dbGet(
+        `SELECT reading_id, reading_value, read_at FROM meter_readings
+         WHERE meter_id = ?
+         ORDER BY read_at DESC, reading_id DESC
+         LIMIT 1`,
+        [meterId]
+      );
+      if (previous && readAt < previous.read_at) {
+        return invalid({ read_at: `read_at cannot be earlier than the previous reading (${previous.read_at})` });
+      }
+      if (resetType && !previous) {
+        return invalid({ reset_type: 'reset_type requires an earlier reading on this meter' });
+      }
+
+      const reading = {
+        reading_value: readingValue,
+        reset_type: resetType,
+        rollover_max: rolloverMax,
+        initial_value: initialValue
+      };
+      const { consumption, error } = computeReadingConsumption(previous, reading);
+      if (error) return { status: 400, body: errorBody(400, error) };
+
+      const result = await dbRun(
+        `INSERT INTO meter_readings (meter_id,reading_value,read_at,source,reset_type,consumption,recorded_by)
+         VALUES (?,?,?,?,?,?,?)`,
+        [meterId, readingValue, readAt, source, resetType, consumption, req.auth.user_id]
+      );
+      const created = {
+        reading_id: result.lastID,
+        meter_id: meterId,
+        reading_value: readingValue,
+        read_at: readAt,
+        consumption
+      };
+      await recordAudit(req, {
+        action: 'create',
+        entity_type: 'meter_reading',
+        entity_id: result.lastID,
+        after: { ...created, source, reset_type: resetType }
+      });
+      return { status: 200, body: created };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// BILLS ROUTES
+// ==========================
+const BILL_LIST_SPEC = {
+  filters: { bill_id: 'b.bill_id = ?', meter_id: 'b.meter_id = ?', user_id: 'm.user_id = ?', utility_id: 'm.utility_id = ?' },
+  statuses: {
+    paid: "b.status = 'paid'",
+    partially_paid: "b.status = 'partially_paid'",
+    unpaid: "b.status = 'unpaid'",
+    overdue: "b.status = 'overdue'"
+  },
+  dateColumn: 'b.bill_month',
+  sort: {
+    bill_id: 'b.bill_id',
+    bill_month: 'b.bill_month',
+    due_date: 'b.due_date',
+    amount: 'b.amount',
+    balance: 'b.amount - b.amount_paid',
+    status: 'b.status',
+    created_at: 'b.created_at'
+  },
+  idColumn: 'b.bill_id'
+};
+
+// A bill cannot fall due before the month it bills.
+const DUE_DATE_CHECK = {
+  field: 'due_date',
+  message: 'due_date cannot be before the bill month',
+  test: (input) => !input.due_date || input.due_date.slice(0, 7) >= input.bill_month.slice(0, 7)
+};
+// Manual bills start unpaid or overdue; paid and partially_paid only ever come from payment allocations.
+// `amount` is the usage line; the bill's total also counts due recurring charges (unless `recurring` is false)
+// and any added `lines`.
+const BILL_SCHEMA = {
+  fields: {
+    meter_id: { type: 'id', required: true },
+    bill_month: { type: 'date', required: true },
+    amount: { type: 'number', above: 0, max: 10000000 },
+    due_date: { type: 'date', required: true },
+    status: { type: 'enum', values: ['unpaid', 'overdue'], default: 'unpaid' },
+    recurring: { type: 'boolean', default: true }
+  },
+  checks: [DUE_DATE_CHECK]
+};
+// Without `unit_rate` the bill is priced with the tariff in effect for the bill month.
+const BILL_FROM_READINGS_SCHEMA = {
+  fields: {
+    meter_id: { type: 'id', required: true },
+    bill_month: { type: 'date', required: true },
+    due_date: { type: 'date', required: true },
+    unit_rate: { type: 'number', min: 0 },
+    from_reading_id: { type: 'id' },
+    to_reading_id: { type: 'id' },
+    recurring: { type: 'boolean', default: true }
+  },
+  checks: [DUE_DATE_CHECK]
+};
+
+// [BILL] Get bills (all for admins, bills on own meters for users).
+// Paging, filters and sort: see parseListQuery; from/to apply to bill_month.
+app.get('/bills', requireApiAuth, async (req, res) => {
+  const list = parseListQuery(req.query, BILL_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    res.json(await queryList(res, list, {
+      select: 'b.*, round(b.amount - b.amount_paid, 2) AS balance',
+      fromSql: 'bills b JOIN meters m ON m.meter_id = b.meter_id',
+      where: [LIVE_BILL_SQL, '(? OR m.user_id = ?)'],
+      params: [isAdminCaller(req) ? 1 : 0, req.auth.user_id]
+    }));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILL] Get bill by id with its line items, reading details and late fees (users only see bills on their own meters).
+app.get('/bills/:id', requireApiAuth, (req, res) => {
+  const admin = isAdminCaller(req);
+
+  dbRead('get',
+    `SELECT b.*, round(b.amount - b.amount_paid, 2) AS balance,
+            pr.reading_value AS previous_reading_value, pr.read_at AS previous_read_at,
+            cr.reading_value AS current_reading_value, cr.read_at AS current_read_at
+     FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     LEFT JOIN meter_readings pr ON pr.reading_id = b.previous_reading_id
+     LEFT JOIN meter_readings cr ON cr.reading_id = b.current_reading_id
+     WHERE b.bill_id = ? AND ${LIVE_BILL_SQL} AND (? OR m.user_id = ?)`,
+    [req.params.id, admin ? 1 : 0, req.auth.user_id],
+    (err, row) => {
+      if (err) return sendServerError(res, err);
+      if (!row) return sendError(res, 404, "Not found");
+      try {
+        row.charge_breakdown = row.charge_breakdown ? JSON.parse(row.charge_breakdown) : null;
+      } catch (parseErr) {
+        row.charge_breakdown = null;
+      }
+      dbRead('all',
+        `SELECT bill_id, amount, due_date, status, created_at FROM bills
+         WHERE late_fee_for_bill_id = ? AND deleted_at IS NULL
+         ORDER BY bill_id ASC`,
+        [row.bill_id],
+        (feeErr, lateFees) => {
+          if (feeErr) return sendServerError(res, feeErr);
+          loadBillLines(row.bill_id)
+            .then((lines) => res.json({ ...row, lines, late_fees: lateFees }))
+            .catch((linesErr) => sendServerError(res, linesErr));
+        }
+      );
+    }
+  );
+});
+
+// [BILL] Create a bill from its usage amount, due recurring charges and added `lines`, and charge the total to
+// the meter owner's ledger.
+app.post('/bills', requireApiAdmin, validateBody(BILL_SCHEMA), async (req, res) => {
+  const { meter_id, bill_month, amount, due_date, status, recurring } = req.input;
+  const added = parseBillLines(req.body.lines);
+  if (added.fields) return sendValidationError(res, added.fields);
+
+  try {
+    const meter = await dbGet(
+      `SELECT m.meter_id, m.user_id, u.utility_name FROM meters m
+       JOIN utilities u ON u.utility_id = m.utility_id
+       WHERE m.meter_id = ? AND ${LIVE_METER_SQL}`,
+      [meter_id]
+    );
+    if (!meter) return sendValidationError(res, { meter_id: 'Meter not found' });
+
+    const outcome = await withTransaction(async () => {
+      const monthKey = bill_month.slice(0, 7);
+      const lines = [
+        ...(amount === null ? [] : [usageLine(meter.utility_name, monthKey, amount)]),
+        ...(recurring ? await recurringChargeLines(meter, monthKey) : []),
+        ...added.lines
+      ];
+      if (billLinesTotal(lines) <= 0) {
+        const message = 'The bill total must be greater than 0: enter an amount or add charges';
+        return { status: 400, body: errorBody(400, message, { fields: { amount: message } }) };
+      }
+
+      const result = await dbRun(
+        `INSERT INTO bills (meter_id,bill_month,amount,due_date,status)
+         VALUES (?,?,?,?,?)`,
+        [meter_id, bill_month, billLinesTotal(lines), due_date, status]
+      );
+      await saveBillLines(result.lastID, lines, req.auth.user_id);
+      await chargeBill(result.lastID, { createdBy: req.auth.user_id });
+      await recordAudit(req, {
+        action: 'create',
+        entity_type: 'bill',
+        entity_id: result.lastID,
+        after: { ...(await dbGet(`SELECT * FROM bills WHERE bill_id = ?`, [result.lastID])), lines }
+      });
+      return { status: 200, body: { bill_id: result.lastID, amount: billLinesTotal(lines), lines } };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILL] Price a meter's consumption since its last billed reading (or between explicit readings).
+// Resolves to `{ previous, current, units_consumed, amount, tariff_id, breakdown }` or `{ error }`.
+async function priceMeterConsumption(meter, options) {
+  const readings = await dbAll(
+    `SELECT reading_id, reading_value, read_at, consumption FROM meter_readings
+     WHERE meter_id = ?
+     ORDER BY read_at ASC, reading_id ASC`,
+    [meter.meter_id]
+  );
+  if (readings.length < 2) {
+    return { error: 'At least two readings are required to bill consumption' };
+  }
+
+  const lastBill = await dbGet(
+    `SELECT current_reading_id FROM bills
+     WHERE meter_id = ? AND current_reading_id IS NOT NULL AND deleted_at IS NULL
+     ORDER BY bill_id DESC
+     LIMIT 1`,
+    [meter.meter_id]
+  );
+
+  const indexOf = (id) => readings.findIndex((r) => r.reading_id === id);
+  const fromIndex = options.from_reading_id
+    ? indexOf(options.from_reading_id)
+    : lastBill ? indexOf(lastBill.current_reading_id) : 0;
+  // read_before caps the period (e.g. the first day after the billed month) when no explicit reading is given.
+  const toIndex = options.to_reading_id
+    ? indexOf(options.to_reading_id)
+    : options.read_before
+      ? readings.filter((r) => String(r.read_at) < options.read_before).length - 1
+      : readings.length - 1;
+
+  if (fromIndex < 0 || (toIndex < 0 && !options.read_before)) {
+    return { error: 'Readings must belong to the selected meter' };
+  }
+  if (toIndex <= fromIndex) {
+    return { error: 'No new readings since the last billed reading' };
+  }
+
+  const previous = readings[fromIndex];
+  const current = readings[toIndex];
+  const unitsConsumed = roundUnits(readings
+    .slice(fromIndex + 1, toIndex + 1)
+    .reduce((sum, reading) => sum + (Number(reading.consumption) || 0), 0));
+  const priced = { previous, current, units_consumed: unitsConsumed };
+
+  // An explicit unit_rate overrides the tariff with a flat per-unit price.
+  if (Number.isFinite(options.unit_rate)) {
+    return { ...priced, amount: roundMoney(unitsConsumed * options.unit_rate), tariff_id: null, breakdown: null };
+  }
+
+  const tariff = await findEffectiveTariff(meter.utility_id, options.bill_month);
+  if (!tariff) {
+    return { error: 'No tariff is in effect for this utility on the bill month; set unit_rate instead' };
+  }
+
+  const breakdown = calculateTariffCharge(tariff, tariff.rates, {
+    units: unitsConsumed,
+    units_by_period: options.units_by_period
+  });
+  if (breakdown.error) return { error: breakdown.error };
+  return { ...priced, amount: breakdown.total, tariff_id: tariff.tariff_id, breakdown };
+}
+
+// [BILL] Insert a bill priced from readings with its `lines` (the usage line and any recurring charges), which
+// make up its amount; returns the new bill_id.
+async function insertConsumptionBill(meterId, billMonth, dueDate, priced, lines, billingRunId = null) {
+  const result = await dbRun(
+    `INSERT INTO bills (meter_id,bill_month,amount,due_date,status,previous_reading_id,current_reading_id,units_consumed,tariff_id,charge_breakdown,billing_run_id)
+     VALUES (?,?,?,?,'unpaid',?,?,?,?,?,?)`,
+    [
+      meterId, billMonth, billLinesTotal(lines), dueDate,
+      priced.previous ? priced.previous.reading_id : null,
+      priced.current ? priced.current.reading_id : null,
+      priced.units_consumed === undefined ? null : priced.units_consumed,
+      priced.tariff_id || null,
+      priced.breakdown ? JSON.stringify(priced.breakdown) : null,
+      billingRunId
+    ]
+  );
+  await saveBillLines(result.lastID, lines);
+  return result.lastID;
+}
+
+// [BILL] Generate a bill from the consumption between two readings of one meter.
+app.post('/bills/from-readings', requireApiAdmin, validateBody(BILL_FROM_READINGS_SCHEMA), async (req, res) => {
+  const { meter_id: meterId, bill_month: billMonth, due_date: dueDate, unit_rate: unitRate, recurring } = req.input;
+
+  try {
+    const meter = await dbGet(
+      `SELECT m.meter_id, m.user_id, m.utility_id, u.utility_name FROM meters m
+       JOIN utilities u ON u.utility_id = m.utility_id
+       WHERE m.meter_id = ? AND ${LIVE_METER_SQL}`,
+      [meterId]
+    );
+    if (!meter) return sendError(res, 404, 'Meter not found');
+
+    const priced = await priceMeterConsumption(meter, {
+      bill_month: billMonth,
+      unit_rate: unitRate,
+      units_by_period: req.body.units_by_period,
+      from_reading_id: req.input.from_reading_id,
+      to_reading_id: req.input.to_reading_id
+    });
+    if (priced.error) return sendError(res, 400, priced.error);
+
+    const monthKey = billMonth.slice(0, 7);
+    const { billId, lines } = await withTransaction(async () => {
+      const billLines = [
+        usageLine(meter.utility_name, monthKey, priced.amount, priced.units_consumed),
+        ...(recurring ? await recurringChargeLines(meter, monthKey) : [])
+      ];
+      const id = await insertConsumptionBill(meterId, billMonth, dueDate, priced, billLines);
+      await chargeBill(id, { createdBy: req.auth.user_id });
+      await recordAudit(req, {
+        action: 'create_from_readings',
+        entity_type: 'bill',
+        entity_id: id,
+        after: { ...(await dbGet(`SELECT * FROM bills WHERE bill_id = ?`, [id])), lines: billLines }
+      });
+      return { billId: id, lines: billLines };
+    });
+    res.json({
+      bill_id: billId,
+      previous_reading: priced.previous.reading_value,
+      current_reading: priced.current.reading_value,
+      units_consumed: priced.units_consumed,
+      usage_amount: priced.amount,
+      amount: billLinesTotal(lines),
+      lines,
+      breakdown: priced.breakdown
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILL] Move a bill and its late fees to the trash, crediting their ledger charges back.
+// Refused while payments are applied to them; those have to be reversed first.
+app.delete('/bills/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const outcome = await withTransaction(async () => {
+      const before = await dbGet(`SELECT * FROM bills WHERE bill_id = ? AND deleted_at IS NULL`, [req.params.id]);
+      if (!before) return { status: 200, body: { deleted: 0 } };
+
+      const paid = await dbGet(
+        `SELECT COUNT(*) AS total FROM payment_allocations a
+         JOIN payments p ON p.payment_id = a.payment_id
+         JOIN bills b ON b.bill_id = a.bill_id
+         WHERE p.reversed_at IS NULL AND (b.bill_id = ? OR b.late_fee_for_bill_id = ?)`,
+        [before.bill_id, before.bill_id]
+      );
+      if (paid.total) {
+        return { status: 409, body: errorBody(409, 'Bill has payments applied; reverse them before deleting the bill') };
+      }
+
+      await reverseBillCharges([before.bill_id], { reason: 'bill deleted', createdBy: req.auth.user_id });
+      const result = await dbRun(
+        `UPDATE bills SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+         WHERE (bill_id = ? OR late_fee_for_bill_id = ?) AND deleted_at IS NULL`,
+        [req.auth.user_id, before.bill_id, before.bill_id]
+      );
+      await recordAudit(req, {
+        action: 'delete',
+        entity_type: 'bill',
+        entity_id: before.bill_id,
+        before,
+        after: await dbGet(`SELECT * FROM bills WHERE bill_id = ?`, [before.bill_id])
+      });
+      return { status: 200, body: { deleted: result.changes } };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// BILL LINES & RECURRING CHARGES
+// ==========================
+// A bill's amount is the sum of its lines in bill_lines: metered usage, recurring charges copied from
+// recurring_charges, one-time charges, credits (stored negative) and late fees. Every route that creates a bill
+// writes its lines in the same transaction. A recurring charge goes on at most one bill per month: a meter's
+// charge on that meter's bill, a user's charge on the first bill of the month for any of their meters.
+
+// Lines added by hand, on a new bill or as an adjustment. `amount` is always positive; a credit subtracts it.
+const BILL_LINE_SCHEMA = {
+  fields: {
+    kind: { type: 'enum', values: ['one_time', 'credit'], default: 'one_time' },
+    description: { type: 'string', required: true, maxLength: 200 },
+    amount: { type: 'number', required: true, above: 0, max: 10000000 }
+  }
+};
+const BILL_LINES_MAX = 50;
+// A charge belongs to exactly one user or one meter; without start_month it starts this month.
+const RECURRING_CHARGE_SCHEMA = {
+  fields: {
+    user_id: { type: 'id' },
+    meter_id: { type: 'id' },
+    description: { type: 'string', required: true, maxLength: 200 },
+    amount: { type: 'number', required: true, above: 0, max: 10000000 },
+    start_month: { type: 'month' },
+    end_month: { type: 'month' }
+  },
+  checks: [
+    { field: 'meter_id', message: 'Give exactly one of user_id and meter_id', test: (input) => !input.user_id !== !input.meter_id }
+  ]
+};
+// Every field is optional; the ones sent replace the current values (a blank end_month removes the end).
+const RECURRING_CHARGE_UPDATE_SCHEMA = {
+  fields: {
+    description: { ...RECURRING_CHARGE_SCHEMA.fields.description, required: false },
+    amount: { ...RECURRING_CHARGE_SCHEMA.fields.amount, required: false },
+    start_month: { type: 'month' },
+    end_month: { type: 'month' },
+    active: { type: 'boolean' }
+  }
+};
+const RECURRING_CHARGE_LIST_SPEC = {
+  filters: { charge_id: 'c.charge_id = ?', user_id: 'COALESCE(c.user_id, m.user_id) = ?', meter_id: 'c.meter_id = ?' },
+  statuses: { active: 'c.active = 1', paused: 'c.active = 0' },
+  search: ['c.description'],
+  sort: { charge_id: 'c.charge_id', amount: 'c.amount', start_month: 'c.start_month', description: 'c.description' },
+  idColumn: 'c.charge_id'
+};
+const RECURRING_CHARGE_COLUMNS = `c.*, COALESCE(c.user_id, m.user_id) AS account_user_id, u.name AS user_name, m.meter_number,
+  (SELECT MAX(substr(b.bill_month, 1, 7)) FROM bill_lines l JOIN bills b ON b.bill_id = l.bill_id
+   WHERE l.recurring_charge_id = c.charge_id AND b.deleted_at IS NULL) AS last_billed_month`;
+const RECURRING_CHARGE_FROM_SQL = `recurring_charges c
+  LEFT JOIN meters m ON m.meter_id = c.meter_id
+  LEFT JOIN users u ON u.user_id = COALESCE(c.user_id, m.user_id)`;
+
+// [CHARGE] Usage line of a new bill; with `unitsConsumed` it was priced from readings.
+function usageLine(utilityName, monthKey, amount, unitsConsumed = null) {
+  const what = unitsConsumed === null || unitsConsumed === undefined ? 'charge' : `usage (${unitsConsumed} units)`;
+  return { kind: 'usage', description: `${utilityName || 'Utility'} ${what} for ${monthKey}`, amount: roundMoney(amount) };
+}
+
+// [CHARGE] A validated hand-added line with its signed amount (credits negative).
+function signedBillLine({ kind, description, amount }) {
+  return { kind, description, amount: kind === 'credit' ? -roundMoney(amount) : roundMoney(amount) };
+}
+
+// [CHARGE] Read hand-added lines (`[{ kind, description, amount }]`) from a request body into signed lines.
+// Resolves to `{ lines }` or `{ fields }` keyed `lines`.
+function parseBillLines(raw) {
+  if (raw === undefined || raw === null || raw === '') return { lines: [] };
+  if (!Array.isArray(raw)) return { fields: { lines: 'lines must be a list of { kind, description, amount }' } };
+  if (raw.length > BILL_LINES_MAX) return { fields: { lines: `A bill can have at most ${BILL_LINES_MAX} added lines` } };
+  const lines = [];
+  for (const [index, entry] of raw.entries()) {
+    const { value, fields } = validateInput(entry, BILL_LINE_SCHEMA);
+    if (fields) return { fields: { lines: `Line ${index + 1}: ${Object.values(fields).join('; ')}` } };
+    lines.push(signedBillLine(value));
+  }
+  return { lines };
+}
+
+// [CHARGE] Sum of bill lines.
+function billLinesTotal(lines) {
+  return roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+}
+
+// [CHARGE] Lines for the recurring charges due on a new bill for `meter` (`meter_id`, `user_id`) in `monthKey`:
+// active charges of the meter or its owner covering the month that are not on a bill for the month yet.
+// `taken` collects charge ids already placed by the caller, so a billing run puts a user's charge on one bill.
+async function recurringChargeLines(meter, monthKey, taken = new Set()) {
+  const charges = await dbAll(
+    `SELECT c.charge_id, c.description, c.amount FROM recurring_charges c
+     WHERE c.active = 1 AND (c.meter_id = ? OR c.user_id = ?)
+       AND c.start_month <= ? AND (c.end_month IS NULL OR c.end_month >= ?)
+       AND NOT EXISTS (
+         SELECT 1 FROM bill_lines l JOIN bills b ON b.bill_id = l.bill_id
+         WHERE l.recurring_charge_id = c.charge_id AND b.deleted_at IS NULL AND substr(b.bill_month, 1, 7) = ?
+       )
+     ORDER BY c.meter_id IS NULL, c.charge_id ASC`,
+    [meter.meter_id, meter.user_id, monthKey, monthKey, monthKey]
+  );
+  return charges.filter((charge) => !taken.has(charge.charge_id)).map((charge) => {
+    taken.add(charge.charge_id);
+    return { kind: 'recurring', description: charge.description, amount: roundMoney(charge.amount), recurring_charge_id: charge.charge_id };
+  });
+}
+
+// [CHARGE] Store the lines of a bill after its existing ones.
+async function saveBillLines(billId, lines, createdBy = null) {
+  const { last } = await dbGet(`SELECT COALESCE(MAX(position), 0) AS last FROM bill_lines WHERE bill_id = ?`, [billId]);
+  const ids = [];
+  for (const [index, line] of lines.entries()) {
+    const result = await dbRun(
+      `INSERT INTO bill_lines (bill_id,position,kind,description,amount,recurring_charge_id,created_by)
+       VALUES (?,?,?,?,?,?,?)`,
+      [billId, last + index + 1, line.kind, line.description, line.amount, line.recurring_charge_id || null, createdBy]
+    );
+    ids.push(result.lastID);
+  }
+  return ids;
+}
+
+// [CHARGE] A bill's lines in order.
+function loadBillLines(billId) {
+  return dbAll(
+    `SELECT line_id, position, kind, description, amount, recurring_charge_id, created_at
+     FROM bill_lines WHERE bill_id = ?
+     ORDER BY position ASC, line_id ASC`,
+    [billId]
+  );
+}
+
+// [CHARGE] Add a one-time charge or a credit to an existing bill (admin only). The bill's amount, the owner's
+// ledger and the bill's status follow, and a charge is settled from account credit first. A credit cannot take
+// the total to 0 or below what is already paid.
+app.post('/bills/:id/lines', requireApiAdmin, validateBody(BILL_LINE_SCHEMA), async (req, res) => {
+  const line = signedBillLine(req.input);
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const before = await dbGet(
+        `SELECT b.*, m.user_id FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+         WHERE b.bill_id = ? AND ${LIVE_BILL_SQL}`,
+        [req.params.id]
+      );
+      if (!before) return { status: 404, body: errorBody(404, 'Bill not found') };
+      const total = roundMoney(before.amount + line.amount);
+      if (total <= 0) {
+        return { status: 409, body: errorBody(409, 'A credit cannot take the bill total to 0 or below; delete the bill instead') };
+      }
+      if (total < roundMoney(before.amount_paid)) {
+        return {
+          status: 409,
+          body: errorBody(409, `Bill #${before.bill_id} already has ${before.amount_paid.toFixed(2)} paid; reverse payments before crediting below that`)
+        };
+      }
+
+      const [lineId] = await saveBillLines(before.bill_id, [line], req.auth.user_id);
+      await dbRun(`UPDATE bills SET amount = ? WHERE bill_id = ?`, [total, before.bill_id]);
+      const label = line.kind === 'credit' ? 'Credit' : 'Charge';
+      await recordLedgerEntry({
+        user_id: before.user_id,
+        entry_type: 'adjustment',
+        debit: Math.max(line.amount, 0),
+        credit: Math.max(-line.amount, 0),
+        bill_id: before.bill_id,
+        description: `${label} on bill #${before.bill_id}: ${line.description}`,
+        created_by: req.auth.user_id
+      });
+      await refreshBillPayments(before.bill_id, {
+        source: 'manual',
+        changedBy: req.auth.user_id,
+        reason: `${label} of ${Math.abs(line.amount).toFixed(2)} added`
+      });
+      if (line.amount > 0) await applyAccountCredit(before.bill_id, req.auth.user_id);
+
+      const after = await dbGet(`SELECT * FROM bills WHERE bill_id = ?`, [before.bill_id]);
+      await recordAudit(req, {
+        action: 'add_line',
+        entity_type: 'bill',
+        entity_id: before.bill_id,
+        before,
+        after: { ...after, line: { line_id: lineId, ...line } }
+      });
+      return {
+        status: 200,
+        body: {
+          bill_id: after.bill_id,
+          line_id: lineId,
+          amount: after.amount,
+          amount_paid: after.amount_paid,
+          balance: roundMoney(after.amount - after.amount_paid),
+          status: after.status
+        }
+      };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [CHARGE] Recurring charges with their user or meter and the last month billed (admin only). Paging, filters and
+// sort: see parseListQuery; `user_id` also matches charges on the user's meters, `status` is active or paused.
+app.get('/recurring-charges', requireApiAdmin, async (req, res) => {
+  const list = parseListQuery(req.query, RECURRING_CHARGE_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    res.json(await queryList(res, list, { select: RECURRING_CHARGE_COLUMNS, fromSql: RECURRING_CHARGE_FROM_SQL }));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [CHARGE] Define a fixed monthly charge for a user or a meter (admin only).
+app.post('/recurring-charges', requireApiAdmin, validateBody(RECURRING_CHARGE_SCHEMA), async (req, res) => {
+  const { user_id: userId, meter_id: meterId, description, amount, end_month: endMonth } = req.input;
+  const startMonth = req.input.start_month || new Date().toISOString().slice(0, 7);
+  if (endMonth && endMonth < startMonth) return sendValidationError(res, { end_month: 'end_month cannot be before start_month' });
+
+  try {
+    const owner = userId
+      ? await dbGet(`SELECT user_id FROM users WHERE user_id = ? AND deleted_at IS NULL`, [userId])
+      : await dbGet(`SELECT meter_id FROM meters m WHERE meter_id = ? AND ${LIVE_METER_SQL}`, [meterId]);
+    if (!owner) return sendValidationError(res, userId ? { user_id: 'User not found' } : { meter_id: 'Meter not found' });
+
+    const charge = await withTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO recurring_charges (user_id,meter_id,description,amount,start_month,end_month,created_by)
+         VALUES (?,?,?,?,?,?,?)`,
+        [userId, meterId, description, roundMoney(amount), startMonth, endMonth, req.auth.user_id]
+      );
+      const created = await dbGet(`SELECT ${RECURRING_CHARGE_COLUMNS} FROM ${RECURRING_CHARGE_FROM_SQL} WHERE c.charge_id = ?`, [result.lastID]);
+      await recordAudit(req, { action: 'create', entity_type: 'recurring_charge', entity_id: result.lastID, after: created });
+      return created;
+    });
+    res.json(charge);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [CHARGE] Change a recurring charge, or pause it with `active: false` (admin only). Bills already issued keep
+// their lines.
+app.put('/recurring-charges/:id', requireApiAdmin, validateBody(RECURRING_CHARGE_UPDATE_SCHEMA), async (req, res) => {
+  const clearEnd = !!req.body && Object.prototype.hasOwnProperty.call(req.body, 'end_month') && req.input.end_month === null;
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const before = await dbGet(`SELECT * FROM recurring_charges WHERE charge_id = ?`, [req.params.id]);
+      if (!before) return { status: 404, body: errorBody(404, 'Recurring charge not found') };
+      const { description, amount, start_month: startMonth, end_month: endMonth, active } = req.input;
+      const nextStart = startMonth || before.start_month;
+      const nextEnd = clearEnd ? null : endMonth || before.end_month;
+      if (nextEnd && nextEnd < nextStart) {
+        return { status: 400, body: errorBody(400, 'end_month cannot be before start_month', { fields: { end_month: 'end_month cannot be before start_month' } }) };
+      }
+
+      await dbRun(
+        `UPDATE recurring_charges
+         SET description = COALESCE(?, description), amount = COALESCE(?, amount), start_month = ?, end_month = ?,
+             active = COALESCE(?, active)
+         WHERE charge_id = ?`,
+        [description, amount === null ? null : roundMoney(amount), nextStart, nextEnd, active === null ? null : Number(active), before.charge_id]
+      );
+      const after = await dbGet(`SELECT ${RECURRING_CHARGE_COLUMNS} FROM ${RECURRING_CHARGE_FROM_SQL} WHERE c.charge_id = ?`, [before.charge_id]);
+      await recordAudit(req, { action: 'update', entity_type: 'recurring_charge', entity_id: before.charge_id, before, after });
+      return { status: 200, body: after };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [CHARGE] Remove a recurring charge (admin only). Lines it put on bills stay, without the link.
+app.delete('/recurring-charges/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const deleted = await withTransaction(async () => {
+      const before = await dbGet(`SELECT * FROM recurring_charges WHERE charge_id = ?`, [req.params.id]);
+      if (!before) return 0;
+      await dbRun(`DELETE FROM recurring_charges WHERE charge_id = ?`, [before.charge_id]);
+      await recordAudit(req, { action: 'delete', entity_type: 'recurring_charge', entity_id: before.charge_id, before });
+      return 1;
+    });
+    res.json({ deleted });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// OVERDUE BILLS & LATE FEES
+// ==========================
+
+// [BILL] Record one bill status transition (or late fee) in bill_status_history.
+function logBillStatus(entry) {
+  return dbRun(
+    `INSERT INTO bill_status_history (bill_id,from_status,to_status,reason,late_fee_bill_id,source,changed_by)
+     VALUES (?,?,?,?,?,?,?)`,
+    [
+      entry.bill_id, entry.from_status || null, entry.to_status, entry.reason || null,
+      entry.late_fee_bill_id || null, entry.source, entry.changed_by || null
+    ]
+  );
+}
+
+// [BILL] Late fee for an overdue bill: flat amount plus a percentage of its unpaid balance.
+function calculateLateFee(billAmount, settings = LATE_FEE_SETTINGS) {
+  return roundMoney(settings.flat + (Number(billAmount) || 0) * settings.percent / 100);
+}
+
+// [BILL] Move unpaid bills past due_date to overdue and add late fees once the grace period has passed.
+// `req` is the admin request for manual runs and null for the scheduler (audited as `system`).
+async function runOverdueCheck({ asOf = new Date().toISOString().slice(0, 10), source = 'schedule', changedBy = null, applyLateFees = true, req = null } = {}) {
+  return withTransaction(async () => {
+    const dueBills = await dbAll(
+      `SELECT b.bill_id, b.status FROM bills b
+       JOIN meters m ON m.meter_id = b.meter_id
+       WHERE ${LIVE_BILL_SQL}
+         AND b.status IN ('unpaid','partially_paid') AND date(b.due_date) < date(?)
+       ORDER BY b.bill_id ASC`,
+      [asOf]
+    );
+    for (const bill of dueBills) {
+      await dbRun(`UPDATE bills SET status = 'overdue' WHERE bill_id = ?`, [bill.bill_id]);
+      await logBillStatus({
+        bill_id: bill.bill_id,
+        from_status: bill.status,
+        to_status: 'overdue',
+        reason: `Not fully paid after due date (checked ${asOf})`,
+        source,
+        changed_by: changedBy
+      });
+      await queueBillNotification('overdue_notice', bill.bill_id);
+      await queueWebhookEvent('bill.overdue', () => loadWebhookBill(bill.bill_id));
+    }
+
+    const lateFees = [];
+    const feesEnabled = applyLateFees && (LATE_FEE_SETTINGS.flat > 0 || LATE_FEE_SETTINGS.percent > 0);
+    if (feesEnabled) {
+      // Late fees are never charged on other late fees, and at most once per bill
+      // (a deleted, i.e. waived, late fee still counts).
+      const feeBills = await dbAll(
+        `SELECT b.bill_id, b.meter_id, b.bill_month, b.amount - b.amount_paid AS balance FROM bills b
+         JOIN meters m ON m.meter_id = b.meter_id
+         WHERE ${LIVE_BILL_SQL}
+           AND b.status = 'overdue'
+           AND b.late_fee_for_bill_id IS NULL
+           AND date(b.due_date, '+' || ? || ' days') < date(?)
+           AND NOT EXISTS (SELECT 1 FROM bills f WHERE f.late_fee_for_bill_id = b.bill_id)
+         ORDER BY b.bill_id ASC`,
+        [LATE_FEE_SETTINGS.grace_days, asOf]
+      );
+      const feeDueDate = new Date(`${asOf}T00:00:00Z`);
+      feeDueDate.setUTCDate(feeDueDate.getUTCDate() + LATE_FEE_SETTINGS.due_days);
+
+      for (const bill of feeBills) {
+        const amount = calculateLateFee(bill.balance);
+        if (amount <= 0) continue;
+        const fee = await dbRun(
+          `INSERT INTO bills (meter_id,bill_month,amount,due_date,status,late_fee_for_bill_id)
+           VALUES (?,?,?,?,'unpaid',?)`,
+          [bill.meter_id, bill.bill_month, amount, feeDueDate.toISOString().slice(0, 10), bill.bill_id]
+        );
+        await saveBillLines(fee.lastID, [{ kind: 'late_fee', description: `Late fee for bill #${bill.bill_id}`, amount }], changedBy);
+        await chargeBill(fee.lastID, { entryType: 'late_fee', createdBy: changedBy });
+        await logBillStatus({
+          bill_id: bill.bill_id,
+          from_status: 'overdue',
+          to_status: 'overdue',
+          reason: `Late fee of ${amount.toFixed(2)} added`,
+          late_fee_bill_id: fee.lastID,
+          source,
+          changed_by: changedBy
+        });
+        lateFees.push({ bill_id: bill.bill_id, late_fee_bill_id: fee.lastID, amount });
+      }
+    }
+
+    const result = {
+      as_of: asOf,
+      overdue_bill_ids: dueBills.map((bill) => bill.bill_id),
+      late_fees: lateFees,
+      late_fee_total: roundMoney(lateFees.reduce((sum, fee) => sum + fee.amount, 0))
+    };
+    if (dueBills.length || lateFees.length) {
+      await recordAudit(req, { action: 'overdue_check', entity_type: 'bill', after: result });
+    }
+    return result;
+  });
+}
+
+// [BILL] Run the overdue check now (admin only); `as_of` defaults to today.
+app.post('/bills/overdue-check', requireApiAdmin, async (req, res) => {
+  const body = req.body || {};
+  const asOf = String(body.as_of || '').trim() || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    return sendError(res, 400, 'as_of must be a date (YYYY-MM-DD)');
+  }
+
+  try {
+    const result = await runOverdueCheck({
+      asOf,
+      source: 'manual',
+      changedBy: req.auth.user_id,
+      applyLateFees: body.apply_late_fees !== false,
+      req
+    });
+    res.json(result);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILL] Status history of a bill (users only see bills on their own meters).
+app.get('/bills/:id/history', requireApiAuth, async (req, res) => {
+  try {
+    const bill = await dbGet(
+      `SELECT b.bill_id FROM bills b
+       JOIN meters m ON m.meter_id = b.meter_id
+       WHERE b.bill_id = ? AND ${LIVE_BILL_SQL} AND (? OR m.user_id = ?)`,
+      [req.params.id, isAdminCaller(req) ? 1 : 0, req.auth.user_id]
+    );
+    if (!bill) return sendError(res, 404, 'Not found');
+
+    const rows = await dbAll(
+      `SELECT h.*, u.name AS changed_by_name
+       FROM bill_status_history h
+       LEFT JOIN users u ON u.user_id = h.changed_by
+       WHERE h.bill_id = ?
+       ORDER BY h.created_at ASC, h.history_id ASC`,
+      [bill.bill_id]
+    );
+    res.json(rows);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// BILLING RUNS ROUTES
+// ==========================
+
+// `due_date` is used with the fixed rule, `due_days` (after the month's last day) otherwise.
+const BILLING_RUN_SCHEMA = {
+  fields: {
+    bill_month: { type: 'month', required: true },
+    due_rule: { type: 'enum', values: ['fixed', 'days_after_month_end'], default: 'days_after_month_end' },
+    due_date: { type: 'date' },
+    due_days: { type: 'integer', min: 0, max: 90, default: 15 },
+    pricing_mode: { type: 'enum', values: [...BILLING_PRICING_MODES], default: 'readings_or_flat' }
+  },
+  checks: [
+    { field: 'due_date', message: 'due_date is required for the fixed due rule', test: (input) => input.due_rule !== 'fixed' || !!input.due_date },
+    { ...DUE_DATE_CHECK, test: (input) => input.due_rule !== 'fixed' || DUE_DATE_CHECK.test(input) }
+  ]
+};
+
+// [BILLING] Validate billing-run parameters (month, due-date rule, pricing mode, flat amounts); `{ fields }` on failure.
+function parseBillingRunOptions(body) {
+  const { value: input, fields } = validateInput(body, BILLING_RUN_SCHEMA);
+  if (fields) return { fields };
+  const [year, month] = input.bill_month.split('-').map(Number);
+  const monthKey = input.bill_month;
+
+  const dueRule = input.due_rule;
+  let dueDate = null;
+  let dueDays = null;
+  if (dueRule === 'fixed') {
+    dueDate = input.due_date;
+  } else {
+    dueDays = input.due_days;
+    const monthEnd = new Date(Date.UTC(year, month, 0));
+    monthEnd.setUTCDate(monthEnd.getUTCDate() + dueDays);
+    dueDate = monthEnd.toISOString().slice(0, 10);
+  }
+
+  const pricingMode = input.pricing_mode;
+  const flatAmounts = {};
+  const rawFlat = body && body.flat_amounts && typeof body.flat_amounts === 'object' ? body.flat_amounts : {};
+  for (const [utilityId, rawAmount] of Object.entries(rawFlat)) {
+    if (rawAmount === '' || rawAmount === null || rawAmount === undefined) continue;
+    const amount = Number.parseFloat(rawAmount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { fields: { flat_amounts: `Flat amount for utility ${utilityId} must be a non-negative number` } };
+    }
+    flatAmounts[String(utilityId)] = roundMoney(amount);
+  }
+  if (pricingMode === 'flat' && !Object.keys(flatAmounts).length) {
+    return { fields: { flat_amounts: 'flat_amounts are required for flat pricing' } };
+  }
+
+  const nextMonth = new Date(Date.UTC(year, month, 1));
+
+  return {
+    options: {
+      month_key: monthKey,
+      bill_month: `${monthKey}-01`,
+      period_end: nextMonth.toISOString().slice(0, 10),
+      due_rule: dueRule,
+      due_days: dueDays,
+      due_date: dueDate,
+      pricing_mode: pricingMode,
+      flat_amounts: flatAmounts
+    }
+  };
+}
+
+// [BILLING] Work out what a billing run would create, one item per meter with its bill lines (usage plus due
+// recurring charges), without writing anything.
+async function planBillingRun(options) {
+  const meters = await dbAll(
+    `SELECT m.meter_id, m.meter_number, m.user_id, m.utility_id, u.name AS user_name, ut.utility_name,
+            EXISTS (
+              SELECT 1 FROM bills b
+              WHERE b.meter_id = m.meter_id AND b.deleted_at IS NULL AND substr(b.bill_month, 1, 7) = ?
+            ) AS already_billed
+     FROM meters m
+     JOIN users u ON u.user_id = m.user_id
+     JOIN utilities ut ON ut.utility_id = m.utility_id
+     WHERE ${LIVE_METER_SQL}
+     ORDER BY m.meter_id ASC`,
+    [options.month_key]
+  );
+
+  const items = [];
+  // A user's recurring charges go on the first of their meters billed in the run.
+  const takenCharges = new Set();
+  for (const meter of meters) {
+    const item = {
+      meter_id: meter.meter_id,
+      meter_number: meter.meter_number,
+      user_id: meter.user_id,
+      user_name: meter.user_name,
+      utility_id: meter.utility_id,
+      utility_name: meter.utility_name,
+      action: 'skip',
+      reason: null,
+      pricing: null,
+      units_consumed: null,
+      amount: 0,
+      recurring_amount: 0,
+      lines: [],
+      priced: null
+    };
+    items.push(item);
+
+    if (meter.already_billed) {
+      item.reason = 'Already billed for this month';
+      continue;
+    }
+
+    let priced = null;
+    if (options.pricing_mode !== 'flat') {
+      priced = await priceMeterConsumption(meter, { bill_month: options.bill_month, read_before: options.period_end });
+      if (!priced.error) {
+        item.pricing = priced.tariff_id ? 'tariff' : 'readings';
+      }
+    }
+
+    const flatAmount = options.flat_amounts[String(meter.utility_id)];
+    if ((!priced || priced.error) && options.pricing_mode !== 'readings' && Number.isFinite(flatAmount)) {
+      priced = { amount: flatAmount, tariff_id: null, breakdown: null };
+      item.pricing = 'flat';
+    }
+
+    if (!priced || priced.error) {
+      item.reason = priced ? priced.error : 'No flat amount set for this utility';
+      continue;
+    }
+
+    item.action = 'bill';
+    item.units_consumed = priced.units_consumed === undefined ? null : priced.units_consumed;
+    const recurring = await recurringChargeLines(meter, options.month_key, takenCharges);
+    item.lines = [usageLine(meter.utility_name, options.month_key, priced.amount, item.units_consumed), ...recurring];
+    item.recurring_amount = billLinesTotal(recurring);
+    item.amount = billLinesTotal(item.lines);
+    item.priced = priced;
+  }
+
+  const billable = items.filter((item) => item.action === 'bill');
+  return {
+    bill_month: options.bill_month,
+    due_date: options.due_date,
+    pricing_mode: options.pricing_mode,
+    items,
+    totals: {
+      meters: items.length,
+      bills: billable.length,
+      skipped: items.length - billable.length,
+      amount: roundMoney(billable.reduce((sum, item) => sum + item.amount, 0))
+    }
+  };
+}
+
+// [BILLING] Strip internal pricing details before a plan is returned to clients.
+function publicBillingPlan(plan) {
+  return {
+    ...plan,
+    items: plan.items.map(({ priced, ...item }) => item)
+  };
+}
+
+// [BILLING] List billing runs, newest first.
+app.get('/billing-runs', requireApiAdmin, (req, res) => {
+  dbRead('all',
+    `SELECT r.*, u.name AS created_by_name
+     FROM billing_runs r
+     LEFT JOIN users u ON u.user_id = r.created_by
+     ORDER BY r.run_id DESC`,
+    [],
+    (err, rows) => {
+      if (err) return sendServerError(res, err);
+      res.json(rows.map((row) => ({ ...row, parameters: JSON.parse(row.parameters || '{}') })));
+    }
+  );
+});
+
+// [BILLING] Get one billing run with the bills it produced.
+app.get('/billing-runs/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const run = await dbGet(`SELECT * FROM billing_runs WHERE run_id = ?`, [req.params.id]);
+    if (!run) return sendError(res, 404, 'Billing run not found');
+
+    const bills = await dbAll(
+      `SELECT b.bill_id, b.meter_id, b.bill_month, b.amount, b.due_date, b.status, b.units_consumed,
+              m.meter_number, u.user_id, u.name AS user_name, ut.utility_name
+       FROM bills b
+       JOIN meters m ON m.meter_id = b.meter_id
+       JOIN users u ON u.user_id = m.user_id
+       JOIN utilities ut ON ut.utility_id = m.utility_id
+       WHERE b.billing_run_id = ? AND b.deleted_at IS NULL
+       ORDER BY b.bill_id ASC`,
+      [run.run_id]
+    );
+    res.json({ ...run, parameters: JSON.parse(run.parameters || '{}'), bills });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILLING] Preview a billing run: per-meter amounts and totals, nothing is written.
+app.post('/billing-runs/preview', requireApiAdmin, async (req, res) => {
+  const { options, fields } = parseBillingRunOptions(req.body);
+  if (fields) return sendValidationError(res, fields);
+
+  try {
+    const plan = await planBillingRun(options);
+    res.json(publicBillingPlan(plan));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILLING] Commit a billing run. Meters already billed for the month are skipped, so re-running is safe.
+app.post('/billing-runs', requireApiAdmin, async (req, res) => {
+  const { options, fields } = parseBillingRunOptions(req.body);
+  if (fields) return sendValidationError(res, fields);
+
+  try {
+    const result = await withTransaction(async () => {
+      // Planned inside the transaction so the "already billed" check sees every committed bill.
+      const plan = await planBillingRun(options);
+      const billable = plan.items.filter((item) => item.action === 'bill');
+      if (!billable.length) return { plan, runId: null };
+
+      const run = await dbRun(
+        `INSERT INTO billing_runs (bill_month,due_date,pricing_mode,parameters,bills_count,skipped_count,total_amount,created_by)
+         VALUES (?,?,?,?,?,?,?,?)`,
+        [
+          options.bill_month, options.due_date, options.pricing_mode,
+          JSON.stringify({
+            due_rule: options.due_rule,
+            due_days: options.due_days,
+            due_date: options.due_date,
+            pricing_mode: options.pricing_mode,
+            flat_amounts: options.flat_amounts
+          }),
+          plan.totals.bills, plan.totals.skipped, plan.totals.amount, req.auth.user_id
+        ]
+      );
+      for (const item of billable) {
+        item.bill_id = await insertConsumptionBill(item.meter_id, options.bill_month, options.due_date, item.priced, item.lines, run.lastID);
+        await chargeBill(item.bill_id, { createdBy: req.auth.user_id });
+      }
+      await recordAudit(req, {
+        action: 'create',
+        entity_type: 'billing_run',
+        entity_id: run.lastID,
+        after: {
+          ...(await dbGet(`SELECT * FROM billing_runs WHERE run_id = ?`, [run.lastID])),
+          bill_ids: billable.map((item) => item.bill_id)
+        }
+      });
+      return { plan, runId: run.lastID };
+    });
+
+    res.json({
+      run_id: result.runId,
+      bills_count: result.plan.totals.bills,
+      message: result.runId ? null : 'Nothing to bill: every meter is already billed or has no price for this month',
+      ...publicBillingPlan(result.plan)
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILLING] Roll back a whole run by moving its bills to the trash and crediting their charges back; refused once
+// any of them has a payment.
+app.post('/billing-runs/:id/rollback', requireApiAdmin, async (req, res) => {
+  const reason = String((req.body || {}).reason || '').trim() || null;
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const run = await dbGet(`SELECT * FROM billing_runs WHERE run_id = ?`, [req.params.id]);
+      if (!run) return { status: 404, body: errorBody(404, 'Billing run not found') };
+      if (run.status !== 'committed') return { status: 409, body: errorBody(409, 'Billing run is already rolled back') };
+
+      const paid = await dbAll(
+        `SELECT DISTINCT a.bill_id FROM payment_allocations a
+         JOIN payments p ON p.payment_id = a.payment_id
+         JOIN bills b ON b.bill_id = a.bill_id
+         WHERE p.reversed_at IS NULL
+           AND (b.billing_run_id = ?
+             OR b.late_fee_for_bill_id IN (SELECT bill_id FROM bills WHERE billing_run_id = ?))`,
+        [run.run_id, run.run_id]
+      );
+      if (paid.length) {
+        return {
+          status: 409,
+          body: errorBody(409, `Cannot roll back: ${paid.length} bill(s) from this run already have payments`, {
+            bill_ids: paid.map((row) => row.bill_id)
+          })
+        };
+      }
+
+      // The run's bills and their late fees go to the trash like a deleted bill; ones already deleted are skipped.
+      const runBills = await dbAll(
+        `SELECT bill_id FROM bills WHERE billing_run_id = ? AND deleted_at IS NULL`,
+        [run.run_id]
+      );
+      await reverseBillCharges(runBills.map((bill) => bill.bill_id), {
+        reason: `billing run #${run.run_id} rolled back`,
+        createdBy: req.auth.user_id
+      });
+      const deleted = await dbRun(
+        `UPDATE bills SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+         WHERE deleted_at IS NULL
+           AND (billing_run_id = ? OR late_fee_for_bill_id IN (SELECT bill_id FROM bills WHERE billing_run_id = ?))`,
+        [req.auth.user_id, run.run_id, run.run_id]
+      );
+      await dbRun(
+        `UPDATE billing_runs
+         SET status = 'rolled_back', rolled_back_by = ?, rolled_back_at = CURRENT_TIMESTAMP, rollback_reason = ?
+         WHERE run_id = ?`,
+        [req.auth.user_id, reason, run.run_id]
+      );
+      await recordAudit(req, {
+        action: 'rollback',
+        entity_type: 'billing_run',
+        entity_id: run.run_id,
+        before: { ...run, bill_ids: runBills.map((bill) => bill.bill_id) },
+        after: await dbGet(`SELECT * FROM billing_runs WHERE run_id = ?`, [run.run_id])
+      });
+      return { status: 200, body: { run_id: run.run_id, deleted_bills: deleted.changes } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// PAYMENTS ROUTES
+// ==========================
+// [PAYMENT] Recompute a bill's amount_paid and status from its live (not reversed) payment allocations and its
+// credit allocations; logs any status change.
+async function refreshBillPayments(billId, { source, changedBy = null, reason = null }) {
+  const bill = await dbGet(
+    `SELECT bill_id, amount, status, date(due_date) < date('now') AS past_due,
+            COALESCE((
+              SELECT SUM(a.amount) FROM payment_allocations a
+              JOIN payments p ON p.payment_id = a.payment_id
+              WHERE a.bill_id = bills.bill_id AND p.reversed_at IS NULL
+            ), 0) + COALESCE((
+              SELECT SUM(c.amount) FROM credit_allocations c WHERE c.bill_id = bills.bill_id
+            ), 0) AS allocated
+     FROM bills WHERE bill_id = ?`,
+    [billId]
+  );
+  if (!bill) return null;
+
+  const amountPaid = roundMoney(bill.allocated);
+  const balance = roundMoney(Math.max(bill.amount - amountPaid, 0));
+  let status = 'unpaid';
+  if (balance <= 0) status = 'paid';
+  else if (bill.past_due) status = 'overdue';
+  else if (amountPaid > 0) status = 'partially_paid';
+
+  await dbRun(`UPDATE bills SET amount_paid = ?, status = ? WHERE bill_id = ?`, [amountPaid, status, billId]);
+  if (status !== bill.status) {
+    await logBillStatus({ bill_id: billId, from_status: bill.status, to_status: status, reason, source, changed_by: changedBy });
+  }
+  return { bill_id: bill.bill_id, status, amount_paid: amountPaid, balance };
+}
+
+// [PAYMENT] Read requested bills from a payment body: explicit `allocations`, a `bill_ids` list or one `bill_id`.
+// Without any of them, a `transaction_ref` quoting a PromptPay bill reference (INV...) picks that bill.
+// Resolves to `{ targets }` or `{ fields }` keyed by whichever of the three was sent.
+function parsePaymentTargets(body) {
+  const field = Array.isArray(body.allocations) ? 'allocations' : Array.isArray(body.bill_ids) ? 'bill_ids' : 'bill_id';
+  const referencedBillId = billIdFromReference(body.transaction_ref);
+  let targets;
+  if ([undefined, null, ''].includes(body.bill_id) && field === 'bill_id' && referencedBillId) {
+    targets = [{ bill_id: referencedBillId, amount: null }];
+  } else if (Array.isArray(body.allocations)) {
+    targets = body.allocations.map((allocation) => ({
+      bill_id: Number.parseInt(allocation && allocation.bill_id, 10),
+      amount: Number.parseFloat(allocation && allocation.amount)
+    }));
+    if (targets.some((target) => !Number.isFinite(target.amount) || target.amount <= 0)) {
+      return { fields: { [field]: 'Each allocation needs a positive amount' } };
+    }
+  } else if (Array.isArray(body.bill_ids)) {
+    targets = body.bill_ids.map((billId) => ({ bill_id: Number.parseInt(billId, 10), amount: null }));
+  } else {
+    targets = [{ bill_id: Number.parseInt(body.bill_id, 10), amount: null }];
+  }
+
+  if (!targets.length || targets.some((target) => !Number.isFinite(target.bill_id) || target.bill_id <= 0)) {
+    return { fields: { [field]: 'Invalid bill_id' } };
+  }
+  if (new Set(targets.map((target) => target.bill_id)).size !== targets.length) {
+    return { fields: { [field]: 'Each bill can only appear once in a payment' } };
+  }
+  return { targets };
+}
+
+// [PAYMENT] Work out allocations against open bills; without explicit amounts the oldest due bills are paid first.
+// Whatever is left over after the allocations stays on the payment as account credit.
+function planPaymentAllocations(bills, targets, requestedAmount) {
+  const billById = new Map(bills.map((bill) => [bill.bill_id, bill]));
+  const balanceOf = (bill) => roundMoney(Math.max(bill.amount - bill.amount_paid, 0));
+
+  for (const target of targets) {
+    const bill = billById.get(target.bill_id);
+    if (bill.status === 'paid' || balanceOf(bill) <= 0) {
+      return { status: 409, message: `Bill #${bill.bill_id} is already paid` };
+    }
+  }
+
+  if (targets[0].amount !== null) {
+    for (const target of targets) {
+      const balance = balanceOf(billById.get(target.bill_id));
+      if (roundMoney(target.amount) > balance) {
+        return { status: 400, message: `Allocation for bill #${target.bill_id} exceeds its balance of ${balance.toFixed(2)}` };
+      }
+    }
+    const allocated = roundMoney(targets.reduce((sum, target) => sum + target.amount, 0));
+    if (requestedAmount !== null && roundMoney(requestedAmount) < allocated) {
+      return { status: 400, message: 'amount cannot be less than the sum of the allocations' };
+    }
+    return {
+      total: requestedAmount === null ? allocated : roundMoney(requestedAmount),
+      allocations: targets.map((target) => ({ bill_id: target.bill_id, amount: roundMoney(target.amount) }))
+    };
+  }
+
+  const ordered = targets
+    .map((target) => billById.get(target.bill_id))
+    .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)) || a.bill_id - b.bill_id);
+  const openBalance = roundMoney(ordered.reduce((sum, bill) => sum + balanceOf(bill), 0));
+  const total = requestedAmount === null ? openBalance : roundMoney(requestedAmount);
+
+  let remaining = total;
+  const allocations = [];
+  for (const bill of ordered) {
+    if (remaining <= 0) break;
+    const amount = roundMoney(Math.min(balanceOf(bill), remaining));
+    allocations.push({ bill_id: bill.bill_id, amount });
+    remaining = roundMoney(remaining - amount);
+  }
+  return { total, allocations };
+}
+
+// [PAYMENT] Attach allocations (and the `reversed` flag) to loaded payment rows.
+async function attachPaymentAllocations(payments) {
+  if (!payments.length) return [];
+
+  const allocations = await dbAll(
+    `SELECT allocation_id, payment_id, bill_id, amount FROM payment_allocations
+     WHERE payment_id IN (${payments.map(() => '?').join(',')})
+     ORDER BY allocation_id ASC`,
+    payments.map((payment) => payment.payment_id)
+  );
+  return payments.map((payment) => {
+    const own = allocations.filter((allocation) => allocation.payment_id === payment.payment_id);
+    return {
+      ...payment,
+      reversed: payment.reversed_at !== null,
+      allocations: own,
+      bill_ids: own.map((allocation) => allocation.bill_id)
+    };
+  });
+}
+
+// Bill, meter and utility filters match payments with at least one allocation on such a bill.
+const PAYMENT_ALLOCATED_SQL = (condition) => `EXISTS (
+  SELECT 1 FROM payment_allocations a
+  JOIN bills b ON b.bill_id = a.bill_id
+  JOIN meters m ON m.meter_id = b.meter_id
+  WHERE a.payment_id = p.payment_id AND ${condition}
+)`;
+
+const PAYMENT_LIST_SPEC = {
+  filters: {
+    payment_id: 'p.payment_id = ?',
+    user_id: 'p.user_id = ?',
+    bill_id: PAYMENT_ALLOCATED_SQL('b.bill_id = ?'),
+    meter_id: PAYMENT_ALLOCATED_SQL('b.meter_id = ?'),
+    utility_id: PAYMENT_ALLOCATED_SQL('m.utility_id = ?')
+  },
+  statuses: {
+    active: 'p.reversed_at IS NULL',
+    reversed: 'p.reversed_at IS NOT NULL',
+    refund: "p.reversal_type = 'refund'",
+    void: "p.reversal_type = 'void'"
+  },
+  dateColumn: 'p.payment_date',
+  search: ['p.transaction_ref', 'p.payment_method'],
+  sort: { payment_id: 'p.payment_id', payment_date: 'p.payment_date', amount: 'p.amount', payment_method: 'p.payment_method' },
+  idColumn: 'p.payment_id'
+};
+
+// Bills come from `bill_id`, `bill_ids` or `allocations` (see parsePaymentTargets). Without `amount`
+// the open balance of the bills is paid.
+const PAYMENT_SCHEMA = {
+  fields: {
+    payment_method: { type: 'string', required: true, maxLength: 40 },
+    transaction_ref: { type: 'string', maxLength: 120 },
+    amount: { type: 'number', above: 0, max: 10000000 }
+  }
+};
+const PAYMENT_REVERSAL_SCHEMA = {
+  fields: {
+    type: { type: 'enum', values: ['refund', 'void'], default: 'refund' },
+    reason: { type: 'string', required: true, maxLength: 500 }
+  }
+};
+
+// [PAYMENT] Get payments with allocations (all for admins; own payments or payments on own bills for users).
+// Paging, filters and sort: see parseListQuery; `status` is active, reversed, refund or void.
+app.get('/payments', requireApiAuth, async (req, res) => {
+  const list = parseListQuery(req.query, PAYMENT_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    const payments = await queryList(res, list, {
+      select: 'p.*, ru.name AS reversed_by_name',
+      fromSql: 'payments p LEFT JOIN users ru ON ru.user_id = p.reversed_by',
+      where: [`(? OR p.user_id = ? OR ${PAYMENT_ALLOCATED_SQL('m.user_id = ?')})`],
+      params: [isAdminCaller(req) ? 1 : 0, req.auth.user_id, req.auth.user_id]
+    });
+    res.json(await attachPaymentAllocations(payments));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [PAYMENT] Post a payment inside the caller's transaction: allocate it to `targets` (see parsePaymentTargets),
+// update the bills, credit the payer's ledger, audit it and queue the `payment.created` webhook. `ownerId` limits
+// the bills to one account (null = any); `auditVia` names the actor when there is no signed-in caller.
+// Resolves to `{ status, body }` like a route outcome.
+async function postPayment(req, { targets, paymentMethod, transactionRef, amount, ownerId = null, changedBy = null, auditVia }) {
+  const billIds = targets.map((target) => target.bill_id);
+  const bills = await dbAll(
+    `SELECT b.bill_id, b.amount, b.amount_paid, b.status, b.due_date, m.user_id
+     FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     WHERE ${LIVE_BILL_SQL} AND b.bill_id IN (${billIds.map(() => '?').join(',')})`,
+    billIds
+  );
+  const visible = bills.filter((bill) => ownerId === null || String(bill.user_id) === String(ownerId));
+  if (visible.length !== targets.length) {
+    return { status: 404, body: errorBody(404, "Bill not found") };
+  }
+
+  // One payment credits one account, so every bill must belong to the same owner.
+  const owners = new Set(visible.map((bill) => bill.user_id));
+  if (owners.size !== 1) {
+    return { status: 400, body: errorBody(400, "All bills in one payment must belong to the same account") };
+  }
+
+  const plan = planPaymentAllocations(visible, targets, amount);
+  if (plan.message) return { status: plan.status, body: errorBody(plan.status, plan.message) };
+
+  const payerId = visible[0].user_id;
+  const payment = await dbRun(
+    `INSERT INTO payments (user_id,amount,payment_method,transaction_ref)
+     VALUES (?,?,?,?)`,
+    [payerId, plan.total, paymentMethod, transactionRef]
+  );
+
+  const allocations = [];
+  for (const allocation of plan.allocations) {
+    await dbRun(
+      `INSERT INTO payment_allocations (payment_id,bill_id,amount) VALUES (?,?,?)`,
+      [payment.lastID, allocation.bill_id, allocation.amount]
+    );
+    const bill = await refreshBillPayments(allocation.bill_id, {
+      source: 'payment',
+      changedBy,
+      reason: `Payment #${payment.lastID}`
+    });
+    allocations.push({ ...allocation, bill_status: bill.status, balance: bill.balance });
+  }
+  await recordLedgerEntry({
+    user_id: payerId,
+    entry_type: 'payment',
+    credit: plan.total,
+    payment_id: payment.lastID,
+    description: `Payment #${payment.lastID} (${paymentMethod})`,
+    created_by: changedBy
+  });
+
+  await recordAudit(req, {
+    action: 'create',
+    entity_type: 'payment',
+    entity_id: payment.lastID,
+    after: { ...(await dbGet(`SELECT * FROM payments WHERE payment_id = ?`, [payment.lastID])), allocations },
+    via: auditVia
+  });
+  await queueWebhookEvent('payment.created', () => loadWebhookPayment(payment.lastID));
+
+  const allocated = roundMoney(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  return {
+    status: 200,
+    body: {
+      payment_id: payment.lastID,
+      amount: plan.total,
+      allocations,
+      account_credit: roundMoney(plan.total - allocated)
+    }
+  };
+}
+
+// [PAYMENT] Queue and send the receipt for a payment whose transaction has committed.
+function sendPaymentReceipt(paymentId) {
+  queuePaymentReceipt(paymentId)
+    .then(() => deliverOutbox())
+    .catch((err) => console.error('Payment receipt delivery failed:', err.message));
+}
+
+// [PAYMENT] Record a (partial) payment taken outside the app (cash, transfer...) and allocate it across one or
+// more bills in one transaction (admin only; customers pay online through payment intents).
+// The payer's receipt is queued and sent once the transaction has committed.
+app.post('/payments', requireApiAdmin, validateBody(PAYMENT_SCHEMA), async (req, res) => {
+  const { targets, fields } = parsePaymentTargets(req.body || {});
+  if (fields) return sendValidationError(res, fields);
+
+  try {
+    const outcome = await withTransaction(() => postPayment(req, {
+      targets,
+      paymentMethod: req.input.payment_method,
+      transactionRef: req.input.transaction_ref,
+      amount: req.input.amount,
+      changedBy: req.auth.user_id
+    }));
+
+    res.status(outcome.status).json(outcome.body);
+    if (outcome.status === 200) sendPaymentReceipt(outcome.body.payment_id);
+  } catch (err) {
+    if (isUniqueViolation(err, 'payments', 'transaction_ref')) {
+      return sendError(res, 409, "Transaction reference is duplicated", {
+        code: 'conflict',
+        fields: { transaction_ref: "Transaction reference is duplicated" }
+      });
+    }
+    if (String(err.code || "").startsWith("SQLITE_CONSTRAINT")) return sendConstraintError(res, err);
+    sendServerError(res, err);
+  }
+});
+
+// [PAYMENT] Refund or void a payment (admin only). The payment stays on record with who/why/when,
+// its bills are reopened and the account is debited back, all in one transaction.
+app.post('/payments/:id/reverse', requireApiAdmin, validateBody(PAYMENT_REVERSAL_SCHEMA), async (req, res) => {
+  const { type: reversalType, reason } = req.input;
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const payment = await dbGet(`SELECT * FROM payments WHERE payment_id = ?`, [req.params.id]);
+      if (!payment) return { status: 404, body: errorBody(404, 'Payment not found') };
+      if (payment.reversed_at) return { status: 409, body: errorBody(409, 'Payment is already reversed') };
+
+      await dbRun(
+        `UPDATE payments
+         SET reversal_type = ?, reversal_reason = ?, reversed_by = ?, reversed_at = CURRENT_TIMESTAMP
+         WHERE payment_id = ?`,
+        [reversalType, reason, req.auth.user_id, payment.payment_id]
+      );
+      if (payment.user_id) {
+        await recordLedgerEntry({
+          user_id: payment.user_id,
+          entry_type: reversalType === 'refund' ? 'refund' : 'adjustment',
+          debit: payment.amount,
+          payment_id: payment.payment_id,
+          description: `Payment #${payment.payment_id} ${reversalType === 'refund' ? 'refunded' : 'voided'}: ${reason}`,
+          created_by: req.auth.user_id
+        });
+      }
+
+      const allocations = await dbAll(
+        `SELECT bill_id FROM payment_allocations WHERE payment_id = ?`,
+        [payment.payment_id]
+      );
+      const bills = [];
+      for (const allocation of allocations) {
+        const bill = await refreshBillPayments(allocation.bill_id, {
+          source: 'payment',
+          changedBy: req.auth.user_id,
+          reason: `Payment #${payment.payment_id} ${reversalType === 'refund' ? 'refunded' : 'voided'}: ${reason}`
+        });
+        bills.push({ bill_id: bill.bill_id, bill_status: bill.status, balance: bill.balance });
+      }
+      await recordAudit(req, {
+        action: reversalType,
+        entity_type: 'payment',
+        entity_id: payment.payment_id,
+        before: payment,
+        after: { ...(await dbGet(`SELECT * FROM payments WHERE payment_id = ?`, [payment.payment_id])), bills }
+      });
+      await queueWebhookEvent('payment.reversed', () => loadWebhookPayment(payment.payment_id));
+
+      return {
+        status: 200,
+        body: { payment_id: payment.payment_id, reversal_type: reversalType, bills }
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// ONLINE PAYMENTS
+// ==========================
+// A customer paying online gets a payment intent and is sent to the gateway's checkout page. The bill is only
+// paid when the gateway's signed callback confirms the intent; the payment is then posted through postPayment,
+// in the same transaction that marks the intent succeeded. Callbacks are idempotent: once an intent has left
+// `pending`, later callbacks for it change nothing.
+
+const PAYMENT_INTENT_SCHEMA = {
+  fields: {
+    bill_id: { type: 'id', required: true },
+    amount: { type: 'number', above: 0, max: 10000000 },
+    return_url: { type: 'string', required: true, maxLength: 500 }
+  },
+  checks: [{
+    field: 'return_url',
+    message: 'return_url must be an http or https URL',
+    test: (value) => /^https?:\/\/[^/\s]+/i.test(value.return_url)
+  }]
+};
+const PAYMENT_INTENT_LIST_SPEC = {
+  filters: { intent_id: 'i.intent_id = ?', bill_id: 'i.bill_id = ?', user_id: 'i.user_id = ?' },
+  statuses: {
+    pending: "i.status = 'pending'",
+    succeeded: "i.status = 'succeeded'",
+    failed: "i.status = 'failed'",
+    cancelled: "i.status = 'cancelled'",
+    needs_review: "i.status = 'needs_review'"
+  },
+  dateColumn: 'i.created_at',
+  search: ['i.provider_ref'],
+  sort: { intent_id: 'i.intent_id', created_at: 'i.created_at', amount: 'i.amount', status: 'i.status' },
+  idColumn: 'i.intent_id'
+};
+
+// [GATEWAY] Start an online payment for a bill (owner or admin): records a pending intent and creates the
+// gateway checkout. `amount` defaults to the open balance; the gateway sends the customer back to `return_url`
+// with `intent_id` added.
+app.post('/payment-intents', requireApiAuth, validateBody(PAYMENT_INTENT_SCHEMA), async (req, res) => {
+  if (!paymentGateway) return sendError(res, 502, 'Online payments are not available');
+  const { bill_id: billId, return_url: returnUrl } = req.input;
+
+  try {
+    const bill = await dbGet(
+      `SELECT b.bill_id, b.bill_month, b.amount, b.amount_paid, b.status, m.user_id
+       FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+       WHERE ${LIVE_BILL_SQL} AND b.bill_id = ?`,
+      [billId]
+    );
+    if (!bill || (!isAdminCaller(req) && String(bill.user_id) !== String(req.auth.user_id))) {
+      return sendError(res, 404, 'Bill not found');
+    }
+    const balance = roundMoney(Math.max(bill.amount - bill.amount_paid, 0));
+    if (bill.status === 'paid' || balance <= 0) return sendError(res, 409, `Bill #${bill.bill_id} is already paid`);
+    const amount = req.input.amount === null ? balance : roundMoney(req.input.amount);
+    if (amount > balance) {
+      return sendValidationError(res, { amount: `amount cannot exceed the balance of ${balance.toFixed(2)}` });
+    }
+
+    const created = await dbRun(
+      `INSERT INTO payment_intents (bill_id,user_id,amount,provider,created_by) VALUES (?,?,?,?,?)`,
+      [bill.bill_id, bill.user_id, amount, paymentGateway.name, req.auth.user_id]
+    );
+    const intentId = created.lastID;
+    let checkout;
+    try {
+      checkout = await paymentGateway.createCheckout({
+        amount,
+        currency: 'THB',
+        reference: invoiceNumber(bill),
+        description: `${PAYEE_SETTINGS.name} ${invoiceNumber(bill)}`,
+        callback_url: PAYMENT_GATEWAY_SETTINGS.callback_url,
+        return_url: `${returnUrl}${returnUrl.includes('?') ? '&' : '?'}intent_id=${intentId}`
+      });
+    } catch (err) {
+      const message = (err.response && err.response.data && err.response.data.error) || err.message;
+      await dbRun(
+        `UPDATE payment_intents SET status = 'failed', last_error = ? WHERE intent_id = ?`,
+        [String(message).slice(0, 500), intentId]
+      );
+      console.error(`Creating ${paymentGateway.name} checkout failed:`, message);
+      return sendError(res, 502, 'The payment gateway could not start the payment; please try again later');
+    }
+
+    const intent = await withTransaction(async () => {
+      await dbRun(
+        `UPDATE payment_intents SET provider_ref = ?, checkout_url = ? WHERE intent_id = ?`,
+        [checkout.provider_ref, checkout.checkout_url, intentId]
+      );
+      const row = await dbGet(`SELECT * FROM payment_intents WHERE intent_id = ?`, [intentId]);
+      await recordAudit(req, { action: 'create', entity_type: 'payment_intent', entity_id: intentId, after: row });
+      return row;
+    });
+    res.json(intent);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [GATEWAY] Payment intents (all for admins; own for users), newest first by default. Paging, filters and sort:
+// see parseListQuery; `status` is pending, succeeded, failed or cancelled.
+app.get('/payment-intents', requireApiAuth, async (req, res) => {
+  const list = parseListQuery({ sort: 'intent_id', order: 'desc', ...req.query }, PAYMENT_INTENT_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    res.json(await queryList(res, list, {
+      select: 'i.*',
+      fromSql: 'payment_intents i',
+      where: ['(? OR i.user_id = ?)'],
+      params: [isAdminCaller(req) ? 1 : 0, req.auth.user_id]
+    }));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [GATEWAY] One payment intent (owner or admin); the return page polls this while a confirmation is pending.
+app.get('/payment-intents/:id', requireApiAuth, async (req, res) => {
+  try {
+    const intent = await dbGet(`SELECT * FROM payment_intents WHERE intent_id = ?`, [req.params.id]);
+    if (!intent || (!isAdminCaller(req) && String(intent.user_id) !== String(req.auth.user_id))) {
+      return sendError(res, 404, 'Payment intent not found');
+    }
+    res.json(intent);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [GATEWAY] Signed callback from the payment gateway (no bearer token; the signature is the credential).
+// A success posts the payment and marks the intent succeeded in one transaction; a failure or cancellation
+// only closes the intent. If the bill can no longer take the payment (paid or deleted meanwhile), the intent
+// is marked `needs_review`, without a payment and with the reason in `last_error`, for an admin to settle.
+app.post('/payment-gateway/callback', async (req, res) => {
+  if (!paymentGateway) return sendError(res, 502, 'Online payments are not available');
+  let result;
+  try {
+    result = paymentGateway.parseCallback(req.headers, req.rawBody || '');
+  } catch (err) {
+    return sendError(res, 400, err.message);
+  }
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const before = await dbGet(
+        `SELECT * FROM payment_intents WHERE provider = ? AND provider_ref = ?`,
+        [paymentGateway.name, result.provider_ref]
+      );
+      if (!before) return { status: 404, body: errorBody(404, 'Payment intent not found') };
+      if (before.status !== 'pending' || result.status === 'pending') {
+        return { status: 200, body: { intent_id: before.intent_id, status: before.status, payment_id: before.payment_id } };
+      }
+
+      // Anything that throws rolls back the whole callback and answers 500, so the gateway retries it.
+      let status = result.status;
+      let paymentId = null;
+      let lastError = result.reason;
+      if (result.status === 'succeeded') {
+        const posted = await postPayment(req, {
+          targets: [{ bill_id: before.bill_id, amount: null }],
+          paymentMethod: 'online',
+          transactionRef: before.provider_ref,
+          amount: before.amount,
+          ownerId: before.user_id,
+          changedBy: before.created_by,
+          auditVia: 'gateway'
+        });
+        if (posted.status === 200) {
+          paymentId = posted.body.payment_id;
+        } else {
+          status = 'needs_review';
+          lastError = posted.body.error.message;
+        }
+      }
+      await dbRun(
+        `UPDATE payment_intents SET status = ?, payment_id = ?, last_error = ?, confirmed_at = CURRENT_TIMESTAMP
+         WHERE intent_id = ?`,
+        [status, paymentId, lastError, before.intent_id]
+      );
+      const after = await dbGet(`SELECT * FROM payment_intents WHERE intent_id = ?`, [before.intent_id]);
+      await recordAudit(req, {
+        action: 'update',
+        entity_type: 'payment_intent',
+        entity_id: before.intent_id,
+        before,
+        after,
+        via: 'gateway'
+      });
+      return {
+        status: 200,
+        body: { intent_id: after.intent_id, status: after.status, payment_id: after.payment_id },
+        postedPaymentId: paymentId
+      };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+    if (outcome.postedPaymentId) sendPaymentReceipt(outcome.postedPaymentId);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// ACCOUNT LEDGER
+// ==========================
+
+// [LEDGER] Append one debit or credit to an account's ledger.
+function recordLedgerEntry(entry) {
+  return dbRun(
+    `INSERT INTO ledger_entries (user_id,entry_type,debit,credit,bill_id,payment_id,description,created_by)
+     VALUES (?,?,?,?,?,?,?,?)`,
+    [
+      entry.user_id, entry.entry_type, roundMoney(entry.debit || 0), roundMoney(entry.credit || 0),
+      entry.bill_id || null, entry.payment_id || null, entry.description || null, entry.created_by || null
+    ]
+  );
+}
+
+// Manual credit adjustments: credits not tied to a bill (bill cancellations) or a payment.
+const CREDIT_ADJUSTMENT_SQL = `l.entry_type = 'adjustment' AND l.credit > 0 AND l.bill_id IS NULL AND l.payment_id IS NULL`;
+
+// [LEDGER] Account credit, oldest first: unallocated payment money (`payment_id`) and the unspent part of manual
+// credit adjustments (`entry_id`).
+function listAccountCredit(userId) {
+  return dbAll(
+    `SELECT p.payment_id AS payment_id, NULL AS entry_id, round(p.amount - COALESCE(SUM(a.amount), 0), 2) AS available,
+            p.payment_date AS credited_at
+     FROM payments p
+     LEFT JOIN payment_allocations a ON a.payment_id = p.payment_id
+     WHERE p.user_id = ? AND p.reversed_at IS NULL
+     GROUP BY p.payment_id
+     HAVING available > 0
+     UNION ALL
+     SELECT NULL, l.entry_id, round(l.credit - COALESCE(SUM(c.amount), 0), 2) AS available, l.entry_date
+     FROM ledger_entries l
+     LEFT JOIN credit_allocations c ON c.entry_id = l.entry_id
+     WHERE l.user_id = ? AND ${CREDIT_ADJUSTMENT_SQL}
+     GROUP BY l.entry_id
+     HAVING available > 0
+     ORDER BY credited_at ASC, payment_id ASC, entry_id ASC`,
+    [userId, userId]
+  );
+}
+
+// [LEDGER] Settle a bill from the owner's account credit (unallocated payments and credit adjustments), oldest first.
+async function applyAccountCredit(billId, changedBy = null) {
+  const bill = await dbGet(
+    `SELECT b.bill_id, round(b.amount - b.amount_paid, 2) AS balance, m.user_id
+     FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+     WHERE b.bill_id = ? AND b.status != 'paid' AND b.deleted_at IS NULL`,
+    [billId]
+  );
+  if (!bill || bill.balance <= 0) return 0;
+
+  let remaining = bill.balance;
+  for (const credit of await listAccountCredit(bill.user_id)) {
+    if (remaining <= 0) break;
+    const amount = roundMoney(Math.min(credit.available, remaining));
+    if (credit.payment_id) {
+      await dbRun(
+        `INSERT INTO payment_allocations (payment_id,bill_id,amount) VALUES (?,?,?)
+         ON CONFLICT (payment_id, bill_id) DO UPDATE SET amount = amount + excluded.amount`,
+        [credit.payment_id, bill.bill_id, amount]
+      );
+    } else {
+      await dbRun(
+        `INSERT INTO credit_allocations (entry_id,bill_id,amount) VALUES (?,?,?)
+         ON CONFLICT (entry_id, bill_id) DO UPDATE SET amount = amount + excluded.amount`,
+        [credit.entry_id, bill.bill_id, amount]
+      );
+    }
+    remaining = roundMoney(remaining - amount);
+  }
+
+  const applied = roundMoney(bill.balance - remaining);
+  if (applied > 0) {
+    await refreshBillPayments(bill.bill_id, { source: 'payment', changedBy, reason: 'Account credit applied' });
+  }
+  return applied;
+}
+
+// [LEDGER] Debit a newly created bill to its owner's account, apply any account credit to it, notify the owner
+// and queue the `bill.created` webhook (`late_fee` and `bill.late_fee` for a late fee).
+async function chargeBill(billId, { entryType = 'bill', createdBy = null } = {}) {
+  const bill = await dbGet(
+    `SELECT b.bill_id, b.amount, b.bill_month, m.user_id, m.meter_number
+     FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+     WHERE b.bill_id = ?`,
+    [billId]
+  );
+  if (!bill) return;
+
+  await recordLedgerEntry({
+    user_id: bill.user_id,
+    entry_type: entryType,
+    debit: bill.amount,
+    bill_id: bill.bill_id,
+    description: entryType === 'late_fee'
+      ? `Late fee (bill #${bill.bill_id})`
+      : `Bill #${bill.bill_id} for ${String(bill.bill_month).slice(0, 7)}, meter ${bill.meter_number}`,
+    created_by: createdBy
+  });
+  await applyAccountCredit(bill.bill_id, createdBy);
+  const lateFee = entryType === 'late_fee';
+  await queueBillNotification(lateFee ? 'late_fee' : 'bill_created', bill.bill_id);
+  await queueWebhookEvent(lateFee ? 'bill.late_fee' : 'bill.created', () => loadWebhookBill(bill.bill_id));
+}
+
+// [LEDGER] Credit back bills (and their late fees) that are about to be deleted, releasing credit adjustments
+// spent on them; their unsent notices are cancelled.
+async function reverseBillCharges(billIds, { reason, createdBy = null }) {
+  if (!billIds.length) return;
+  const bills = await dbAll(
+    `SELECT b.bill_id, b.amount, m.user_id
+     FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+     WHERE b.deleted_at IS NULL
+       AND (b.bill_id IN (${billIds.map(() => '?').join(',')})
+         OR b.late_fee_for_bill_id IN (${billIds.map(() => '?').join(',')}))`,
+    [...billIds, ...billIds]
+  );
+  for (const bill of bills) {
+    await recordLedgerEntry({
+      user_id: bill.user_id,
+      entry_type: 'adjustment',
+      credit: bill.amount,
+      bill_id: bill.bill_id,
+      description: `Bill #${bill.bill_id} cancelled: ${reason}`,
+      created_by: createdBy
+    });
+    // Credit adjustments spent on the bill become available again.
+    const released = await dbRun(`DELETE FROM credit_allocations WHERE bill_id = ?`, [bill.bill_id]);
+    if (released.changes) {
+      await refreshBillPayments(bill.bill_id, { source: 'manual', changedBy: createdBy, reason: `Bill cancelled: ${reason}` });
+    }
+  }
+  await cancelBillNotifications(bills.map((bill) => bill.bill_id));
+}
+
+// [LEDGER] Spend an account's credit on its open bills, earliest due first; resolves to the amount applied.
+async function applyCreditToOpenBills(userId, changedBy = null) {
+  const bills = await dbAll(
+    `SELECT b.bill_id FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+     WHERE m.user_id = ? AND ${LIVE_BILL_SQL} AND b.status != 'paid'
+     ORDER BY b.due_date ASC, b.bill_id ASC`,
+    [userId]
+  );
+  let applied = 0;
+  for (const bill of bills) {
+    applied = roundMoney(applied + await applyAccountCredit(bill.bill_id, changedBy));
+  }
+  return applied;
+}
+
+// [SYSTEM] One-time ledger backfill for databases that had bills/payments before the ledger existed.
+async function backfillLedger() {
+  const existing = await dbGet(`SELECT COUNT(*) AS total FROM ledger_entries`);
+  if (existing.total > 0) return;
+
+  await withTransaction(async () => {
+    // Older admin-entered payments may lack a payer; take it from the bills they paid.
+    await dbRun(
+      `UPDATE payments SET user_id = (
+         SELECT m.user_id FROM payment_allocations a
+         JOIN bills b ON b.bill_id = a.bill_id
+         JOIN meters m ON m.meter_id = b.meter_id
+         WHERE a.payment_id = payments.payment_id
+         LIMIT 1
+       )
+       WHERE user_id IS NULL`
+    );
+    const bills = await dbRun(
+      `INSERT INTO ledger_entries (user_id,entry_type,debit,bill_id,description,entry_date)
+       SELECT m.user_id,
+              CASE WHEN b.late_fee_for_bill_id IS NULL THEN 'bill' ELSE 'late_fee' END,
+              b.amount, b.bill_id,
+              CASE WHEN b.late_fee_for_bill_id IS NULL
+                   THEN 'Bill #' || b.bill_id || ' for ' || substr(b.bill_month, 1, 7) || ', meter ' || m.meter_number
+                   ELSE 'Late fee (bill #' || b.bill_id || ')' END,
+              COALESCE(b.created_at, CURRENT_TIMESTAMP)
+       FROM bills b JOIN meters m ON m.meter_id = b.meter_id`
+    );
+    const payments = await dbRun(
+      `INSERT INTO ledger_entries (user_id,entry_type,credit,payment_id,description,entry_date)
+       SELECT user_id, 'payment', amount, payment_id, 'Payment #' || payment_id || ' (' || payment_method || ')',
+              COALESCE(payment_date, CURRENT_TIMESTAMP)
+       FROM payments
+       WHERE user_id IS NOT NULL`
+    );
+    if (bills.changes || payments.changes) {
+      console.log(`Backfilled ledger with ${bills.changes} bill(s) and ${payments.changes} payment(s).`);
+    }
+  });
+}
+
+// [LEDGER] Statement for one account: opening balance, entries with running balance, closing balance.
+async function buildLedgerStatement(userId, from, to) {
+  const opening = await dbGet(
+    `SELECT COALESCE(SUM(debit - credit), 0) AS balance FROM ledger_entries
+     WHERE user_id = ? AND (? IS NULL OR date(entry_date) < date(?))`,
+    [userId, from, from]
+  );
+  const entries = await dbAll(
+    `SELECT l.*, u.name AS created_by_name
+     FROM ledger_entries l
+     LEFT JOIN users u ON u.user_id = l.created_by
+     WHERE l.user_id = ?
+       AND (? IS NULL OR date(l.entry_date) >= date(?))
+       AND (? IS NULL OR date(l.entry_date) <= date(?))
+     ORDER BY l.entry_date ASC, l.entry_id ASC`,
+    [userId, from, from, to, to]
+  );
+
+  let balance = roundMoney(from ? opening.balance : 0);
+  const openingBalance = balance;
+  const withBalance = entries.map((entry) => {
+    balance = roundMoney(balance + entry.debit - entry.credit);
+    return { ...entry, running_balance: balance };
+  });
+  const credits = await listAccountCredit(userId);
+
+  return {
+    user_id: Number(userId),
+    from,
+    to,
+    opening_balance: openingBalance,
+    total_debits: roundMoney(entries.reduce((sum, entry) => sum + entry.debit, 0)),
+    total_credits: roundMoney(entries.reduce((sum, entry) => sum + entry.credit, 0)),
+    closing_balance: balance,
+    available_credit: roundMoney(credits.reduce((sum, credit) => sum + credit.available, 0)),
+    entries: withBalance
+  };
+}
+
+// [LEDGER] Account statement for a date range (`from`/`to` optional, YYYY-MM-DD); admins or the account owner.
+app.get('/users/:id/ledger', requireApiAuth, async (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 404, 'Not found');
+  }
+  const from = String(req.query.from || '').trim() || null;
+  const to = String(req.query.to || '').trim() || null;
+  if ([from, to].some((value) => value && !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+    return sendError(res, 400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+
+  try {
+    const user = await dbGet(`SELECT user_id FROM users WHERE user_id = ?`, [req.params.id]);
+    if (!user) return sendError(res, 404, 'Not found');
+    res.json(await buildLedgerStatement(user.user_id, from, to));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+const LEDGER_ADJUSTMENT_SCHEMA = {
+  fields: {
+    amount: { type: 'number', required: true, min: -10000000, max: 10000000 },
+    description: { type: 'string', required: true, maxLength: 200 }
+  },
+  checks: [{ field: 'amount', message: 'amount must be a non-zero number', test: (input) => roundMoney(input.amount) !== 0 }]
+};
+
+// [LEDGER] Manual adjustment (admin only): positive amounts charge the account, negative amounts credit it. A credit
+// is spent on the account's open bills straight away; what is left stays as account credit for later bills.
+app.post('/users/:id/ledger/adjustments', requireApiAdmin, validateBody(LEDGER_ADJUSTMENT_SCHEMA), async (req, res) => {
+  const { amount, description } = req.input;
+
+  try {
+    const user = await dbGet(`SELECT user_id FROM users WHERE user_id = ?`, [req.params.id]);
+    if (!user) return sendError(res, 404, 'Not found');
+
+    const outcome = await withTransaction(async () => {
+      const entry = await recordLedgerEntry({
+        user_id: user.user_id,
+        entry_type: 'adjustment',
+        debit: amount > 0 ? amount : 0,
+        credit: amount < 0 ? -amount : 0,
+        description,
+        created_by: req.auth.user_id
+      });
+      await recordAudit(req, {
+        action: 'create',
+        entity_type: 'ledger_entry',
+        entity_id: entry.lastID,
+        after: await dbGet(`SELECT * FROM ledger_entries WHERE entry_id = ?`, [entry.lastID])
+      });
+      const applied = amount < 0 ? await applyCreditToOpenBills(user.user_id, req.auth.user_id) : 0;
+      return { entry_id: entry.lastID, applied_to_bills: applied };
+    });
+    res.json(outcome);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// TRASH (SOFT DELETE, RESTORE, PURGE)
+// ==========================
+
+// [TRASH] SQL that is true when any bill in `billIdsSql` has payment or credit allocations, ledger entries or
+// payment intents. Purging would delete or orphan that money history, so such rows stay in the trash.
+function billHistorySql(billIdsSql) {
+  return `(EXISTS (SELECT 1 FROM payment_allocations WHERE bill_id IN (${billIdsSql}))
+            OR EXISTS (SELECT 1 FROM credit_allocations WHERE bill_id IN (${billIdsSql}))
+            OR EXISTS (SELECT 1 FROM ledger_entries WHERE bill_id IN (${billIdsSql}))
+            OR EXISTS (SELECT 1 FROM payment_intents WHERE bill_id IN (${billIdsSql})))`;
+}
+
+const TRASH_TYPES = {
+  users: {
+    idField: 'user_id',
+    entity: 'user',
+    sql: `SELECT t.user_id, t.name, t.email, t.role,
+                 (SELECT COUNT(*) FROM bills b JOIN meters bm ON bm.meter_id = b.meter_id
+                  WHERE bm.user_id = t.user_id AND b.deleted_at IS NULL AND b.status != 'paid') AS open_bills,
+                 EXISTS (SELECT 1 FROM payments p WHERE p.user_id = t.user_id)
+                   OR EXISTS (SELECT 1 FROM ledger_entries le WHERE le.user_id = t.user_id)
+                   OR ${billHistorySql(`SELECT hb.bill_id FROM bills hb JOIN meters hm ON hm.meter_id = hb.meter_id
+                                        WHERE hm.user_id = t.user_id`)} AS has_history`
+  },
+  utilities: {
+    idField: 'utility_id',
+    entity: 'utility',
+    sql: `SELECT t.utility_id, t.utility_name,
+                 (SELECT COUNT(*) FROM meters m WHERE m.utility_id = t.utility_id) AS meter_count`
+  },
+  meters: {
+    idField: 'meter_id',
+    entity: 'meter',
+    sql: `SELECT t.meter_id, t.meter_number, t.user_id, t.utility_id, ou.name AS user_name,
+                 ou.deleted_at AS user_deleted_at, ut.deleted_at AS utility_deleted_at,
+                 (SELECT COUNT(*) FROM bills b
+                  WHERE b.meter_id = t.meter_id AND b.deleted_at IS NULL AND b.status != 'paid') AS open_bills,
+                 ${billHistorySql('SELECT hb.bill_id FROM bills hb WHERE hb.meter_id = t.meter_id')} AS has_history`,
+    joins: `LEFT JOIN users ou ON ou.user_id = t.user_id LEFT JOIN utilities ut ON ut.utility_id = t.utility_id`
+  },
+  bills: {
+    idField: 'bill_id',
+    entity: 'bill',
+    sql: `SELECT t.bill_id, t.meter_id, t.bill_month, t.amount, t.status, t.late_fee_for_bill_id,
+                 bm.meter_number, ou.name AS user_name,
+                 ${billHistorySql('SELECT hb.bill_id FROM bills hb WHERE hb.bill_id = t.bill_id OR hb.late_fee_for_bill_id = t.bill_id')}
+                   AS has_history`,
+    joins: `LEFT JOIN meters bm ON bm.meter_id = t.meter_id LEFT JOIN users ou ON ou.user_id = bm.user_id`
+  }
+};
+
+// [TRASH] Rows in the trash for one type (or one row), with when they may be purged and what blocks it.
+async function loadTrashItems(type, id = null) {
+  const config = TRASH_TYPES[type];
+  const rows = await dbAll(
+    `${config.sql}, t.deleted_at, t.deleted_by, d.name AS deleted_by_name,
+            datetime(t.deleted_at, '+' || ? || ' days') AS purge_after,
+            datetime(t.deleted_at, '+' || ? || ' days') <= datetime('now') AS retention_passed
+     FROM ${type} t
+     ${config.joins || ''}
+     LEFT JOIN users d ON d.user_id = t.deleted_by
+     WHERE t.deleted_at IS NOT NULL AND (? IS NULL OR t.${config.idField} = ?)
+     ORDER BY t.deleted_at DESC`,
+    [TRASH_RETENTION_DAYS, TRASH_RETENTION_DAYS, id, id]
+  );
+
+  return rows.map(({ retention_passed: retentionPassed, has_history: hasHistory, ...row }) => {
+    let purgeBlocked = null;
+    if (!retentionPassed) purgeBlocked = `Kept in the trash until ${row.purge_after}`;
+    else if (row.open_bills) purgeBlocked = `Still has ${row.open_bills} unpaid bill(s)`;
+    else if (hasHistory) purgeBlocked = 'Has payments or ledger entries, which are kept for the account history';
+    else if (row.meter_count) purgeBlocked = `Still used by ${row.meter_count} meter(s)`;
+    return { ...row, purge_blocked: purgeBlocked };
+  });
+}
+
+// [TRASH] Everything in the trash, grouped by type (admin only).
+app.get('/trash', requireApiAdmin, async (req, res) => {
+  try {
+    const result = { retention_days: TRASH_RETENTION_DAYS };
+    for (const type of Object.keys(TRASH_TYPES)) {
+      result[type] = await loadTrashItems(type);
+    }
+    res.json(result);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [TRASH] Restore a row from the trash (admin only). Restored bills, with the late fees deleted alongside them,
+// are charged to the ledger again.
+app.post('/trash/:type/:id/restore', requireApiAdmin, async (req, res) => {
+  const config = TRASH_TYPES[req.params.type];
+  if (!config) return sendError(res, 404, 'Unknown trash type');
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const [item] = await loadTrashItems(req.params.type, req.params.id);
+      if (!item) return { status: 404, body: errorBody(404, 'Not found in trash') };
+
+      if (req.params.type === 'meters' && (item.user_deleted_at || item.utility_deleted_at)) {
+        return { status: 409, body: errorBody(409, "Restore the meter's user and utility first") };
+      }
+      let restoredIds = [item[config.idField]];
+      if (req.params.type === 'bills') {
+        const meter = await dbGet(`SELECT m.meter_id FROM meters m WHERE m.meter_id = ? AND ${LIVE_METER_SQL}`, [item.meter_id]);
+        if (!meter) return { status: 409, body: errorBody(409, "Restore the bill's meter and user first") };
+        const fees = await dbAll(
+          `SELECT bill_id FROM bills WHERE late_fee_for_bill_id = ? AND deleted_at = ?`,
+          [item.bill_id, item.deleted_at]
+        );
+        restoredIds = [item.bill_id, ...fees.map((fee) => fee.bill_id)];
+      }
+
+      await dbRun(
+        `UPDATE ${req.params.type} SET deleted_at = NULL, deleted_by = NULL
+         WHERE ${config.idField} IN (${restoredIds.map(() => '?').join(',')})`,
+        restoredIds
+      );
+      if (req.params.type === 'bills') {
+        for (const billId of restoredIds) {
+          await chargeBill(billId, {
+            entryType: billId === item.bill_id && !item.late_fee_for_bill_id ? 'bill' : 'late_fee',
+            createdBy: req.auth.user_id
+          });
+        }
+      }
+      await recordAudit(req, {
+        action: 'restore',
+        entity_type: config.entity,
+        entity_id: item[config.idField],
+        before: item,
+        after: { restored_ids: restoredIds }
+      });
+      return { status: 200, body: { restored: restoredIds.length } };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [TRASH] Permanently delete a row from the trash (admin only), cascading like the old hard delete.
+// Refused before the retention period ends, while a user or meter still has unpaid bills, and for anything whose
+// bills have payments, allocations or ledger entries.
+app.delete('/trash/:type/:id', requireApiAdmin, async (req, res) => {
+  const config = TRASH_TYPES[req.params.type];
+  if (!config) return sendError(res, 404, 'Unknown trash type');
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const [item] = await loadTrashItems(req.params.type, req.params.id);
+      if (!item) return { status: 404, body: errorBody(404, 'Not found in trash') };
+      if (item.purge_blocked) return { status: 409, body: errorBody(409, item.purge_blocked) };
+
+      await dbRun(`DELETE FROM ${req.params.type} WHERE ${config.idField} = ?`, [item[config.idField]]);
+      await recordAudit(req, { action: 'purge', entity_type: config.entity, entity_id: item[config.idField], before: item });
+      return { status: 200, body: { purged: 1 } };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// DASHBOARD & SUMMARY ROUTES
+// ==========================
+// Page-shaped reads: each returns everything one frontend page renders, joined and aggregated in SQL.
+
+const SUMMARY_MAX_LIMIT = 50;
+
+// [DASHBOARD] Read the `limit` for summary lists (default `fallback`, at most SUMMARY_MAX_LIMIT).
+function parseSummaryLimit(rawLimit, fallback) {
+  const limit = Number.parseInt(rawLimit, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, SUMMARY_MAX_LIMIT) : fallback;
+}
+
+// [DASHBOARD] Bill counts and amounts over live bills; `scopeSql` narrows them (meter `m`, bill `b`).
+function loadBillTotals(scopeSql = '1 = 1', params = []) {
+  return dbGet(
+    `SELECT COUNT(*) AS bills_count,
+            COUNT(CASE WHEN b.status = 'paid' THEN 1 END) AS paid_bills_count,
+            COUNT(CASE WHEN b.status = 'partially_paid' THEN 1 END) AS partially_paid_bills_count,
+            COUNT(CASE WHEN b.status = 'unpaid' THEN 1 END) AS unpaid_bills_count,
+            COUNT(CASE WHEN b.status = 'overdue' THEN 1 END) AS overdue_bills_count,
+            COUNT(CASE WHEN b.status <> 'paid' THEN 1 END) AS open_bills_count,
+            round(TOTAL(b.amount), 2) AS total_billed_amount,
+            round(TOTAL(CASE WHEN b.status <> 'paid' THEN b.amount - b.amount_paid END), 2) AS outstanding_amount
+     FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     WHERE ${LIVE_BILL_SQL} AND ${scopeSql}`,
+    params
+  );
+}
+
+// [DASHBOARD] Live bills with balance, meter number and owner, in `orderSql` order.
+function loadBillRows(scopeSql, params, orderSql, limit) {
+  return dbAll(
+    `SELECT b.*, round(b.amount - b.amount_paid, 2) AS balance, m.meter_number, m.user_id, u.name AS user_name
+     FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     JOIN users u ON u.user_id = m.user_id
+     WHERE ${LIVE_BILL_SQL} AND ${scopeSql}
+     ORDER BY ${orderSql}
+     LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+// [DASHBOARD] Newest payments (payment_date, then id) with their allocations.
+async function loadRecentPayments(scopeSql, params, limit) {
+  const payments = await dbAll(
+    `SELECT p.* FROM payments p WHERE ${scopeSql} ORDER BY p.payment_date DESC, p.payment_id DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return attachPaymentAllocations(payments);
+}
+
+// [REPORT] Per-month bill report (newest month first, undated bills last). Paid amounts come from
+// non-reversed allocations (`amount_paid`), so partial payments count for what was actually paid.
+function loadMonthlyReport(scopeSql, params) {
+  return dbAll(
+    `SELECT COALESCE(strftime('%Y-%m', b.bill_month), 'unknown') AS month_key,
+            COUNT(*) AS bills_count,
+            COUNT(CASE WHEN b.status = 'paid' THEN 1 END) AS paid_bills_count,
+            COUNT(CASE WHEN b.status IN ('unpaid','partially_paid') THEN 1 END) AS unpaid_bills_count,
+            COUNT(CASE WHEN b.status = 'overdue' THEN 1 END) AS overdue_bills_count,
+            TOTAL((SELECT COUNT(*) FROM payment_allocations a
+                   JOIN payments p ON p.payment_id = a.payment_id
+                   WHERE a.bill_id = b.bill_id AND p.reversed_at IS NULL)) AS payments_count,
+            round(TOTAL(b.amount), 2) AS total_amount,
+            round(TOTAL(MIN(b.amount_paid, b.amount)), 2) AS paid_amount,
+            round(TOTAL(CASE WHEN b.status <> 'paid' THEN b.amount - MIN(b.amount_paid, b.amount) END), 2) AS outstanding_amount,
+            MIN(b.amount) AS min_bill_amount,
+            MAX(b.amount) AS max_bill_amount,
+            round(AVG(b.amount), 2) AS avg_bill_amount,
+            MIN(b.due_date) AS due_window_start,
+            MAX(b.due_date) AS due_window_end
+     FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     WHERE ${LIVE_BILL_SQL} AND ${scopeSql}
+     GROUP BY month_key
+     ORDER BY month_key = 'unknown', month_key DESC`,
+    params
+  );
+}
+
+// [DASHBOARD] Admin dashboard: totals plus the most urgent open bills, newest payments and newest users
+// (`limit` rows each, default 10).
+app.get('/dashboard/admin', requireApiAdmin, async (req, res) => {
+  const limit = parseSummaryLimit(req.query.limit, 10);
+  try {
+    const counts = await dbGet(
+      `SELECT (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) AS users_count,
+              (SELECT COUNT(*) FROM meters m WHERE ${LIVE_METER_SQL}) AS meters_count,
+              (SELECT COUNT(*) FROM utilities WHERE deleted_at IS NULL) AS utilities_count,
+              (SELECT COUNT(*) FROM payments) AS payments_count`
+    );
+    const billTotals = await loadBillTotals();
+    const webhookCounts = await dbGet(
+      `SELECT COUNT(CASE WHEN status = 'pending' THEN 1 END) AS webhook_pending_count,
+              COUNT(CASE WHEN status = 'failed' THEN 1 END) AS webhook_failed_count
+       FROM webhook_deliveries`
+    );
+
+    res.json({
+      summary: { ...counts, ...billTotals, ...webhookCounts },
+      urgent_bills: await loadBillRows(`b.status <> 'paid'`, [], 'b.due_date ASC, b.bill_id ASC', limit),
+      recent_payments: await loadRecentPayments('1 = 1', [], limit),
+      recent_users: await dbAll(
+        `SELECT user_id, name, email, phone, role, created_at FROM users
+         WHERE deleted_at IS NULL
+         ORDER BY created_at DESC, user_id DESC
+         LIMIT ?`,
+        [limit]
+      ),
+      recent_webhook_deliveries: await loadRecentWebhookDeliveries(limit)
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [DASHBOARD][REPORT][LEDGER] One account on one page (admin or self): profile, meters, bill totals,
+// monthly report, recent bills/payments (`limit`, default 8) and the ledger statement for `from`/`to`.
+app.get('/users/:id/summary', requireApiAuth, async (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 404, 'Not found');
+  }
+  const from = String(req.query.from || '').trim() || null;
+  const to = String(req.query.to || '').trim() || null;
+  if ([from, to].some((value) => value && !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+    return sendError(res, 400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+  const limit = parseSummaryLimit(req.query.limit, 8);
+
+  try {
+    const user = await dbGet(
+      `SELECT user_id, name, email, phone, role, created_at FROM users WHERE user_id = ? AND deleted_at IS NULL`,
+      [req.params.id]
+    );
+    if (!user) return sendError(res, 404, 'Not found');
+
+    const userId = user.user_id;
+    const ownPaymentsSql = PAYMENT_ALLOCATED_SQL('m.user_id = ?');
+    const meters = await dbAll(
+      `SELECT m.*, u.utility_name FROM meters m
+       LEFT JOIN utilities u ON u.utility_id = m.utility_id
+       WHERE ${LIVE_METER_SQL} AND m.user_id = ?
+       ORDER BY m.meter_id ASC`,
+      [userId]
+    );
+    const billTotals = await loadBillTotals('m.user_id = ?', [userId]);
+    const billRange = await dbGet(
+      `SELECT MIN(b.amount) AS min_bill_amount, MAX(b.amount) AS max_bill_amount,
+              MIN(b.due_date) AS due_window_start, MAX(b.due_date) AS due_window_end
+       FROM bills b
+       JOIN meters m ON m.meter_id = b.meter_id
+       WHERE ${LIVE_BILL_SQL} AND m.user_id = ?`,
+      [userId]
+    );
+    const paymentTotals = await dbGet(
+      `SELECT COUNT(*) AS payments_count, group_concat(DISTINCT p.payment_method) AS payment_methods
+       FROM payments p WHERE ${ownPaymentsSql}`,
+      [userId]
+    );
+
+    res.json({
+      user,
+      meters,
+      summary: {
+        meters_count: meters.length,
+        ...billTotals,
+        ...billRange,
+        payments_count: paymentTotals.payments_count,
+        payment_methods: paymentTotals.payment_methods ? paymentTotals.payment_methods.split(',') : []
+      },
+      monthly_report: await loadMonthlyReport('m.user_id = ?', [userId]),
+      recent_bills: await loadBillRows(
+        'm.user_id = ?',
+        [userId],
+        'COALESCE(b.due_date, b.created_at) DESC, b.bill_id DESC',
+        limit
+      ),
+      recent_payments: await loadRecentPayments(ownPaymentsSql, [userId], limit),
+      ledger: await buildLedgerStatement(userId, from, to)
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [BILL][REPORT] Everything an invoice shows: the bill (as GET /bills/:id, plus its invoice number), its meter,
+// utility, account holder, the payments and account credits allocated to it, its status history and the PromptPay
+// QR payload. Users only see their own bills; null when the bill is not visible to the caller.
+async function loadInvoiceDetail(req, billId) {
+  const bill = await dbGet(
+    `SELECT b.*, round(b.amount - b.amount_paid, 2) AS balance,
+            pr.reading_value AS previous_reading_value, pr.read_at AS previous_read_at,
+            cr.reading_value AS current_reading_value, cr.read_at AS current_read_at
+     FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     LEFT JOIN meter_readings pr ON pr.reading_id = b.previous_reading_id
+     LEFT JOIN meter_readings cr ON cr.reading_id = b.current_reading_id
+     WHERE b.bill_id = ? AND ${LIVE_BILL_SQL} AND (? OR m.user_id = ?)`,
+    [billId, isAdminCaller(req) ? 1 : 0, req.auth.user_id]
+  );
+  if (!bill) return null;
+  bill.invoice_number = invoiceNumber(bill);
+  try {
+    bill.charge_breakdown = bill.charge_breakdown ? JSON.parse(bill.charge_breakdown) : null;
+  } catch (parseErr) {
+    bill.charge_breakdown = null;
+  }
+  bill.lines = await loadBillLines(bill.bill_id);
+
+  const meter = await dbGet(`SELECT * FROM meters WHERE meter_id = ?`, [bill.meter_id]);
+  const utility = await dbGet(`SELECT * FROM utilities WHERE utility_id = ?`, [meter.utility_id]);
+  const accountUser = await dbGet(
+    `SELECT user_id, name, email, phone, role, created_at FROM users WHERE user_id = ?`,
+    [meter.user_id]
+  );
+  bill.late_fees = await dbAll(
+    `SELECT bill_id, amount, due_date, status, created_at FROM bills
+     WHERE late_fee_for_bill_id = ? AND deleted_at IS NULL
+     ORDER BY bill_id ASC`,
+    [bill.bill_id]
+  );
+  const payments = await dbAll(
+    `SELECT p.*, ru.name AS reversed_by_name, a.amount AS allocated_amount
+     FROM payment_allocations a
+     JOIN payments p ON p.payment_id = a.payment_id
+     LEFT JOIN users ru ON ru.user_id = p.reversed_by
+     WHERE a.bill_id = ?
+     ORDER BY p.payment_id ASC`,
+    [bill.bill_id]
+  );
+  const credits = await dbAll(
+    `SELECT c.entry_id, c.amount AS allocated_amount, l.description, l.entry_date
+     FROM credit_allocations c
+     JOIN ledger_entries l ON l.entry_id = c.entry_id
+     WHERE c.bill_id = ?
+     ORDER BY c.allocation_id ASC`,
+    [bill.bill_id]
+  );
+  const statusHistory = await dbAll(
+    `SELECT h.*, u.name AS changed_by_name
+     FROM bill_status_history h
+     LEFT JOIN users u ON u.user_id = h.changed_by
+     WHERE h.bill_id = ?
+     ORDER BY h.created_at ASC, h.history_id ASC`,
+    [bill.bill_id]
+  );
+
+  return {
+    bill,
+    meter,
+    utility,
+    account_user: accountUser,
+    payments: await attachPaymentAllocations(payments),
+    credits,
+    status_history: statusHistory,
+    promptpay: invoicePromptPay(bill)
+  };
+}
+
+app.get('/bills/:id/detail', requireApiAuth, async (req, res) => {
+  try {
+    const detail = await loadInvoiceDetail(req, req.params.id);
+    if (!detail) return sendError(res, 404, 'Not found');
+    res.json(detail);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// INVOICE & STATEMENT PDF ROUTES
+// ==========================
+// PDFs are rendered by InvoicePdf.js from the same data as GET /bills/:id/detail and GET /users/:id/statement,
+// so downloads match the invoice pages. Invoice and statement numbers are derived from ids and never change.
+
+const STATEMENT_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// [PDF] Stable invoice number: INV-<bill month YYYYMM>-<bill id, 6 digits>.
+function invoiceNumber(bill) {
+  const month = String(bill.bill_month || bill.created_at || '').slice(0, 7).replace('-', '') || '000000';
+  return `INV-${month}-${String(bill.bill_id).padStart(6, '0')}`;
+}
+
+// [PDF] Stable statement number: STM-<YYYYMM>-<user id, 6 digits>.
+function statementNumber(userId, monthKey) {
+  return `STM-${monthKey.replace('-', '')}-${String(userId).padStart(6, '0')}`;
+}
+
+// [PDF] Monthly statement: ledger activity within the month, every open bill (with invoice numbers) and the
+// total due. Null when the user does not exist.
+async function loadStatement(userId, monthKey) {
+  const user = await dbGet(
+    `SELECT user_id, name, email, phone FROM users WHERE user_id = ? AND deleted_at IS NULL`,
+    [userId]
+  );
+  if (!user) return null;
+
+  const periodStart = `${monthKey}-01`;
+  const { end: periodEnd } = await dbGet(`SELECT date(?, 'start of month', '+1 month', '-1 day') AS end`, [periodStart]);
+  const openBills = await loadBillRows(
+    `m.user_id = ? AND b.status IN ('unpaid','partially_paid','overdue')`,
+    [user.user_id],
+    `b.due_date ASC, b.bill_id ASC`,
+    -1
+  );
+
+  return {
+    statement_number: statementNumber(user.user_id, monthKey),
+    month: monthKey,
+    period_start: periodStart,
+    period_end: periodEnd,
+    user,
+    ledger: await buildLedgerStatement(user.user_id, periodStart, periodEnd),
+    open_bills: openBills.map((bill) => ({ ...bill, invoice_number: invoiceNumber(bill) })),
+    total_due: roundMoney(openBills.reduce((sum, bill) => sum + bill.balance, 0))
+  };
+}
+
+// [PROMPTPAY] QR payload for a bill's balance with its invoice reference; null when nothing is due or
+// PROMPTPAY_BILLER_ID is not configured.
+function invoicePromptPay(bill) {
+  if (!isValidBillerId(PROMPTPAY_BILLER_ID) || !(bill.balance > 0)) return null;
+  const reference = promptPayReference(bill.invoice_number);
+  return {
+    biller_id: PROMPTPAY_BILLER_ID,
+    reference,
+    amount: bill.balance,
+    payload: buildPromptPayPayload({ billerId: PROMPTPAY_BILLER_ID, amount: bill.balance, reference1: reference })
+  };
+}
+
+// [PDF] `month` query parameter (YYYY-MM), defaulting to the current month.
+function readStatementMonth(req) {
+  const month = String(req.query.month || '').trim() || new Date().toISOString().slice(0, 7);
+  return STATEMENT_MONTH_PATTERN.test(month) ? month : null;
+}
+
+// [PDF] Send a rendered PDF; `?download=1` saves it instead of opening it in the browser.
+function sendPdf(req, res, fileName, pdf) {
+  const disposition = req.query.download === '1' ? 'attachment' : 'inline';
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `${disposition}; filename="${fileName}"`);
+  res.send(pdf);
+}
+
+// [PDF] Current timestamp for the "Generated" footer (UTC, to the minute).
+function pdfTimestamp() {
+  return `${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// [BILL][PDF] Invoice as a PDF; admins or the account owner.
+app.get('/bills/:id/invoice.pdf', requireApiAuth, async (req, res) => {
+  try {
+    const detail = await loadInvoiceDetail(req, req.params.id);
+    if (!detail) return sendError(res, 404, 'Not found');
+    const pdf = await renderInvoicePdf(detail, { payee: PAYEE_SETTINGS, generatedAt: pdfTimestamp() });
+    sendPdf(req, res, `${detail.bill.invoice_number}.pdf`, pdf);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [USER][PDF] Monthly statement data (`month` YYYY-MM, default the current month); admins or the account owner.
+app.get('/users/:id/statement', requireApiAuth, async (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 404, 'Not found');
+  }
+  const month = readStatementMonth(req);
+  if (!month) return sendValidationError(res, { month: 'month must be a month (YYYY-MM)' });
+
+  try {
+    const statement = await loadStatement(req.params.id, month);
+    if (!statement) return sendError(res, 404, 'Not found');
+    res.json(statement);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [USER][PDF] Monthly statement as a PDF; same access and `month` parameter as GET /users/:id/statement.
+app.get('/users/:id/statement.pdf', requireApiAuth, async (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 404, 'Not found');
+  }
+  const month = readStatementMonth(req);
+  if (!month) return sendValidationError(res, { month: 'month must be a month (YYYY-MM)' });
+
+  try {
+    const statement = await loadStatement(req.params.id, month);
+    if (!statement) return sendError(res, 404, 'Not found');
+    const pdf = await renderStatementPdf(statement, { payee: PAYEE_SETTINGS, generatedAt: pdfTimestamp() });
+    sendPdf(req, res, `${statement.statement_number}.pdf`, pdf);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// ==========================
+// CSV IMPORT ROUTES
+// ==========================
+// Imports are all-or-nothing: every row is validated (dry run), and a commit writes the whole file in one
+// transaction only when no row has an error. Each attempt is kept in `imports` with its per-row report.
+
+const IMPORT_MAX_ROWS = 5000;
+// Excel only reads a CSV as UTF-8 (Thai names) when it starts with a byte order mark.
+const CSV_BOM = '\uFEFF';
+
+// Per type: the row schema (its fields are the CSV columns, required fields must be in the header),
+// `resolve` adds the database checks and lookups to each row, `insert` writes one valid row.
+const IMPORT_TYPES = {
+  users: {
+    schema: USER_CREATE_SCHEMA,
+    async resolve(rows) {
+      const emails = new Set((await dbAll(`SELECT lower(email) AS email FROM users`)).map((user) => user.email));
+      const seen = new Set();
+      for (const row of rows) {
+        if (!row.input) continue;
+        const { email } = row.input;
+        if (seen.has(email)) row.errors.push(`Email ${email} appears more than once in the file`);
+        else if (emails.has(email)) row.errors.push(`Email ${email} already exists`);
+        seen.add(email);
+      }
+    },
+    // Hashing is slow, so it runs before the transaction is opened.
+    async prepare(rows) {
+      for (const row of rows) {
+        row.passwordHash = await new Promise((resolve, reject) => {
+          hashPassword(row.input.password, (err, hash) => (err ? reject(err) : resolve(hash)));
+        });
+      }
+    },
+    async insert(row) {
+      const { name, email, phone, role } = row.input;
+      const result = await dbRun(
+        `INSERT INTO users (name,email,password,phone,role) VALUES (?,?,?,?,?)`,
+        [name, email, row.passwordHash, phone, role]
+      );
+      await queueWebhookEvent('user.created', () => loadWebhookUser(result.lastID));
+      return result.lastID;
+    }
+  },
+  meters: {
+    schema: {
+      fields: {
+        meter_number: METER_SCHEMA.fields.meter_number,
+        user_email: { type: 'email', required: true, maxLength: 120 },
+        utility_name: { type: 'string', required: true, maxLength: 120 }
+      }
+    },
+    async resolve(rows) {
+      const meterNumbers = new Set((await dbAll(`SELECT meter_number FROM meters`)).map((meter) => meter.meter_number));
+      const users = new Map((await dbAll(`SELECT user_id, lower(email) AS email FROM users WHERE deleted_at IS NULL`))
+        .map((user) => [user.email, user.user_id]));
+      const utilities = new Map((await dbAll(`SELECT utility_id, lower(utility_name) AS name FROM utilities WHERE deleted_at IS NULL`))
+        .map((utility) => [utility.name, utility.utility_id]));
+
+      const seen = new Set();
+      for (const row of rows) {
+        if (!row.input) continue;
+        const { meter_number: meterNumber, user_email: email, utility_name: utilityName } = row.input;
+        if (seen.has(meterNumber)) row.errors.push(`Meter number ${meterNumber} appears more than once in the file`);
+        else if (meterNumbers.has(meterNumber)) row.errors.push(`Meter number ${meterNumber} already exists`);
+        seen.add(meterNumber);
+        row.user_id = users.get(email);
+        row.utility_id = utilities.get(utilityName.toLowerCase());
+        if (!row.user_id) row.errors.push(`No user with email ${email}`);
+        if (!row.utility_id) row.errors.push(`Unknown utility ${utilityName}`);
+      }
+    },
+    async insert(row) {
+      const result = await dbRun(
+        `INSERT INTO meters (meter_number,user_id,utility_id) VALUES (?,?,?)`,
+        [row.input.meter_number, row.user_id, row.utility_id]
+      );
+      return result.lastID;
+    }
+  },
+  bills: {
+    schema: {
+      fields: {
+        meter_number: METER_SCHEMA.fields.meter_number,
+        ...Object.fromEntries(Object.entries(BILL_SCHEMA.fields).filter(([name]) => !['meter_id', 'recurring'].includes(name))),
+        amount: { ...BILL_SCHEMA.fields.amount, required: true }
+      },
+      checks: BILL_SCHEMA.checks
+    },
+    async resolve(rows) {
+      const meters = new Map((await dbAll(
+        `SELECT m.meter_id, m.meter_number, u.utility_name FROM meters m
+         JOIN utilities u ON u.utility_id = m.utility_id
+         WHERE ${LIVE_METER_SQL}`
+      )).map((meter) => [meter.meter_number, meter]));
+      // One bill per meter and month, as billing runs assume.
+      const billed = new Set((await dbAll(`SELECT meter_id, substr(bill_month, 1, 7) AS month FROM bills WHERE deleted_at IS NULL`))
+        .map((bill) => `${bill.meter_id}:${bill.month}`));
+
+      const seen = new Set();
+      for (const row of rows) {
+        if (!row.input) continue;
+        const { meter_number: meterNumber } = row.input;
+        const month = row.input.bill_month.slice(0, 7);
+        const meter = meters.get(meterNumber);
+        if (!meter) {
+          row.errors.push(`Meter ${meterNumber} not found`);
+          continue;
+        }
+        row.meter_id = meter.meter_id;
+        row.utility_name = meter.utility_name;
+        const key = `${row.meter_id}:${month}`;
+        if (seen.has(key)) row.errors.push(`Meter ${meterNumber} has more than one bill for ${month} in the file`);
+        else if (billed.has(key)) row.errors.push(`Meter ${meterNumber} is already billed for ${month}`);
+        seen.add(key);
+      }
+    },
+    async insert(row, req) {
+      const { bill_month, amount, due_date, status } = row.input;
+      const result = await dbRun(
+        `INSERT INTO bills (meter_id,bill_month,amount,due_date,status) VALUES (?,?,?,?,?)`,
+        [row.meter_id, bill_month, amount, due_date, status]
+      );
+      // An imported amount is the whole bill: one usage line, no recurring charges.
+      await saveBillLines(result.lastID, [usageLine(row.utility_name, bill_month.slice(0, 7), amount)], req.auth.user_id);
+      await chargeBill(result.lastID, { createdBy: req.auth.user_id });
+      return result.lastID;
+    }
+  }
+};
+
+// A raw `text/csv` body takes the other fields from the query string.
+const IMPORT_SCHEMA = {
+  fields: {
+    type: { type: 'enum', values: Object.keys(IMPORT_TYPES), required: true },
+    mode: { type: 'enum', values: ['dry_run', 'commit'], default: 'dry_run' },
+    file_name: { type: 'string', maxLength: 200 },
+    csv: { type: 'string', required: true, trim: false }
+  }
+};
+
+// [IMPORT] Split CSV text into records (quoted fields, "" escapes, CRLF or LF line ends, leading BOM).
+// Blank lines are skipped; each record keeps the line it starts on. Resolves to `{ records }` or `{ error }`.
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    if (values.some((value) => value.trim() !== '')) records.push({ line: startLine, values });
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line += 1;
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') continue;
+      endRecord();
+      startLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return { error: `Unterminated quoted field starting on line ${startLine}` };
+  endRecord();
+  return { records };
+}
+
+// [IMPORT] Quote one CSV cell when it contains a comma, quote or line break.
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// [EXPORT] One CSV line (CRLF-terminated) from a list of cells.
+function csvLine(cells) {
+  return `${cells.map(csvCell).join(',')}\r\n`;
+}
+
+// [IMPORT] Parse an import file and validate each row against its type's schema.
+// Resolves to `{ fields }` when the file itself is unusable, otherwise `{ rows }` of `{ line, values, input, errors }`.
+function readImportFile(spec, csvText) {
+  const { records, error } = parseCsv(csvText);
+  if (error) return { fields: { csv: error } };
+  if (!records.length) return { fields: { csv: 'The CSV file is empty' } };
+
+  const [header, ...data] = records;
+  const expected = Object.keys(spec.schema.fields);
+  const columns = header.values.map((name) => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  const unknown = columns.filter((name) => !expected.includes(name));
+  const missing = expected.filter((name) => spec.schema.fields[name].required && !columns.includes(name));
+  const repeated = columns.filter((name, index) => columns.indexOf(name) !== index);
+  if (unknown.length) return { fields: { csv: `Unknown column(s): ${unknown.join(', ')} (expected ${expected.join(', ')})` } };
+  if (missing.length) return { fields: { csv: `Missing column(s): ${missing.join(', ')}` } };
+  if (repeated.length) return { fields: { csv: `Repeated column(s): ${[...new Set(repeated)].join(', ')}` } };
+  if (!data.length) return { fields: { csv: 'The CSV file has a header but no rows' } };
+  if (data.length > IMPORT_MAX_ROWS) return { fields: { csv: `At most ${IMPORT_MAX_ROWS} rows can be imported at once` } };
+
+  return {
+    rows: data.map((record) => {
+      const values = Object.fromEntries(columns.map((name, index) => [name, record.values[index] ?? '']));
+      const errors = [];
+      if (record.values.length > columns.length) {
+        errors.push(`Row has ${record.values.length} values but the header has ${columns.length} columns`);
+      }
+      const { value, fields } = validateInput(values, spec.schema);
+      if (fields) errors.push(...Object.values(fields));
+      return { line: record.line, values, input: value || null, errors };
+    })
+  };
+}
+
+// [IMPORT] Save one import attempt with its per-row report; passwords never reach the report.
+async function saveImport(req, { type, mode, fileName, rows, createdIds }) {
+  const errorRows = rows.filter((row) => row.errors.length).length;
+  const report = rows.map((row, index) => ({
+    line: row.line,
+    status: row.errors.length ? 'error' : createdIds ? 'created' : 'ok',
+    entity_id: createdIds ? createdIds[index] : null,
+    errors: row.errors,
+    values: Object.fromEntries(Object.entries(row.values).filter(([name]) => !AUDIT_REDACTED_FIELDS.has(name)))
+  }));
+  const result = await dbRun(
+    `INSERT INTO imports (entity_type,mode,status,file_name,total_rows,error_rows,created_count,report,created_by)
+     VALUES (?,?,?,?,?,?,?,?,?)`,
+    [
+      type, mode, errorRows ? 'invalid' : createdIds ? 'committed' : 'valid', fileName,
+      rows.length, errorRows, createdIds ? createdIds.length : 0, JSON.stringify(report), req.auth.user_id
+    ]
+  );
+  return result.lastID;
+}
+
+// [IMPORT] Load one import with its report rows, or null.
+async function loadImport(importId) {
+  const row = await dbGet(
+    `SELECT i.*, u.name AS created_by_name FROM imports i
+     LEFT JOIN users u ON u.user_id = i.created_by
+     WHERE i.import_id = ?`,
+    [importId]
+  );
+  if (!row) return null;
+  const { report, ...record } = row;
+  return { ...record, rows: JSON.parse(report || '[]') };
+}
+
+// [IMPORT] List imports without their reports, newest first (admin only).
+app.get('/imports', requireApiAdmin, async (req, res) => {
+  try {
+    res.json(await dbAll(
+      `SELECT i.import_id, i.entity_type, i.mode, i.status, i.file_name, i.total_rows, i.error_rows, i.created_count,
+              i.created_by, i.created_at, u.name AS created_by_name
+       FROM imports i
+       LEFT JOIN users u ON u.user_id = i.created_by
+       ORDER BY i.import_id DESC`
+    ));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [IMPORT] The columns each import type accepts, required ones first.
+app.get('/imports/columns', requireApiAdmin, (req, res) => {
+  res.json(Object.fromEntries(Object.entries(IMPORT_TYPES).map(([type, spec]) => {
+    const columns = Object.entries(spec.schema.fields);
+    return [type, {
+      required: columns.filter(([, rule]) => rule.required).map(([name]) => name),
+      optional: columns.filter(([, rule]) => !rule.required).map(([name]) => name)
+    }];
+  })));
+});
+
+// [IMPORT] Get one import with its per-row report.
+app.get('/imports/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const record = await loadImport(req.params.id);
+    if (!record) return sendError(res, 404, 'Import not found');
+    res.json(record);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [IMPORT] Download an import's report as CSV: line, result (ok, created or error), the submitted values,
+// entity_id and errors. `result` avoids clashing with the bills `status` column.
+app.get('/imports/:id/report.csv', requireApiAdmin, async (req, res) => {
+  try {
+    const record = await loadImport(req.params.id);
+    if (!record) return sendError(res, 404, 'Import not found');
+
+    const columns = Object.keys(IMPORT_TYPES[record.entity_type].schema.fields)
+      .filter((name) => !AUDIT_REDACTED_FIELDS.has(name));
+    const lines = [
+      ['line', 'result', ...columns, 'entity_id', 'errors'],
+      ...record.rows.map((row) => [
+        row.line, row.status, ...columns.map((name) => row.values[name]), row.entity_id, row.errors.join('; ')
+      ])
+    ];
+    res.type('text/csv');
+    res.attachment(`import-${record.import_id}-${record.entity_type}-report.csv`);
+    res.send(CSV_BOM + lines.map(csvLine).join(''));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [IMPORT] Dry-run (mode=dry_run, the default) or commit (mode=commit) a CSV of users, meters or bills.
+// Accepts JSON `{ type, mode, file_name, csv }` or a raw `text/csv` body with the rest in the query string.
+// Row errors are part of the report, not a failed request: check `status` (valid, invalid or committed).
+app.post('/imports', requireApiAdmin, express.text({ type: 'text/csv', limit: REQUEST_BODY_LIMIT }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+  const { value: input, fields } = validateInput(body, IMPORT_SCHEMA);
+  if (fields) return sendValidationError(res, fields);
+
+  const spec = IMPORT_TYPES[input.type];
+  const file = readImportFile(spec, input.csv);
+  if (file.fields) return sendValidationError(res, file.fields);
+  const { rows } = file;
+  const attempt = { type: input.type, mode: input.mode, fileName: input.file_name, rows };
+  const hasErrors = () => rows.some((row) => row.errors.length);
+
+  try {
+    await spec.resolve(rows);
+    let importId;
+    if (input.mode === 'dry_run' || hasErrors()) {
+      importId = await saveImport(req, attempt);
+    } else {
+      if (spec.prepare) await spec.prepare(rows);
+      importId = await withTransaction(async () => {
+        // Checked again under the write lock in case the data changed since the first pass.
+        await spec.resolve(rows);
+        if (hasErrors()) return saveImport(req, attempt);
+
+        const createdIds = [];
+        for (const row of rows) createdIds.push(await spec.insert(row, req));
+        const savedId = await saveImport(req, { ...attempt, createdIds });
+        await recordAudit(req, {
+          action: 'import',
+          entity_type: 'import',
+          entity_id: savedId,
+          after: { entity_type: input.type, file_name: input.file_name, created_count: createdIds.length, entity_ids: createdIds }
+        });
+        return savedId;
+      });
+    }
+
+    const record = await loadImport(importId);
+    res.json({
+      ...record,
+      message: record.status === 'invalid'
+        ? `${record.error_rows} of ${record.total_rows} row(s) have errors; nothing was imported`
+        : null
+    });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
 // ==========================
-// CONNECT DATABASE
+// BANK RECONCILIATION
 // ==========================
-const db = new sqlite3.Database("./Database/utility.db");
+// An uploaded bank statement becomes a reconciliation with one row per line. Incoming lines are matched to open
+// bills by invoice number, then by meter number, then by an open balance equal to the amount; references already
+// used as a payment's transaction_ref are skipped as recorded. Nothing is paid until an admin confirms lines,
+// which are then posted through postPayment, all in one transaction.
+
+// The statement columns, in the same shape as an import type (see readImportFile).
+const STATEMENT_FILE = {
+  schema: {
+    fields: {
+      date: { type: 'date', required: true },
+      amount: { type: 'number', required: true },
+      reference: { type: 'string', maxLength: 120 },
+      description: { type: 'string', maxLength: 500 }
+    }
+  }
+};
+const RECONCILIATION_SCHEMA = {
+  fields: {
+    file_name: { type: 'string', maxLength: 200 },
+    csv: { type: 'string', required: true, trim: false }
+  }
+};
+const RECONCILIATION_OPEN_STATUSES = ['matched', 'ambiguous', 'unmatched'];
+const INVOICE_IN_TEXT_PATTERN = /INV[-\s]?\d{6}[-\s]?\d{6,}/i;
 
-db.serialize(() => {
-  db.run("PRAGMA foreign_keys = ON");
-
-  // USERS
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      user_id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL UNIQUE,
-      password TEXT NOT NULL,
-      phone TEXT,
-      role TEXT NOT NULL DEFAULT 'user',
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+// [RECONCILE] Match statement rows (from readImportFile) against the open bills. Rows are matched in file order,
+// and a bill matched by one row is not offered to later rows matched on amount alone.
+// Resolves to one `{ match_status, match_note, bill_id, candidate_bill_ids }` per row.
+async function matchStatementRows(rows) {
+  const openBills = await dbAll(
+    `SELECT b.bill_id, b.bill_month, round(b.amount - b.amount_paid, 2) AS balance, m.meter_number
+     FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+     WHERE ${LIVE_BILL_SQL} AND b.status <> 'paid' AND b.amount - b.amount_paid > 0
+     ORDER BY b.due_date ASC, b.bill_id ASC`
+  );
+  const references = rows.map((row) => row.input && row.input.reference).filter(Boolean);
+  const recorded = new Map((references.length
+    ? await dbAll(
+      `SELECT payment_id, transaction_ref FROM payments WHERE transaction_ref IN (${references.map(() => '?').join(',')})`,
+      references
     )
-  `);
+    : []).map((payment) => [payment.transaction_ref, payment.payment_id]));
 
-  // Backward compatibility for existing DBs created before role existed.
-  db.run(`ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user'`, (alterErr) => {
-    const message = String(alterErr && alterErr.message ? alterErr.message : '').toLowerCase();
-    const duplicateColumn = message.includes('duplicate column name');
-    if (alterErr && !duplicateColumn) {
-      console.error('Failed to ensure users.role column:', alterErr.message);
+  const claimed = new Set();
+  const seenReferences = new Map();
+  const matched = (bill, note) => {
+    claimed.add(bill.bill_id);
+    return { match_status: 'matched', match_note: note, bill_id: bill.bill_id, candidate_bill_ids: null };
+  };
+  const byAmount = (bills, amount) => bills.filter((bill) => !claimed.has(bill.bill_id) && roundMoney(bill.balance) === roundMoney(amount));
+
+  return rows.map((row) => {
+    if (!row.input || row.errors.length) {
+      return { match_status: 'ignored', match_note: row.errors.join('; '), bill_id: null, candidate_bill_ids: null };
     }
+    const { amount, reference, description } = row.input;
+    const ignored = (note) => ({ match_status: 'ignored', match_note: note, bill_id: null, candidate_bill_ids: null });
+    if (amount <= 0) return ignored('Not an incoming payment');
+    if (reference && recorded.has(reference)) return ignored(`Already recorded as payment #${recorded.get(reference)}`);
+    if (reference && seenReferences.has(reference)) return ignored(`Same reference as line ${seenReferences.get(reference)}`);
+    if (reference) seenReferences.set(reference, row.line);
 
-    db.run(
-      `INSERT INTO users (name,email,password,phone,role)
-       SELECT ?,?,?,?,?
-       WHERE NOT EXISTS (SELECT 1 FROM users WHERE lower(email) = lower(?))`,
-      ['System Administrator', 'opterapat@local', 'opterapat', null, 'admin', 'opterapat@local']
-    );
+    const text = `${reference || ''} ${description || ''}`;
+    const quoted = text.match(INVOICE_IN_TEXT_PATTERN);
+    if (quoted) {
+      const billId = billIdFromReference(quoted[0]);
+      const bill = openBills.find((candidate) => candidate.bill_id === billId);
+      if (bill) return matched(bill, `Invoice ${invoiceNumber(bill)}`);
+    }
 
-    db.run(
-      `INSERT INTO users (name,email,password,phone,role)
-       SELECT ?,?,?,?,?
-       WHERE NOT EXISTS (SELECT 1 FROM users WHERE lower(email) = lower(?))`,
-      ['Normal User', 'user@local', 'user123', null, 'user', 'user@local']
-    );
+    const meterBills = openBills.filter((bill) => new RegExp(`(^|[^0-9A-Za-z])${escapeRegExp(bill.meter_number)}($|[^0-9A-Za-z])`, 'i').test(text));
+    if (meterBills.length) {
+      const exact = byAmount(meterBills, amount);
+      if (meterBills.length === 1) return matched(meterBills[0], `Meter ${meterBills[0].meter_number}`);
+      if (exact.length === 1) return matched(exact[0], `Meter ${exact[0].meter_number} and amount`);
+      return {
+        match_status: 'ambiguous',
+        match_note: `${meterBills.length} open bills for the meter(s) named`,
+        bill_id: null,
+        candidate_bill_ids: meterBills.map((bill) => bill.bill_id).join(',')
+      };
+    }
+
+    const exact = byAmount(openBills, amount);
+    if (exact.length === 1) return matched(exact[0], 'Amount equals the open balance');
+    if (exact.length > 1) {
+      return {
+        match_status: 'ambiguous',
+        match_note: `${exact.length} open bills with this balance`,
+        bill_id: null,
+        candidate_bill_ids: exact.map((bill) => bill.bill_id).join(',')
+      };
+    }
+    return {
+      match_status: 'unmatched',
+      match_note: quoted ? `${quoted[0]} is not an open bill` : 'No open bill matches',
+      bill_id: null,
+      candidate_bill_ids: null
+    };
   });
+}
 
-  // UTILITIES
-  db.run(`
-    CREATE TABLE IF NOT EXISTS utilities (
-      utility_id INTEGER PRIMARY KEY AUTOINCREMENT,
-      utility_name TEXT NOT NULL UNIQUE
-    )
-  `);
-
-  // METERS
-  db.run(`
-    CREATE TABLE IF NOT EXISTS meters (
-      meter_id INTEGER PRIMARY KEY AUTOINCREMENT,
-      meter_number TEXT NOT NULL UNIQUE,
-      user_id INTEGER NOT NULL,
-      utility_id INTEGER NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-      FOREIGN KEY (utility_id) REFERENCES utilities(utility_id)
-    )
-  `);
-
-  // BILLS
-  db.run(`
-    CREATE TABLE IF NOT EXISTS bills (
-      bill_id INTEGER PRIMARY KEY AUTOINCREMENT,
-      meter_id INTEGER NOT NULL,
-      bill_month DATE NOT NULL,
-      amount REAL NOT NULL,
-      due_date DATE NOT NULL,
-      status TEXT NOT NULL CHECK(status IN ('paid','unpaid','overdue')),
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (meter_id) REFERENCES meters(meter_id) ON DELETE CASCADE
-    )
-  `);
-
-  // PAYMENTS
-  db.run(`
-    CREATE TABLE IF NOT EXISTS payments (
-      payment_id INTEGER PRIMARY KEY AUTOINCREMENT,
-      bill_id INTEGER NOT NULL UNIQUE,
-      payment_method TEXT NOT NULL,
-      payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-      transaction_ref TEXT UNIQUE,
-      FOREIGN KEY (bill_id) REFERENCES bills(bill_id) ON DELETE CASCADE
+// [RECONCILE] Escape text for use inside a RegExp.
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [RECONCILE] Load one reconciliation with its lines, counts by status and the bills its lines point at, or null.
+async function loadReconciliation(reconciliationId) {
+  const record = await dbGet(
+    `SELECT r.*, u.name AS created_by_name FROM reconciliations r
+     LEFT JOIN users u ON u.user_id = r.created_by
+     WHERE r.reconciliation_id = ?`,
+    [reconciliationId]
+  );
+  if (!record) return null;
+
+  const lines = (await dbAll(
+    `SELECT l.*, u.name AS resolved_by_name FROM reconciliation_lines l
+     LEFT JOIN users u ON u.user_id = l.resolved_by
+     WHERE l.reconciliation_id = ?
+     ORDER BY l.line_number ASC`,
+    [record.reconciliation_id]
+  )).map((line) => ({
+    ...line,
+    candidate_bill_ids: line.candidate_bill_ids ? line.candidate_bill_ids.split(',').map(Number) : []
+  }));
+
+  const billIds = [...new Set(lines.flatMap((line) => [line.bill_id, ...line.candidate_bill_ids]).filter(Boolean))];
+  const bills = billIds.length
+    ? await dbAll(
+      `SELECT b.bill_id, b.bill_month, b.amount, b.status, round(b.amount - b.amount_paid, 2) AS balance, b.due_date,
+              m.meter_number, u.user_id, u.name AS customer_name
+       FROM bills b JOIN meters m ON m.meter_id = b.meter_id JOIN users u ON u.user_id = m.user_id
+       WHERE b.bill_id IN (${billIds.map(() => '?').join(',')})`,
+      billIds
     )
-  `);
+    : [];
+
+  const counts = Object.fromEntries([...RECONCILIATION_OPEN_STATUSES, 'ignored', 'posted'].map((status) => [
+    `${status}_count`, lines.filter((line) => line.match_status === status).length
+  ]));
+  return {
+    ...record,
+    ...counts,
+    lines,
+    bills: Object.fromEntries(bills.map((bill) => [bill.bill_id, { ...bill, invoice_number: invoiceNumber(bill) }]))
+  };
+}
+
+// [RECONCILE] Reconciliations newest first, with line counts by status (admin only).
+app.get('/reconciliations', requireApiAdmin, async (req, res) => {
+  try {
+    res.json(await dbAll(
+      `SELECT r.*, u.name AS created_by_name,
+              COUNT(CASE WHEN l.match_status = 'matched' THEN 1 END) AS matched_count,
+              COUNT(CASE WHEN l.match_status = 'ambiguous' THEN 1 END) AS ambiguous_count,
+              COUNT(CASE WHEN l.match_status = 'unmatched' THEN 1 END) AS unmatched_count,
+              COUNT(CASE WHEN l.match_status = 'ignored' THEN 1 END) AS ignored_count,
+              COUNT(CASE WHEN l.match_status = 'posted' THEN 1 END) AS posted_count,
+              round(COALESCE(SUM(CASE WHEN l.match_status = 'posted' THEN l.amount END), 0), 2) AS posted_amount
+       FROM reconciliations r
+       LEFT JOIN users u ON u.user_id = r.created_by
+       LEFT JOIN reconciliation_lines l ON l.reconciliation_id = r.reconciliation_id
+       GROUP BY r.reconciliation_id
+       ORDER BY r.reconciliation_id DESC`
+    ));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [RECONCILE] Get one reconciliation with its lines and the bills they match (admin only).
+app.get('/reconciliations/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const record = await loadReconciliation(req.params.id);
+    if (!record) return sendError(res, 404, 'Reconciliation not found');
+    res.json(record);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [RECONCILE] Upload a bank statement CSV (date, amount, optional reference and description) and match its lines
+// (admin only). Accepts JSON `{ file_name, csv }` or a raw `text/csv` body with file_name in the query string.
+// Rows that fail validation are kept as ignored lines with their errors.
+app.post('/reconciliations', requireApiAdmin, express.text({ type: 'text/csv', limit: REQUEST_BODY_LIMIT }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { ...req.query, csv: req.body } : req.body;
+  const { value: input, fields } = validateInput(body, RECONCILIATION_SCHEMA);
+  if (fields) return sendValidationError(res, fields);
+
+  const file = readImportFile(STATEMENT_FILE, input.csv);
+  if (file.fields) return sendValidationError(res, file.fields);
+
+  try {
+    const reconciliationId = await withTransaction(async () => {
+      const matches = await matchStatementRows(file.rows);
+      const created = await dbRun(
+        `INSERT INTO reconciliations (file_name,total_lines,created_by) VALUES (?,?,?)`,
+        [input.file_name, file.rows.length, req.auth.user_id]
+      );
+      for (const [index, row] of file.rows.entries()) {
+        const values = row.input || {};
+        const match = matches[index];
+        await dbRun(
+          `INSERT INTO reconciliation_lines
+             (reconciliation_id,line_number,txn_date,amount,reference,description,match_status,match_note,bill_id,candidate_bill_ids)
+           VALUES (?,?,?,?,?,?,?,?,?,?)`,
+          [
+            created.lastID, row.line, values.date || row.values.date || null, values.amount ?? null,
+            values.reference || row.values.reference || null, values.description || row.values.description || null,
+            match.match_status, match.match_note, match.bill_id, match.candidate_bill_ids
+          ]
+        );
+      }
+      await recordAudit(req, {
+        action: 'create',
+        entity_type: 'reconciliation',
+        entity_id: created.lastID,
+        after: {
+          file_name: input.file_name,
+          total_lines: file.rows.length,
+          matched: matches.filter((match) => match.match_status === 'matched').length
+        }
+      });
+      return created.lastID;
+    });
+    res.json(await loadReconciliation(reconciliationId));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [RECONCILE] Raised inside the posting transaction to roll every line back and answer with `status`.
+function reconciliationFailure(status, message) {
+  return Object.assign(new Error(message), { outcome: { status, body: errorBody(status, message) } });
+}
+
+// [RECONCILE] Confirm lines (admin only): `lines: [{ line_id, bill_id }]` posts each line's amount as a
+// bank_transfer payment to that bill (its reference becomes the transaction_ref; anything beyond the balance is
+// account credit), `{ line_id, ignore: true }` sets a line aside. All lines are applied in one transaction or,
+// if any fails, none. The reconciliation is completed once no line is left to review.
+app.post('/reconciliations/:id/post', requireApiAdmin, async (req, res) => {
+  const requested = Array.isArray(req.body && req.body.lines) ? req.body.lines : null;
+  if (!requested || !requested.length) return sendValidationError(res, { lines: 'lines must be a non-empty list' });
+  const decisions = requested.map((entry) => ({
+    line_id: Number.parseInt(entry && entry.line_id, 10),
+    bill_id: entry && entry.bill_id !== undefined && entry.bill_id !== null && entry.bill_id !== '' ? Number.parseInt(entry.bill_id, 10) : null,
+    ignore: !!(entry && entry.ignore === true)
+  }));
+  if (decisions.some((decision) => !(decision.line_id > 0) || (!decision.ignore && !(decision.bill_id > 0)))) {
+    return sendValidationError(res, { lines: 'Each line needs a line_id and either a bill_id or ignore: true' });
+  }
+  if (new Set(decisions.map((decision) => decision.line_id)).size !== decisions.length) {
+    return sendValidationError(res, { lines: 'Each line can only appear once' });
+  }
+
+  try {
+    const outcome = await withTransaction(async () => {
+      const record = await dbGet(`SELECT * FROM reconciliations WHERE reconciliation_id = ?`, [req.params.id]);
+      if (!record) return { status: 404, body: errorBody(404, 'Reconciliation not found') };
+
+      const paymentIds = [];
+      for (const decision of decisions) {
+        const line = await dbGet(
+          `SELECT * FROM reconciliation_lines WHERE line_id = ? AND reconciliation_id = ?`,
+          [decision.line_id, record.reconciliation_id]
+        );
+        if (!line) throw reconciliationFailure(404, `Line #${decision.line_id} is not part of this reconciliation`);
+        if (!RECONCILIATION_OPEN_STATUSES.includes(line.match_status)) {
+          throw reconciliationFailure(409, `Line ${line.line_number} is already ${line.match_status}`);
+        }
+        if (decision.ignore) {
+          await dbRun(
+            `UPDATE reconciliation_lines SET match_status = 'ignored', match_note = 'Set aside on review',
+                    resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+             WHERE line_id = ?`,
+            [req.auth.user_id, line.line_id]
+          );
+          continue;
+        }
+        if (!(line.amount > 0)) throw reconciliationFailure(400, `Line ${line.line_number} has no incoming amount`);
+
+        const posted = await postPayment(req, {
+          targets: [{ bill_id: decision.bill_id, amount: null }],
+          paymentMethod: 'bank_transfer',
+          transactionRef: line.reference,
+          amount: line.amount,
+          changedBy: req.auth.user_id
+        });
+        if (posted.status !== 200) {
+          throw reconciliationFailure(posted.status, `Line ${line.line_number}: ${posted.body.error.message}`);
+        }
+        paymentIds.push(posted.body.payment_id);
+        await dbRun(
+          `UPDATE reconciliation_lines SET match_status = 'posted', bill_id = ?, payment_id = ?,
+                  resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+           WHERE line_id = ?`,
+          [decision.bill_id, posted.body.payment_id, req.auth.user_id, line.line_id]
+        );
+      }
+
+      const remaining = await dbGet(
+        `SELECT COUNT(*) AS count FROM reconciliation_lines
+         WHERE reconciliation_id = ? AND match_status IN (${RECONCILIATION_OPEN_STATUSES.map(() => '?').join(',')})`,
+        [record.reconciliation_id, ...RECONCILIATION_OPEN_STATUSES]
+      );
+      if (!remaining.count) {
+        await dbRun(
+          `UPDATE reconciliations SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE reconciliation_id = ?`,
+          [record.reconciliation_id]
+        );
+      }
+      await recordAudit(req, {
+        action: 'post',
+        entity_type: 'reconciliation',
+        entity_id: record.reconciliation_id,
+        after: { lines: decisions, payment_ids: paymentIds }
+      });
+      return { status: 200, body: { posted: paymentIds.length, payment_ids: paymentIds, remaining: remaining.count } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+    if (outcome.status === 200) outcome.body.payment_ids.forEach(sendPaymentReceipt);
+  } catch (err) {
+    if (err.outcome) return res.status(err.outcome.status).json(err.outcome.body);
+    if (isUniqueViolation(err, 'payments', 'transaction_ref')) {
+      return sendError(res, 409, "A line's reference is already used by another payment");
+    }
+    if (String(err.code || "").startsWith("SQLITE_CONSTRAINT")) return sendConstraintError(res, err);
+    sendServerError(res, err);
+  }
 });
 
 // ==========================
-// GENERIC CRUD FUNCTION
+// EXPORT ROUTES
 // ==========================
+// Exports take the same filters and sort as the matching list route, without paging, and stream their rows
+// EXPORT_BATCH_SIZE at a time so a large export never sits in memory.
 
-// [CRUD] Return all rows from a table.
-function getAll(table, res) {
-  db.all(`SELECT * FROM ${table}`, [], (err, rows) => {
-    if (err) return res.status(500).json(err);
-    res.json(rows);
-  });
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_SCHEMA = { fields: { format: { type: 'enum', values: ['csv', 'json'], default: 'csv' } } };
+
+// The monthly report is grouped by month, so only the filters and date range apply.
+const MONTHLY_REPORT_EXPORT_SPEC = {
+  filters: { user_id: 'm.user_id = ?', meter_id: 'b.meter_id = ?', utility_id: 'm.utility_id = ?' },
+  dateColumn: 'b.bill_month',
+  sort: { month_key: 'month_key' },
+  idColumn: 'month_key'
+};
+
+// [EXPORT] Batch loader over one list query: `(offset, size)` resolves to the next rows in list order.
+function exportBatches(list, { select, fromSql, where = [], params = [] }) {
+  const conditions = [...where, ...list.where];
+  const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  return (offset, size) => dbAll(
+    `SELECT ${select} FROM ${fromSql} ${whereSql} ORDER BY ${list.orderBy} LIMIT ? OFFSET ?`,
+    [...params, ...list.params, size, offset]
+  );
 }
 
-// [CRUD] Return one row by id field.
-function getById(table, idField, id, res) {
-  db.get(`SELECT * FROM ${table} WHERE ${idField} = ?`, [id], (err, row) => {
-    if (err) return res.status(500).json(err);
-    if (!row) return res.status(404).json({ message: "Not found" });
-    res.json(row);
+// Per dataset: the list spec for filters, the exported columns, CSV formatters for columns that hold lists,
+// and `load(req, list)` returning the batch loader. Non-admins only ever export their own rows.
+const EXPORT_DATASETS = {
+  bills: {
+    spec: BILL_LIST_SPEC,
+    columns: [
+      'bill_id', 'bill_month', 'due_date', 'status', 'amount', 'amount_paid', 'balance', 'units_consumed',
+      'meter_id', 'meter_number', 'utility_id', 'utility_name', 'user_id', 'user_name',
+      'late_fee_for_bill_id', 'billing_run_id', 'created_at'
+    ],
+    load: (req, list) => exportBatches(list, {
+      select: `b.*, round(b.amount - b.amount_paid, 2) AS balance, m.meter_number, m.utility_id, ut.utility_name,
+               m.user_id, u.name AS user_name`,
+      fromSql: `bills b
+                JOIN meters m ON m.meter_id = b.meter_id
+                JOIN users u ON u.user_id = m.user_id
+                LEFT JOIN utilities ut ON ut.utility_id = m.utility_id`,
+      where: [LIVE_BILL_SQL, '(? OR m.user_id = ?)'],
+      params: [isAdminCaller(req) ? 1 : 0, req.auth.user_id]
+    })
+  },
+  payments: {
+    spec: PAYMENT_LIST_SPEC,
+    columns: [
+      'payment_id', 'payment_date', 'amount', 'payment_method', 'transaction_ref', 'user_id', 'user_name',
+      'bill_ids', 'allocations', 'reversal_type', 'reversal_reason', 'reversed_at'
+    ],
+    csv: {
+      bill_ids: (billIds) => billIds.join('; '),
+      allocations: (allocations) => allocations.map((a) => `${a.bill_id}:${a.amount}`).join('; ')
+    },
+    load: (req, list) => {
+      const loadBatch = exportBatches(list, {
+        select: 'p.*, u.name AS user_name',
+        fromSql: 'payments p LEFT JOIN users u ON u.user_id = p.user_id',
+        where: [`(? OR p.user_id = ? OR ${PAYMENT_ALLOCATED_SQL('m.user_id = ?')})`],
+        params: [isAdminCaller(req) ? 1 : 0, req.auth.user_id, req.auth.user_id]
+      });
+      return async (offset, size) => (await attachPaymentAllocations(await loadBatch(offset, size)))
+        .map((payment) => ({
+          ...payment,
+          allocations: payment.allocations.map(({ bill_id, amount }) => ({ bill_id, amount }))
+        }));
+    }
+  },
+  'monthly-report': {
+    spec: MONTHLY_REPORT_EXPORT_SPEC,
+    columns: [
+      'month_key', 'bills_count', 'paid_bills_count', 'unpaid_bills_count', 'overdue_bills_count', 'payments_count',
+      'total_amount', 'paid_amount', 'outstanding_amount', 'min_bill_amount', 'max_bill_amount', 'avg_bill_amount',
+      'due_window_start', 'due_window_end'
+    ],
+    // At most one row per month, so the whole report is one batch.
+    load: (req, list) => (offset) => (offset ? [] : loadMonthlyReport(
+      ['(? OR m.user_id = ?)', ...list.where].join(' AND '),
+      [isAdminCaller(req) ? 1 : 0, req.auth.user_id, ...list.params]
+    ))
+  }
+};
+
+// [EXPORT] Write a chunk, waiting for the client to catch up (or disconnect) when the socket buffer is full.
+function writeExportChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
   });
 }
 
-// [CRUD] Delete one row by id field.
-function deleteById(table, idField, id, res) {
-  db.run(`DELETE FROM ${table} WHERE ${idField} = ?`, [id], function (err) {
-    if (err) return res.status(500).json(err);
-    res.json({ deleted: this.changes });
-  });
+// [EXPORT] Stream `loadBatch` rows as CSV (with CSV_BOM) or a JSON array of objects holding `columns`.
+// The first batch is loaded before anything is sent, so a failing query still gets a normal error response.
+async function streamExport(res, { format, fileName, columns, csv = {}, loadBatch }) {
+  const toCsv = (row) => csvLine(columns.map((name) => (csv[name] && row[name] ? csv[name](row[name]) : row[name])));
+  const toJson = (row) => JSON.stringify(Object.fromEntries(columns.map((name) => [name, row[name] ?? null])));
+
+  let offset = 0;
+  let rows = await loadBatch(offset, EXPORT_BATCH_SIZE);
+  res.type(format === 'json' ? 'application/json' : 'text/csv');
+  res.attachment(`${fileName}.${format}`);
+  await writeExportChunk(res, format === 'json' ? '[' : CSV_BOM + csvLine(columns));
+
+  while (rows.length && !res.destroyed) {
+    const chunk = format === 'json'
+      ? (offset ? ',' : '') + rows.map(toJson).join(',')
+      : rows.map(toCsv).join('');
+    await writeExportChunk(res, chunk);
+    offset += rows.length;
+    rows = rows.length < EXPORT_BATCH_SIZE ? [] : await loadBatch(offset, EXPORT_BATCH_SIZE);
+  }
+  res.end(format === 'json' ? ']' : '');
 }
 
-// ==========================
-// USERS ROUTES
-// ==========================
-// [USER] Get all users (safe fields only).
-app.get('/users', (req, res) => {
-  db.all(
-    `SELECT user_id, name, email, phone, role, created_at
-     FROM users
-     ORDER BY user_id ASC`,
-    [],
-    (err, rows) => {
-      if (err) return res.status(500).json(err);
-      res.json(rows);
-    }
-  );
-});
+// [EXPORT] Download bills, payments or the monthly bill report as CSV (`format=csv`, the default) or JSON.
+// Filters and sort match GET /bills and GET /payments; the monthly report takes user_id, meter_id,
+// utility_id and from/to (bill month).
+app.get('/exports/:dataset', requireApiAuth, async (req, res) => {
+  const dataset = EXPORT_DATASETS[req.params.dataset];
+  if (!dataset) return sendError(res, 404, `Unknown export: ${req.params.dataset}`);
+  const { value: input, fields } = validateInput(req.query, EXPORT_SCHEMA);
+  if (fields) return sendValidationError(res, fields);
+  const { limit, offset, ...query } = req.query;
+  const list = parseListQuery(query, dataset.spec);
+  if (list.error) return sendError(res, 400, list.error);
 
-// [USER] Get one user by id (safe fields only).
-app.get('/users/:id', (req, res) => {
-  db.get(
-    `SELECT user_id, name, email, phone, role, created_at
-     FROM users
-     WHERE user_id = ?`,
-    [req.params.id],
-    (err, row) => {
-      if (err) return res.status(500).json(err);
-      if (!row) return res.status(404).json({ message: "Not found" });
-      res.json(row);
+  try {
+    await streamExport(res, {
+      format: input.format,
+      fileName: `${req.params.dataset}-${new Date().toISOString().slice(0, 10)}`,
+      columns: dataset.columns,
+      csv: dataset.csv,
+      loadBatch: dataset.load(req, list)
+    });
+  } catch (err) {
+    // Once rows have been sent the status line is gone; cutting the download short is all that is left.
+    if (res.headersSent) {
+      console.error('Export failed:', err);
+      return res.destroy();
     }
-  );
+    sendServerError(res, err);
+  }
 });
 
-// [AUTH] Validate credentials and return login payload.
-app.post('/auth/login', (req, res) => {
-  const email = String(req.body.email || '').trim().toLowerCase();
-  const password = String(req.body.password || '');
+// ==========================
+// NOTIFICATIONS
+// ==========================
+// Notices are rendered from the email templates when they are queued and wait in notification_outbox until the
+// scheduler (or a payment, for its receipt) delivers them. A failed delivery is retried after 1, 2, 4... minutes
+// and marked `failed` after NOTIFY_SETTINGS.max_attempts tries.
+
+const NOTIFICATION_PREFERENCES_SCHEMA = {
+  fields: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: 'boolean' }]))
+};
+const NOTIFICATION_LIST_SPEC = {
+  filters: { user_id: 'n.user_id = ?', bill_id: 'n.bill_id = ?', payment_id: 'n.payment_id = ?' },
+  statuses: {
+    pending: "n.status = 'pending'",
+    sent: "n.status = 'sent'",
+    failed: "n.status = 'failed'",
+    cancelled: "n.status = 'cancelled'"
+  },
+  dateColumn: 'n.created_at',
+  search: ['n.recipient', 'n.subject', 'n.notification_type'],
+  sort: { notification_id: 'n.notification_id', created_at: 'n.created_at', status: 'n.status', attempts: 'n.attempts' },
+  idColumn: 'n.notification_id'
+};
+const OUTBOX_BATCH_SIZE = 50;
+let outboxDelivery = null;
 
-  if (!email || !password) {
-    return res.status(400).json({ message: 'Email and password are required' });
+// [NOTIFY] A user's choices as `{ type: enabled }`; types they never changed are on.
+async function loadNotificationPreferences(userId) {
+  const rows = await dbAll(`SELECT notification_type, enabled FROM notification_preferences WHERE user_id = ?`, [userId]);
+  const preferences = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, true]));
+  rows.forEach((row) => {
+    preferences[row.notification_type] = row.enabled === 1;
+  });
+  return preferences;
+}
+
+// [NOTIFY] Render a notice and add it to the outbox. `loadNotice` resolves to `{ userId, billId, paymentId, data }`
+// (or null to skip). Nothing is queued for users who turned the type off or when `dedupeKey` was queued before.
+// Failures are logged and never undo the change that triggered the notice.
+async function queueNotification(type, dedupeKey, loadNotice) {
+  try {
+    const notice = await loadNotice();
+    if (!notice) return null;
+    const user = await dbGet(`SELECT user_id, name, email FROM users WHERE user_id = ? AND deleted_at IS NULL`, [notice.userId]);
+    if (!user || !user.email) return null;
+    const preferences = await loadNotificationPreferences(user.user_id);
+    if (!preferences[type]) return null;
+
+    const message = await renderNotification(type, { ...notice.data, user, payee: PAYEE_SETTINGS });
+    const result = await dbRun(
+      `INSERT INTO notification_outbox (user_id,notification_type,bill_id,payment_id,dedupe_key,recipient,subject,body_text,body_html)
+       VALUES (?,?,?,?,?,?,?,?,?)
+       ON CONFLICT (dedupe_key) DO NOTHING`,
+      [user.user_id, type, notice.billId || null, notice.paymentId || null, dedupeKey, user.email, message.subject, message.text, message.html]
+    );
+    return result.changes ? result.lastID : null;
+  } catch (err) {
+    console.error(`Queueing ${type} notification failed:`, err.message);
+    return null;
   }
+}
 
-  db.get(
-    `SELECT user_id, name, email, phone, password, role FROM users WHERE lower(email) = lower(?)`,
-    [email],
-    (err, row) => {
-      if (err) return res.status(500).json(err);
-      if (!row || row.password !== password) {
-        return res.status(401).json({ message: 'Invalid email or password' });
+// [NOTIFY] Queue a notice about one bill (new bill or late fee, due reminder, overdue) for its owner, once per type.
+function queueBillNotification(type, billId) {
+  return queueNotification(type, `${type}:${billId}`, async () => {
+    const bill = await dbGet(
+      `SELECT b.*, round(b.amount - b.amount_paid, 2) AS balance, m.meter_number, m.user_id, u.utility_name
+       FROM bills b
+       JOIN meters m ON m.meter_id = b.meter_id
+       LEFT JOIN utilities u ON u.utility_id = m.utility_id
+       WHERE b.bill_id = ?`,
+      [billId]
+    );
+    if (!bill) return null;
+    const number = invoiceNumber(bill);
+    return {
+      userId: bill.user_id,
+      billId: bill.bill_id,
+      data: { bill: { ...bill, invoice_number: number, payment_reference: promptPayReference(number) } }
+    };
+  });
+}
+
+// [NOTIFY] Queue the receipt for a committed payment: the bills it paid with their remaining balances.
+function queuePaymentReceipt(paymentId) {
+  return queueNotification('payment_receipt', `payment_receipt:${paymentId}`, async () => {
+    const payment = await dbGet(`SELECT * FROM payments WHERE payment_id = ?`, [paymentId]);
+    if (!payment || !payment.user_id) return null;
+    const allocations = await dbAll(
+      `SELECT a.bill_id, a.amount, b.bill_month, round(b.amount - b.amount_paid, 2) AS balance
+       FROM payment_allocations a
+       JOIN bills b ON b.bill_id = a.bill_id
+       WHERE a.payment_id = ?
+       ORDER BY a.bill_id ASC`,
+      [paymentId]
+    );
+    const allocated = roundMoney(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    return {
+      userId: payment.user_id,
+      paymentId: payment.payment_id,
+      data: {
+        payment,
+        allocations: allocations.map((allocation) => ({ ...allocation, invoice_number: invoiceNumber(allocation) })),
+        accountCredit: roundMoney(payment.amount - allocated)
       }
+    };
+  });
+}
 
-      return res.json({
-        user: {
-          user_id: row.user_id,
-          name: row.name,
-          email: row.email,
-          phone: row.phone,
-          role: normalizeUserRole(row.role)
-        }
+// [NOTIFY] Queue reminders for open bills due within NOTIFY_SETTINGS.reminder_days of `asOf`, once per bill.
+async function queueDueReminders(asOf = new Date().toISOString().slice(0, 10)) {
+  if (!Number.isFinite(NOTIFY_SETTINGS.reminder_days) || NOTIFY_SETTINGS.reminder_days < 0) return 0;
+  const bills = await dbAll(
+    `SELECT b.bill_id FROM bills b
+     JOIN meters m ON m.meter_id = b.meter_id
+     WHERE ${LIVE_BILL_SQL}
+       AND b.status IN ('unpaid','partially_paid')
+       AND date(b.due_date) BETWEEN date(?) AND date(?, '+' || ? || ' days')
+       AND NOT EXISTS (SELECT 1 FROM notification_outbox n WHERE n.dedupe_key = 'due_reminder:' || b.bill_id)
+     ORDER BY b.bill_id ASC`,
+    [asOf, asOf, NOTIFY_SETTINGS.reminder_days]
+  );
+  let queued = 0;
+  for (const bill of bills) {
+    if (await queueBillNotification('due_reminder', bill.bill_id)) queued += 1;
+  }
+  return queued;
+}
+
+// [NOTIFY] Cancel unsent notices about bills that are being deleted.
+function cancelBillNotifications(billIds) {
+  if (!billIds.length) return Promise.resolve();
+  return dbRun(
+    `UPDATE notification_outbox SET status = 'cancelled'
+     WHERE status = 'pending' AND bill_id IN (${billIds.map(() => '?').join(',')})`,
+    billIds
+  );
+}
+
+// [NOTIFY] Send one batch of due outbox messages. Overlapping calls share the batch already running.
+function deliverOutbox() {
+  if (!outboxDelivery) {
+    outboxDelivery = deliverOutboxBatch().finally(() => {
+      outboxDelivery = null;
+    });
+  }
+  return outboxDelivery;
+}
+
+// [NOTIFY] Deliver pending messages whose next attempt is due; failures back off or give up (`failed`).
+async function deliverOutboxBatch() {
+  const result = { sent: 0, retrying: 0, failed: 0 };
+  if (!notificationTransport) return result;
+
+  const messages = await dbAll(
+    `SELECT * FROM notification_outbox
+     WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+     ORDER BY notification_id ASC
+     LIMIT ?`,
+    [OUTBOX_BATCH_SIZE]
+  );
+  for (const message of messages) {
+    const attempts = message.attempts + 1;
+    try {
+      await notificationTransport.send({
+        from: NOTIFY_SETTINGS.from,
+        to: message.recipient,
+        subject: message.subject,
+        text: message.body_text,
+        html: message.body_html
       });
+      await dbRun(
+        `UPDATE notification_outbox SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+         WHERE notification_id = ?`,
+        [attempts, message.notification_id]
+      );
+      result.sent += 1;
+    } catch (err) {
+      const gaveUp = attempts >= NOTIFY_SETTINGS.max_attempts;
+      await dbRun(
+        `UPDATE notification_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+         WHERE notification_id = ?`,
+        [gaveUp ? 'failed' : 'pending', attempts, String(err.message || err).slice(0, 500), `+${2 ** (attempts - 1)} minutes`, message.notification_id]
+      );
+      result[gaveUp ? 'failed' : 'retrying'] += 1;
     }
-  );
-});
+  }
+  return result;
+}
+
+// [NOTIFY] Notification preferences of one user (admin or self).
+app.get('/users/:id/notification-preferences', requireApiAuth, async (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 403, 'You can only view your own notification preferences');
+  }
 
-// [USER] Create a user with role normalization and duplicate checks.
-app.post('/users', (req, res) => {
-  const name = String(req.body.name || '').trim();
-  const email = String(req.body.email || '').trim().toLowerCase();
-  const password = String(req.body.password || '');
-  const phone = String(req.body.phone || '').trim() || null;
-  const role = normalizeUserRole(req.body.role);
+  try {
+    const user = await dbGet(`SELECT user_id FROM users WHERE user_id = ? AND deleted_at IS NULL`, [req.params.id]);
+    if (!user) return sendError(res, 404, 'Not found');
+    res.json({ user_id: user.user_id, preferences: await loadNotificationPreferences(user.user_id) });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
 
-  if (!name || !email || !password) {
-    return res.status(400).json({ message: 'name, email and password are required' });
+// [NOTIFY] Turn notification types on or off (admin or self); types left out keep their setting.
+app.put('/users/:id/notification-preferences', requireApiAuth, validateBody(NOTIFICATION_PREFERENCES_SCHEMA), async (req, res) => {
+  if (!isAdminCaller(req) && String(req.params.id) !== String(req.auth.user_id)) {
+    return sendError(res, 403, 'You can only update your own notification preferences');
   }
 
-  db.run(
-    `INSERT INTO users (name,email,password,phone,role) VALUES (?,?,?,?,?)`,
-    [name, email, password, phone, role],
-    function (err) {
-      if (err) {
-        const message = String(err.message || '').toLowerCase();
-        if (message.includes('unique constraint failed: users.email')) {
-          return res.status(409).json({ message: 'Email already exists' });
-        }
-        return res.status(500).json(err);
+  try {
+    const outcome = await withTransaction(async () => {
+      const user = await dbGet(`SELECT user_id FROM users WHERE user_id = ? AND deleted_at IS NULL`, [req.params.id]);
+      if (!user) return { status: 404, body: errorBody(404, 'Not found') };
+
+      const before = await loadNotificationPreferences(user.user_id);
+      for (const type of NOTIFICATION_TYPES) {
+        if (req.input[type] === null) continue;
+        await dbRun(
+          `INSERT INTO notification_preferences (user_id,notification_type,enabled) VALUES (?,?,?)
+           ON CONFLICT (user_id, notification_type) DO UPDATE SET enabled = excluded.enabled, updated_at = CURRENT_TIMESTAMP`,
+          [user.user_id, type, req.input[type] ? 1 : 0]
+        );
       }
-      res.json({ user_id: this.lastID, role });
-    }
-  );
+      const after = await loadNotificationPreferences(user.user_id);
+      await recordAudit(req, {
+        action: 'update_notifications',
+        entity_type: 'user',
+        entity_id: user.user_id,
+        before,
+        after
+      });
+      return { status: 200, body: { user_id: user.user_id, preferences: after } };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
 });
 
-// [USER] Update user profile and role.
-app.put('/users/:id', (req, res) => {
-  const name = String(req.body.name || '').trim();
-  const email = String(req.body.email || '').trim().toLowerCase();
-  const phone = String(req.body.phone || '').trim() || null;
-  const role = typeof req.body.role === 'undefined' ? null : normalizeUserRole(req.body.role);
+// [NOTIFY] Outbox messages, newest first by default; users only see their own. Paging, filters and sort:
+// see parseListQuery; `status` is pending/sent/failed/cancelled and `q` searches recipient, subject and type.
+app.get('/notifications', requireApiAuth, async (req, res) => {
+  const list = parseListQuery({ sort: 'notification_id', order: 'desc', ...req.query }, NOTIFICATION_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
 
-  if (!name || !email) {
-    return res.status(400).json({ message: 'name and email are required' });
+  try {
+    res.json(await queryList(res, list, {
+      select: `n.notification_id, n.user_id, n.notification_type, n.bill_id, n.payment_id, n.recipient, n.subject,
+               n.body_text, n.status, n.attempts, n.last_error, n.next_attempt_at, n.sent_at, n.created_at`,
+      fromSql: 'notification_outbox n',
+      where: isAdminCaller(req) ? [] : ['n.user_id = ?'],
+      params: isAdminCaller(req) ? [] : [req.auth.user_id]
+    }));
+  } catch (err) {
+    sendServerError(res, err);
   }
+});
 
-  db.run(
-    `UPDATE users SET name=?, email=?, phone=?, role=COALESCE(?, role) WHERE user_id=?`,
-    [name, email, phone, role, req.params.id],
-    function (err) {
-      if (err) return res.status(500).json(err);
-      res.json({ updated: this.changes });
-    }
-  );
+// [NOTIFY] Queue today's due reminders and deliver the outbox now (admin only).
+app.post('/notifications/deliver', requireApiAdmin, async (req, res) => {
+  try {
+    const remindersQueued = await queueDueReminders();
+    const delivered = await deliverOutbox();
+    res.json({ reminders_queued: remindersQueued, ...delivered, transport: notificationTransport ? notificationTransport.name : null });
+  } catch (err) {
+    sendServerError(res, err);
+  }
 });
 
-// [USER] Delete user by id.
-app.delete('/users/:id', (req, res) =>
-  deleteById('users', 'user_id', req.params.id, res)
-);
+// [NOTIFY] Send a failed or waiting message again straight away, with a fresh set of attempts (admin only).
+app.post('/notifications/:id/retry', requireApiAdmin, async (req, res) => {
+  try {
+    const retried = await withTransaction(async () => {
+      const result = await dbRun(
+        `UPDATE notification_outbox SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+         WHERE notification_id = ? AND status IN ('pending','failed')`,
+        [req.params.id]
+      );
+      if (result.changes) await recordAudit(req, { action: 'retry', entity_type: 'notification', entity_id: req.params.id });
+      return result.changes;
+    });
+    if (!retried) return sendError(res, 404, 'No failed or pending notification with that id');
+    res.json({ retried: 1, ...(await deliverOutbox()) });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
 
 // ==========================
-// UTILITIES ROUTES
+// WEBHOOKS
 // ==========================
-// [UTILITY] Get all utilities.
-app.get('/utilities', (req, res) => getAll('utilities', res));
+// Events are written to webhook_deliveries (one row per subscribed endpoint) in the same transaction as the change,
+// so nothing is lost when a receiver is down. The scheduler posts them; a failed delivery backs off 1, 2, 4...
+// minutes and is marked `failed` after WEBHOOK_SETTINGS.max_attempts. Deliveries to a paused endpoint wait.
 
-// [UTILITY] Create utility.
-app.post('/utilities', (req, res) => {
-  db.run(
-    `INSERT INTO utilities (utility_name) VALUES (?)`,
-    [req.body.utility_name],
-    function (err) {
-      if (err) return res.status(500).json(err);
-      res.json({ utility_id: this.lastID });
-    }
-  );
-});
+const WEBHOOK_SCHEMA = {
+  fields: {
+    url: { type: 'string', required: true, maxLength: 500 },
+    description: { type: 'string', maxLength: 200 },
+    event_types: { type: 'string', default: '*', maxLength: 200 }
+  },
+  checks: [{ field: 'url', message: 'url must be an http or https URL', test: (value) => isWebhookUrl(value.url) }]
+};
+// Every field is optional; the ones sent replace the current values.
+const WEBHOOK_UPDATE_SCHEMA = {
+  fields: {
+    ...WEBHOOK_SCHEMA.fields,
+    url: { ...WEBHOOK_SCHEMA.fields.url, required: false },
+    event_types: { type: 'string', maxLength: 200 },
+    active: { type: 'boolean' }
+  },
+  checks: [{ field: 'url', message: 'url must be an http or https URL', test: (value) => !value.url || isWebhookUrl(value.url) }]
+};
+const WEBHOOK_DELIVERY_LIST_SPEC = {
+  filters: { endpoint_id: 'd.endpoint_id = ?' },
+  statuses: { pending: "d.status = 'pending'", delivered: "d.status = 'delivered'", failed: "d.status = 'failed'" },
+  dateColumn: 'd.created_at',
+  search: ['d.event_type', 'd.event_id'],
+  sort: { delivery_id: 'd.delivery_id', created_at: 'd.created_at', status: 'd.status', attempts: 'd.attempts' },
+  idColumn: 'd.delivery_id'
+};
+const WEBHOOK_DELIVERY_COLUMNS = `d.delivery_id, d.endpoint_id, e.url AS endpoint_url, d.event_id, d.event_type, d.status,
+  d.attempts, d.response_status, d.response_body, d.last_error, d.next_attempt_at, d.delivered_at, d.redelivery_of, d.created_at`;
+const WEBHOOK_BATCH_SIZE = 50;
+let webhookDelivery = null;
 
-// [UTILITY] Delete utility by id.
-app.delete('/utilities/:id', (req, res) =>
-  deleteById('utilities', 'utility_id', req.params.id, res)
-);
+// [WEBHOOK] Endpoint as the API shows it: the secret only by its first characters.
+function publicWebhookEndpoint({ secret, ...endpoint }) {
+  return { ...endpoint, active: endpoint.active === 1, secret_prefix: `${secret.slice(0, WEBHOOK_SECRET_PREFIX.length + 4)}…` };
+}
 
-// ==========================
-// METERS ROUTES
-// ==========================
-// [METER] Get all meters.
-app.get('/meters', (req, res) => getAll('meters', res));
+// [WEBHOOK] Event data for a user: the same safe fields as GET /users/:id.
+function loadWebhookUser(userId) {
+  return dbGet(`SELECT user_id, name, email, phone, role, created_at FROM users WHERE user_id = ?`, [userId]);
+}
 
-// [METER] Create meter with unique/FK validation.
-app.post('/meters', (req, res) => {
-  const meterNumber = String(req.body.meter_number || "").trim();
-  const userId = Number.parseInt(req.body.user_id, 10);
-  const utilityId = Number.parseInt(req.body.utility_id, 10);
+// [WEBHOOK] Event data for a bill: the bill with its balance, invoice number, meter number and owner.
+async function loadWebhookBill(billId) {
+  const bill = await dbGet(
+    `SELECT b.*, round(b.amount - b.amount_paid, 2) AS balance, m.meter_number, m.user_id
+     FROM bills b JOIN meters m ON m.meter_id = b.meter_id
+     WHERE b.bill_id = ?`,
+    [billId]
+  );
+  return bill ? { ...bill, invoice_number: invoiceNumber(bill) } : null;
+}
 
-  if (!meterNumber) {
-    return res.status(400).json({ message: "meter_number is required" });
-  }
-  if (!Number.isFinite(userId) || userId <= 0) {
-    return res.status(400).json({ message: "user_id must be a positive integer" });
+// [WEBHOOK] Event data for a payment: the payment with its allocations (as GET /payments).
+async function loadWebhookPayment(paymentId) {
+  const payment = await dbGet(`SELECT * FROM payments WHERE payment_id = ?`, [paymentId]);
+  return payment ? (await attachPaymentAllocations([payment]))[0] : null;
+}
+
+// [WEBHOOK] Queue one event for every active endpoint subscribed to `type`. `loadData` resolves to the event's
+// `data` (null skips it). Failures are logged and never undo the change that raised the event.
+async function queueWebhookEvent(type, loadData) {
+  try {
+    const endpoints = (await dbAll(`SELECT endpoint_id, event_types FROM webhook_endpoints WHERE active = 1`))
+      .filter((endpoint) => matchesEventType(endpoint.event_types, type));
+    if (!endpoints.length) return 0;
+    const data = await loadData();
+    if (!data) return 0;
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({ id: eventId, type, created_at: new Date().toISOString(), data });
+    for (const endpoint of endpoints) {
+      await dbRun(
+        `INSERT INTO webhook_deliveries (endpoint_id,event_id,event_type,payload) VALUES (?,?,?,?)`,
+        [endpoint.endpoint_id, eventId, type, payload]
+      );
+    }
+    return endpoints.length;
+  } catch (err) {
+    console.error(`Queueing ${type} webhook failed:`, err.message);
+    return 0;
   }
-  if (!Number.isFinite(utilityId) || utilityId <= 0) {
-    return res.status(400).json({ message: "utility_id must be a positive integer" });
+}
+
+// [WEBHOOK] Post one batch of due deliveries. Overlapping calls share the batch already running.
+function deliverWebhooks() {
+  if (!webhookDelivery) {
+    webhookDelivery = deliverWebhookBatch().finally(() => {
+      webhookDelivery = null;
+    });
   }
+  return webhookDelivery;
+}
 
-  db.run(
-    `INSERT INTO meters (meter_number,user_id,utility_id) VALUES (?,?,?)`,
-    [meterNumber, userId, utilityId],
-    function (err) {
-      if (err) {
-        const rawMessage = String(err.message || "").toLowerCase();
-        if (rawMessage.includes("unique constraint failed: meters.meter_number")) {
-          return res.status(409).json({ message: "Meter number already exists" });
-        }
-        if (rawMessage.includes("foreign key constraint failed")) {
-          return res.status(400).json({ message: "Selected user or utility does not exist" });
-        }
-        if (rawMessage.includes("not null constraint failed")) {
-          return res.status(400).json({ message: "meter_number, user_id and utility_id are required" });
-        }
-        return res.status(500).json(err);
-      }
-      res.json({ meter_id: this.lastID });
+// [WEBHOOK] Post pending deliveries of active endpoints whose next attempt is due, recording each response.
+async function deliverWebhookBatch() {
+  const result = { delivered: 0, retrying: 0, failed: 0 };
+  const deliveries = await dbAll(
+    `SELECT d.*, e.url, e.secret FROM webhook_deliveries d
+     JOIN webhook_endpoints e ON e.endpoint_id = d.endpoint_id
+     WHERE d.status = 'pending' AND e.active = 1 AND d.next_attempt_at <= CURRENT_TIMESTAMP
+     ORDER BY d.delivery_id ASC
+     LIMIT ?`,
+    [WEBHOOK_BATCH_SIZE]
+  );
+  for (const delivery of deliveries) {
+    const attempts = delivery.attempts + 1;
+    const response = await postWebhook(delivery, delivery);
+    if (response.ok) {
+      await dbRun(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = ?, response_status = ?, response_body = ?, last_error = NULL,
+             delivered_at = CURRENT_TIMESTAMP
+         WHERE delivery_id = ?`,
+        [attempts, response.status, response.body, delivery.delivery_id]
+      );
+      result.delivered += 1;
+      continue;
     }
+
+    const gaveUp = attempts >= WEBHOOK_SETTINGS.max_attempts;
+    await dbRun(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, response_status = ?, response_body = ?, last_error = ?,
+           next_attempt_at = datetime('now', ?)
+       WHERE delivery_id = ?`,
+      [
+        gaveUp ? 'failed' : 'pending', attempts, response.status, response.body, String(response.error).slice(0, 500),
+        `+${2 ** (attempts - 1)} minutes`, delivery.delivery_id
+      ]
+    );
+    result[gaveUp ? 'failed' : 'retrying'] += 1;
+  }
+  return result;
+}
+
+// [WEBHOOK] Newest deliveries with their endpoint URL (admin dashboard).
+function loadRecentWebhookDeliveries(limit) {
+  return dbAll(
+    `SELECT ${WEBHOOK_DELIVERY_COLUMNS}
+     FROM webhook_deliveries d JOIN webhook_endpoints e ON e.endpoint_id = d.endpoint_id
+     ORDER BY d.delivery_id DESC
+     LIMIT ?`,
+    [limit]
   );
+}
+
+// [WEBHOOK] Registered endpoints with their pending and failed delivery counts (admin only).
+app.get('/webhooks', requireApiAdmin, async (req, res) => {
+  try {
+    const endpoints = await dbAll(
+      `SELECT e.*,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.endpoint_id AND d.status = 'pending') AS pending_count,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.endpoint_id AND d.status = 'failed') AS failed_count
+       FROM webhook_endpoints e
+       ORDER BY e.endpoint_id ASC`
+    );
+    res.json({ event_types: WEBHOOK_EVENT_TYPES, endpoints: endpoints.map(publicWebhookEndpoint) });
+  } catch (err) {
+    sendServerError(res, err);
+  }
 });
 
-// [METER] Delete meter by id.
-app.delete('/meters/:id', (req, res) =>
-  deleteById('meters', 'meter_id', req.params.id, res)
-);
+// [WEBHOOK] Register an endpoint (admin only). `event_types` is `*` or a comma-separated list; the signing secret
+// is returned once and only shown by its prefix afterwards.
+app.post('/webhooks', requireApiAdmin, validateBody(WEBHOOK_SCHEMA), async (req, res) => {
+  const eventTypes = parseEventTypes(req.input.event_types);
+  if (eventTypes.error) return sendValidationError(res, { event_types: eventTypes.error });
 
-// ==========================
-// BILLS ROUTES
-// ==========================
-// [BILL] Get all bills.
-app.get('/bills', (req, res) => getAll('bills', res));
+  try {
+    const secret = generateWebhookSecret();
+    const endpoint = await withTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO webhook_endpoints (url,description,secret,event_types,created_by) VALUES (?,?,?,?,?)`,
+        [req.input.url, req.input.description, secret, eventTypes.value, req.auth.user_id]
+      );
+      const row = await dbGet(`SELECT * FROM webhook_endpoints WHERE endpoint_id = ?`, [result.lastID]);
+      await recordAudit(req, { action: 'create', entity_type: 'webhook', entity_id: row.endpoint_id, after: row });
+      return row;
+    });
+    res.json({ ...publicWebhookEndpoint(endpoint), secret });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
 
-// [BILL] Get bill by id.
-app.get('/bills/:id', (req, res) => getById('bills', 'bill_id', req.params.id, res));
+// [WEBHOOK] Change an endpoint's URL, description, events or pause it with `active: false` (admin only).
+app.put('/webhooks/:id', requireApiAdmin, validateBody(WEBHOOK_UPDATE_SCHEMA), async (req, res) => {
+  const eventTypes = req.input.event_types === null ? { value: null } : parseEventTypes(req.input.event_types);
+  if (eventTypes.error) return sendValidationError(res, { event_types: eventTypes.error });
 
-// [BILL] Create bill.
-app.post('/bills', (req, res) => {
-  const { meter_id, bill_month, amount, due_date, status } = req.body;
-  db.run(
-    `INSERT INTO bills (meter_id,bill_month,amount,due_date,status)
-     VALUES (?,?,?,?,?)`,
-    [meter_id, bill_month, amount, due_date, status],
-    function (err) {
-      if (err) return res.status(500).json(err);
-      res.json({ bill_id: this.lastID });
-    }
-  );
+  try {
+    const outcome = await withTransaction(async () => {
+      const before = await dbGet(`SELECT * FROM webhook_endpoints WHERE endpoint_id = ?`, [req.params.id]);
+      if (!before) return { status: 404, body: errorBody(404, 'Webhook endpoint not found') };
+      const { url, description, active } = req.input;
+      await dbRun(
+        `UPDATE webhook_endpoints
+         SET url = COALESCE(?, url), description = COALESCE(?, description), event_types = COALESCE(?, event_types),
+             active = COALESCE(?, active)
+         WHERE endpoint_id = ?`,
+        [url, description, eventTypes.value, active === null ? null : Number(active), before.endpoint_id]
+      );
+      const after = await dbGet(`SELECT * FROM webhook_endpoints WHERE endpoint_id = ?`, [before.endpoint_id]);
+      await recordAudit(req, { action: 'update', entity_type: 'webhook', entity_id: before.endpoint_id, before, after });
+      return { status: 200, body: publicWebhookEndpoint(after) };
+    });
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    sendServerError(res, err);
+  }
 });
 
-// [BILL] Delete bill by id.
-app.delete('/bills/:id', (req, res) =>
-  deleteById('bills', 'bill_id', req.params.id, res)
-);
+// [WEBHOOK] Remove an endpoint together with its delivery log (admin only).
+app.delete('/webhooks/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const deleted = await withTransaction(async () => {
+      const before = await dbGet(`SELECT * FROM webhook_endpoints WHERE endpoint_id = ?`, [req.params.id]);
+      if (!before) return 0;
+      await dbRun(`DELETE FROM webhook_endpoints WHERE endpoint_id = ?`, [before.endpoint_id]);
+      await recordAudit(req, { action: 'delete', entity_type: 'webhook', entity_id: before.endpoint_id, before });
+      return 1;
+    });
+    res.json({ deleted });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [WEBHOOK] Delivery log, newest first by default (admin only). Paging, filters and sort: see parseListQuery;
+// `status` is pending/delivered/failed and `q` searches the event type and id.
+app.get('/webhook-deliveries', requireApiAdmin, async (req, res) => {
+  const list = parseListQuery({ sort: 'delivery_id', order: 'desc', ...req.query }, WEBHOOK_DELIVERY_LIST_SPEC);
+  if (list.error) return sendError(res, 400, list.error);
+
+  try {
+    res.json(await queryList(res, list, {
+      select: WEBHOOK_DELIVERY_COLUMNS,
+      fromSql: 'webhook_deliveries d JOIN webhook_endpoints e ON e.endpoint_id = d.endpoint_id'
+    }));
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [WEBHOOK] One delivery with the exact payload that is posted (admin only).
+app.get('/webhook-deliveries/:id', requireApiAdmin, async (req, res) => {
+  try {
+    const delivery = await dbGet(
+      `SELECT ${WEBHOOK_DELIVERY_COLUMNS}, d.payload
+       FROM webhook_deliveries d JOIN webhook_endpoints e ON e.endpoint_id = d.endpoint_id
+       WHERE d.delivery_id = ?`,
+      [req.params.id]
+    );
+    if (!delivery) return sendError(res, 404, 'Webhook delivery not found');
+    res.json(delivery);
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
+
+// [WEBHOOK] Send a logged event to its endpoint again as a new delivery with the same event id and payload,
+// then post it straight away (admin only).
+app.post('/webhook-deliveries/:id/redeliver', requireApiAdmin, async (req, res) => {
+  try {
+    const original = await dbGet(`SELECT * FROM webhook_deliveries WHERE delivery_id = ?`, [req.params.id]);
+    if (!original) return sendError(res, 404, 'Webhook delivery not found');
+
+    const deliveryId = await withTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO webhook_deliveries (endpoint_id,event_id,event_type,payload,redelivery_of) VALUES (?,?,?,?,?)`,
+        [original.endpoint_id, original.event_id, original.event_type, original.payload, original.delivery_id]
+      );
+      await recordAudit(req, {
+        action: 'redeliver',
+        entity_type: 'webhook',
+        entity_id: original.endpoint_id,
+        after: { delivery_id: result.lastID, redelivery_of: original.delivery_id, event_id: original.event_id }
+      });
+      return result.lastID;
+    });
+    await deliverWebhooks();
+    const delivery = await dbGet(`SELECT status, response_status, last_error FROM webhook_deliveries WHERE delivery_id = ?`, [deliveryId]);
+    res.json({ delivery_id: deliveryId, redelivery_of: original.delivery_id, ...delivery });
+  } catch (err) {
+    sendServerError(res, err);
+  }
+});
 
 // ==========================
-// PAYMENTS ROUTES
+// AUDIT LOG ROUTES
 // ==========================
-// [PAYMENT] Get all payments.
-app.get('/payments', (req, res) => getAll('payments', res));
-
-// [PAYMENT] Create payment transaction and mark bill as paid.
-app.post('/payments', (req, res) => {
-  const { bill_id, payment_method, transaction_ref } = req.body;
-  const normalizedBillId = Number.parseInt(bill_id, 10);
-  const normalizedMethod = String(payment_method || "").trim();
-  const normalizedRef = String(transaction_ref || "").trim() || null;
-
-  if (!Number.isFinite(normalizedBillId) || normalizedBillId <= 0) {
-    return res.status(400).json({ message: "Invalid bill_id" });
-  }
-  if (!normalizedMethod) {
-    return res.status(400).json({ message: "payment_method is required" });
-  }
-
-  db.get(
-    `SELECT bill_id, status FROM bills WHERE bill_id = ?`,
-    [normalizedBillId],
-    (billErr, bill) => {
-      if (billErr) return res.status(500).json(billErr);
-      if (!bill) return res.status(404).json({ message: "Bill not found" });
-      if (String(bill.status || "").toLowerCase() === "paid") {
-        return res.status(409).json({ message: "Bill is already paid" });
-      }
-
-      db.serialize(() => {
-        db.run("BEGIN TRANSACTION");
-
-        db.run(
-          `INSERT INTO payments (bill_id,payment_method,transaction_ref)
-           VALUES (?,?,?)`,
-          [normalizedBillId, normalizedMethod, normalizedRef],
-          function (insertErr) {
-            if (insertErr) {
-              const status = String(insertErr.code || "").includes("CONSTRAINT") ? 409 : 500;
-              const payload = status === 409
-                ? { message: "Payment already exists or transaction reference is duplicated" }
-                : insertErr;
-              return db.run("ROLLBACK", () => res.status(status).json(payload));
-            }
 
-            const paymentId = this.lastID;
-            db.run(
-              `UPDATE bills SET status = 'paid' WHERE bill_id = ?`,
-              [normalizedBillId],
-              function (updateErr) {
-                if (updateErr) {
-                  return db.run("ROLLBACK", () => res.status(500).json(updateErr));
-                }
-                if (!this.changes) {
-                  return db.run("ROLLBACK", () => res.status(404).json({ message: "Bill not found during update" }));
-                }
-
-                db.run("COMMIT", (commitErr) => {
-                  if (commitErr) {
-                    return db.run("ROLLBACK", () => res.status(500).json(commitErr));
-                  }
-                  res.json({
-                    payment_id: paymentId,
-                    bill_id: normalizedBillId,
-                    bill_status: "paid"
-                  });
-                });
-              }
-            );
-          }
-        );
-      });
-    }
-  );
+// [AUDIT] Audit events, newest first (admin only). Filters: entity_type, entity_id, actor_user_id, action,
+// from/to (YYYY-MM-DD) and limit. There are deliberately no routes that change or delete events.
+app.get('/audit-events', requireApiAdmin, async (req, res) => {
+  const query = req.query || {};
+  const filters = [];
+  const params = [];
+  const addFilter = (sql, value) => {
+    filters.push(sql);
+    params.push(value);
+  };
+
+  const from = String(query.from || '').trim();
+  const to = String(query.to || '').trim();
+  if ([from, to].some((value) => value && !/^\d{4}-\d{2}-\d{2}$/.test(value))) {
+    return sendError(res, 400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+  const limit = Math.min(Number.parseInt(query.limit, 10) || 200, 1000);
+
+  if (query.entity_type) addFilter('entity_type = ?', String(query.entity_type).trim());
+  if (query.entity_id) addFilter('entity_id = ?', String(query.entity_id).trim());
+  if (query.actor_user_id) addFilter('actor_user_id = ?', Number.parseInt(query.actor_user_id, 10));
+  if (query.action) addFilter('action = ?', String(query.action).trim());
+  if (from) addFilter('date(created_at) >= date(?)', from);
+  if (to) addFilter('date(created_at) <= date(?)', to);
+
+  try {
+    const rows = await dbAll(
+      `SELECT * FROM audit_events
+       ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY event_id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    res.json(rows.map(({ before_json: beforeJson, after_json: afterJson, ...event }) => ({
+      ...event,
+      before: beforeJson ? JSON.parse(beforeJson) : null,
+      after: afterJson ? JSON.parse(afterJson) : null
+    })));
+  } catch (err) {
+    sendServerError(res, err);
+  }
 });
 
-// [PAYMENT] Delete payment by id.
-app.delete('/payments/:id', (req, res) =>
-  deleteById('payments', 'payment_id', req.params.id, res)
-);
+// [ERROR] Unknown routes answer in the standard error shape.
+app.use((req, res) => sendError(res, 404, `No route for ${req.method} ${req.path}`));
+
+// [ERROR] Malformed JSON bodies and anything a handler throws (Express 5 forwards rejected async handlers).
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  if (err.type === 'entity.too.large') return sendError(res, 413, `Request body is larger than ${REQUEST_BODY_LIMIT}`);
+  sendServerError(res, err);
+});
 
 // ==========================
 // START SERVER
@@ -438,15 +5712,74 @@ app.delete('/payments/:id', (req, res) =>
 const PORT = Number.parseInt(process.env.PORT, 10) || 4000;
 const HOST = process.env.HOST || '0.0.0.0';
 
-const server = app.listen(PORT, HOST, () => {
-  console.log(`Server running on http://localhost:${PORT} (pid: ${process.pid})`);
-});
+// [SYSTEM] Scheduled notifications: queue due reminders, then deliver the outbox.
+function scheduledNotifications() {
+  queueDueReminders()
+    .then(() => deliverOutbox())
+    .then((result) => {
+      if (result.sent || result.failed) {
+        console.log(`Notifications: ${result.sent} sent, ${result.retrying} to retry, ${result.failed} failed.`);
+      }
+    })
+    .catch((err) => console.error('Notification delivery failed:', err.message));
+}
 
-server.on('error', (err) => {
-  if (err && err.code === 'EADDRINUSE') {
-    console.error(`Port ${PORT} is already in use. Stop the existing process or choose another port.`);
-  } else {
-    console.error('Failed to start server:', err);
-  }
-  process.exit(1);
-});
+// [SYSTEM] Scheduled webhook delivery: once at startup, then every WEBHOOK_INTERVAL_MINUTES.
+function scheduledWebhookDelivery() {
+  deliverWebhooks()
+    .then((result) => {
+      if (result.delivered || result.retrying || result.failed) {
+        console.log(`Webhooks: ${result.delivered} delivered, ${result.retrying} to retry, ${result.failed} failed.`);
+      }
+    })
+    .catch((err) => console.error('Webhook delivery failed:', err.message));
+}
+
+// [SYSTEM] Scheduled overdue check: once at startup, then every OVERDUE_CHECK_INTERVAL_MINUTES (0 disables it).
+function scheduledOverdueCheck() {
+  runOverdueCheck()
+    .then((result) => {
+      if (result.overdue_bill_ids.length || result.late_fees.length) {
+        console.log(`Overdue check: ${result.overdue_bill_ids.length} bill(s) overdue, ${result.late_fees.length} late fee(s) added.`);
+      }
+    })
+    .catch((err) => console.error('Overdue check failed:', err.message));
+}
+
+// Schema migrations must finish before requests or the scheduler touch the database.
+runMigrations(db)
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  })
+  .then(() => seedDefaultUsers())
+  .catch((err) => console.error('Seeding default users failed:', err.message))
+  .then(() => backfillLedger())
+  .catch((err) => console.error('Ledger backfill failed:', err.message))
+  .then(() => {
+    const server = app.listen(PORT, HOST, () => {
+      console.log(`Server running on http://localhost:${PORT} (pid: ${process.pid})`);
+    });
+
+    server.on('error', (err) => {
+      if (err && err.code === 'EADDRINUSE') {
+        console.error(`Port ${PORT} is already in use. Stop the existing process or choose another port.`);
+      } else {
+        console.error('Failed to start server:', err);
+      }
+      process.exit(1);
+    });
+
+    if (Number.isFinite(OVERDUE_CHECK_INTERVAL_MINUTES) && OVERDUE_CHECK_INTERVAL_MINUTES > 0) {
+      scheduledOverdueCheck();
+      setInterval(scheduledOverdueCheck, OVERDUE_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+    }
+    if (Number.isFinite(NOTIFY_SETTINGS.interval_minutes) && NOTIFY_SETTINGS.interval_minutes > 0) {
+      scheduledNotifications();
+      setInterval(scheduledNotifications, NOTIFY_SETTINGS.interval_minutes * 60 * 1000).unref();
+    }
+    if (Number.isFinite(WEBHOOK_SETTINGS.interval_minutes) && WEBHOOK_SETTINGS.interval_minutes > 0) {
+      scheduledWebhookDelivery();
+      setInterval(scheduledWebhookDelivery, WEBHOOK_SETTINGS.interval_minutes * 60 * 1000).unref();
+    }
+  });
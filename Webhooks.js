@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Outbound webhooks: event types, signing and the HTTP request itself. Endpoints, the delivery log and retries
+// live with the data in SQliteDB.js; this module never touches the database.
+//
+// Each delivery is a JSON POST of `{ id, type, created_at, data }` with these headers:
+//   X-FlowBills-Event      the event type, e.g. bill.created
+//   X-FlowBills-Delivery   the event id; the same on every retry and redelivery, so receivers can drop duplicates
+//   X-FlowBills-Timestamp  Unix seconds when this attempt was sent
+//   X-FlowBills-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the endpoint's secret>
+
+const WEBHOOK_EVENT_TYPES = ['bill.created', 'bill.late_fee', 'bill.overdue', 'payment.created', 'payment.reversed', 'user.created'];
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Only the start of a receiver's response is kept in the delivery log.
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+// [WEBHOOK] New signing secret for an endpoint.
+function generateWebhookSecret() {
+  return `${WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// [WEBHOOK] Signature header value for one attempt.
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// [WEBHOOK] Check a received signature in constant time (what a receiver does with the headers above).
+function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// [WEBHOOK] Normalize a subscription: `*` for every event, or a comma-separated list of known types.
+// Resolves to `{ value }` or `{ error }`.
+function parseEventTypes(raw) {
+  const types = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+    .map((type) => String(type).trim().toLowerCase())
+    .filter(Boolean);
+  if (!types.length || types.includes('*')) return { value: '*' };
+  const unknown = types.find((type) => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown) return { error: `event_types must be * or any of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+  return { value: [...new Set(types)].join(',') };
+}
+
+// [WEBHOOK] True when an endpoint subscribed with `eventTypes` receives `type`.
+function matchesEventType(eventTypes, type) {
+  return eventTypes === '*' || String(eventTypes).split(',').includes(type);
+}
+
+// [WEBHOOK] True for an absolute http(s) URL.
+function isWebhookUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+// [WEBHOOK] POST one delivery. Any 2xx answer counts as delivered; redirects are not followed.
+// Resolves to `{ ok, status, body, error }` and never rejects.
+async function postWebhook(endpoint, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await axios.post(endpoint.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FlowBills-Webhooks',
+        'X-FlowBills-Event': delivery.event_type,
+        'X-FlowBills-Delivery': delivery.event_id,
+        'X-FlowBills-Timestamp': String(timestamp),
+        'X-FlowBills-Signature': signWebhookPayload(endpoint.secret, timestamp, delivery.payload)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: 'text',
+      // The payload is already the exact JSON text that was signed.
+      transformRequest: [(data) => data],
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      status: response.status,
+      body: String(response.data ?? '').slice(0, RESPONSE_EXCERPT_LENGTH),
+      error: ok ? null : `HTTP ${response.status}`
+    };
+  } catch (err) {
+    return { ok: false, status: null, body: null, error: err.message || String(err) };
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_SECRET_PREFIX,
+  generateWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseEventTypes,
+  matchesEventType,
+  isWebhookUrl,
+  postWebhook
+};
@@ -0,0 +1,75 @@
+// Baseline: the users, utilities, meters, bills and payments tables the server created in its startup
+// `db.serialize` block before any of the later features. Every statement is idempotent, so databases created
+// before migrations existed adopt it in place; the features added since then follow as their own migrations.
+
+module.exports = {
+  async up({ run, addColumnIfMissing }) {
+    // USERS
+    await run(`
+      CREATE TABLE IF NOT EXISTS users (
+        user_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        phone TEXT,
+        role TEXT NOT NULL DEFAULT 'user',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Backward compatibility for existing DBs created before role existed.
+    await addColumnIfMissing('users', "role TEXT NOT NULL DEFAULT 'user'");
+
+    // UTILITIES
+    await run(`
+      CREATE TABLE IF NOT EXISTS utilities (
+        utility_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        utility_name TEXT NOT NULL UNIQUE
+      )
+    `);
+
+    // METERS
+    await run(`
+      CREATE TABLE IF NOT EXISTS meters (
+        meter_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meter_number TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        utility_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (utility_id) REFERENCES utilities(utility_id)
+      )
+    `);
+
+    // BILLS
+    await run(`
+      CREATE TABLE IF NOT EXISTS bills (
+        bill_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meter_id INTEGER NOT NULL,
+        bill_month DATE NOT NULL,
+        amount REAL NOT NULL,
+        due_date DATE NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('paid','unpaid','overdue')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (meter_id) REFERENCES meters(meter_id) ON DELETE CASCADE
+      )
+    `);
+
+    // PAYMENTS (one full payment per bill; 008_payment_allocations replaces this layout)
+    await run(`
+      CREATE TABLE IF NOT EXISTS payments (
+        payment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id INTEGER NOT NULL UNIQUE,
+        payment_method TEXT NOT NULL,
+        payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        transaction_ref TEXT UNIQUE,
+        FOREIGN KEY (bill_id) REFERENCES bills(bill_id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  // The baseline adopts existing databases in place, so undoing it would drop customer data it never created.
+  async down() {
+    throw new Error('baseline cannot be rolled back');
+  }
+};
@@ -0,0 +1,33 @@
+// Meter readings, and the readings and units a consumption-based bill was generated from.
+
+module.exports = {
+  async up({ run, addColumnIfMissing }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS meter_readings (
+        reading_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meter_id INTEGER NOT NULL,
+        reading_value REAL NOT NULL CHECK(reading_value >= 0),
+        read_at DATETIME NOT NULL,
+        source TEXT NOT NULL DEFAULT 'manual' CHECK(source IN ('manual','import','estimate','smart_meter')),
+        reset_type TEXT CHECK(reset_type IN ('rollover','replacement')),
+        consumption REAL,
+        recorded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (meter_id) REFERENCES meters(meter_id) ON DELETE CASCADE,
+        FOREIGN KEY (recorded_by) REFERENCES users(user_id) ON DELETE SET NULL
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_meter_readings_meter ON meter_readings (meter_id, read_at)`);
+
+    await addColumnIfMissing('bills', 'previous_reading_id INTEGER REFERENCES meter_readings(reading_id)');
+    await addColumnIfMissing('bills', 'current_reading_id INTEGER REFERENCES meter_readings(reading_id)');
+    await addColumnIfMissing('bills', 'units_consumed REAL');
+  },
+
+  async down({ run, dropColumnIfPresent }) {
+    for (const column of ['previous_reading_id', 'current_reading_id', 'units_consumed']) {
+      await dropColumnIfPresent('bills', column);
+    }
+    await run(`DROP TABLE IF EXISTS meter_readings`);
+  }
+};
@@ -0,0 +1,47 @@
+// Tariffs, versioned per utility: a version applies from effective_from until the next one starts.
+// Tariff-priced bills keep the tariff and the calculated breakdown shown on invoices.
+
+module.exports = {
+  async up({ run, addColumnIfMissing }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS tariffs (
+        tariff_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        utility_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        pricing_type TEXT NOT NULL DEFAULT 'tiered' CHECK(pricing_type IN ('tiered','time_of_use')),
+        effective_from DATE NOT NULL,
+        service_charge REAL NOT NULL DEFAULT 0,
+        minimum_charge REAL NOT NULL DEFAULT 0,
+        vat_rate REAL NOT NULL DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (utility_id, version),
+        FOREIGN KEY (utility_id) REFERENCES utilities(utility_id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS tariff_rates (
+        rate_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tariff_id INTEGER NOT NULL,
+        period TEXT,
+        from_units REAL NOT NULL,
+        to_units REAL,
+        rate REAL NOT NULL,
+        FOREIGN KEY (tariff_id) REFERENCES tariffs(tariff_id) ON DELETE CASCADE
+      )
+    `);
+
+    await addColumnIfMissing('bills', 'tariff_id INTEGER REFERENCES tariffs(tariff_id)');
+    await addColumnIfMissing('bills', 'charge_breakdown TEXT');
+  },
+
+  async down({ run, dropColumnIfPresent }) {
+    await dropColumnIfPresent('bills', 'tariff_id');
+    await dropColumnIfPresent('bills', 'charge_breakdown');
+    await run(`DROP TABLE IF EXISTS tariff_rates`);
+    await run(`DROP TABLE IF EXISTS tariffs`);
+  }
+};
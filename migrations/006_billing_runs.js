@@ -0,0 +1,32 @@
+// Billing runs: bulk monthly bill generation. Bills link back through bills.billing_run_id.
+
+module.exports = {
+  async up({ run, addColumnIfMissing }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS billing_runs (
+        run_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_month DATE NOT NULL,
+        due_date DATE NOT NULL,
+        pricing_mode TEXT NOT NULL,
+        parameters TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'committed' CHECK(status IN ('committed','rolled_back')),
+        bills_count INTEGER NOT NULL DEFAULT 0,
+        skipped_count INTEGER NOT NULL DEFAULT 0,
+        total_amount REAL NOT NULL DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        rolled_back_by INTEGER,
+        rolled_back_at DATETIME,
+        rollback_reason TEXT,
+        FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+        FOREIGN KEY (rolled_back_by) REFERENCES users(user_id) ON DELETE SET NULL
+      )
+    `);
+    await addColumnIfMissing('bills', 'billing_run_id INTEGER REFERENCES billing_runs(run_id)');
+  },
+
+  async down({ run, dropColumnIfPresent }) {
+    await dropColumnIfPresent('bills', 'billing_run_id');
+    await run(`DROP TABLE IF EXISTS billing_runs`);
+  }
+};
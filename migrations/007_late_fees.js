@@ -0,0 +1,32 @@
+// Late fees are separate bills that point at the overdue bill they were charged on. Every status transition
+// and late fee is recorded in bill_status_history, whether by the scheduler, an admin or a payment.
+
+module.exports = {
+  async up({ run, addColumnIfMissing }) {
+    await addColumnIfMissing('bills', 'late_fee_for_bill_id INTEGER REFERENCES bills(bill_id) ON DELETE CASCADE');
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS bill_status_history (
+        history_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        reason TEXT,
+        late_fee_bill_id INTEGER,
+        source TEXT NOT NULL CHECK(source IN ('schedule','manual','payment')),
+        changed_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (bill_id) REFERENCES bills(bill_id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  // Without the column a late fee would look like an ordinary bill, so rolling back is refused once any exist.
+  async down({ run, get, dropColumnIfPresent }) {
+    const fees = await get(`SELECT COUNT(*) AS count FROM bills WHERE late_fee_for_bill_id IS NOT NULL`);
+    if (fees.count) throw new Error(`${fees.count} late-fee bill(s) would become ordinary bills`);
+    await run(`DROP TABLE IF EXISTS bill_status_history`);
+    await dropColumnIfPresent('bills', 'late_fee_for_bill_id');
+  }
+};
@@ -0,0 +1,124 @@
+// Partial payments: a payment has its own amount and is split across bills in payment_allocations, and bills gain
+// `partially_paid` with the allocated total in amount_paid. Older databases have one full payment per bill in
+// payments.bill_id; each becomes a full allocation. SQLite cannot alter a CHECK constraint or drop a UNIQUE
+// column, so both tables are rebuilt and swapped in.
+
+const PAYMENTS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS payments (
+    payment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    amount REAL NOT NULL CHECK(amount > 0),
+    payment_method TEXT NOT NULL,
+    payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+    transaction_ref TEXT UNIQUE,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  )
+`;
+
+const LEGACY_PAYMENTS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS payments (
+    payment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bill_id INTEGER NOT NULL UNIQUE,
+    payment_method TEXT NOT NULL,
+    payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+    transaction_ref TEXT UNIQUE,
+    FOREIGN KEY (bill_id) REFERENCES bills(bill_id) ON DELETE CASCADE
+  )
+`;
+
+// Recreate `bills` from its own CREATE statement with a different status CHECK.
+async function rebuildBillsWithStatuses({ run, get }, statuses) {
+  const billsTable = await get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'bills'`);
+  const createSql = String(billsTable.sql)
+    .replace(/CREATE TABLE\s+"?bills"?/i, 'CREATE TABLE bills_rebuild')
+    .replace(/CHECK\s*\(\s*status\s+IN\s*\([^)]*\)\s*\)/i, `CHECK(status IN (${statuses}))`);
+  await run(createSql);
+  await run(`INSERT INTO bills_rebuild SELECT * FROM bills`);
+  await run(`DROP TABLE bills`);
+  await run(`ALTER TABLE bills_rebuild RENAME TO bills`);
+}
+
+module.exports = {
+  // The rebuilds swap tables, which needs foreign keys off until the final check.
+  foreignKeys: false,
+
+  async up(schema) {
+    const { run, get, all, addColumnIfMissing } = schema;
+    await run(`
+      CREATE TABLE IF NOT EXISTS payment_allocations (
+        allocation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payment_id INTEGER NOT NULL,
+        bill_id INTEGER NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (payment_id, bill_id),
+        FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE CASCADE,
+        FOREIGN KEY (bill_id) REFERENCES bills(bill_id) ON DELETE CASCADE
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_payment_allocations_bill ON payment_allocations (bill_id)`);
+    // Sum of payment allocations, kept in step by applyPaymentAllocations/refreshBillPayments.
+    await addColumnIfMissing('bills', 'amount_paid REAL NOT NULL DEFAULT 0');
+
+    const billsTable = await get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'bills'`);
+    if (!String(billsTable.sql).includes('partially_paid')) {
+      await rebuildBillsWithStatuses(schema, `'paid','partially_paid','unpaid','overdue'`);
+    }
+
+    const paymentColumns = await all(`PRAGMA table_info(payments)`);
+    if (paymentColumns.some((column) => column.name === 'amount')) return;
+
+    await run(PAYMENTS_TABLE_SQL.replace('payments', 'payments_rebuild'));
+    await run(
+      `INSERT INTO payments_rebuild (payment_id,user_id,amount,payment_method,payment_date,transaction_ref)
+       SELECT p.payment_id, m.user_id, b.amount, p.payment_method, p.payment_date, p.transaction_ref
+       FROM payments p
+       JOIN bills b ON b.bill_id = p.bill_id
+       JOIN meters m ON m.meter_id = b.meter_id
+       WHERE b.amount > 0`
+    );
+    await run(
+      `INSERT INTO payment_allocations (payment_id,bill_id,amount,created_at)
+       SELECT p.payment_id, p.bill_id, b.amount, p.payment_date
+       FROM payments p
+       JOIN bills b ON b.bill_id = p.bill_id
+       WHERE b.amount > 0`
+    );
+    await run(`DROP TABLE payments`);
+    await run(`ALTER TABLE payments_rebuild RENAME TO payments`);
+    await run(
+      `UPDATE bills
+       SET amount_paid = COALESCE((SELECT SUM(a.amount) FROM payment_allocations a WHERE a.bill_id = bills.bill_id), 0)`
+    );
+  },
+
+  // The old layout holds one full payment per bill, so rolling back is refused while any payment is partial,
+  // split across bills or not allocated at all.
+  async down(schema) {
+    const { run, get, dropColumnIfPresent } = schema;
+    const split = await get(
+      `SELECT COUNT(*) AS count FROM payments p
+       WHERE (SELECT COUNT(*) FROM payment_allocations a WHERE a.payment_id = p.payment_id) != 1
+          OR EXISTS (SELECT 1 FROM payment_allocations a JOIN bills b ON b.bill_id = a.bill_id
+                     WHERE a.payment_id = p.payment_id
+                       AND (abs(a.amount - p.amount) >= 0.005 OR abs(a.amount - b.amount) >= 0.005))`
+    );
+    const partial = await get(`SELECT COUNT(*) AS count FROM bills WHERE status = 'partially_paid'`);
+    if (split.count || partial.count) {
+      throw new Error(`${split.count + partial.count} partial or split payment(s) do not fit one payment per bill`);
+    }
+
+    await run(LEGACY_PAYMENTS_TABLE_SQL.replace('payments', 'payments_rebuild'));
+    await run(
+      `INSERT INTO payments_rebuild (payment_id,bill_id,payment_method,payment_date,transaction_ref)
+       SELECT p.payment_id, a.bill_id, p.payment_method, p.payment_date, p.transaction_ref
+       FROM payments p
+       JOIN payment_allocations a ON a.payment_id = p.payment_id`
+    );
+    await run(`DROP TABLE payments`);
+    await run(`ALTER TABLE payments_rebuild RENAME TO payments`);
+    await run(`DROP TABLE IF EXISTS payment_allocations`);
+    await dropColumnIfPresent('bills', 'amount_paid');
+    await rebuildBillsWithStatuses(schema, `'paid','unpaid','overdue'`);
+  }
+};
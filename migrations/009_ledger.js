@@ -0,0 +1,47 @@
+// Customer ledger: per-account debits and credits, where the balance is SUM(debit - credit) and a negative
+// balance is account credit. A negative manual adjustment (a credit with no bill or payment) is spent on open
+// bills like unallocated payment money; credit_allocations records how much of one credit entry went to one bill,
+// and bill.amount_paid counts these together with payment allocations.
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        entry_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        entry_type TEXT NOT NULL CHECK(entry_type IN ('bill','late_fee','payment','adjustment','refund')),
+        debit REAL NOT NULL DEFAULT 0,
+        credit REAL NOT NULL DEFAULT 0,
+        bill_id INTEGER,
+        payment_id INTEGER,
+        description TEXT,
+        entry_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_ledger_entries_user ON ledger_entries (user_id, entry_date)`);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS credit_allocations (
+        allocation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entry_id INTEGER NOT NULL REFERENCES ledger_entries(entry_id) ON DELETE CASCADE,
+        bill_id INTEGER NOT NULL REFERENCES bills(bill_id) ON DELETE CASCADE,
+        amount REAL NOT NULL CHECK(amount > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (entry_id, bill_id)
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_credit_allocations_bill ON credit_allocations (bill_id)`);
+  },
+
+  // The server rebuilds the ledger from bills and payments (backfillLedger) when the table is empty again,
+  // but bills paid from account credit would lose that payment, so rolling back is refused once any exist.
+  async down({ run, get }) {
+    const spent = await get(`SELECT COUNT(*) AS count FROM credit_allocations`);
+    if (spent.count) throw new Error(`${spent.count} bill(s) are paid from account credit`);
+    await run(`DROP TABLE IF EXISTS credit_allocations`);
+    await run(`DROP TABLE IF EXISTS ledger_entries`);
+  }
+};
@@ -0,0 +1,19 @@
+// Refunds and voids keep the payment row; its allocations then stop counting towards bills.
+
+module.exports = {
+  async up({ addColumnIfMissing }) {
+    await addColumnIfMissing('payments', "reversal_type TEXT CHECK(reversal_type IN ('refund','void'))");
+    await addColumnIfMissing('payments', 'reversal_reason TEXT');
+    await addColumnIfMissing('payments', 'reversed_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL');
+    await addColumnIfMissing('payments', 'reversed_at DATETIME');
+  },
+
+  // Without these columns a reversed payment would count towards its bills again.
+  async down({ get, dropColumnIfPresent }) {
+    const reversed = await get(`SELECT COUNT(*) AS count FROM payments WHERE reversed_at IS NOT NULL`);
+    if (reversed.count) throw new Error(`${reversed.count} reversed payment(s) would count as paid again`);
+    for (const column of ['reversal_type', 'reversal_reason', 'reversed_by', 'reversed_at']) {
+      await dropColumnIfPresent('payments', column);
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// Audit log. Append-only: no FKs, so deleting users or entities never rewrites history, and triggers refuse
+// updates and deletes.
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        event_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_user_id INTEGER,
+        actor_name TEXT,
+        actor_role TEXT,
+        actor_via TEXT NOT NULL,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        before_json TEXT,
+        after_json TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events (entity_type, entity_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_user_id, created_at)`);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END
+    `);
+  },
+
+  // Dropping the table drops its indexes and triggers with it.
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS audit_events`);
+  }
+};
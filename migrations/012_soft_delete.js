@@ -0,0 +1,24 @@
+// Soft delete: rows in the trash keep their data until purged.
+
+const TABLES = ['users', 'utilities', 'meters', 'bills'];
+
+module.exports = {
+  async up({ addColumnIfMissing }) {
+    for (const table of TABLES) {
+      await addColumnIfMissing(table, 'deleted_at DATETIME');
+      await addColumnIfMissing(table, 'deleted_by INTEGER');
+    }
+  },
+
+  // Without these columns everything in the trash would be live again, so the trash has to be empty first.
+  async down({ get, dropColumnIfPresent }) {
+    for (const table of TABLES) {
+      const trashed = await get(`SELECT COUNT(*) AS count FROM ${table} WHERE deleted_at IS NOT NULL`);
+      if (trashed.count) throw new Error(`${trashed.count} row(s) of ${table} are in the trash`);
+    }
+    for (const table of TABLES) {
+      await dropColumnIfPresent(table, 'deleted_at');
+      await dropColumnIfPresent(table, 'deleted_by');
+    }
+  }
+};
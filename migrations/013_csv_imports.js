@@ -0,0 +1,25 @@
+// CSV imports: one row per dry run or commit, with the per-row report kept for download.
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS imports (
+        import_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL CHECK(entity_type IN ('users','meters','bills')),
+        mode TEXT NOT NULL CHECK(mode IN ('dry_run','commit')),
+        status TEXT NOT NULL CHECK(status IN ('valid','invalid','committed')),
+        file_name TEXT,
+        total_rows INTEGER NOT NULL DEFAULT 0,
+        error_rows INTEGER NOT NULL DEFAULT 0,
+        created_count INTEGER NOT NULL DEFAULT 0,
+        report TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS imports`);
+  }
+};
@@ -0,0 +1,44 @@
+// Email notifications: per-user opt-outs by type and the outbox that rendered messages wait in until delivered.
+// `dedupe_key` keeps each notice (one per bill or payment and type) from being queued twice.
+
+const NOTIFICATION_TYPES = `'bill_created','late_fee','due_reminder','overdue_notice','payment_receipt'`;
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        notification_type TEXT NOT NULL CHECK(notification_type IN (${NOTIFICATION_TYPES})),
+        enabled INTEGER NOT NULL CHECK(enabled IN (0,1)),
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, notification_type)
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        notification_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        notification_type TEXT NOT NULL CHECK(notification_type IN (${NOTIFICATION_TYPES})),
+        bill_id INTEGER REFERENCES bills(bill_id) ON DELETE SET NULL,
+        payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+        dedupe_key TEXT UNIQUE,
+        recipient TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        body_text TEXT NOT NULL,
+        body_html TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','sent','failed','cancelled')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox (status, next_attempt_at)`);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS notification_outbox`);
+    await run(`DROP TABLE IF EXISTS notification_preferences`);
+  }
+};
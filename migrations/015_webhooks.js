@@ -0,0 +1,44 @@
+// Outbound webhooks: registered endpoints and one delivery row per event and endpoint. Retries update the row;
+// a redelivery is a new row pointing at the original (`redelivery_of`) with the same event id and payload.
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        endpoint_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        description TEXT,
+        secret TEXT NOT NULL,
+        event_types TEXT NOT NULL DEFAULT '*',
+        active INTEGER NOT NULL DEFAULT 1 CHECK(active IN (0,1)),
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(endpoint_id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','delivered','failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        redelivery_of INTEGER REFERENCES webhook_deliveries(delivery_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, delivery_id)`);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS webhook_deliveries`);
+    await run(`DROP TABLE IF EXISTS webhook_endpoints`);
+  }
+};
@@ -0,0 +1,33 @@
+// Online payments: one intent per checkout started with the payment gateway. The bill is only paid when the
+// gateway's signed callback confirms the intent; `payment_id` then points at the payment that was posted.
+// `provider_ref` is the gateway's id for the checkout and doubles as the payment's transaction_ref.
+// `needs_review` marks a confirmed payment that could not be posted (the bill was paid or deleted in the meantime),
+// so an admin has to settle the money by hand.
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS payment_intents (
+        intent_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id INTEGER NOT NULL REFERENCES bills(bill_id),
+        user_id INTEGER NOT NULL REFERENCES users(user_id),
+        amount REAL NOT NULL CHECK(amount > 0),
+        currency TEXT NOT NULL DEFAULT 'THB',
+        provider TEXT NOT NULL,
+        provider_ref TEXT UNIQUE,
+        checkout_url TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending','succeeded','failed','cancelled','needs_review')),
+        payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+        last_error TEXT,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        confirmed_at DATETIME
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_payment_intents_bill ON payment_intents (bill_id, status)`);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS payment_intents`);
+  }
+};
@@ -0,0 +1,42 @@
+// Bank statement reconciliation: one row per uploaded statement and one per statement line, with the bill the
+// line was matched to (or the candidates when the match is ambiguous) and, once confirmed, the payment posted.
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS reconciliations (
+        reconciliation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_name TEXT,
+        status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open','completed')),
+        total_lines INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS reconciliation_lines (
+        line_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reconciliation_id INTEGER NOT NULL REFERENCES reconciliations(reconciliation_id) ON DELETE CASCADE,
+        line_number INTEGER NOT NULL,
+        txn_date TEXT,
+        amount REAL,
+        reference TEXT,
+        description TEXT,
+        match_status TEXT NOT NULL CHECK(match_status IN ('matched','ambiguous','unmatched','ignored','posted')),
+        match_note TEXT,
+        bill_id INTEGER REFERENCES bills(bill_id) ON DELETE SET NULL,
+        candidate_bill_ids TEXT,
+        payment_id INTEGER REFERENCES payments(payment_id) ON DELETE SET NULL,
+        resolved_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        resolved_at DATETIME
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_reconciliation_lines_session ON reconciliation_lines (reconciliation_id, line_number)`);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS reconciliation_lines`);
+    await run(`DROP TABLE IF EXISTS reconciliations`);
+  }
+};
@@ -0,0 +1,59 @@
+// Bill line items: a bill's amount becomes the sum of its lines (metered usage, recurring charges, one-time
+// charges, credits, late fees). Recurring charges are defined per user or per meter and copied onto bills as
+// lines. Existing bills get one line for their whole amount.
+
+const LINE_KINDS = `'usage','recurring','one_time','credit','late_fee'`;
+
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS recurring_charges (
+        charge_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+        meter_id INTEGER REFERENCES meters(meter_id) ON DELETE CASCADE,
+        description TEXT NOT NULL,
+        amount REAL NOT NULL CHECK(amount > 0),
+        start_month TEXT NOT NULL,
+        end_month TEXT,
+        active INTEGER NOT NULL DEFAULT 1 CHECK(active IN (0,1)),
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK((user_id IS NULL) <> (meter_id IS NULL))
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS bill_lines (
+        line_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id INTEGER NOT NULL REFERENCES bills(bill_id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK(kind IN (${LINE_KINDS})),
+        description TEXT NOT NULL,
+        amount REAL NOT NULL,
+        recurring_charge_id INTEGER REFERENCES recurring_charges(charge_id) ON DELETE SET NULL,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`CREATE INDEX IF NOT EXISTS idx_bill_lines_bill ON bill_lines (bill_id, position)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_bill_lines_charge ON bill_lines (recurring_charge_id)`);
+
+    await run(`
+      INSERT INTO bill_lines (bill_id,position,kind,description,amount,created_at)
+      SELECT b.bill_id, 1,
+             CASE WHEN b.late_fee_for_bill_id IS NULL THEN 'usage' ELSE 'late_fee' END,
+             CASE WHEN b.late_fee_for_bill_id IS NULL
+                  THEN COALESCE(u.utility_name, 'Utility') || ' charge for ' || substr(b.bill_month, 1, 7)
+                  ELSE 'Late fee for bill #' || b.late_fee_for_bill_id END,
+             b.amount, b.created_at
+      FROM bills b
+      LEFT JOIN meters m ON m.meter_id = b.meter_id
+      LEFT JOIN utilities u ON u.utility_id = m.utility_id
+      WHERE NOT EXISTS (SELECT 1 FROM bill_lines l WHERE l.bill_id = b.bill_id)
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS bill_lines`);
+    await run(`DROP TABLE IF EXISTS recurring_charges`);
+  }
+};
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+let request;
+let alice;
+let bob;
+
+// Two customers with a bill each; `token` signs in as the customer.
+test.before(async () => {
+  server = await startApi();
+  ({ api, request } = server);
+  for (const suffix of ['alice', 'bob']) {
+    const customer = await createCustomerMeter(api, suffix);
+    const bill = await api('POST', '/bills', {
+      meter_id: customer.meter_id, bill_month: '2099-01-01', amount: 100, due_date: '2099-01-20', recurring: false
+    });
+    assert.equal(bill.status, 200, JSON.stringify(bill.body));
+    const login = await request('POST', '/auth/login', { email: customer.email, password: 'secret123' });
+    const record = { ...customer, bill_id: bill.body.bill_id, token: login.body.session.token };
+    if (suffix === 'alice') alice = record;
+    else bob = record;
+  }
+});
+
+test.after(() => server && server.stop());
+
+test('requests without a valid bearer token are refused', async () => {
+  for (const [method, urlPath] of [['GET', '/users'], ['GET', '/bills'], ['POST', '/payments'], ['GET', `/bills/${alice.bill_id}`]]) {
+    const result = await request(method, urlPath);
+    assert.equal(result.status, 401, `${method} ${urlPath}`);
+  }
+  assert.equal((await request('GET', '/bills', undefined, 'made-up')).status, 401);
+});
+
+test('customers get 403 from admin-only routes', async () => {
+  const cases = [
+    ['GET', '/users'],
+    ['POST', '/utilities', { utility_name: 'Gas' }],
+    ['POST', '/meters', { meter_number: 'M-x', user_id: alice.user_id, utility_id: alice.utility_id }],
+    ['POST', '/bills', { meter_id: alice.meter_id, bill_month: '2099-02-01', amount: 1, due_date: '2099-02-20' }],
+    ['POST', '/payments', { bill_id: alice.bill_id, payment_method: 'cash' }],
+    ['DELETE', `/bills/${alice.bill_id}`]
+  ];
+  for (const [method, urlPath, body] of cases) {
+    const result = await request(method, urlPath, body, alice.token);
+    assert.equal(result.status, 403, `${method} ${urlPath}`);
+  }
+  assert.equal((await request('GET', `/bills/${alice.bill_id}`, undefined, alice.token)).body.amount, 100, 'nothing changed');
+});
+
+test('customers only see and change their own records', async () => {
+  assert.equal((await request('GET', `/users/${bob.user_id}`, undefined, alice.token)).status, 403);
+  assert.equal((await request('PUT', `/users/${bob.user_id}`, { name: 'Hijacked', email: 'x@example.com' }, alice.token)).status, 403);
+  assert.equal((await request('GET', `/bills/${bob.bill_id}`, undefined, alice.token)).status, 404);
+
+  const bills = await request('GET', '/bills', undefined, alice.token);
+  assert.deepEqual(bills.body.map((bill) => bill.bill_id), [alice.bill_id]);
+  const meters = await request('GET', '/meters', undefined, alice.token);
+  assert.deepEqual(meters.body.map((meter) => meter.meter_id), [alice.meter_id]);
+
+  const own = await request('PUT', `/users/${alice.user_id}`, { name: 'Alice', email: alice.email, role: 'admin' }, alice.token);
+  assert.equal(own.status, 200);
+  assert.equal((await request('GET', `/users/${alice.user_id}`, undefined, alice.token)).body.role, 'user', 'role is admin-only');
+});
+
+test('API keys act as their owner, are only created from a session and stop working when revoked', async () => {
+  const created = await request('POST', '/auth/api-keys', { name: 'Script' }, alice.token);
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  const { key } = created.body;
+
+  const bills = await request('GET', '/bills', undefined, key);
+  assert.deepEqual(bills.body.map((bill) => bill.bill_id), [alice.bill_id]);
+  assert.equal((await request('GET', '/users', undefined, key)).status, 403);
+  assert.equal((await request('POST', '/auth/api-keys', { name: 'Copy' }, key)).status, 403);
+  assert.equal((await request('DELETE', `/auth/api-keys/${created.body.api_key_id}`, undefined, bob.token)).status, 404);
+
+  assert.equal((await request('DELETE', `/auth/api-keys/${created.body.api_key_id}`, undefined, alice.token)).status, 200);
+  assert.equal((await request('GET', '/bills', undefined, key)).status, 401);
+});
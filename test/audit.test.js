@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Audit events matching a query string, newest first.
+async function auditEvents(query) {
+  const events = await api('GET', `/audit-events?${query}`);
+  assert.equal(events.status, 200, JSON.stringify(events.body));
+  return events.body;
+}
+
+test('writes are recorded with the actor and the row before and after', async () => {
+  const customer = await createCustomerMeter(api, 'audited');
+  const admin = (await api('GET', '/auth/session')).body.user;
+
+  const [created] = await auditEvents(`entity_type=user&entity_id=${customer.user_id}`);
+  assert.deepEqual([created.action, created.actor_user_id, created.actor_role, created.actor_via], ['create', admin.user_id, 'admin', 'session']);
+  assert.equal(created.after.email, customer.email);
+  assert.equal(created.after.password, undefined, 'passwords are never written to the log');
+
+  const updated = await api('PUT', `/users/${customer.user_id}`, { name: 'Renamed', email: customer.email, role: 'admin' });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  const [roleChange] = await auditEvents(`entity_type=user&entity_id=${customer.user_id}&action=update_role`);
+  assert.deepEqual([roleChange.before.role, roleChange.after.role, roleChange.after.name], ['user', 'admin', 'Renamed']);
+
+  const meterEvents = await auditEvents(`entity_type=meter&entity_id=${customer.meter_id}`);
+  assert.deepEqual(meterEvents.map((event) => event.action), ['create']);
+  assert.equal((await auditEvents(`actor_user_id=${admin.user_id}&limit=2`)).length, 2);
+  assert.deepEqual(await auditEvents('from=2099-01-01'), []);
+  assert.equal((await api('GET', '/audit-events?from=yesterday')).status, 400);
+});
+
+test('a write that fails leaves no audit event behind', async () => {
+  const before = (await auditEvents('entity_type=meter')).length;
+  const failed = await api('POST', '/meters', { meter_number: 'M-orphan', user_id: 999999, utility_id: 999999 });
+  assert.equal(failed.status, 400, JSON.stringify(failed.body));
+  assert.equal((await auditEvents('entity_type=meter')).length, before);
+
+  const duplicate = await api('POST', '/users', { name: 'Twice', email: 'customer-audited@example.com', password: 'secret123' });
+  assert.equal(duplicate.status, 409);
+  assert.deepEqual((await auditEvents('entity_type=user&action=create')).filter((event) => event.after.name === 'Twice'), []);
+});
+
+test('customers cannot read the audit log', async () => {
+  const customer = await createCustomerMeter(api, 'reader');
+  const login = await server.request('POST', '/auth/login', { email: customer.email, password: 'secret123' });
+  assert.equal((await server.request('GET', '/audit-events', undefined, login.body.session.token)).status, 403);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers');
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startApi();
+  request = server.request;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Sign in and resolve to the session token.
+async function login(email, password) {
+  const result = await request('POST', '/auth/login', { email, password });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  return result.body.session.token;
+}
+
+test('a wrong password or unknown email is refused with the same answer', async () => {
+  const wrong = await request('POST', '/auth/login', { email: 'user@local', password: 'nope' });
+  const unknown = await request('POST', '/auth/login', { email: 'nobody@local', password: 'user123' });
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(unknown, wrong);
+});
+
+test('a session token resolves to its user until it is logged out', async () => {
+  const result = await request('POST', '/auth/login', { email: 'USER@local', password: 'user123' });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.user.email, 'user@local');
+  assert.equal(result.body.user.role, 'user');
+  assert.equal(result.body.user.password, undefined);
+  const { token } = result.body.session;
+
+  const session = await request('GET', '/auth/session', undefined, token);
+  assert.equal(session.status, 200);
+  assert.equal(session.body.user.user_id, result.body.user.user_id);
+
+  assert.equal((await request('DELETE', '/auth/session', undefined, token)).status, 200);
+  assert.equal((await request('GET', '/auth/session', undefined, token)).status, 401);
+  assert.equal((await request('GET', '/auth/session', undefined, 'not-a-token')).status, 401);
+});
+
+test('sessions record the client from the request and can be revoked one by one or all but the current', async () => {
+  const first = await login('user@local', 'user123');
+  const second = await login('user@local', 'user123');
+  const third = await login('user@local', 'user123');
+
+  const listed = await request('GET', '/auth/sessions', undefined, first);
+  assert.equal(listed.status, 200);
+  const current = listed.body.find((row) => row.is_current);
+  assert.ok(listed.body.length >= 3);
+  assert.equal(current.user_agent, 'node', 'the user agent comes from the request header');
+  assert.equal(current.token_hash, undefined);
+
+  const secondId = listed.body.find((row) => !row.is_current).session_id;
+  const revoked = await request('DELETE', `/auth/sessions/${secondId}`, undefined, first);
+  assert.deepEqual(revoked.body, { revoked: 1 });
+  assert.equal((await request('DELETE', `/auth/sessions/${secondId}`, undefined, first)).status, 404);
+
+  const others = await request('DELETE', '/auth/sessions/others', undefined, first);
+  assert.equal(others.status, 200);
+  assert.ok(others.body.revoked >= 1);
+  for (const token of [second, third]) {
+    assert.equal((await request('GET', '/auth/session', undefined, token)).status, 401);
+  }
+  assert.equal((await request('GET', '/auth/session', undefined, first)).status, 200);
+});
+
+test("one user cannot revoke another user's session", async () => {
+  const admin = await login('opterapat@local', 'opterapat');
+  const user = await login('user@local', 'user123');
+  const adminSessions = await request('GET', '/auth/sessions', undefined, admin);
+  const adminSession = adminSessions.body.find((row) => row.is_current).session_id;
+
+  assert.equal((await request('DELETE', `/auth/sessions/${adminSession}`, undefined, user)).status, 404);
+  assert.equal((await request('GET', '/auth/session', undefined, admin)).status, 200);
+});
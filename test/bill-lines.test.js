@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Create a bill; resolves to the response.
+function createBill(meterId, billMonth, extra = {}) {
+  return api('POST', '/bills', { meter_id: meterId, bill_month: billMonth, due_date: '2099-12-20', ...extra });
+}
+
+// [TEST] A bill's lines as `[kind, description, amount]`.
+async function billLines(billId) {
+  return (await api('GET', `/bills/${billId}`)).body.lines.map((line) => [line.kind, line.description, line.amount]);
+}
+
+// [TEST] Add a second meter for a customer from createCustomerMeter; resolves to its id.
+async function addMeter(customer, meterNumber) {
+  const meter = await api('POST', '/meters', { meter_number: meterNumber, user_id: customer.user_id, utility_id: customer.utility_id });
+  assert.equal(meter.status, 200, JSON.stringify(meter.body));
+  return meter.body.meter_id;
+}
+
+test('a new bill totals its usage and the lines sent with it', async () => {
+  const customer = await createCustomerMeter(api, 'lines');
+  const created = await createBill(customer.meter_id, '2099-01-01', {
+    amount: 200,
+    recurring: false,
+    lines: [{ description: 'Meter test', amount: 30 }, { kind: 'credit', description: 'Goodwill', amount: 10 }]
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  assert.equal(created.body.amount, 220);
+  assert.deepEqual(await billLines(created.body.bill_id), [
+    ['usage', 'Water lines charge for 2099-01', 200],
+    ['one_time', 'Meter test', 30],
+    ['credit', 'Goodwill', -10]
+  ]);
+  assert.equal((await api('GET', `/users/${customer.user_id}/ledger`)).body.closing_balance, 220);
+
+  const onlyLines = await createBill(customer.meter_id, '2099-02-01', { recurring: false, lines: [{ description: 'Connection', amount: 500 }] });
+  assert.equal(onlyLines.body.amount, 500, 'the amount is optional when lines are given');
+
+  const nothing = await createBill(customer.meter_id, '2099-03-01', { recurring: false, lines: [{ kind: 'credit', description: 'Credit', amount: 5 }] });
+  assert.equal(nothing.status, 400);
+  const invalid = await createBill(customer.meter_id, '2099-03-01', { amount: 10, lines: [{ description: 'No amount' }] });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error.fields.lines, /^Line 1: /);
+});
+
+test('lines added to an issued bill change its total, balance and status', async () => {
+  const customer = await createCustomerMeter(api, 'adjusted');
+  const billId = (await createBill(customer.meter_id, '2099-01-01', { amount: 100, recurring: false })).body.bill_id;
+  await api('POST', '/payments', { bill_id: billId, amount: 100, payment_method: 'cash' });
+
+  const charge = await api('POST', `/bills/${billId}/lines`, { description: 'Reconnection', amount: 40 });
+  assert.equal(charge.status, 200, JSON.stringify(charge.body));
+  assert.deepEqual([charge.body.amount, charge.body.balance, charge.body.status], [140, 40, 'partially_paid']);
+
+  const credit = await api('POST', `/bills/${billId}/lines`, { kind: 'credit', description: 'Waived', amount: 40 });
+  assert.deepEqual([credit.body.amount, credit.body.balance, credit.body.status], [100, 0, 'paid']);
+  const belowPaid = await api('POST', `/bills/${billId}/lines`, { kind: 'credit', description: 'Too much', amount: 1 });
+  assert.equal(belowPaid.status, 409);
+  assert.equal((await api('POST', '/bills/999999/lines', { description: 'Nowhere', amount: 1 })).status, 404);
+
+  const ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.deepEqual(ledger.entries.filter((entry) => entry.entry_type === 'adjustment').map((entry) => [entry.debit, entry.credit]), [[40, 0], [0, 40]]);
+  assert.equal(ledger.closing_balance, 0);
+});
+
+test('recurring charges go on one bill per month, for the months they cover', async () => {
+  const customer = await createCustomerMeter(api, 'recurring');
+  const secondMeter = await addMeter(customer, 'M-recurring-2');
+  const userCharge = await api('POST', '/recurring-charges', {
+    user_id: customer.user_id, description: 'Service fee', amount: 20, start_month: '2099-01', end_month: '2099-02'
+  });
+  assert.equal(userCharge.status, 200, JSON.stringify(userCharge.body));
+  const meterCharge = await api('POST', '/recurring-charges', { meter_id: secondMeter, description: 'Meter rental', amount: 5, start_month: '2099-01' });
+  assert.equal(meterCharge.status, 200, JSON.stringify(meterCharge.body));
+  assert.equal((await api('POST', '/recurring-charges', { description: 'Nobody', amount: 1 })).status, 400);
+
+  const first = await createBill(customer.meter_id, '2099-01-01', { amount: 100 });
+  assert.deepEqual((await billLines(first.body.bill_id)).slice(1), [['recurring', 'Service fee', 20]]);
+  const second = await createBill(secondMeter, '2099-01-01', { amount: 100 });
+  assert.deepEqual((await billLines(second.body.bill_id)).slice(1), [['recurring', 'Meter rental', 5]], "the user's charge is already billed");
+  const skipped = await createBill(customer.meter_id, '2099-02-01', { amount: 100, recurring: false });
+  assert.equal((await billLines(skipped.body.bill_id)).length, 1);
+
+  const paused = await api('PUT', `/recurring-charges/${meterCharge.body.charge_id}`, { active: false });
+  assert.equal(paused.body.active, 0);
+  const march = await createBill(secondMeter, '2099-03-01', { amount: 100 });
+  assert.deepEqual((await billLines(march.body.bill_id)).slice(1), [], 'the service fee ended in February');
+
+  const charges = (await api('GET', `/recurring-charges?user_id=${customer.user_id}&sort=charge_id&order=asc`)).body;
+  assert.deepEqual(charges.map((charge) => [charge.charge_id, charge.last_billed_month]), [
+    [userCharge.body.charge_id, '2099-01'],
+    [meterCharge.body.charge_id, '2099-01']
+  ]);
+});
+
+test("a billing run puts a user's recurring charge on only one of their bills", async () => {
+  const customer = await createCustomerMeter(api, 'run');
+  const secondMeter = await addMeter(customer, 'M-run-2');
+  await api('POST', '/recurring-charges', { user_id: customer.user_id, description: 'Account fee', amount: 15, start_month: '2099-05' });
+
+  const run = await api('POST', '/billing-runs', {
+    bill_month: '2099-05', pricing_mode: 'flat', flat_amounts: { [customer.utility_id]: 100 }, due_days: 15
+  });
+  assert.equal(run.status, 200, JSON.stringify(run.body));
+  const bills = (await api('GET', `/billing-runs/${run.body.run_id}`)).body.bills;
+  const amounts = Object.fromEntries(bills.map((bill) => [bill.meter_id, bill.amount]));
+  assert.deepEqual(amounts, { [customer.meter_id]: 115, [secondMeter]: 100 });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+let priced;
+let unpriced;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+  priced = await createCustomerMeter(api, 'flat');
+  unpriced = await createCustomerMeter(api, 'none');
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Billing-run parameters for a month with a flat amount on the `priced` customer's utility.
+function runBody(month) {
+  return { bill_month: month, pricing_mode: 'flat', flat_amounts: { [priced.utility_id]: 300 }, due_days: 15 };
+}
+
+test('a preview plans every meter and writes nothing', async () => {
+  const preview = await api('POST', '/billing-runs/preview', runBody('2099-01'));
+  assert.equal(preview.status, 200, JSON.stringify(preview.body));
+  assert.equal(preview.body.due_date, '2099-02-15');
+  const byMeter = Object.fromEntries(preview.body.items.map((item) => [item.meter_id, item]));
+  assert.equal(byMeter[priced.meter_id].action, 'bill');
+  assert.equal(byMeter[priced.meter_id].amount, 300);
+  assert.equal(byMeter[unpriced.meter_id].action, 'skip');
+  assert.match(byMeter[unpriced.meter_id].reason, /No flat amount/);
+  assert.deepEqual(preview.body.totals, { meters: 2, bills: 1, skipped: 1, amount: 300 });
+
+  assert.deepEqual((await api('GET', '/billing-runs')).body, []);
+  assert.deepEqual((await api('GET', `/bills?meter_id=${priced.meter_id}`)).body, []);
+
+  const invalid = await api('POST', '/billing-runs/preview', { bill_month: '2099-13', pricing_mode: 'flat' });
+  assert.equal(invalid.status, 400);
+});
+
+test('a committed run bills each meter once per month, and its rollback frees the month again', async () => {
+  const committed = await api('POST', '/billing-runs', runBody('2099-01'));
+  assert.equal(committed.status, 200, JSON.stringify(committed.body));
+  assert.equal(committed.body.bills_count, 1);
+  const run = (await api('GET', `/billing-runs/${committed.body.run_id}`)).body;
+  assert.equal(run.status, 'committed');
+  assert.deepEqual(run.bills.map((bill) => [bill.meter_id, bill.amount, bill.due_date]), [[priced.meter_id, 300, '2099-02-15']]);
+  assert.equal((await api('GET', `/users/${priced.user_id}/ledger`)).body.closing_balance, 300);
+
+  const repeat = await api('POST', '/billing-runs', runBody('2099-01'));
+  assert.equal(repeat.body.run_id, null);
+  assert.equal(repeat.body.items.find((item) => item.meter_id === priced.meter_id).reason, 'Already billed for this month');
+
+  const rollback = await api('POST', `/billing-runs/${committed.body.run_id}/rollback`, { reason: 'Wrong amounts' });
+  assert.deepEqual(rollback.body, { run_id: committed.body.run_id, deleted_bills: 1 });
+  assert.equal((await api('POST', `/billing-runs/${committed.body.run_id}/rollback`, {})).status, 409);
+  assert.equal((await api('GET', `/billing-runs/${committed.body.run_id}`)).body.rollback_reason, 'Wrong amounts');
+  assert.deepEqual((await api('GET', `/bills?meter_id=${priced.meter_id}`)).body, []);
+  assert.equal((await api('GET', `/users/${priced.user_id}/ledger`)).body.closing_balance, 0, 'the charge is credited back');
+  const trash = (await api('GET', '/trash')).body;
+  assert.deepEqual(trash.bills.map((bill) => bill.bill_id), [run.bills[0].bill_id]);
+
+  const rebilled = await api('POST', '/billing-runs', runBody('2099-01'));
+  assert.equal(rebilled.body.bills_count, 1);
+});
+
+test('a run is not rolled back once one of its bills has a payment', async () => {
+  const committed = await api('POST', '/billing-runs', runBody('2099-02'));
+  const [bill] = (await api('GET', `/billing-runs/${committed.body.run_id}`)).body.bills;
+  const payment = await api('POST', '/payments', { bill_id: bill.bill_id, amount: 50, payment_method: 'cash' });
+  assert.equal(payment.status, 200, JSON.stringify(payment.body));
+
+  const refused = await api('POST', `/billing-runs/${committed.body.run_id}/rollback`, {});
+  assert.equal(refused.status, 409);
+  assert.deepEqual(refused.body.error.bill_ids, [bill.bill_id]);
+  assert.equal((await api('GET', `/bills/${bill.bill_id}`)).status, 200);
+
+  await api('POST', `/payments/${payment.body.payment_id}/reverse`, { type: 'void', reason: 'Test' });
+  assert.equal((await api('POST', `/billing-runs/${committed.body.run_id}/rollback`, {})).status, 200, 'reversed payments do not count');
+});
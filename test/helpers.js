@@ -0,0 +1,131 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Shared setup for the API tests: each test file starts its own API server on a free port, in a scratch
+// directory with an empty `Database/utility.db`, so the tracked database is never touched.
+
+const ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT_MS = 20000;
+const DEFAULT_ADMIN = { email: 'opterapat@local', password: 'opterapat' };
+
+// [TEST] Scratch directory removed with `cleanup()`.
+function makeScratchDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `flowbills-${prefix}-`));
+}
+
+// [TEST] A TCP port nothing is listening on.
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// [TEST] Start the API on an empty database (or a copy of `database`) and sign in as the seeded admin. `env`
+// adds to the server's environment. Resolves to `{ api, request, token, dir, stop }`: `api(method, path, body)`
+// sends the admin's bearer token, `request(method, path, body, token)` any other, and `dir` is the server's
+// working directory, with the database at `Database/utility.db`.
+async function startApi({ env = {}, database = null } = {}) {
+  const dir = makeScratchDir('api');
+  fs.mkdirSync(path.join(dir, 'Database'));
+  if (database) fs.copyFileSync(database, path.join(dir, 'Database', 'utility.db'));
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'SQliteDB.js')], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      NOTIFY_TRANSPORT: 'maildir',
+      NOTIFY_MAILDIR: path.join(dir, 'mail'),
+      OVERDUE_CHECK_INTERVAL_MINUTES: '0',
+      NOTIFY_INTERVAL_MINUTES: '0',
+      WEBHOOK_INTERVAL_MINUTES: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`API did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+      const onData = (chunk) => {
+        output += chunk;
+        if (output.includes('Server running')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+      child.stdout.on('data', onData);
+      child.stderr.on('data', onData);
+      child.once('exit', (code) => {
+        clearTimeout(timer);
+        reject(new Error(`API exited with code ${code}:\n${output}`));
+      });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    const request = async (method, urlPath, body, token) => {
+      const headers = { ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+      let payload;
+      if (typeof body === 'string') {
+        headers['Content-Type'] = 'text/csv';
+        payload = body;
+      } else if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+      }
+      const response = await fetch(`${baseUrl}${urlPath}`, { method, headers, body: payload });
+      const text = await response.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        // Not JSON (CSV downloads); the text is returned as is.
+      }
+      return { status: response.status, body: data };
+    };
+
+    const login = await request('POST', '/auth/login', DEFAULT_ADMIN);
+    if (login.status !== 200) throw new Error(`Admin login failed (${login.status}): ${JSON.stringify(login.body)}`);
+    const { token } = login.body.session;
+    return { api: (method, urlPath, body) => request(method, urlPath, body, token), request, token, dir, stop };
+  } catch (err) {
+    await stop();
+    throw err;
+  }
+}
+
+// [TEST] Create a customer with one meter; resolves to `{ user_id, meter_id, utility_id, email }`.
+async function createCustomerMeter(api, suffix) {
+  const utility = await api('POST', '/utilities', { utility_name: `Water ${suffix}` });
+  const email = `customer-${suffix}@example.com`;
+  const user = await api('POST', '/users', { name: `Customer ${suffix}`, email, password: 'secret123' });
+  const meter = await api('POST', '/meters', {
+    meter_number: `M-${suffix}`,
+    user_id: user.body.user_id,
+    utility_id: utility.body.utility_id
+  });
+  if (meter.status !== 200) throw new Error(`Meter setup failed: ${JSON.stringify([utility.body, user.body, meter.body])}`);
+  return { user_id: user.body.user_id, meter_id: meter.body.meter_id, utility_id: utility.body.utility_id, email };
+}
+
+module.exports = { ROOT, makeScratchDir, startApi, createCustomerMeter };
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Post a CSV import as JSON.
+function importCsv(type, csv, mode = 'dry_run') {
+  return api('POST', '/imports', { type, mode, file_name: `${type}.csv`, csv });
+}
+
+test('quoted fields, "" escapes, CRLF line ends, a BOM and blank lines are parsed', async () => {
+  const csv = '\uFEFFname,Email,password,phone\r\n'
+    + '"Somchai, Jr.",somchai@example.com,"pa""ss,word",081\r\n'
+    + '\r\n'
+    + '"Line\nBreak",line@example.com,secret123,\r\n';
+  const result = await importCsv('users', csv);
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(result.body.status, 'valid');
+  assert.equal(result.body.total_rows, 2);
+  assert.deepEqual(result.body.rows.map((row) => row.line), [2, 4], 'rows keep the line they start on');
+  assert.equal(result.body.rows[0].values.name, 'Somchai, Jr.');
+  assert.equal(result.body.rows[1].values.name, 'Line\nBreak');
+  assert.equal(result.body.rows[0].values.password, undefined, 'passwords never reach the report');
+  assert.equal(result.body.created_count, 0, 'a dry run creates nothing');
+});
+
+test('a raw text/csv body takes the other fields from the query string', async () => {
+  const result = await api('POST', '/imports?type=users&file_name=raw.csv', 'name,email,password\nRaw,raw@example.com,secret123\n');
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(result.body.file_name, 'raw.csv');
+  assert.equal(result.body.status, 'valid');
+});
+
+test('files that cannot be read are rejected as a whole', async () => {
+  const cases = [
+    ['name,email,password\n"Open,quote@example.com,x\n', /Unterminated quoted field starting on line 2/],
+    ['', /required|empty/i],
+    ['name,email,password,shoe_size\nA,a@example.com,x,42\n', /Unknown column\(s\): shoe_size/],
+    ['name,password\nA,x\n', /Missing column\(s\): email/],
+    ['name,email,email,password\nA,a@example.com,b@example.com,x\n', /Repeated column\(s\): email/],
+    ['name,email,password\n', /header but no rows/]
+  ];
+  for (const [csv, pattern] of cases) {
+    const result = await importCsv('users', csv);
+    assert.equal(result.status, 400, csv);
+    assert.equal(result.body.error.code, 'validation_failed');
+    assert.match(result.body.error.fields.csv, pattern);
+  }
+});
+
+test('row errors are reported per line and block the commit', async () => {
+  const customer = await createCustomerMeter(api, 'import');
+  const csv = [
+    'meter_number,bill_month,amount,due_date',
+    `M-import,2026-03-01,250.5,2026-03-20`,
+    `M-import,2026-03-15,10,2026-03-30`,
+    `M-missing,2026-03-01,10,2026-03-20`,
+    `M-import,2026-04-01,abc,2026-04-20,extra`
+  ].join('\n');
+
+  const result = await importCsv('bills', csv, 'commit');
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  assert.equal(result.body.status, 'invalid');
+  assert.equal(result.body.created_count, 0);
+  const errors = Object.fromEntries(result.body.rows.map((row) => [row.line, row.errors.join(' | ')]));
+  assert.equal(errors[2], '');
+  assert.match(errors[3], /more than one bill for 2026-03 in the file/);
+  assert.match(errors[4], /Meter M-missing not found/);
+  assert.match(errors[5], /Row has 5 values but the header has 4 columns/);
+  assert.match(errors[5], /amount/);
+  assert.equal((await api('GET', `/bills?meter_id=${customer.meter_id}`)).body.length, 0);
+});
+
+test('a valid file commits every row and reports the created ids', async () => {
+  const customer = await createCustomerMeter(api, 'commit');
+  const csv = 'meter_number,bill_month,amount,due_date\nM-commit,2026-05-01,99.5,2026-05-20\nM-commit,2026-06-01,"1,000",2026-06-20\n';
+
+  const dryRun = await importCsv('bills', csv);
+  assert.equal(dryRun.body.status, 'invalid', 'numbers with thousands separators are rejected');
+
+  const fixed = csv.replace('"1,000"', '1000');
+  const committed = await importCsv('bills', fixed, 'commit');
+  assert.equal(committed.status, 200, JSON.stringify(committed.body));
+  assert.equal(committed.body.status, 'committed');
+  assert.equal(committed.body.created_count, 2);
+  const billIds = committed.body.rows.map((row) => row.entity_id);
+  for (const billId of billIds) {
+    const bill = await api('GET', `/bills/${billId}`);
+    assert.equal(bill.body.meter_id, customer.meter_id);
+  }
+
+  const again = await importCsv('bills', fixed, 'commit');
+  assert.equal(again.body.status, 'invalid');
+  assert.match(again.body.rows[0].errors[0], /already billed for 2026-05/);
+});
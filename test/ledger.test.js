@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Create an unpaid bill without recurring charges; resolves to its id.
+async function createBill(meterId, billMonth, amount, dueDate) {
+  const bill = await api('POST', '/bills', { meter_id: meterId, bill_month: billMonth, amount, due_date: dueDate, recurring: false });
+  assert.equal(bill.status, 200, JSON.stringify(bill.body));
+  return bill.body.bill_id;
+}
+
+// [TEST] Post a manual ledger adjustment; resolves to the response.
+function adjust(userId, amount, description = 'Test adjustment') {
+  return api('POST', `/users/${userId}/ledger/adjustments`, { amount, description });
+}
+
+test('bills and payments are posted to the ledger with a running balance', async () => {
+  const customer = await createCustomerMeter(api, 'ledger');
+  const billId = await createBill(customer.meter_id, '2099-01-01', 200, '2099-01-20');
+  const payment = await api('POST', '/payments', { bill_id: billId, amount: 50, payment_method: 'cash' });
+  assert.equal(payment.status, 200, JSON.stringify(payment.body));
+
+  const ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.deepEqual(ledger.entries.map((entry) => [entry.entry_type, entry.bill_id, entry.debit, entry.credit, entry.running_balance]), [
+    ['bill', billId, 200, 0, 200],
+    ['payment', null, 0, 50, 150]
+  ]);
+  assert.deepEqual([ledger.opening_balance, ledger.total_debits, ledger.total_credits, ledger.closing_balance], [0, 200, 50, 150]);
+
+  const later = (await api('GET', `/users/${customer.user_id}/ledger?from=2099-01-01`)).body;
+  assert.deepEqual([later.opening_balance, later.entries.length, later.closing_balance], [150, 0, 150]);
+  assert.equal((await api('GET', `/users/${customer.user_id}/ledger?from=January`)).status, 400);
+});
+
+test('a credit adjustment is spent on open bills, earliest due first, and the rest is kept for the next bill', async () => {
+  const customer = await createCustomerMeter(api, 'credit');
+  const later = await createBill(customer.meter_id, '2099-02-01', 100, '2099-02-20');
+  const earlier = await createBill(customer.meter_id, '2099-01-01', 100, '2099-01-20');
+
+  const first = await adjust(customer.user_id, -150, 'Goodwill credit');
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.applied_to_bills, 150);
+  assert.equal((await api('GET', `/bills/${earlier}`)).body.status, 'paid');
+  const partly = (await api('GET', `/bills/${later}`)).body;
+  assert.deepEqual([partly.status, partly.amount_paid], ['partially_paid', 50]);
+
+  assert.equal((await adjust(customer.user_id, -80)).body.applied_to_bills, 50);
+  assert.equal((await api('GET', `/bills/${later}`)).body.status, 'paid');
+  const detail = (await api('GET', `/bills/${later}/detail`)).body;
+  assert.deepEqual(detail.credits.map((credit) => credit.allocated_amount), [50, 50]);
+  assert.equal(detail.credits[0].description, 'Goodwill credit');
+  let ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.deepEqual([ledger.closing_balance, ledger.available_credit], [-30, 30]);
+
+  const next = await createBill(customer.meter_id, '2099-03-01', 100, '2099-03-20');
+  const nextBill = (await api('GET', `/bills/${next}`)).body;
+  assert.deepEqual([nextBill.status, nextBill.amount_paid], ['partially_paid', 30]);
+  ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.deepEqual([ledger.closing_balance, ledger.available_credit], [70, 0]);
+});
+
+test('a debit adjustment charges the account, and adjustments are checked', async () => {
+  const customer = await createCustomerMeter(api, 'debit');
+  const charged = await adjust(customer.user_id, 25, 'Reconnection fee');
+  assert.equal(charged.status, 200, JSON.stringify(charged.body));
+  assert.equal(charged.body.applied_to_bills, 0);
+  const [entry] = (await api('GET', `/users/${customer.user_id}/ledger`)).body.entries;
+  assert.deepEqual([entry.entry_type, entry.debit, entry.description], ['adjustment', 25, 'Reconnection fee']);
+
+  assert.equal((await adjust(customer.user_id, 0)).status, 400);
+  assert.equal((await api('POST', `/users/${customer.user_id}/ledger/adjustments`, { amount: 5 })).status, 400);
+  assert.equal((await adjust(999999, 5)).status, 404);
+});
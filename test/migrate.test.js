@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { loadMigrations, runMigrations, rollbackMigrations, migrationStatus } = require('../Migrate');
+const { ROOT, makeScratchDir } = require('./helpers');
+
+const quiet = () => {};
+
+// [TEST] Open a database file with foreign keys on, as `npm run migrate` does.
+async function openDatabase(file) {
+  const db = new sqlite3.Database(file);
+  await new Promise((resolve, reject) => db.run('PRAGMA foreign_keys = ON', (err) => (err ? reject(err) : resolve())));
+  return db;
+}
+
+// [TEST] Promise wrapper for `db.all`.
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+}
+
+// [TEST] Column names of one table.
+async function columnNames(db, table) {
+  return (await all(db, `PRAGMA table_info(${table})`)).map((column) => column.name);
+}
+
+// [TEST] Names of the user tables in a database.
+async function tableNames(db) {
+  const rows = await all(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`);
+  return rows.map((row) => row.name);
+}
+
+test('migrating an empty database applies every migration, and rolling back reverses them', async (t) => {
+  const dir = makeScratchDir('migrate');
+  const db = await openDatabase(path.join(dir, 'utility.db'));
+  t.after(() => new Promise((resolve) => db.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+  })));
+
+  const versions = loadMigrations().map((migration) => migration.version);
+  assert.deepEqual(await runMigrations(db, quiet), versions);
+  assert.deepEqual(await runMigrations(db, quiet), [], 'a second run has nothing to apply');
+  const migrated = await tableNames(db);
+  for (const table of ['users', 'bills', 'payments', 'payment_allocations', 'ledger_entries', 'credit_allocations']) {
+    assert.ok(migrated.includes(table), `${table} exists`);
+  }
+
+  const newest = versions.slice(1).reverse();
+  assert.deepEqual(await rollbackMigrations(db, newest.length, quiet), newest);
+  const status = await migrationStatus(db);
+  assert.deepEqual(status.filter((row) => row.state === 'applied').map((row) => row.version), [versions[0]]);
+  assert.deepEqual(await tableNames(db), ['bills', 'meters', 'payments', 'schema_migrations', 'users', 'utilities'],
+    'only the baseline tables are left');
+  assert.deepEqual(await columnNames(db, 'bills'), ['bill_id', 'meter_id', 'bill_month', 'amount', 'due_date', 'status', 'created_at']);
+  assert.deepEqual(await columnNames(db, 'payments'), ['payment_id', 'bill_id', 'payment_method', 'payment_date', 'transaction_ref']);
+
+  await assert.rejects(rollbackMigrations(db, 1, quiet), /baseline cannot be rolled back/);
+  assert.deepEqual((await migrationStatus(db)).filter((row) => row.state === 'applied').map((row) => row.version), [versions[0]]);
+
+  assert.deepEqual(await runMigrations(db, quiet), versions.slice(1), 'the rolled-back migrations apply again');
+  assert.deepEqual(await tableNames(db), migrated);
+});
+
+test('the bundled database migrates and rolls back without losing rows', async (t) => {
+  const dir = makeScratchDir('migrate');
+  const file = path.join(dir, 'utility.db');
+  fs.copyFileSync(path.join(ROOT, 'Database', 'utility.db'), file);
+  const db = await openDatabase(file);
+  t.after(() => new Promise((resolve) => db.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+  })));
+
+  const countRows = async () => Object.fromEntries(await Promise.all(['users', 'meters', 'bills', 'payments'].map(
+    async (table) => [table, (await all(db, `SELECT COUNT(*) AS count FROM ${table}`))[0].count]
+  )));
+  const before = await countRows();
+
+  const versions = loadMigrations().map((migration) => migration.version);
+  assert.deepEqual(await runMigrations(db, quiet), versions);
+  assert.deepEqual(await countRows(), before);
+
+  await rollbackMigrations(db, versions.length - 1, quiet);
+  assert.deepEqual(await countRows(), before);
+  await runMigrations(db, quiet);
+  assert.deepEqual(await countRows(), before);
+  assert.deepEqual(await all(db, 'PRAGMA foreign_key_check'), []);
+});
+
+test('a rollback that would misread data is refused and leaves the database as it was', async (t) => {
+  const dir = makeScratchDir('migrate');
+  const db = await openDatabase(path.join(dir, 'utility.db'));
+  t.after(() => new Promise((resolve) => db.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+  })));
+
+  const versions = await runMigrations(db, quiet);
+  const run = (sql) => new Promise((resolve, reject) => db.run(sql, (err) => (err ? reject(err) : resolve())));
+  await run(`INSERT INTO users (name,email,password) VALUES ('A','a@example.com','x')`);
+  await run(`INSERT INTO utilities (utility_name) VALUES ('Water')`);
+  await run(`INSERT INTO meters (meter_number,user_id,utility_id) VALUES ('M-1',1,1)`);
+  await run(`INSERT INTO bills (meter_id,bill_month,amount,amount_paid,due_date,status)
+             VALUES (1,'2099-01-01',100,40,'2099-01-20','partially_paid')`);
+  await run(`INSERT INTO payments (user_id,amount,payment_method) VALUES (1,40,'cash')`);
+  await run(`INSERT INTO payment_allocations (payment_id,bill_id,amount) VALUES (1,1,40)`);
+
+  // 008_payment_allocations only rolls back while every payment pays one bill in full.
+  const steps = versions.filter((version) => version >= 8).length;
+  await assert.rejects(rollbackMigrations(db, steps, quiet), /008_payment_allocations.js \(down\) failed: .*partial or split/);
+  const applied = (await migrationStatus(db)).filter((row) => row.state === 'applied').map((row) => row.version);
+  assert.deepEqual(applied, versions.filter((version) => version <= 8), 'the steps before it were rolled back');
+  assert.deepEqual(await all(db, `SELECT amount FROM payment_allocations`), [{ amount: 40 }]);
+});
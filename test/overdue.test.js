@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+// A 50 baht late fee plus 10% of the open balance, charged 5 days after the due date.
+test.before(async () => {
+  server = await startApi({ env: { LATE_FEE_FLAT: '50', LATE_FEE_PERCENT: '10', LATE_FEE_GRACE_DAYS: '5' } });
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Create an unpaid bill without recurring charges; resolves to its id.
+async function createBill(meterId, billMonth, amount, dueDate) {
+  const bill = await api('POST', '/bills', { meter_id: meterId, bill_month: billMonth, amount, due_date: dueDate, recurring: false });
+  assert.equal(bill.status, 200, JSON.stringify(bill.body));
+  return bill.body.bill_id;
+}
+
+// [TEST] Run the overdue check as of a date.
+async function overdueCheck(asOf, extra = {}) {
+  const result = await api('POST', '/bills/overdue-check', { as_of: asOf, ...extra });
+  assert.equal(result.status, 200, JSON.stringify(result.body));
+  return result.body;
+}
+
+test('bills past due turn overdue, and a late fee is charged once after the grace period', async () => {
+  const customer = await createCustomerMeter(api, 'late');
+  const billId = await createBill(customer.meter_id, '2099-01-01', 200, '2099-01-20');
+
+  assert.deepEqual((await overdueCheck('2099-01-20')).overdue_bill_ids, [], 'not overdue on the due date itself');
+  const first = await overdueCheck('2099-01-21');
+  assert.deepEqual(first.overdue_bill_ids, [billId]);
+  assert.deepEqual(first.late_fees, [], 'still in the grace period');
+  assert.equal((await api('GET', `/bills/${billId}`)).body.status, 'overdue');
+
+  const second = await overdueCheck('2099-01-26');
+  assert.deepEqual(second.overdue_bill_ids, []);
+  assert.equal(second.late_fees.length, 1);
+  const [fee] = second.late_fees;
+  assert.deepEqual({ bill_id: fee.bill_id, amount: fee.amount }, { bill_id: billId, amount: 70 });
+  assert.deepEqual((await overdueCheck('2099-02-05')).late_fees, [], 'never charged twice');
+
+  const feeBill = (await api('GET', `/bills/${fee.late_fee_bill_id}`)).body;
+  assert.equal(feeBill.late_fee_for_bill_id, billId);
+  assert.equal(feeBill.due_date, '2099-02-09');
+  assert.equal(feeBill.status, 'unpaid');
+  assert.deepEqual((await api('GET', `/bills/${billId}`)).body.late_fees.map((row) => row.bill_id), [fee.late_fee_bill_id]);
+
+  const history = (await api('GET', `/bills/${billId}/history`)).body;
+  const rows = history.map((row) => [row.from_status, row.to_status, row.late_fee_bill_id]);
+  assert.deepEqual(rows, [['unpaid', 'overdue', null], ['overdue', 'overdue', fee.late_fee_bill_id]]);
+
+  const ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.equal(ledger.closing_balance, 270);
+  assert.ok(ledger.entries.some((entry) => entry.entry_type === 'late_fee' && entry.debit === 70));
+});
+
+test('late fees are charged on the open balance only, and can be left out', async () => {
+  const customer = await createCustomerMeter(api, 'partial');
+  const partial = await createBill(customer.meter_id, '2099-01-01', 300, '2099-01-20');
+  const skipped = await createBill(customer.meter_id, '2099-02-01', 100, '2099-02-20');
+  await api('POST', '/payments', { bill_id: partial, amount: 100, payment_method: 'cash' });
+
+  const withoutFees = await overdueCheck('2099-03-01', { apply_late_fees: false });
+  assert.deepEqual(withoutFees.overdue_bill_ids.filter((id) => id >= partial), [partial, skipped]);
+  assert.deepEqual(withoutFees.late_fees, []);
+
+  const fees = await overdueCheck('2099-03-02');
+  const feeFor = Object.fromEntries(fees.late_fees.map((fee) => [fee.bill_id, fee.amount]));
+  assert.equal(feeFor[partial], 70, '50 plus 10% of the 200 still open');
+  assert.equal(feeFor[skipped], 60);
+});
+
+test('paying an overdue bill in full marks it paid', async () => {
+  const customer = await createCustomerMeter(api, 'settle');
+  const billId = await createBill(customer.meter_id, '2099-01-01', 80, '2099-01-20');
+  await overdueCheck('2099-01-21');
+
+  const payment = await api('POST', '/payments', { bill_id: billId, payment_method: 'cash' });
+  assert.equal(payment.status, 200, JSON.stringify(payment.body));
+  assert.equal((await api('GET', `/bills/${billId}`)).body.status, 'paid');
+  const last = (await api('GET', `/bills/${billId}/history`)).body.at(-1);
+  assert.deepEqual([last.from_status, last.to_status, last.source], ['overdue', 'paid', 'payment']);
+});
+
+test('a late fee is announced as a late fee, not as a new bill', async () => {
+  const endpoint = await api('POST', '/webhooks', { url: 'http://127.0.0.1:9/hooks', event_types: 'bill.created,bill.late_fee' });
+  assert.equal(endpoint.status, 200, JSON.stringify(endpoint.body));
+  const customer = await createCustomerMeter(api, 'notice');
+  const billId = await createBill(customer.meter_id, '2099-01-01', 100, '2099-01-20');
+  const [fee] = (await overdueCheck('2099-01-26')).late_fees.filter((row) => row.bill_id === billId);
+
+  const notices = (await api('GET', `/notifications?bill_id=${fee.late_fee_bill_id}`)).body;
+  assert.deepEqual(notices.map((notice) => notice.notification_type), ['late_fee']);
+  assert.match(notices[0].subject, /Late fee/);
+
+  const deliveries = (await api('GET', `/webhook-deliveries?endpoint_id=${endpoint.body.endpoint_id}&sort=delivery_id&order=asc`)).body;
+  assert.deepEqual(deliveries.map((delivery) => delivery.event_type), ['bill.created', 'bill.late_fee']);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { ROOT, startApi } = require('./helpers');
+
+let server;
+
+// The bundled database still has plaintext passwords, so the server migrates them on startup.
+test.before(async () => {
+  server = await startApi({ database: path.join(ROOT, 'Database', 'utility.db') });
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Stored passwords by email, read from the server's database.
+function storedPasswords() {
+  const db = new sqlite3.Database(path.join(server.dir, 'Database', 'utility.db'), sqlite3.OPEN_READONLY);
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT email, password FROM users`, (err, rows) => {
+      db.close();
+      if (err) return reject(err);
+      resolve(Object.fromEntries(rows.map((row) => [row.email, row.password])));
+    });
+  });
+}
+
+// [TEST] Wait until every stored password is an scrypt hash.
+async function waitForHashes() {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const passwords = await storedPasswords();
+    if (Object.values(passwords).every((password) => password.startsWith('scrypt$'))) return passwords;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Plaintext passwords were not migrated');
+}
+
+test('plaintext passwords are replaced by salted scrypt hashes and still sign in', async () => {
+  const passwords = await waitForHashes();
+  assert.match(passwords['admin@local'], /^scrypt\$\d+\$\d+\$\d+\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(passwords['opterapat@local'].split('$')[4], passwords['s6706022510352@email.kmutnb.ac.th'].split('$')[4],
+    'the same password gets a different salt per user');
+
+  const login = await server.request('POST', '/auth/login', { email: 'admin@local', password: 'admin123' });
+  assert.equal(login.status, 200);
+  const wrong = await server.request('POST', '/auth/login', { email: 'admin@local', password: passwords['admin@local'] });
+  assert.equal(wrong.status, 401, 'the stored hash is not a password');
+});
+
+test('new users are stored hashed', async () => {
+  const created = await server.api('POST', '/users', { name: 'Hashed', email: 'hashed@example.com', password: 'secret123' });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+  assert.equal(created.body.password, undefined);
+  assert.match((await storedPasswords())['hashed@example.com'], /^scrypt\$/);
+
+  assert.equal((await server.request('POST', '/auth/login', { email: 'hashed@example.com', password: 'secret123' })).status, 200);
+  assert.equal((await server.request('POST', '/auth/login', { email: 'hashed@example.com', password: 'secret' })).status, 401);
+});
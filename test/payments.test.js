@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Create an unpaid bill without recurring charges; resolves to its id.
+async function createBill(meterId, billMonth, amount, dueDate) {
+  const bill = await api('POST', '/bills', { meter_id: meterId, bill_month: billMonth, amount, due_date: dueDate, recurring: false });
+  assert.equal(bill.status, 200, JSON.stringify(bill.body));
+  return bill.body.bill_id;
+}
+
+// [TEST] Status, amount paid and balance of one bill.
+async function billState(billId) {
+  const { body } = await api('GET', `/bills/${billId}`);
+  return { status: body.status, amount_paid: body.amount_paid, balance: body.balance };
+}
+
+test('a payment without allocations pays the oldest due bill first and keeps the rest as credit', async () => {
+  const customer = await createCustomerMeter(api, 'oldest');
+  const older = await createBill(customer.meter_id, '2099-01-01', 300, '2099-01-20');
+  const newer = await createBill(customer.meter_id, '2099-02-01', 200, '2099-02-20');
+
+  const partial = await api('POST', '/payments', { bill_ids: [newer, older], amount: 400, payment_method: 'cash' });
+  assert.equal(partial.status, 200, JSON.stringify(partial.body));
+  assert.deepEqual(partial.body.allocations.map(({ bill_id, amount, bill_status }) => ({ bill_id, amount, bill_status })), [
+    { bill_id: older, amount: 300, bill_status: 'paid' },
+    { bill_id: newer, amount: 100, bill_status: 'partially_paid' }
+  ]);
+  assert.equal(partial.body.account_credit, 0);
+  assert.deepEqual(await billState(newer), { status: 'partially_paid', amount_paid: 100, balance: 100 });
+
+  const over = await api('POST', '/payments', { bill_id: newer, amount: 150, payment_method: 'transfer' });
+  assert.equal(over.status, 200, JSON.stringify(over.body));
+  assert.deepEqual(over.body.allocations.map(({ bill_id, amount }) => ({ bill_id, amount })), [{ bill_id: newer, amount: 100 }]);
+  assert.equal(over.body.account_credit, 50);
+  assert.equal((await api('GET', `/users/${customer.user_id}/ledger`)).body.available_credit, 50);
+
+  const paidAgain = await api('POST', '/payments', { bill_id: older, payment_method: 'cash' });
+  assert.equal(paidAgain.status, 409);
+});
+
+test('explicit allocations are checked against each bill balance', async () => {
+  const customer = await createCustomerMeter(api, 'explicit');
+  const first = await createBill(customer.meter_id, '2099-01-01', 120, '2099-01-20');
+  const second = await createBill(customer.meter_id, '2099-02-01', 80, '2099-02-20');
+
+  const tooMuch = await api('POST', '/payments', { allocations: [{ bill_id: first, amount: 121 }], payment_method: 'cash' });
+  assert.equal(tooMuch.status, 400);
+  assert.match(tooMuch.body.error.message, /exceeds its balance of 120.00/);
+
+  const short = await api('POST', '/payments', {
+    allocations: [{ bill_id: first, amount: 20 }, { bill_id: second, amount: 30 }],
+    amount: 40,
+    payment_method: 'cash'
+  });
+  assert.equal(short.status, 400);
+
+  const split = await api('POST', '/payments', {
+    allocations: [{ bill_id: first, amount: 20 }, { bill_id: second, amount: 80 }],
+    payment_method: 'cash'
+  });
+  assert.equal(split.status, 200, JSON.stringify(split.body));
+  assert.equal(split.body.amount, 100);
+  assert.deepEqual(await billState(first), { status: 'partially_paid', amount_paid: 20, balance: 100 });
+  assert.deepEqual(await billState(second), { status: 'paid', amount_paid: 80, balance: 0 });
+});
+
+test('payments across two accounts or with a duplicate reference are refused', async () => {
+  const alice = await createCustomerMeter(api, 'alice');
+  const bob = await createCustomerMeter(api, 'bob');
+  const aliceBill = await createBill(alice.meter_id, '2099-01-01', 50, '2099-01-20');
+  const bobBill = await createBill(bob.meter_id, '2099-01-01', 50, '2099-01-20');
+
+  const mixed = await api('POST', '/payments', { bill_ids: [aliceBill, bobBill], payment_method: 'cash' });
+  assert.equal(mixed.status, 400);
+
+  const first = await api('POST', '/payments', { bill_id: aliceBill, amount: 10, payment_method: 'transfer', transaction_ref: 'TX-1' });
+  assert.equal(first.status, 200);
+  const duplicate = await api('POST', '/payments', { bill_id: aliceBill, amount: 10, payment_method: 'transfer', transaction_ref: 'TX-1' });
+  assert.equal(duplicate.status, 409);
+  assert.deepEqual(Object.keys(duplicate.body.error.fields), ['transaction_ref']);
+  assert.deepEqual(await billState(aliceBill), { status: 'partially_paid', amount_paid: 10, balance: 40 });
+});
+
+test('refunding a payment reopens its bills and debits the account back', async () => {
+  const customer = await createCustomerMeter(api, 'refund');
+  const first = await createBill(customer.meter_id, '2099-01-01', 100, '2099-01-20');
+  const second = await createBill(customer.meter_id, '2099-02-01', 60, '2099-02-20');
+  const payment = await api('POST', '/payments', { bill_ids: [first, second], amount: 130, payment_method: 'cash' });
+  assert.equal(payment.status, 200, JSON.stringify(payment.body));
+  const ledgerBefore = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.equal(ledgerBefore.closing_balance, 30);
+
+  const refund = await api('POST', `/payments/${payment.body.payment_id}/reverse`, { type: 'refund', reason: 'Paid twice' });
+  assert.equal(refund.status, 200, JSON.stringify(refund.body));
+  assert.deepEqual(refund.body.bills, [
+    { bill_id: first, bill_status: 'unpaid', balance: 100 },
+    { bill_id: second, bill_status: 'unpaid', balance: 60 }
+  ]);
+  assert.deepEqual(await billState(first), { status: 'unpaid', amount_paid: 0, balance: 100 });
+
+  const ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.equal(ledger.closing_balance, 160);
+  const refundEntry = ledger.entries.find((entry) => entry.entry_type === 'refund');
+  assert.equal(refundEntry.debit, 130);
+  assert.equal(refundEntry.payment_id, payment.body.payment_id);
+
+  const again = await api('POST', `/payments/${payment.body.payment_id}/reverse`, { type: 'void', reason: 'Twice' });
+  assert.equal(again.status, 409);
+  const listed = await api('GET', '/payments?status=refund');
+  assert.ok(listed.body.some((row) => row.payment_id === payment.body.payment_id && row.reversal_reason === 'Paid twice'));
+});
+
+test('voiding an overpayment removes the account credit it left', async () => {
+  const customer = await createCustomerMeter(api, 'void');
+  const bill = await createBill(customer.meter_id, '2099-01-01', 40, '2099-01-20');
+  const payment = await api('POST', '/payments', { bill_id: bill, amount: 100, payment_method: 'cash' });
+  assert.equal(payment.body.account_credit, 60);
+
+  const voided = await api('POST', `/payments/${payment.body.payment_id}/reverse`, { type: 'void', reason: 'Wrong account' });
+  assert.equal(voided.status, 200);
+  const ledger = (await api('GET', `/users/${customer.user_id}/ledger`)).body;
+  assert.equal(ledger.available_credit, 0);
+  assert.equal(ledger.closing_balance, 40);
+  assert.deepEqual(await billState(bill), { status: 'unpaid', amount_paid: 0, balance: 40 });
+});
+
+test('manual bills cannot start paid', async () => {
+  const customer = await createCustomerMeter(api, 'manual');
+  const paid = await api('POST', '/bills', { meter_id: customer.meter_id, bill_month: '2099-01-01', amount: 10, due_date: '2099-01-20', status: 'paid' });
+  assert.equal(paid.status, 400);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  crc16, isValidBillerId, promptPayReference, billIdFromReference, buildPromptPayPayload
+} = require('../PromptPay');
+
+const BILLER_ID = '010555301234501';
+
+test('crc16 matches the CRC-16/CCITT-FALSE check value', () => {
+  assert.equal(crc16('123456789'), '29B1');
+  assert.equal(crc16(''), 'FFFF');
+});
+
+test('crc16 pads short checksums to four hex digits', () => {
+  for (const text of ['A', '00020101021230', '6304']) {
+    assert.match(crc16(text), /^[0-9A-F]{4}$/);
+  }
+});
+
+test('payloads end with the CRC of everything before it, including the 6304 tag', () => {
+  const payload = buildPromptPayPayload({ billerId: BILLER_ID, amount: 1234.5, reference1: 'INV202601000042' });
+  assert.match(payload, /6304[0-9A-F]{4}$/);
+  assert.equal(payload.slice(-4), crc16(payload.slice(0, -4)));
+  assert.ok(payload.includes('54071234.50'), 'amount is written with two decimals');
+  assert.ok(payload.includes(`0115${BILLER_ID}`), 'biller ID is in the merchant field');
+  assert.ok(payload.includes('0215INV202601000042'), 'reference 1 is in the merchant field');
+});
+
+test('a different amount changes the checksum', () => {
+  const first = buildPromptPayPayload({ billerId: BILLER_ID, amount: 100, reference1: 'REF1' });
+  const second = buildPromptPayPayload({ billerId: BILLER_ID, amount: 100.01, reference1: 'REF1' });
+  assert.notEqual(first.slice(-4), second.slice(-4));
+});
+
+test('payloads reject bad biller IDs, amounts and references', () => {
+  assert.throws(() => buildPromptPayPayload({ billerId: '12345', amount: 1, reference1: 'A' }), /15 digits/);
+  assert.throws(() => buildPromptPayPayload({ billerId: BILLER_ID, amount: 0, reference1: 'A' }), /positive/);
+  assert.throws(() => buildPromptPayPayload({ billerId: BILLER_ID, amount: 1, reference1: 'inv-1' }), /references/);
+  assert.equal(isValidBillerId(BILLER_ID), true);
+  assert.equal(isValidBillerId('01055530123450'), false);
+});
+
+test('bill references round-trip through invoice numbers', () => {
+  const reference = promptPayReference('INV-202601-000042');
+  assert.equal(reference, 'INV202601000042');
+  assert.equal(billIdFromReference(reference), 42);
+  assert.equal(billIdFromReference('inv-202601-000042'), 42);
+  assert.equal(billIdFromReference('INV202601000000'), null);
+  assert.equal(billIdFromReference('bank transfer'), null);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Post one reading; resolves to the response.
+function postReading(meterId, body) {
+  return api('POST', `/meters/${meterId}/readings`, body);
+}
+
+test('consumption is the difference from the previous reading, with resets only when asked for', async () => {
+  const { meter_id: meterId } = await createCustomerMeter(api, 'reads');
+  const first = await postReading(meterId, { reading_value: 9950, read_at: '2099-01-01 08:00:00' });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.consumption, null);
+  assert.equal((await postReading(meterId, { reading_value: 9980, read_at: '2099-02-01 08:00:00' })).body.consumption, 30);
+
+  const lower = await postReading(meterId, { reading_value: 20, read_at: '2099-03-01 08:00:00' });
+  assert.equal(lower.status, 400);
+  assert.match(lower.body.error.message, /lower than the previous reading 9980/);
+  const earlier = await postReading(meterId, { reading_value: 9990, read_at: '2099-01-15 08:00:00' });
+  assert.equal(earlier.status, 400);
+
+  const rollover = await postReading(meterId, { reading_value: 20, read_at: '2099-03-01 08:00:00', reset_type: 'rollover' });
+  assert.equal(rollover.body.consumption, 40, '9980 to 9999, past zero, to 20');
+  const replaced = await postReading(meterId, {
+    reading_value: 15, read_at: '2099-04-01 08:00:00', reset_type: 'replacement', initial_value: 5
+  });
+  assert.equal(replaced.body.consumption, 10);
+
+  const readings = await api('GET', `/meters/${meterId}/readings`);
+  assert.deepEqual(readings.body.map((row) => row.consumption), [null, 30, 40, 10]);
+});
+
+test('readings posted at the same time are each checked against the one stored before it', async () => {
+  const { meter_id: meterId } = await createCustomerMeter(api, 'race');
+  await postReading(meterId, { reading_value: 100, read_at: '2099-01-01 08:00:00' });
+
+  const values = [104, 101, 109, 103, 106, 102, 110, 105, 108, 107];
+  const results = await Promise.all(values.map((value) => postReading(meterId, { reading_value: value, read_at: '2099-02-01 08:00:00' })));
+  for (const result of results) assert.ok([200, 400].includes(result.status), JSON.stringify(result.body));
+
+  const readings = (await api('GET', `/meters/${meterId}/readings`)).body;
+  assert.ok(readings.length > 1);
+  for (let index = 1; index < readings.length; index += 1) {
+    assert.equal(readings[index].consumption, readings[index].reading_value - readings[index - 1].reading_value,
+      `reading ${readings[index].reading_value} counts from ${readings[index - 1].reading_value}`);
+  }
+});
+
+test('a bill can be generated from the units between two readings', async () => {
+  const { meter_id: meterId } = await createCustomerMeter(api, 'usage');
+  await postReading(meterId, { reading_value: 100, read_at: '2099-01-01 08:00:00' });
+  await postReading(meterId, { reading_value: 150, read_at: '2099-01-31 08:00:00' });
+
+  const bill = await api('POST', '/bills/from-readings', {
+    meter_id: meterId, bill_month: '2099-01-01', due_date: '2099-02-15', unit_rate: 2.5, recurring: false
+  });
+  assert.equal(bill.status, 200, JSON.stringify(bill.body));
+  const saved = (await api('GET', `/bills/${bill.body.bill_id}`)).body;
+  assert.equal(saved.units_consumed, 50);
+  assert.equal(saved.amount, 125);
+  assert.equal(saved.status, 'unpaid');
+
+  const again = await api('POST', '/bills/from-readings', {
+    meter_id: meterId, bill_month: '2099-02-01', due_date: '2099-03-15', unit_rate: 2.5, recurring: false
+  });
+  assert.equal(again.status, 400, 'no new readings since the last bill');
+});
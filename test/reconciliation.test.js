@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+let bills;
+let reconciliation;
+
+// [TEST] Create an unpaid January bill without recurring charges; resolves to its id.
+async function createBill(meterId, amount) {
+  const bill = await api('POST', '/bills', { meter_id: meterId, bill_month: '2099-01-01', amount, due_date: '2099-01-20', recurring: false });
+  assert.equal(bill.status, 200, JSON.stringify(bill.body));
+  return bill.body.bill_id;
+}
+
+// One open bill per way of matching, plus two with the same balance.
+test.before(async () => {
+  server = await startApi();
+  api = server.api;
+  bills = {};
+  for (const [name, amount] of [['invoice', 120], ['meter', 80], ['amount', 333.33], ['twin-a', 55], ['twin-b', 55]]) {
+    const customer = await createCustomerMeter(api, name);
+    bills[name] = await createBill(customer.meter_id, amount);
+  }
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] The line of the current reconciliation with a statement reference.
+function lineFor(reference) {
+  return reconciliation.lines.find((line) => line.reference === reference);
+}
+
+test('statement lines are matched by invoice number, then meter number, then balance', async () => {
+  const invoice = `INV-209901-${String(bills.invoice).padStart(6, '0')}`;
+  const uploaded = await api('POST', '/reconciliations', {
+    file_name: 'january.csv',
+    csv: [
+      'date,amount,reference,description',
+      `2099-01-10,120,REF-1,Payment for ${invoice}`,
+      '2099-01-10,80,REF-2,Water meter M-meter',
+      '2099-01-11,333.33,REF-3,Transfer',
+      '2099-01-11,55,REF-4,Transfer',
+      '2099-01-12,999,REF-5,Transfer',
+      '2099-01-12,-20,REF-6,Bank fee',
+      '2099-01-12,10,REF-1,Repeated reference',
+      'someday,10,REF-7,Bad date'
+    ].join('\n')
+  });
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+  reconciliation = uploaded.body;
+
+  const summary = (reference) => [lineFor(reference).match_status, lineFor(reference).bill_id];
+  assert.deepEqual(summary('REF-1'), ['matched', bills.invoice]);
+  assert.equal(lineFor('REF-1').match_note, `Invoice ${invoice}`);
+  assert.deepEqual(summary('REF-2'), ['matched', bills.meter]);
+  assert.deepEqual(summary('REF-3'), ['matched', bills.amount]);
+  assert.deepEqual(summary('REF-4'), ['ambiguous', null]);
+  assert.deepEqual(lineFor('REF-4').candidate_bill_ids, [bills['twin-a'], bills['twin-b']]);
+  assert.deepEqual(summary('REF-5'), ['unmatched', null]);
+  assert.deepEqual(summary('REF-6'), ['ignored', null]);
+
+  const repeated = reconciliation.lines.find((line) => line.amount === 10 && line.reference === 'REF-1');
+  assert.equal(repeated.match_status, 'ignored');
+  assert.match(repeated.match_note, /^Same reference as line \d+$/);
+  assert.equal(lineFor('REF-7').match_status, 'ignored');
+  assert.deepEqual(
+    [reconciliation.matched_count, reconciliation.ambiguous_count, reconciliation.unmatched_count, reconciliation.ignored_count],
+    [3, 1, 1, 3]
+  );
+  assert.equal((await api('GET', `/bills/${bills.invoice}`)).body.status, 'unpaid', 'nothing is paid before review');
+});
+
+test('confirmed lines are posted as payments together, or not at all', async () => {
+  const url = `/reconciliations/${reconciliation.reconciliation_id}/post`;
+  const failed = await api('POST', url, {
+    lines: [{ line_id: lineFor('REF-1').line_id, bill_id: bills.invoice }, { line_id: lineFor('REF-5').line_id, bill_id: 999999 }]
+  });
+  assert.equal(failed.status, 404, JSON.stringify(failed.body));
+  assert.equal((await api('GET', `/bills/${bills.invoice}`)).body.status, 'unpaid', 'the first line was rolled back');
+
+  const posted = await api('POST', url, {
+    lines: [
+      { line_id: lineFor('REF-1').line_id, bill_id: bills.invoice },
+      { line_id: lineFor('REF-4').line_id, bill_id: bills['twin-b'] },
+      { line_id: lineFor('REF-5').line_id, ignore: true }
+    ]
+  });
+  assert.equal(posted.status, 200, JSON.stringify(posted.body));
+  assert.deepEqual([posted.body.posted, posted.body.remaining], [2, 2]);
+  assert.equal((await api('GET', `/bills/${bills.invoice}`)).body.status, 'paid');
+  assert.equal((await api('GET', `/bills/${bills['twin-b']}`)).body.status, 'paid');
+  const [payment] = (await api('GET', `/payments?q=REF-1`)).body;
+  assert.deepEqual([payment.payment_method, payment.transaction_ref, payment.amount], ['bank_transfer', 'REF-1', 120]);
+
+  const again = await api('POST', url, { lines: [{ line_id: lineFor('REF-1').line_id, bill_id: bills.invoice }] });
+  assert.equal(again.status, 409);
+  assert.equal((await api('POST', url, { lines: [] })).status, 400);
+
+  const done = await api('POST', url, {
+    lines: [{ line_id: lineFor('REF-2').line_id, bill_id: bills.meter }, { line_id: lineFor('REF-3').line_id, bill_id: bills.amount }]
+  });
+  assert.equal(done.body.remaining, 0);
+  assert.equal((await api('GET', `/reconciliations/${reconciliation.reconciliation_id}`)).body.status, 'completed');
+});
+
+test('references already recorded as payments are not matched again', async () => {
+  const uploaded = await api('POST', '/reconciliations', { csv: 'date,amount,reference\n2099-01-15,55,REF-4\n2099-01-15,55,REF-8' });
+  assert.equal(uploaded.status, 200, JSON.stringify(uploaded.body));
+  const [recorded, fresh] = uploaded.body.lines;
+  assert.equal(recorded.match_status, 'ignored');
+  assert.match(recorded.match_note, /^Already recorded as payment #\d+$/);
+  assert.deepEqual([fresh.match_status, fresh.bill_id], ['matched', bills['twin-a']]);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { generateWebhookSecret, signWebhookPayload, verifyWebhookSignature } = require('../Webhooks');
+const { MOCK_GATEWAY_SECRET, signGatewayPayload, verifyGatewaySignature, createGateway } = require('../PaymentGateway');
+
+const BODY = JSON.stringify({ id: 'evt_1', type: 'payment.created', data: { amount: 100 } });
+
+test('webhook signatures are HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const secret = generateWebhookSecret();
+  const expected = crypto.createHmac('sha256', secret).update(`1700000000.${BODY}`).digest('hex');
+  assert.equal(signWebhookPayload(secret, 1700000000, BODY), `sha256=${expected}`);
+});
+
+test('webhook verification accepts the signature and rejects any change', () => {
+  const secret = generateWebhookSecret();
+  const signature = signWebhookPayload(secret, 1700000000, BODY);
+  assert.equal(verifyWebhookSignature(secret, 1700000000, BODY, signature), true);
+  assert.equal(verifyWebhookSignature(secret, 1700000001, BODY, signature), false);
+  assert.equal(verifyWebhookSignature(secret, 1700000000, `${BODY} `, signature), false);
+  assert.equal(verifyWebhookSignature(generateWebhookSecret(), 1700000000, BODY, signature), false);
+  assert.equal(verifyWebhookSignature(secret, 1700000000, BODY, signature.slice(0, -1)), false);
+  assert.equal(verifyWebhookSignature(secret, 1700000000, BODY, undefined), false);
+});
+
+test('gateway callbacks verify within the timestamp tolerance only', () => {
+  const now = Date.UTC(2026, 0, 15, 12, 0, 0);
+  const timestamp = Math.floor(now / 1000);
+  const headers = { 'x-gateway-timestamp': String(timestamp), 'x-gateway-signature': signGatewayPayload('s3cret', timestamp, BODY) };
+  assert.equal(verifyGatewaySignature('s3cret', headers, BODY, now), true);
+  assert.equal(verifyGatewaySignature('s3cret', headers, BODY, now + 299 * 1000), true);
+  assert.equal(verifyGatewaySignature('s3cret', headers, BODY, now + 301 * 1000), false);
+  assert.equal(verifyGatewaySignature('s3cret', headers, BODY, now - 301 * 1000), false);
+});
+
+test('gateway callbacks with a wrong secret, body or missing headers are rejected', () => {
+  const now = Date.now();
+  const timestamp = Math.floor(now / 1000);
+  const headers = { 'x-gateway-timestamp': String(timestamp), 'x-gateway-signature': signGatewayPayload('s3cret', timestamp, BODY) };
+  assert.equal(verifyGatewaySignature('other', headers, BODY, now), false);
+  assert.equal(verifyGatewaySignature('s3cret', headers, BODY.replace('100', '1000'), now), false);
+  assert.equal(verifyGatewaySignature('s3cret', { ...headers, 'x-gateway-timestamp': 'soon' }, BODY, now), false);
+  assert.equal(verifyGatewaySignature('s3cret', { 'x-gateway-timestamp': String(timestamp) }, BODY, now), false);
+});
+
+test('the mock gateway parses signed callbacks and refuses unsigned ones', () => {
+  const gateway = createGateway({});
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ id: 'chk_1', status: 'SUCCEEDED' });
+  const headers = {
+    'x-gateway-timestamp': String(timestamp),
+    'x-gateway-signature': signGatewayPayload(MOCK_GATEWAY_SECRET, timestamp, body)
+  };
+  assert.deepEqual(gateway.parseCallback(headers, Buffer.from(body)), { provider_ref: 'chk_1', status: 'succeeded', reason: null });
+  assert.throws(() => gateway.parseCallback({ ...headers, 'x-gateway-signature': 'sha256=00' }, body), /Invalid callback signature/);
+  assert.throws(() => createGateway({ PAYMENT_GATEWAY: 'acme' }), /PAYMENT_GATEWAY must be one of/);
+});
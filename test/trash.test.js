@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi, createCustomerMeter } = require('./helpers');
+
+let server;
+let api;
+
+// No retention period, so rows may be purged as soon as nothing else blocks it.
+test.before(async () => {
+  server = await startApi({ env: { TRASH_RETENTION_DAYS: '0' } });
+  api = server.api;
+});
+
+test.after(() => server && server.stop());
+
+// [TEST] Create an unpaid bill without recurring charges; resolves to its id.
+async function createBill(meterId, amount = 100) {
+  const bill = await api('POST', '/bills', { meter_id: meterId, bill_month: '2099-01-01', amount, due_date: '2099-01-20', recurring: false });
+  assert.equal(bill.status, 200, JSON.stringify(bill.body));
+  return bill.body.bill_id;
+}
+
+// [TEST] Move a row to the trash through its DELETE route.
+async function trash(urlPath) {
+  const deleted = await api('DELETE', urlPath);
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+  assert.ok(deleted.body.deleted >= 1, urlPath);
+}
+
+// [TEST] The trash entry for one row.
+async function trashItem(type, idField, id) {
+  return (await api('GET', '/trash')).body[type].find((item) => item[idField] === id);
+}
+
+test('a deleted bill is credited back, and restoring it charges it again', async () => {
+  const customer = await createCustomerMeter(api, 'restore');
+  const billId = await createBill(customer.meter_id);
+  await trash(`/bills/${billId}`);
+
+  assert.equal((await api('GET', `/bills/${billId}`)).status, 404);
+  assert.equal((await api('GET', `/users/${customer.user_id}/ledger`)).body.closing_balance, 0);
+  assert.ok(await trashItem('bills', 'bill_id', billId));
+
+  const restored = await api('POST', `/trash/bills/${billId}/restore`);
+  assert.deepEqual([restored.status, restored.body], [200, { restored: 1 }]);
+  assert.equal((await api('GET', `/bills/${billId}`)).body.status, 'unpaid');
+  assert.equal((await api('GET', `/users/${customer.user_id}/ledger`)).body.closing_balance, 100);
+  assert.equal((await api('POST', `/trash/bills/${billId}/restore`)).status, 404, 'no longer in the trash');
+});
+
+test('a meter or bill is only restored after the rows it belongs to', async () => {
+  const customer = await createCustomerMeter(api, 'order');
+  const billId = await createBill(customer.meter_id);
+  await trash(`/bills/${billId}`);
+  await trash(`/meters/${customer.meter_id}`);
+  await trash(`/users/${customer.user_id}`);
+
+  assert.equal((await api('POST', `/trash/bills/${billId}/restore`)).status, 409);
+  assert.equal((await api('POST', `/trash/meters/${customer.meter_id}/restore`)).status, 409);
+  assert.equal((await api('POST', `/trash/users/${customer.user_id}/restore`)).status, 200);
+  assert.equal((await api('POST', `/trash/meters/${customer.meter_id}/restore`)).status, 200);
+  assert.equal((await api('POST', `/trash/bills/${billId}/restore`)).status, 200);
+  assert.deepEqual((await api('GET', `/bills?meter_id=${customer.meter_id}`)).body.map((bill) => bill.bill_id), [billId]);
+  assert.equal((await api('POST', `/trash/parcels/1/restore`)).status, 404);
+});
+
+test('bills with ledger entries, and the meters and users they belong to, are never purged', async () => {
+  const customer = await createCustomerMeter(api, 'history');
+  const billId = await createBill(customer.meter_id);
+  await trash(`/bills/${billId}`);
+  await trash(`/meters/${customer.meter_id}`);
+  await trash(`/users/${customer.user_id}`);
+
+  for (const [type, idField, id] of [['bills', 'bill_id', billId], ['meters', 'meter_id', customer.meter_id], ['users', 'user_id', customer.user_id]]) {
+    const purge = await api('DELETE', `/trash/${type}/${id}`);
+    assert.equal(purge.status, 409, `${type} ${id}`);
+    assert.match(purge.body.error.message, /payments or ledger entries/);
+    assert.equal((await trashItem(type, idField, id)).purge_blocked, purge.body.error.message);
+  }
+});
+
+test('users with payments, or with bills still open, are never purged', async () => {
+  const payer = await createCustomerMeter(api, 'payer');
+  const paid = await createBill(payer.meter_id, 40);
+  assert.equal((await api('POST', '/payments', { bill_id: paid, payment_method: 'cash' })).status, 200);
+  await trash(`/users/${payer.user_id}`);
+  const refused = await api('DELETE', `/trash/users/${payer.user_id}`);
+  assert.equal(refused.status, 409);
+  assert.match(refused.body.error.message, /payments or ledger entries/);
+
+  const debtor = await createCustomerMeter(api, 'debtor');
+  await createBill(debtor.meter_id);
+  await trash(`/users/${debtor.user_id}`);
+  const open = await api('DELETE', `/trash/users/${debtor.user_id}`);
+  assert.equal(open.status, 409);
+  assert.equal(open.body.error.message, 'Still has 1 unpaid bill(s)');
+});
+
+test('rows without any history are purged for good', async () => {
+  const customer = await createCustomerMeter(api, 'purge');
+  await trash(`/meters/${customer.meter_id}`);
+  await trash(`/users/${customer.user_id}`);
+  await trash(`/utilities/${customer.utility_id}`);
+
+  assert.equal((await api('DELETE', `/trash/utilities/${customer.utility_id}`)).status, 409, 'still used by the meter');
+  for (const [type, id] of [['meters', customer.meter_id], ['users', customer.user_id], ['utilities', customer.utility_id]]) {
+    const purge = await api('DELETE', `/trash/${type}/${id}`);
+    assert.deepEqual([purge.status, purge.body], [200, { purged: 1 }], `${type} ${id}`);
+  }
+  assert.equal(await trashItem('users', 'user_id', customer.user_id), undefined);
+  assert.equal((await api('GET', `/users/${customer.user_id}`)).status, 404);
+});
+
+test('nothing is purged before the retention period ends', async () => {
+  const retained = await startApi();
+  try {
+    const customer = await createCustomerMeter(retained.api, 'kept');
+    const deleted = await retained.api('DELETE', `/meters/${customer.meter_id}`);
+    assert.equal(deleted.status, 200, JSON.stringify(deleted.body));
+    const purge = await retained.api('DELETE', `/trash/meters/${customer.meter_id}`);
+    assert.equal(purge.status, 409);
+    assert.match(purge.body.error.message, /^Kept in the trash until /);
+  } finally {
+    await retained.stop();
+  }
+});